@@ -34,6 +34,36 @@ export default defineConfig([
     },
   },
 
+  // Renderer modules are plain <script> tags sharing the page's global scope
+  {
+    files: ['renderer/**/*.js'],
+    languageOptions: {
+      globals: {
+        WIKIS: 'readonly',
+        SettingsPanel: 'readonly',
+        BindingsEditor: 'readonly',
+        StickSettings: 'readonly',
+        SpatialNavigator: 'readonly',
+        SpatialIndex: 'readonly',
+        SelectPicker: 'readonly',
+        TextSelection: 'readonly',
+        ContextMenu: 'readonly',
+        ZoomManager: 'readonly',
+        NavigationManager: 'readonly',
+        TabManager: 'readonly',
+        SplitView: 'readonly',
+        BookmarkManager: 'readonly',
+        BookmarksPanel: 'readonly',
+        HistoryManager: 'readonly',
+        HistoryPanel: 'readonly',
+        WebviewBridge: 'readonly',
+        SessionManager: 'readonly',
+        WikisPanel: 'readonly',
+        SearchSuggestions: 'readonly',
+      },
+    },
+  },
+
   // Electron main process (CommonJS)
   {
     files: ['main/**/*.js'],
@@ -0,0 +1,122 @@
+const { randomUUID } = require('crypto');
+const { SettingsStore } = require('./settings-store');
+
+/**
+ * Saved wiki pages, e.g.
+ * { "bookmarks": [{ "id": "…", "url": "https://terraria.wiki.gg/wiki/Zenith",
+ *   "title": "Zenith", "wiki": "https://terraria.wiki.gg", "folder": "Weapons",
+ *   "tags": ["melee"], "favorite": true, "added": 1718000000000 }] }
+ * "wiki" is the base URL of the wiki the page was saved from (see WIKIS).
+ */
+const bookmarkStore = new SettingsStore('bookmarks.json', { bookmarks: [] });
+
+// Longest title, folder or tag kept
+const MAX_TEXT_LENGTH = 200;
+
+/**
+ * @returns {Object[]} Bookmarks in the order they were added
+ */
+function getBookmarks() {
+  return readBookmarks();
+}
+
+/**
+ * Add a bookmark, or update the one with the same id (or URL)
+ * @param {Object} input - url, title, wiki, folder, tags, favorite (and id when updating)
+ * @returns {Object[]} All bookmarks
+ */
+function saveBookmark(input) {
+  if (!input || typeof input.url !== 'string' || !/^https?:\/\//.test(input.url)) {
+    return getBookmarks();
+  }
+
+  const bookmarks = readBookmarks();
+  const index = bookmarks.findIndex(bookmark => bookmark.id === input.id || bookmark.url === input.url);
+  const existing = index === -1 ? null : bookmarks[index];
+
+  const bookmark = {
+    id: existing ? existing.id : randomUUID(),
+    url: input.url,
+    title: cleanText(input.title) || input.url,
+    wiki: typeof input.wiki === 'string' ? input.wiki : '',
+    folder: cleanText(input.folder),
+    tags: cleanTags(input.tags),
+    favorite: Boolean(input.favorite),
+    added: existing ? existing.added : Date.now(),
+  };
+
+  if (existing) {
+    bookmarks[index] = bookmark;
+  } else {
+    bookmarks.push(bookmark);
+  }
+  bookmarkStore.set('bookmarks', bookmarks);
+  return getBookmarks();
+}
+
+/**
+ * @param {string} id
+ * @returns {Object[]} All bookmarks
+ */
+function removeBookmark(id) {
+  bookmarkStore.set('bookmarks', readBookmarks().filter(bookmark => bookmark.id !== id));
+  return getBookmarks();
+}
+
+/**
+ * The well-formed bookmarks of the file, as copies
+ * Bookmarks added by hand without an id get one, saved so it stays the same.
+ * @private
+ */
+function readBookmarks() {
+  const stored = bookmarkStore.get('bookmarks');
+  if (!Array.isArray(stored)) return [];
+
+  const bookmarks = stored.map(cleanBookmark).filter(Boolean);
+  if (bookmarks.some(bookmark => !stored.some(entry => entry && entry.id === bookmark.id))) {
+    bookmarkStore.set('bookmarks', bookmarks);
+  }
+  return bookmarks;
+}
+
+/**
+ * Validate one stored bookmark (null when it has no page URL)
+ * @private
+ */
+function cleanBookmark(bookmark) {
+  if (!bookmark || typeof bookmark !== 'object' ||
+    typeof bookmark.url !== 'string' || !/^https?:\/\//.test(bookmark.url)) {
+    return null;
+  }
+
+  return {
+    id: typeof bookmark.id === 'string' && bookmark.id ? bookmark.id : randomUUID(),
+    url: bookmark.url,
+    title: cleanText(bookmark.title) || bookmark.url,
+    wiki: typeof bookmark.wiki === 'string' ? bookmark.wiki : '',
+    folder: cleanText(bookmark.folder),
+    tags: cleanTags(bookmark.tags),
+    favorite: bookmark.favorite === true,
+    added: Number.isFinite(bookmark.added) ? bookmark.added : 0,
+  };
+}
+
+/**
+ * Single-line, trimmed text ('' for anything that isn't a string)
+ * @private
+ */
+function cleanText(value) {
+  if (typeof value !== 'string') return '';
+  return value.replace(/\s+/g, ' ').trim().slice(0, MAX_TEXT_LENGTH);
+}
+
+/**
+ * Distinct, non-empty tags
+ * @private
+ */
+function cleanTags(tags) {
+  if (!Array.isArray(tags)) return [];
+  return [...new Set(tags.map(cleanText).filter(Boolean))];
+}
+
+module.exports = { getBookmarks, saveBookmark, removeBookmark };
@@ -0,0 +1,198 @@
+const { randomUUID } = require('crypto');
+const { dialog } = require('electron');
+const fs = require('fs');
+const { SettingsStore } = require('./settings-store');
+
+/**
+ * Wikis added by the user, shown before the built-in WIKIS, e.g.
+ * { "wikis": [{ "id": "…", "name": "Deep Rock Galactic", "url": "https://deeprockgalactic.wiki.gg",
+ *   "search": "https://deeprockgalactic.wiki.gg/index.php?search=", "icon": "⛏️", "tags": ["coop"] }] }
+ * An empty icon shows the site's favicon. "search" is appended to, or has
+ * {query} replaced by, the search text.
+ */
+const customWikiStore = new SettingsStore('custom-wikis.json', { wikis: [] });
+
+// Longest name or tag kept, and longest icon (emoji can take several code units)
+const MAX_TEXT_LENGTH = 100;
+const MAX_ICON_LENGTH = 16;
+
+/**
+ * @returns {Object[]} Custom wikis in display order
+ */
+function getCustomWikis() {
+  return readWikis();
+}
+
+/**
+ * Add a wiki, or update the one with the same id (or URL)
+ * @param {Object} input - name, url, search, icon, tags (and id when updating)
+ * @returns {Object[]} All custom wikis
+ */
+function saveCustomWiki(input) {
+  const wiki = cleanWiki(input);
+  if (!wiki) return getCustomWikis();
+
+  const wikis = readWikis();
+  const byId = wikis.findIndex(entry => entry.id === input.id);
+  const index = byId === -1 ? wikis.findIndex(entry => entry.url === wiki.url) : byId;
+
+  if (index === -1) {
+    wikis.push({ id: randomUUID(), ...wiki });
+  } else {
+    wikis[index] = { id: wikis[index].id, ...wiki };
+  }
+  customWikiStore.set('wikis', wikis);
+  return getCustomWikis();
+}
+
+/**
+ * @param {string} id
+ * @returns {Object[]} All custom wikis
+ */
+function removeCustomWiki(id) {
+  customWikiStore.set('wikis', readWikis().filter(wiki => wiki.id !== id));
+  return getCustomWikis();
+}
+
+/**
+ * Move a wiki to another position in the list
+ * @param {string} id
+ * @param {number} index - New position
+ * @returns {Object[]} All custom wikis
+ */
+function moveCustomWiki(id, index) {
+  const wikis = readWikis();
+  const from = wikis.findIndex(wiki => wiki.id === id);
+  if (from === -1 || !Number.isInteger(index)) return getCustomWikis();
+
+  const [wiki] = wikis.splice(from, 1);
+  wikis.splice(Math.max(0, Math.min(wikis.length, index)), 0, wiki);
+  customWikiStore.set('wikis', wikis);
+  return getCustomWikis();
+}
+
+/**
+ * Save the list to a JSON file the user picks
+ * @param {Electron.BrowserWindow} win - Parent of the dialog
+ * @returns {Promise<string|null>} The file written, or null if cancelled
+ */
+async function exportCustomWikis(win) {
+  const { canceled, filePath } = await dialog.showSaveDialog(win, {
+    title: 'Export wikis',
+    defaultPath: 'wikis.json',
+    filters: [{ name: 'JSON', extensions: ['json'] }],
+  });
+  if (canceled || !filePath) return null;
+
+  const wikis = getCustomWikis().map(({ name, url, search, icon, tags }) => ({ name, url, search, icon, tags }));
+  fs.writeFileSync(filePath, JSON.stringify({ wikis }, null, 2));
+  return filePath;
+}
+
+/**
+ * Add the wikis from a JSON file the user picks (an exported list, or an
+ * array in the WIKIS format). Wikis with a URL already in the list replace it.
+ * @param {Electron.BrowserWindow} win - Parent of the dialog
+ * @returns {Promise<{wikis: Object[], imported: number}|null>} null if cancelled
+ * @throws {Error} If the file isn't a list of wikis
+ */
+async function importCustomWikis(win) {
+  const { canceled, filePaths } = await dialog.showOpenDialog(win, {
+    title: 'Import wikis',
+    filters: [{ name: 'JSON', extensions: ['json'] }],
+    properties: ['openFile'],
+  });
+  if (canceled || filePaths.length === 0) return null;
+
+  const data = JSON.parse(fs.readFileSync(filePaths[0], 'utf8'));
+  const entries = Array.isArray(data) ? data : data && data.wikis;
+  if (!Array.isArray(entries)) {
+    throw new Error('The file has no list of wikis');
+  }
+
+  // Ids are left out so entries match by URL
+  const imported = entries.map(cleanWiki).filter(Boolean);
+  imported.forEach(saveCustomWiki);
+  return { wikis: getCustomWikis(), imported: imported.length };
+}
+
+/**
+ * The well-formed wikis of the file, as copies
+ * Wikis added by hand without an id get one, saved so it stays the same.
+ * @private
+ */
+function readWikis() {
+  const stored = customWikiStore.get('wikis');
+  if (!Array.isArray(stored)) return [];
+
+  const wikis = stored
+    .map(entry => {
+      const wiki = cleanWiki(entry);
+      if (!wiki) return null;
+      return { id: typeof entry.id === 'string' && entry.id ? entry.id : randomUUID(), ...wiki };
+    })
+    .filter(Boolean);
+
+  if (wikis.some(wiki => !stored.some(entry => entry && entry.id === wiki.id))) {
+    customWikiStore.set('wikis', wikis);
+  }
+  return wikis;
+}
+
+/**
+ * Validate a wiki (null when it has no usable name or URL)
+ * @private
+ */
+function cleanWiki(input) {
+  if (!input || typeof input !== 'object') return null;
+
+  const name = cleanText(input.name);
+  const url = cleanUrl(input.url);
+  if (!name || !url) return null;
+
+  const search = typeof input.search === 'string' && /^https?:\/\//.test(input.search.trim())
+    ? input.search.trim()
+    : url + '/wiki/Special:Search?search=';
+
+  return {
+    name,
+    url,
+    search,
+    icon: typeof input.icon === 'string' ? input.icon.trim().slice(0, MAX_ICON_LENGTH) : '',
+    tags: Array.isArray(input.tags) ? [...new Set(input.tags.map(cleanText).filter(Boolean))] : [],
+  };
+}
+
+/**
+ * Wiki base URL without a trailing slash ('' if it isn't a web address)
+ * @private
+ */
+function cleanUrl(value) {
+  if (typeof value !== 'string') return '';
+
+  let url = value.trim();
+  if (url && !/^https?:\/\//.test(url)) url = 'https://' + url;
+  try {
+    return new URL(url).href.replace(/\/+$/, '');
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Single-line, trimmed text ('' for anything that isn't a string)
+ * @private
+ */
+function cleanText(value) {
+  if (typeof value !== 'string') return '';
+  return value.replace(/\s+/g, ' ').trim().slice(0, MAX_TEXT_LENGTH);
+}
+
+module.exports = {
+  getCustomWikis,
+  saveCustomWiki,
+  removeCustomWiki,
+  moveCustomWiki,
+  exportCustomWikis,
+  importCustomWikis,
+};
@@ -6,92 +6,163 @@
  * Strategy Pattern: different handlers for different button types.
  */
 
-const { BUTTONS } = require('./gamepad-config');
+const { BUTTONS, SHIFT_LAYER } = require('./gamepad-config');
+
+// Actions handled by the window instead of being forwarded to the renderer
+const WINDOW_ACTIONS = {
+  'toggle-visibility': 'toggleVisibility',
+  'close-app': 'closeApp',
+  'toggle-click-through': 'toggleClickThrough',
+};
+
+const DPAD_BUTTONS = [BUTTONS.DPAD_UP, BUTTONS.DPAD_DOWN, BUTTONS.DPAD_LEFT, BUTTONS.DPAD_RIGHT];
 
 class GamepadActionDispatcher {
-  constructor(windowActionHandler, navigationActionHandler) {
+  /**
+   * @param {Object} windowActionHandler - Window-level actions
+   * @param {Object} navigationActionHandler - Forwards actions to the renderer
+   * @param {Object.<string, Array<{action: string, mask: number, gesture: string}>>} bindings - Compiled bindings per context
+   */
+  constructor(windowActionHandler, navigationActionHandler, bindings) {
     this.windowActionHandler = windowActionHandler;
     this.navigationActionHandler = navigationActionHandler;
-    this.lastComboState = {}; // Track previous combo states to detect just-pressed combos
+    this.context = 'navigation'; // Which binding layer the renderer currently wants
+    this.setBindings(bindings);
+  }
+
+  /**
+   * Replace the compiled bindings
+   * @param {Object.<string, Array<{action: string, mask: number, gesture: string}>>} bindings
+   */
+  setBindings(bindings) {
+    this.bindings = bindings;
+
+    // Per context: buttons whose press must wait for the gesture recognizer
+    this.gestureButtons = {};
+    for (const [context, entries] of Object.entries(bindings)) {
+      const tracked = new Map();
+      for (const { mask, gesture } of entries) {
+        if (gesture === 'press') continue;
+        const spec = tracked.get(mask) || { hold: false, double: false };
+        spec[gesture] = true;
+        tracked.set(mask, spec);
+      }
+      this.gestureButtons[context] = tracked;
+    }
+  }
+
+  /**
+   * Switch the active binding layer
+   * @param {string} context - Input context (navigation, osk)
+   */
+  setContext(context) {
+    this.context = this.bindings[context] ? context : 'navigation';
   }
 
   /**
    * Dispatch a button press to the appropriate handler
    * @param {Object} state - Gamepad state from poll()
    * @param {boolean} backgroundMode - When true, only process visibility toggle
+   * @param {Object} gestureRecognizer - Hold/double-tap recognizer
+   * @param {number} [now] - Current time in ms
    */
-  dispatchButtonPress(state, backgroundMode = false) {
+  dispatchButtonPress(state, backgroundMode, gestureRecognizer, now = Date.now()) {
     const { buttons, previousButtons } = state;
 
-    // Back + B combo to close app (only on initial combo press)
-    if (this.isComboJustPressed(buttons, previousButtons, BUTTONS.BACK, BUTTONS.B)) {
-      this.windowActionHandler.closeApp();
-      return;
-    }
-
-    // Back + Start combo to toggle visibility (only on initial combo press)
-    // This works even in background mode to allow bringing overlay back
-    if (this.isComboJustPressed(buttons, previousButtons, BUTTONS.BACK, BUTTONS.START)) {
-      this.windowActionHandler.toggleVisibility();
-      return;
+    // Global bindings (e.g. Back+Start) work even in background mode
+    // so the overlay can be brought back from in-game
+    for (const { action, mask } of this.bindings.global || []) {
+      if (this.isComboJustPressed(buttons, previousButtons, mask)) {
+        gestureRecognizer.cancel();
+        this.runAction(action);
+        return;
+      }
     }
 
     // Skip navigation processing in background mode
     if (backgroundMode) {
+      gestureRecognizer.cancel();
       return;
     }
 
     // Only process navigation buttons if window is visible
     // (window handler will tell us if visible)
     if (!this.windowActionHandler.isWindowVisible()) {
+      gestureRecognizer.cancel();
       return;
     }
 
-    // Single button presses - only on first press
-    if (this.isJustPressed(buttons, previousButtons, BUTTONS.A)) {
-      this.navigationActionHandler.handleClick();
-    }
-    if (this.isJustPressed(buttons, previousButtons, BUTTONS.B)) {
-      this.navigationActionHandler.handleBack();
-    }
-    if (this.isJustPressed(buttons, previousButtons, BUTTONS.Y)) {
-      this.navigationActionHandler.handleHome();
-    }
-    if (this.isJustPressed(buttons, previousButtons, BUTTONS.X)) {
-      this.navigationActionHandler.handleOpenKeyboard();
-    }
-    if (this.isJustPressed(buttons, previousButtons, BUTTONS.LEFT_SHOULDER)) {
-      this.navigationActionHandler.handlePageUp();
+    const context = this.isShiftActive(buttons) ? 'shift' : this.context;
+    const bindings = this.bindings[context] || [];
+    const tracked = this.gestureButtons[context] || new Map();
+
+    // Bindings are sorted chords first; a chord consumes the frame
+    // so its buttons don't also trigger their single-button actions
+    for (const { action, mask, gesture } of bindings) {
+      // Buttons with gesture bindings are resolved by the recognizer below
+      if (gesture !== 'press' || tracked.has(mask)) continue;
+      if (!this.isComboJustPressed(buttons, previousButtons, mask)) continue;
+
+      this.runAction(action);
+      if (!this.isSingleButton(mask)) {
+        gestureRecognizer.cancel();
+        return;
+      }
     }
-    if (this.isJustPressed(buttons, previousButtons, BUTTONS.RIGHT_SHOULDER)) {
-      this.navigationActionHandler.handlePageDown();
+
+    for (const { button, gesture } of gestureRecognizer.update(state, tracked, now)) {
+      const binding = bindings.find(entry => entry.mask === button && entry.gesture === gesture);
+      if (binding) {
+        this.runAction(binding.action);
+      }
     }
-    if (this.isJustPressed(buttons, previousButtons, BUTTONS.START)) {
-      this.navigationActionHandler.handleSubmitSearch();
+  }
+
+  /**
+   * Check if the shift layer replaces the navigation bindings
+   * @param {number} buttons - Current button mask
+   * @returns {boolean}
+   */
+  isShiftActive(buttons) {
+    return this.context === 'navigation' && this.isPressed(buttons, BUTTONS[SHIFT_LAYER.MODIFIER]);
+  }
+
+  /**
+   * Run an action by name
+   * @param {string} action - Action name from the bindings table
+   */
+  runAction(action) {
+    const windowMethod = WINDOW_ACTIONS[action];
+    if (windowMethod) {
+      this.windowActionHandler[windowMethod]();
+    } else {
+      this.navigationActionHandler.handleAction(action);
     }
   }
 
   /**
    * Dispatch analog stick input
-   * @param {Object} state - Gamepad state
+   * @param {Object} sticks - Shaped stick vectors from StickProcessor
+   * @param {{x: number, y: number}} sticks.cursor - Left stick, each axis -1..1
+   * @param {{x: number, y: number}} sticks.scroll - Right stick, each axis -1..1
    * @param {Function} analogCallback - Handler for analog input (dx, dy) for cursor
    * @param {Function} scrollCallback - Handler for right stick scrolling
    */
-  dispatchAnalog(state, analogCallback, scrollCallback) {
+  dispatchAnalog(sticks, analogCallback, scrollCallback) {
     if (!this.windowActionHandler.isWindowVisible()) {
       return;
     }
 
-    const { leftStickX, leftStickY, rightStickX, rightStickY } = state;
+    const { cursor, scroll } = sticks;
 
     // Process left stick movement (cursor)
-    if (Math.abs(leftStickX) > 100 || Math.abs(leftStickY) > 100) {
-      analogCallback(leftStickX, -leftStickY); // Negate Y for correct direction
+    if (cursor.x !== 0 || cursor.y !== 0) {
+      analogCallback(cursor.x, -cursor.y); // Negate Y for correct direction
     }
 
     // Process right stick movement (scrolling)
-    if (scrollCallback && (Math.abs(rightStickX) > 100 || Math.abs(rightStickY) > 100)) {
-      scrollCallback(rightStickX, -rightStickY); // Negate Y for correct direction
+    if (scrollCallback && (scroll.x !== 0 || scroll.y !== 0)) {
+      scrollCallback(scroll.x, -scroll.y); // Negate Y for correct direction
     }
   }
 
@@ -108,6 +179,12 @@ class GamepadActionDispatcher {
 
     const { buttons, previousButtons } = state;
 
+    // The D-pad belongs to the shift layer while the modifier is held
+    if (this.isShiftActive(buttons)) {
+      DPAD_BUTTONS.forEach(button => repeatHandler.clearRepeat(button));
+      return;
+    }
+
     // D-pad up
     if (this.isPressed(buttons, BUTTONS.DPAD_UP)) {
       if (this.isJustPressed(buttons, previousButtons, BUTTONS.DPAD_UP)) {
@@ -166,20 +243,28 @@ class GamepadActionDispatcher {
   }
 
   /**
-   * Check if a button combo is pressed
+   * Check if every button of a mask is pressed
+   * @private
+   */
+  isCombo(buttons, mask) {
+    return (buttons & mask) === mask;
+  }
+
+  /**
+   * Check if a mask is a single button rather than a chord
    * @private
    */
-  isCombo(buttons, button1, button2) {
-    return this.isPressed(buttons, button1) && this.isPressed(buttons, button2);
+  isSingleButton(mask) {
+    return (mask & (mask - 1)) === 0;
   }
 
   /**
    * Check if a button combo was just pressed (wasn't pressed last frame)
    * @private
    */
-  isComboJustPressed(currentButtons, previousButtons, button1, button2) {
-    const currentCombo = this.isCombo(currentButtons, button1, button2);
-    const previousCombo = this.isCombo(previousButtons, button1, button2);
+  isComboJustPressed(currentButtons, previousButtons, mask) {
+    const currentCombo = this.isCombo(currentButtons, mask);
+    const previousCombo = this.isCombo(previousButtons, mask);
     return currentCombo && !previousCombo;
   }
 }
@@ -0,0 +1,241 @@
+/**
+ * Gamepad Bindings
+ *
+ * Loads, validates and updates the action -> button table.
+ * Defaults come from DEFAULT_BINDINGS, user overrides from a settings store.
+ * Single Responsibility: owns the binding table and its validation only.
+ */
+
+const { BUTTONS, DEFAULT_BINDINGS } = require('./gamepad-config');
+
+const GESTURE_NAMES = ['hold', 'double'];
+
+/**
+ * @typedef {Object} ParsedBinding
+ * @property {number} mask - Button bitmask
+ * @property {'press'|'hold'|'double'} gesture - How the buttons must be pressed
+ */
+
+/**
+ * Parse a binding into button masks
+ * @param {string|string[]|null} binding - "A", "BACK+START", "B@hold", an array of those, or null (unbound)
+ * @returns {ParsedBinding[]} One entry per alternative
+ * @throws {Error} If the binding is malformed
+ */
+function parseBinding(binding) {
+  if (binding === null) return [];
+
+  const specs = Array.isArray(binding) ? binding : [binding];
+  return specs.map(spec => {
+    if (typeof spec !== 'string' || !spec.trim()) {
+      throw new Error('expected a button name or a chord like "BACK+START"');
+    }
+
+    const [buttons, gesture = 'press', ...rest] = spec.split('@').map(part => part.trim());
+    if (rest.length > 0 || (gesture !== 'press' && !GESTURE_NAMES.includes(gesture))) {
+      throw new Error(`unknown gesture in "${spec}" (use @hold or @double)`);
+    }
+
+    let mask = 0;
+    const names = buttons.split('+').map(part => part.trim());
+    for (const name of names) {
+      if (!Object.prototype.hasOwnProperty.call(BUTTONS, name)) {
+        throw new Error(`unknown button "${name}"`);
+      }
+      mask |= BUTTONS[name];
+    }
+
+    if (gesture !== 'press' && names.length > 1) {
+      throw new Error(`gestures only work on a single button, not "${buttons}"`);
+    }
+    return { mask, gesture };
+  });
+}
+
+/**
+ * Convert a button mask back into a binding string
+ * @param {number} mask - Button bitmask
+ * @param {'press'|'hold'|'double'} [gesture='press'] - Gesture suffix to add
+ * @returns {string} Button names joined with '+', e.g. "BACK+START" or "B@hold"
+ */
+function maskToBinding(mask, gesture = 'press') {
+  const buttons = Object.keys(BUTTONS)
+    .filter(name => (mask & BUTTONS[name]) !== 0)
+    .join('+');
+  return gesture === 'press' ? buttons : `${buttons}@${gesture}`;
+}
+
+class GamepadBindings {
+  /**
+   * @param {{get: Function, set: Function, reset: Function}} store - Persists user overrides per context
+   */
+  constructor(store) {
+    this.store = store;
+    this.table = null;
+  }
+
+  /**
+   * Load user overrides and validate them against the defaults
+   * Invalid entries are reported and replaced by their default.
+   * @returns {string[]} Validation errors
+   */
+  load() {
+    const errors = [];
+    const table = {};
+
+    for (const [context, defaults] of Object.entries(DEFAULT_BINDINGS)) {
+      table[context] = { ...defaults };
+
+      const overrides = this.store.get(context);
+      if (overrides === undefined) continue;
+      if (!overrides || typeof overrides !== 'object' || Array.isArray(overrides)) {
+        errors.push(`${context}: expected an object of action bindings`);
+        continue;
+      }
+
+      for (const [action, binding] of Object.entries(overrides)) {
+        if (!Object.prototype.hasOwnProperty.call(defaults, action)) {
+          errors.push(`${context}.${action}: unknown action`);
+          continue;
+        }
+        try {
+          this._validate(context, binding);
+          table[context][action] = binding;
+        } catch (err) {
+          errors.push(`${context}.${action}: ${err.message}`);
+        }
+      }
+    }
+
+    this.table = table;
+    return errors;
+  }
+
+  /**
+   * Get the effective binding table
+   * @returns {Object.<string, Object.<string, string|string[]|null>>}
+   */
+  getTable() {
+    if (!this.table) this.load();
+    return JSON.parse(JSON.stringify(this.table));
+  }
+
+  /**
+   * Compile the table into masks for the dispatcher
+   * Chords come first so they win over their individual buttons.
+   * @returns {Object.<string, Array<{action: string, mask: number, gesture: string}>>}
+   */
+  compile() {
+    const compiled = {};
+
+    for (const [context, actions] of Object.entries(this.getTable())) {
+      compiled[context] = [];
+      for (const [action, binding] of Object.entries(actions)) {
+        for (const { mask, gesture } of parseBinding(binding)) {
+          compiled[context].push({ action, mask, gesture });
+        }
+      }
+      compiled[context].sort((a, b) => this._buttonCount(b.mask) - this._buttonCount(a.mask));
+    }
+
+    return compiled;
+  }
+
+  /**
+   * Change one binding and persist it
+   * @param {string} context - Input context (global, navigation, shift, osk)
+   * @param {string} action - Action name
+   * @param {string|string[]|null} binding - New binding
+   * @returns {{ok: boolean, error?: string}}
+   */
+  setBinding(context, action, binding) {
+    const defaults = DEFAULT_BINDINGS[context];
+    if (!defaults || !Object.prototype.hasOwnProperty.call(defaults, action)) {
+      return { ok: false, error: `Unknown action ${context}.${action}` };
+    }
+
+    let parsed;
+    try {
+      parsed = this._validate(context, binding);
+    } catch (err) {
+      return { ok: false, error: err.message };
+    }
+
+    const conflict = this._findConflict(context, action, parsed);
+    if (conflict) {
+      return { ok: false, error: `${maskToBinding(conflict.mask, conflict.gesture)} is already used by "${conflict.action}"` };
+    }
+
+    const table = this.getTable();
+    table[context][action] = binding;
+    this.table = table;
+
+    // Only store what differs from the defaults
+    const overrides = { ...(this.store.get(context) || {}) };
+    if (JSON.stringify(binding) === JSON.stringify(defaults[action])) {
+      delete overrides[action];
+    } else {
+      overrides[action] = binding;
+    }
+    this.store.set(context, overrides);
+
+    return { ok: true };
+  }
+
+  /**
+   * Drop all user overrides
+   */
+  reset() {
+    this.store.reset();
+    this.table = null;
+  }
+
+  /**
+   * Parse a binding and check it is allowed in its context
+   * Global bindings also run in background mode, where gestures aren't tracked.
+   * @private
+   * @returns {ParsedBinding[]}
+   * @throws {Error} If the binding is malformed or not allowed
+   */
+  _validate(context, binding) {
+    const parsed = parseBinding(binding);
+    if (context === 'global' && parsed.some(({ gesture }) => gesture !== 'press')) {
+      throw new Error('global bindings can\'t use @hold or @double');
+    }
+    return parsed;
+  }
+
+  /**
+   * Find another action that already uses one of the bindings
+   * Global bindings are checked against every context since they always apply.
+   * @private
+   */
+  _findConflict(context, action, parsed) {
+    const table = this.getTable();
+    const contexts = context === 'global' ? Object.keys(table) : [context, 'global'];
+
+    for (const other of contexts) {
+      for (const [otherAction, binding] of Object.entries(table[other])) {
+        if (other === context && otherAction === action) continue;
+        const match = parseBinding(binding).find(b =>
+          parsed.some(p => p.mask === b.mask && p.gesture === b.gesture));
+        if (match) {
+          return { action: otherAction, ...match };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * @private
+   */
+  _buttonCount(mask) {
+    let count = 0;
+    for (let m = mask; m; m &= m - 1) count++;
+    return count;
+  }
+}
+
+module.exports = { GamepadBindings, parseBinding, maskToBinding };
@@ -24,13 +24,18 @@ const BUTTONS = {
   B: 0x2000,
   X: 0x4000,
   Y: 0x8000,
+
+  // Virtual buttons set by poll() while a trigger is pulled past TRIGGER_THRESHOLD
+  LEFT_TRIGGER: 0x10000,
+  RIGHT_TRIGGER: 0x20000,
 };
 
-// Analog input thresholds
+// Analog input ranges
+// Stick deadzones, curves and speeds are user settings (see stick-processor.js)
 const ANALOG_CONFIG = {
-  DEADZONE: 8000,        // Xbox default is ~7849
   STICK_MAX: 32767,
-  CURSOR_SPEED: 25,       // Pixels per poll at full tilt
+  TRIGGER_MAX: 255,
+  TRIGGER_THRESHOLD: 30,  // XINPUT_GAMEPAD_TRIGGER_THRESHOLD
 };
 
 // D-pad repeat behavior
@@ -39,12 +44,144 @@ const DPAD_REPEAT = {
   RATE: 50,               // ms between repeats
 };
 
+// Gesture timing for "@hold" and "@double" bindings
+const GESTURES = {
+  HOLD_TIME: 500,          // ms a button must be held to count as a hold
+  DOUBLE_TAP_WINDOW: 250,  // ms allowed between the two taps of a double tap
+};
+
 // Polling frequency
 const POLLING = {
   INTERVAL: 16,          // ~60Hz
   FREQUENCY_HZ: 60,
 };
 
+// Controller slots (XInput supports four players)
+const CONTROLLER_SLOTS = {
+  COUNT: 4,
+  RECONNECT_CHECK: 1000,  // ms between probing empty slots (probing is slow on XInput)
+};
+
+// Linux evdev backend (/dev/input/event*)
+// Codes follow linux/input-event-codes.h as reported by the xpad driver
+const LINUX_INPUT = {
+  DEVICES_FILE: '/proc/bus/input/devices',
+  DEVICE_DIR: '/dev/input',
+  RESCAN_INTERVAL: 2000,  // ms between looking for a newly plugged controller
+
+  // EV_KEY code -> XInput button
+  KEY_MAP: {
+    0x130: BUTTONS.A,               // BTN_SOUTH
+    0x131: BUTTONS.B,               // BTN_EAST
+    0x133: BUTTONS.X,               // BTN_X (xpad reports the Xbox label)
+    0x134: BUTTONS.Y,               // BTN_Y
+    0x136: BUTTONS.LEFT_SHOULDER,   // BTN_TL
+    0x137: BUTTONS.RIGHT_SHOULDER,  // BTN_TR
+    0x13a: BUTTONS.BACK,            // BTN_SELECT
+    0x13b: BUTTONS.START,           // BTN_START
+    0x13d: BUTTONS.LEFT_THUMB,      // BTN_THUMBL
+    0x13e: BUTTONS.RIGHT_THUMB,     // BTN_THUMBR
+    0x220: BUTTONS.DPAD_UP,         // BTN_DPAD_UP
+    0x221: BUTTONS.DPAD_DOWN,       // BTN_DPAD_DOWN
+    0x222: BUTTONS.DPAD_LEFT,       // BTN_DPAD_LEFT
+    0x223: BUTTONS.DPAD_RIGHT,      // BTN_DPAD_RIGHT
+    0x2c0: BUTTONS.DPAD_LEFT,       // BTN_TRIGGER_HAPPY1 (xpad dpad_to_buttons)
+    0x2c1: BUTTONS.DPAD_RIGHT,      // BTN_TRIGGER_HAPPY2
+    0x2c2: BUTTONS.DPAD_UP,         // BTN_TRIGGER_HAPPY3
+    0x2c3: BUTTONS.DPAD_DOWN,       // BTN_TRIGGER_HAPPY4
+  },
+
+  // EV_ABS codes
+  ABS: {
+    LEFT_X: 0x00,
+    LEFT_Y: 0x01,
+    LEFT_TRIGGER: 0x02,
+    RIGHT_X: 0x03,
+    RIGHT_Y: 0x04,
+    RIGHT_TRIGGER: 0x05,
+    HAT_X: 0x10,
+    HAT_Y: 0x11,
+  },
+
+  TRIGGER_MAX: 255,        // Xbox 360 pads; Xbox One pads report up to 1023
+  TRIGGER_MAX_WIDE: 1023,
+};
+
+// Default action bindings per input context
+// A binding is a BUTTONS name or a chord of names joined with '+'.
+// A single button may add a gesture: "B@hold" or "A@double".
+// An action may also take an array of alternative bindings.
+// User overrides live in gamepad-bindings.json in userData.
+const DEFAULT_BINDINGS = {
+  // Always active, even in background mode
+  global: {
+    'toggle-visibility': 'BACK+START',
+    'close-app': 'BACK+B',
+  },
+
+  // Browsing with the virtual cursor
+  navigation: {
+    'click': 'A',
+    'back': 'B',
+    'home': 'Y',
+    'search': 'X',
+    'page-up': 'LEFT_SHOULDER',
+    'page-down': 'RIGHT_SHOULDER',
+    'start': 'START',
+    'center-cursor': 'LEFT_THUMB',
+    'scroll-top': 'RIGHT_THUMB',
+  },
+
+  // Navigation while the shift modifier (SHIFT_LAYER.MODIFIER) is held
+  shift: {
+    'forward': 'A',
+    'zoom-reset': 'B',
+    'toggle-click-through': 'X',
+    'reload': 'Y',
+    'zoom-in': 'DPAD_UP',
+    'zoom-out': 'DPAD_DOWN',
+    'prev-wiki': 'DPAD_LEFT',
+    'next-wiki': 'DPAD_RIGHT',
+    'toggle-focus-mode': 'RIGHT_THUMB',
+    'toggle-selection': 'LEFT_THUMB',
+    'prev-tab': 'LEFT_SHOULDER',
+    'next-tab': 'RIGHT_SHOULDER',
+    'close-tab': 'B@hold',
+    'open-in-tab': 'A@hold',
+    'toggle-split': 'START',
+    'flip-split': 'START@hold',
+    'switch-pane': 'BACK',
+    'bookmarks': 'Y@hold',
+    'toggle-bookmark': 'Y@double',
+    'history': 'X@hold',
+    'context-menu': 'RIGHT_TRIGGER',
+  },
+
+  // On-screen keyboard open
+  osk: {
+    'osk-type': 'A',
+    'osk-close': 'B',
+    'osk-backspace': 'X',
+    'osk-space': 'Y',
+    'osk-prev-layout': 'LEFT_SHOULDER',
+    'osk-next-layout': 'RIGHT_SHOULDER',
+    'osk-submit': 'START',
+    'osk-next-suggestion': 'LEFT_TRIGGER',
+    'osk-choose-suggestion': 'RIGHT_TRIGGER',
+  },
+};
+
+// Shift layer: while the modifier is held, the "shift" bindings replace
+// the "navigation" ones and the D-pad stops moving the cursor
+const SHIFT_LAYER = {
+  MODIFIER: 'LEFT_TRIGGER',     // BUTTONS name that activates the layer
+};
+
+// Right stick scrolling
+const SCROLL_CONFIG = {
+  MAX_TRIGGER_BOOST: 4,         // Speed multiplier with the right trigger fully pulled
+};
+
 // Renderer-side cursor and navigation constants
 // These are used by renderer.js and gamepad-cursor.js
 const CURSOR_CONFIG = {
@@ -60,6 +197,7 @@ const CURSOR_CONFIG = {
   REFRESH_DELAY_MS: 500,        // Delay before refreshing elements after navigation
   NAV_COMPLETE_DELAY_MS: 300,   // Delay after navigation completes
   CLICK_FEEDBACK_MS: 150,       // Visual click feedback duration
+  HOVER_DWELL_MS: 250,          // ms on a page element before it receives hover events
 
   // Cursor behavior
   CURSOR_SPEED: 8,              // Base cursor speed in pixels per input
@@ -67,13 +205,31 @@ const CURSOR_CONFIG = {
   CURSOR_HIDE_DELAY: 5000,      // ms before cursor auto-hides
   SNAP_RADIUS: 100,             // How close to snap to an element
   SNAP_STRENGTH: 0.3,           // Magnetic attraction strength (0-1)
-  ELEMENT_REFRESH_RATE: 300,     // ms between element list refreshes
+  ELEMENT_REFRESH_RATE: 300,     // ms between element list refreshes (page elements are pushed by the webview preload)
+  SPATIAL_CELL_SIZE: 200,       // Element index grid cell size (CSS pixels)
+
+  // Webview zoom
+  ZOOM_STEP: 0.1,               // Zoom factor change per step
+  ZOOM_MIN: 0.5,
+  ZOOM_MAX: 3,
+
+  // Focus mode (D-pad jumps between elements)
+  FOCUS_ANGLE_WEIGHT: 2,        // Penalty for candidates off the D-pad axis
+  FOCUS_MAX_ANGLE: 75,          // Degrees off axis before a candidate is ignored
+  FOCUS_REPEAT_MS: 150,         // Minimum ms between jumps while a direction is held
+  FOCUS_SCROLL_STEP: 300,       // Scroll amount when nothing is left in view
 };
 
 module.exports = {
   BUTTONS,
   ANALOG_CONFIG,
   DPAD_REPEAT,
+  GESTURES,
   POLLING,
+  CONTROLLER_SLOTS,
+  LINUX_INPUT,
+  DEFAULT_BINDINGS,
+  SHIFT_LAYER,
+  SCROLL_CONFIG,
   CURSOR_CONFIG,
 };
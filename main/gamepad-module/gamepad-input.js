@@ -5,14 +5,18 @@
  * Single Responsibility: reads raw gamepad input only.
  */
 
-const koffi = require('koffi');
-const { BUTTONS, ANALOG_CONFIG, POLLING, DPAD_REPEAT } = require('./gamepad-config');
+const { BUTTONS, ANALOG_CONFIG, POLLING, DPAD_REPEAT, CONTROLLER_SLOTS } = require('./gamepad-config');
 
 class GamepadInput {
   constructor() {
     this.xinput = null;
     this.XInputGetState = null;
     this.lastButtons = 0;
+
+    // Player slot to read (null = any connected controller)
+    this.slot = null;
+    this.connected = new Array(CONTROLLER_SLOTS.COUNT).fill(false);
+    this.lastSlotCheck = new Array(CONTROLLER_SLOTS.COUNT).fill(0);
   }
 
   /**
@@ -21,6 +25,9 @@ class GamepadInput {
    */
   init() {
     try {
+      // Loaded lazily so other platform backends can extend this class
+      const koffi = require('koffi');
+
       // Try XInput1_4 first (Windows 8+), fall back to XInput9_1_0
       try {
         this.xinput = koffi.load('XInput1_4.dll');
@@ -52,20 +59,6 @@ class GamepadInput {
     }
   }
 
-  /**
-   * Apply deadzone filtering to analog stick values
-   * @param {number} value - Raw stick value
-   * @returns {number} Filtered value (0 if within deadzone)
-   */
-  applyDeadzone(value) {
-    const deadzone = ANALOG_CONFIG.DEADZONE;
-    if (Math.abs(value) < deadzone) {
-      return 0;
-    }
-    // Optional: normalize to remove the deadzone gap
-    return value > 0 ? value - deadzone : value + deadzone;
-  }
-
   /**
    * Check if a specific button is pressed
    * @param {number} buttons - Current button state
@@ -87,10 +80,12 @@ class GamepadInput {
   }
 
   /**
-   * Poll the gamepad and return current state
-   * @returns {Object|null} Gamepad state or null if not available
+   * Read the raw controller state of one player slot
+   * Platform backends override this and return the same XINPUT_GAMEPAD layout.
+   * @param {number} slot - Player slot (0-3)
+   * @returns {Object|null} Raw XINPUT_GAMEPAD fields or null if not available
    */
-  poll() {
+  readState(slot) {
     if (!this.XInputGetState) return null;
 
     const state = {
@@ -106,34 +101,138 @@ class GamepadInput {
       },
     };
 
-    const result = this.XInputGetState(0, state);
+    const result = this.XInputGetState(slot, state);
     if (result !== 0) {
       // Controller not available
       return null;
     }
 
+    return state.Gamepad;
+  }
+
+  /**
+   * Poll the gamepad and return current state
+   * @returns {Object|null} Gamepad state or null if not available
+   */
+  poll() {
+    const states = this._readSlots();
+    const gamepad = this.slot === null
+      ? this._mergeStates(states.filter(Boolean))
+      : states[this.slot];
+    if (!gamepad) return null;
+
+    // Triggers also act as buttons so they can be bound like any other
+    const buttons = gamepad.wButtons | this.getTriggerButtons(gamepad);
+
     // Store button state for next frame's delta detection
     const previousButtons = this.lastButtons;
-    this.lastButtons = state.Gamepad.wButtons;
+    this.lastButtons = buttons;
 
     return {
-      buttons: state.Gamepad.wButtons,
+      buttons: buttons,
       previousButtons: previousButtons,
-      leftTrigger: state.Gamepad.bLeftTrigger,
-      rightTrigger: state.Gamepad.bRightTrigger,
-      leftStickX: this.applyDeadzone(state.Gamepad.sThumbLX),
-      leftStickY: this.applyDeadzone(state.Gamepad.sThumbLY),
-      rightStickX: this.applyDeadzone(state.Gamepad.sThumbRX),
-      rightStickY: this.applyDeadzone(state.Gamepad.sThumbRY),
+      leftTrigger: gamepad.bLeftTrigger,
+      rightTrigger: gamepad.bRightTrigger,
+      // Raw stick axes; deadzones are applied by StickProcessor
+      leftStickX: gamepad.sThumbLX,
+      leftStickY: gamepad.sThumbLY,
+      rightStickX: gamepad.sThumbRX,
+      rightStickY: gamepad.sThumbRY,
     };
   }
 
+  /**
+   * Get the virtual trigger buttons for the current trigger pressure
+   * @param {Object} gamepad - Raw XINPUT_GAMEPAD fields
+   * @returns {number} LEFT_TRIGGER/RIGHT_TRIGGER bits
+   */
+  getTriggerButtons(gamepad) {
+    let buttons = 0;
+    if (gamepad.bLeftTrigger > ANALOG_CONFIG.TRIGGER_THRESHOLD) {
+      buttons |= BUTTONS.LEFT_TRIGGER;
+    }
+    if (gamepad.bRightTrigger > ANALOG_CONFIG.TRIGGER_THRESHOLD) {
+      buttons |= BUTTONS.RIGHT_TRIGGER;
+    }
+    return buttons;
+  }
+
+  /**
+   * Choose which player slot drives the overlay
+   * @param {number|null} slot - Player slot (0-3), or null for any controller
+   */
+  setSlot(slot) {
+    this.slot = Number.isInteger(slot) && slot >= 0 && slot < CONTROLLER_SLOTS.COUNT ? slot : null;
+    this.lastButtons = 0;
+  }
+
+  /**
+   * Get the connection state of every player slot
+   * @returns {boolean[]}
+   */
+  getConnectedSlots() {
+    return [...this.connected];
+  }
+
   /**
    * Reset internal state
    */
   reset() {
     this.lastButtons = 0;
   }
+
+  /**
+   * Read every slot, probing empty slots only every RECONNECT_CHECK ms
+   * @private
+   * @returns {Array<Object|null>} Raw state per slot
+   */
+  _readSlots() {
+    const now = Date.now();
+    const states = [];
+
+    for (let slot = 0; slot < CONTROLLER_SLOTS.COUNT; slot++) {
+      if (!this.connected[slot] && now - this.lastSlotCheck[slot] < CONTROLLER_SLOTS.RECONNECT_CHECK) {
+        states.push(null);
+        continue;
+      }
+
+      this.lastSlotCheck[slot] = now;
+      const state = this.readState(slot);
+      this.connected[slot] = Boolean(state);
+      states.push(state);
+    }
+
+    return states;
+  }
+
+  /**
+   * Combine several controllers into one state for "any controller" mode
+   * Buttons are merged, each stick and trigger follows the most deflected controller.
+   * @private
+   * @param {Object[]} states - Raw states of connected slots
+   * @returns {Object|null}
+   */
+  _mergeStates(states) {
+    if (states.length === 0) return null;
+    if (states.length === 1) return states[0];
+
+    const pick = (a, b, fieldX, fieldY) =>
+      Math.hypot(b[fieldX], b[fieldY]) > Math.hypot(a[fieldX], a[fieldY]) ? b : a;
+
+    return states.reduce((merged, state) => {
+      const left = pick(merged, state, 'sThumbLX', 'sThumbLY');
+      const right = pick(merged, state, 'sThumbRX', 'sThumbRY');
+      return {
+        wButtons: merged.wButtons | state.wButtons,
+        bLeftTrigger: Math.max(merged.bLeftTrigger, state.bLeftTrigger),
+        bRightTrigger: Math.max(merged.bRightTrigger, state.bRightTrigger),
+        sThumbLX: left.sThumbLX,
+        sThumbLY: left.sThumbLY,
+        sThumbRX: right.sThumbRX,
+        sThumbRY: right.sThumbRY,
+      };
+    });
+  }
 }
 
 module.exports = GamepadInput;
@@ -5,41 +5,102 @@
  * Single Responsibility: coordinates between input, actions, and main process.
  *
  * Component Architecture:
- * - GamepadInput: Low-level XInput polling
+ * - GamepadInput: Low-level XInput polling (Windows)
+ * - LinuxGamepadInput: evdev polling (Linux)
+ * - SimulatedGamepadInput: scripted timeline playback (testing)
  * - GamepadActionDispatcher: Routes buttons to handlers
+ * - GamepadBindings: User-remappable action -> button table
+ * - GestureRecognizer: Hold and double-tap detection
  * - ButtonRepeatHandler: Manages D-pad repeat timing
+ * - StickProcessor: Deadzones and response curves for the sticks
  */
 
 const { getMainWindow } = require('../window');
+const { SettingsStore } = require('../settings-store');
+const { toggleClickThrough } = require('../shortcuts');
+
+/**
+ * @typedef {Object} GamepadInputProvider
+ * @property {() => boolean} init - Prepare the input source, false if unavailable
+ * @property {() => Object|null} poll - Current state ({ buttons, previousButtons, triggers, sticks }) or null when disconnected
+ * @property {() => void} reset - Forget per-frame state such as previously held buttons
+ * @property {(slot: number|null) => void} [setSlot] - Read only one player slot (null = any controller)
+ * @property {() => boolean[]} [getConnectedSlots] - Connection state of every player slot
+ */
 
 /**
  * @typedef {Object} WindowActionHandler
  * @property {() => boolean} isWindowVisible - Check if main window is visible
  * @property {() => void} closeApp - Close the application
  * @property {() => void} toggleVisibility - Toggle window visibility
+ * @property {() => void} toggleClickThrough - Toggle mouse click-through
  */
 
 /**
  * @typedef {Object} NavigationActionHandler
- * @property {() => void} handleClick - Handle A button click
- * @property {() => void} handleBack - Handle B button back
- * @property {() => void} handleHome - Handle Y button home
- * @property {() => void} handleOpenKeyboard - Handle X button keyboard
- * @property {() => void} handlePageUp - Handle LB page up
- * @property {() => void} handlePageDown - Handle RB page down
- * @property {() => void} handleSubmitSearch - Handle Start button submit
+ * @property {(action: string) => void} handleAction - Handle a bound action (click, back, osk-type, ...)
  */
 const GamepadInput = require('./gamepad-input');
+const LinuxGamepadInput = require('./linux-gamepad-input');
 const GamepadActionDispatcher = require('./gamepad-actions');
 const ButtonRepeatHandler = require('./button-repeat-handler');
-const { ANALOG_CONFIG, POLLING } = require('./gamepad-config');
+const GestureRecognizer = require('./gesture-recognizer');
+const StickProcessor = require('./stick-processor');
+const { GamepadBindings, maskToBinding } = require('./gamepad-bindings');
+const { ANALOG_CONFIG, POLLING, CONTROLLER_SLOTS, SCROLL_CONFIG, GESTURES } = require('./gamepad-config');
 
 // Module state
 let gamepadInput = null;
 let gamepadDispatcher = null;
 let repeatHandler = null;
+let gestureRecognizer = null;
 let pollInterval = null;
 let backgroundMode = false; // When true, only process visibility toggle combo
+let lastConnectedSlots = [];
+let bindingCapture = null; // { armed, mask, pressedAt, releasedAt } while the renderer waits for a button to bind
+let inputContext = 'navigation';
+
+// Stick shaping defaults (see StickSettings in stick-processor.js)
+const DEFAULT_STICK_SETTINGS = {
+  cursor: {
+    deadzoneMode: 'scaled-radial',
+    deadzone: 0.24,       // ~7849, the Xbox default
+    outerDeadzone: 0.02,
+    curve: 'quadratic',   // Fine control near the center, full speed at the edge
+    exponent: 2,
+    speed: 20,            // Pixels per poll at full tilt
+  },
+  scroll: {
+    deadzoneMode: 'scaled-radial',
+    deadzone: 0.24,
+    outerDeadzone: 0.02,
+    curve: 'linear',
+    exponent: 2,
+    speed: 15,
+  },
+};
+
+// Settings key per stick
+const STICK_SETTING_KEYS = {
+  cursor: 'cursorStick',
+  scroll: 'scrollStick',
+};
+
+// Persisted gamepad preferences
+const gamepadSettings = new SettingsStore('gamepad-settings.json', {
+  controllerSlot: null, // null = any controller, 0-3 = that player slot only
+  cursorStick: DEFAULT_STICK_SETTINGS.cursor,
+  scrollStick: DEFAULT_STICK_SETTINGS.scroll,
+});
+
+// One processor per stick, tuned separately
+const stickProcessors = {
+  cursor: new StickProcessor(DEFAULT_STICK_SETTINGS.cursor),
+  scroll: new StickProcessor(DEFAULT_STICK_SETTINGS.scroll),
+};
+
+// User overrides of DEFAULT_BINDINGS, one object per input context
+const gamepadBindings = new GamepadBindings(new SettingsStore('gamepad-bindings.json', {}));
 
 
 /**
@@ -100,36 +161,137 @@ const windowActionHandler = {
       }
     }
   },
+  toggleClickThrough() {
+    toggleClickThrough();
+  },
 };
 
 /**
  * Navigation action handler - implements NavigationActionHandler interface
- * Uses sendGamepadAction utility to reduce repetition
+ * Bound actions are forwarded to the renderer under their own name
  * @type {NavigationActionHandler}
  */
 const navigationActionHandler = {
-  handleClick: () => sendGamepadAction('click'),
-  handleBack: () => sendGamepadAction('back'),
-  handleHome: () => sendGamepadAction('home'),
-  handleOpenKeyboard: () => sendGamepadAction('search'),
-  handlePageUp: () => sendGamepadAction('page-up'),
-  handlePageDown: () => sendGamepadAction('page-down'),
-  handleSubmitSearch: () => sendGamepadAction('start'),
+  handleAction: (action) => sendGamepadAction(action),
 };
 
+/**
+ * Create the input backend for the current platform
+ * @returns {GamepadInput|null} Backend instance or null if the platform is unsupported
+ * @private
+ */
+function createPlatformInput() {
+  switch (process.platform) {
+  case 'win32':
+    return new GamepadInput();
+  case 'linux':
+    return new LinuxGamepadInput();
+  default:
+    return null;
+  }
+}
+
+/**
+ * Tell the renderer about controllers that connected or disconnected since the last poll
+ * @private
+ */
+function reportConnectionChanges() {
+  if (!gamepadInput.getConnectedSlots) return;
+
+  gamepadInput.getConnectedSlots().forEach((connected, slot) => {
+    if (connected === Boolean(lastConnectedSlots[slot])) return;
+    lastConnectedSlots[slot] = connected;
+
+    const win = getValidWindow();
+    if (win) {
+      win.webContents.send('gamepad-connection', { slot, connected });
+    }
+  });
+}
+
+/**
+ * Record the next button or chord for the rebinding screen
+ * Waits for all buttons to be released first (the press that opened
+ * the capture must not be recorded), then reports on release.
+ * A single button held past HOLD_TIME is recorded as "@hold", one
+ * tapped twice within DOUBLE_TAP_WINDOW as "@double".
+ * @param {Object} state - Gamepad state from poll()
+ * @param {number} now - Current time in ms
+ * @private
+ */
+function captureBinding(state, now) {
+  const capture = bindingCapture;
+  if (!capture.armed) {
+    capture.armed = state.buttons === 0;
+    return;
+  }
+
+  // A single button was tapped: see whether a second tap follows
+  if (capture.releasedAt !== null) {
+    if (state.buttons === capture.mask) {
+      finishCapture(maskToBinding(capture.mask, 'double'));
+    } else if (state.buttons !== 0 || now - capture.releasedAt > GESTURES.DOUBLE_TAP_WINDOW) {
+      finishCapture(maskToBinding(capture.mask));
+    }
+    return;
+  }
+
+  if (state.buttons !== 0) {
+    if (capture.mask === 0) {
+      capture.pressedAt = now;
+    }
+    capture.mask |= state.buttons;
+    return;
+  }
+
+  if (capture.mask === 0) {
+    return;
+  }
+
+  const isSingleButton = (capture.mask & (capture.mask - 1)) === 0;
+  if (!isSingleButton) {
+    finishCapture(maskToBinding(capture.mask));
+  } else if (now - capture.pressedAt >= GESTURES.HOLD_TIME) {
+    finishCapture(maskToBinding(capture.mask, 'hold'));
+  } else {
+    capture.releasedAt = now;
+  }
+}
+
+/**
+ * End binding capture and send the result to the renderer
+ * @param {string} binding - Captured binding, e.g. "BACK+Y" or "B@hold"
+ * @private
+ */
+function finishCapture(binding) {
+  bindingCapture = null;
+
+  const win = getValidWindow();
+  if (win) {
+    win.webContents.send('gamepad-binding-captured', binding);
+  }
+}
+
 /**
  * Poll the gamepad and dispatch actions
  * @private
  */
 function pollGamepad() {
   const state = gamepadInput.poll();
+  reportConnectionChanges();
   if (!state) {
     // Controller disconnected
     return;
   }
 
+  // While rebinding, buttons are recorded instead of dispatched
+  if (bindingCapture) {
+    captureBinding(state, Date.now());
+    return;
+  }
+
   // Always dispatch button presses (handles visibility toggle combo even in background mode)
-  gamepadDispatcher.dispatchButtonPress(state, backgroundMode);
+  gamepadDispatcher.dispatchButtonPress(state, backgroundMode, gestureRecognizer);
 
   // Skip navigation/cursor input when in background mode
   if (backgroundMode) {
@@ -145,24 +307,27 @@ function pollGamepad() {
   }, repeatHandler);
 
   // Dispatch analog input (cursors & scrolling)
-  gamepadDispatcher.dispatchAnalog(state, (dx, dy) => {
+  const sticks = {
+    cursor: stickProcessors.cursor.process(state.leftStickX, state.leftStickY),
+    scroll: stickProcessors.scroll.process(state.rightStickX, state.rightStickY),
+  };
+
+  gamepadDispatcher.dispatchAnalog(sticks, (x, y) => {
     const win = getMainWindow();
     if (win && !win.isDestroyed()) {
       // Apply cursor speed multiplier
-      const scaledDx = (dx / ANALOG_CONFIG.STICK_MAX) * ANALOG_CONFIG.CURSOR_SPEED;
-      const scaledDy = (dy / ANALOG_CONFIG.STICK_MAX) * ANALOG_CONFIG.CURSOR_SPEED;
-      win.webContents.send('analog-input', { dx: scaledDx, dy: scaledDy });
+      const speed = stickProcessors.cursor.settings.speed;
+      win.webContents.send('analog-input', { dx: x * speed, dy: y * speed });
     }
-  }, (rightStickX, rightStickY) => {
+  }, (x, y) => {
     // Right stick scrolling
     const win = getMainWindow();
     if (win && !win.isDestroyed()) {
-      // Right stick values are already deadzone-filtered, so scale appropriately
-      // Max post-deadzone value is approximately (32767 - 8000) = 24767
-      const maxPostDeadzone = ANALOG_CONFIG.STICK_MAX - ANALOG_CONFIG.DEADZONE;
-      const scrollSpeed = 15; // Pixels per poll at full deflection
-      const scrollX = (rightStickX / maxPostDeadzone) * scrollSpeed;
-      const scrollY = (rightStickY / maxPostDeadzone) * scrollSpeed;
+      // Right trigger pressure speeds scrolling up to MAX_TRIGGER_BOOST
+      const boost = 1 + (state.rightTrigger / ANALOG_CONFIG.TRIGGER_MAX) * (SCROLL_CONFIG.MAX_TRIGGER_BOOST - 1);
+      const scrollSpeed = stickProcessors.scroll.settings.speed * boost; // Pixels per poll at full deflection
+      const scrollX = x * scrollSpeed;
+      const scrollY = y * scrollSpeed;
 
       // Only send if there's meaningful movement
       if (Math.abs(scrollX) > 0.5 || Math.abs(scrollY) > 0.5) {
@@ -174,29 +339,52 @@ function pollGamepad() {
 
 /**
  * Start gamepad polling
+ * @param {GamepadInputProvider} [provider] - Input source to poll (defaults to the platform backend)
  * @returns {boolean} Success status
  */
-function startPolling() {
+function startPolling(provider) {
   // Already polling
   if (pollInterval) {
     return true;
   }
 
   // Initialize components if needed
-  if (!gamepadInput) {
-    gamepadInput = new GamepadInput();
-    if (!gamepadInput.init()) {
-      console.log('Gamepad support disabled - XInput not available');
+  if (provider) {
+    if (!provider.init()) {
+      console.log('Gamepad support disabled - input provider failed to initialize');
       return false;
     }
+    gamepadInput = provider;
+  } else if (!gamepadInput) {
+    const input = createPlatformInput();
+    if (!input || !input.init()) {
+      console.log(`Gamepad support disabled - no input backend available on ${process.platform}`);
+      return false;
+    }
+    gamepadInput = input;
+  }
+
+  if (gamepadInput.setSlot) {
+    gamepadInput.setSlot(gamepadSettings.get('controllerSlot'));
+  }
+
+  for (const [stick, key] of Object.entries(STICK_SETTING_KEYS)) {
+    stickProcessors[stick].setSettings(
+      StickProcessor.sanitize(gamepadSettings.get(key), DEFAULT_STICK_SETTINGS[stick]));
   }
 
   if (!repeatHandler) {
     repeatHandler = new ButtonRepeatHandler();
   }
 
+  if (!gestureRecognizer) {
+    gestureRecognizer = new GestureRecognizer();
+  }
+
   if (!gamepadDispatcher) {
-    gamepadDispatcher = new GamepadActionDispatcher(windowActionHandler, navigationActionHandler);
+    gamepadBindings.load().forEach(error => console.log('Ignoring invalid gamepad binding:', error));
+    gamepadDispatcher = new GamepadActionDispatcher(windowActionHandler, navigationActionHandler, gamepadBindings.compile());
+    gamepadDispatcher.setContext(inputContext);
   }
 
   // Poll at specified frequency
@@ -240,4 +428,145 @@ function setBackgroundMode(enabled) {
   }
 }
 
-module.exports = { startPolling, stopPolling, setBackgroundMode };
+/**
+ * Choose which controller drives the overlay and remember the choice
+ * @param {number|null} slot - Player slot (0-3), or null for any controller
+ */
+function setControllerSlot(slot) {
+  const validSlot = Number.isInteger(slot) && slot >= 0 && slot < CONTROLLER_SLOTS.COUNT ? slot : null;
+  gamepadSettings.set('controllerSlot', validSlot);
+
+  if (gamepadInput && gamepadInput.setSlot) {
+    gamepadInput.setSlot(validSlot);
+  }
+  if (repeatHandler) {
+    repeatHandler.clearAll();
+  }
+}
+
+/**
+ * Get the selected slot and which slots have a controller
+ * @returns {{slot: number|null, connected: boolean[]}}
+ */
+function getControllerStatus() {
+  return {
+    slot: gamepadSettings.get('controllerSlot'),
+    connected: gamepadInput && gamepadInput.getConnectedSlots
+      ? gamepadInput.getConnectedSlots()
+      : new Array(CONTROLLER_SLOTS.COUNT).fill(false),
+  };
+}
+
+/**
+ * Get the deadzone and curve settings of both sticks
+ * @returns {{cursor: Object, scroll: Object}}
+ */
+function getStickSettings() {
+  const result = {};
+  for (const [stick, key] of Object.entries(STICK_SETTING_KEYS)) {
+    result[stick] = StickProcessor.sanitize(gamepadSettings.get(key), DEFAULT_STICK_SETTINGS[stick]);
+  }
+  return result;
+}
+
+/**
+ * Change the settings of one stick, apply and remember them
+ * @param {'cursor'|'scroll'} stick - Which stick
+ * @param {Object} settings - Partial StickSettings; invalid values are dropped
+ * @returns {{cursor: Object, scroll: Object}} Settings of both sticks after the change
+ */
+function setStickSettings(stick, settings) {
+  const key = STICK_SETTING_KEYS[stick];
+  if (key) {
+    const current = StickProcessor.sanitize(gamepadSettings.get(key), DEFAULT_STICK_SETTINGS[stick]);
+    const updated = StickProcessor.sanitize({ ...current, ...settings }, DEFAULT_STICK_SETTINGS[stick]);
+    gamepadSettings.set(key, updated);
+    stickProcessors[stick].setSettings(updated);
+  }
+  return getStickSettings();
+}
+
+/**
+ * Restore the default stick settings
+ * @returns {{cursor: Object, scroll: Object}}
+ */
+function resetStickSettings() {
+  for (const [stick, key] of Object.entries(STICK_SETTING_KEYS)) {
+    gamepadSettings.set(key, DEFAULT_STICK_SETTINGS[stick]);
+    stickProcessors[stick].setSettings(DEFAULT_STICK_SETTINGS[stick]);
+  }
+  return getStickSettings();
+}
+
+/**
+ * Get the effective binding table
+ * @returns {Object.<string, Object.<string, string|string[]|null>>}
+ */
+function getBindings() {
+  return gamepadBindings.getTable();
+}
+
+/**
+ * Rebind one action and apply it immediately
+ * @param {string} context - Input context (global, navigation, shift, osk)
+ * @param {string} action - Action name
+ * @param {string|string[]|null} binding - Button, chord, alternatives or null to unbind
+ * @returns {{ok: boolean, error?: string, bindings: Object}}
+ */
+function setBinding(context, action, binding) {
+  const result = gamepadBindings.setBinding(context, action, binding);
+  if (result.ok && gamepadDispatcher) {
+    gamepadDispatcher.setBindings(gamepadBindings.compile());
+  }
+  return { ...result, bindings: gamepadBindings.getTable() };
+}
+
+/**
+ * Restore the default bindings
+ * @returns {Object} The default binding table
+ */
+function resetBindings() {
+  gamepadBindings.reset();
+  if (gamepadDispatcher) {
+    gamepadDispatcher.setBindings(gamepadBindings.compile());
+  }
+  return gamepadBindings.getTable();
+}
+
+/**
+ * Start or cancel recording the next button press for rebinding
+ * @param {boolean} active - Whether to capture
+ */
+function setBindingCapture(active) {
+  bindingCapture = active ? { armed: false, mask: 0, pressedAt: 0, releasedAt: null } : null;
+  if (repeatHandler) {
+    repeatHandler.clearAll();
+  }
+}
+
+/**
+ * Switch the binding layer to match what the renderer shows
+ * @param {string} context - Input context (navigation, osk)
+ */
+function setInputContext(context) {
+  inputContext = context;
+  if (gamepadDispatcher) {
+    gamepadDispatcher.setContext(context);
+  }
+}
+
+module.exports = {
+  startPolling,
+  stopPolling,
+  setBackgroundMode,
+  setControllerSlot,
+  getControllerStatus,
+  getStickSettings,
+  setStickSettings,
+  resetStickSettings,
+  getBindings,
+  setBinding,
+  resetBindings,
+  setBindingCapture,
+  setInputContext,
+};
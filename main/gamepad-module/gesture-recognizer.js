@@ -0,0 +1,113 @@
+/**
+ * Gesture Recognizer
+ *
+ * Turns raw button edges into tap, hold and double-tap gestures.
+ * Only buttons that have a hold or double-tap binding are tracked; their
+ * plain press is deferred until the gesture is known (release for hold,
+ * end of the double-tap window for double). Everything else keeps the
+ * immediate "just pressed" behavior in the dispatcher.
+ * Single Responsibility: handles gesture timing and state only.
+ */
+
+const { GESTURES } = require('./gamepad-config');
+
+/**
+ * @typedef {Object} GestureEvent
+ * @property {number} button - Button constant
+ * @property {'press'|'hold'|'double'} gesture - Recognized gesture ('press' is a plain tap)
+ */
+
+class GestureRecognizer {
+  /**
+   * @param {Object} [thresholds] - Timing overrides (defaults to GESTURES)
+   * @param {number} [thresholds.HOLD_TIME] - ms a button must be held for a hold
+   * @param {number} [thresholds.DOUBLE_TAP_WINDOW] - ms allowed between the taps of a double tap
+   */
+  constructor(thresholds = {}) {
+    this.holdTime = thresholds.HOLD_TIME ?? GESTURES.HOLD_TIME;
+    this.doubleTapWindow = thresholds.DOUBLE_TAP_WINDOW ?? GESTURES.DOUBLE_TAP_WINDOW;
+
+    // button -> { phase: 'down'|'released'|'consumed', pressedAt, releasedAt }
+    this.pending = new Map();
+  }
+
+  /**
+   * Advance gesture state by one poll
+   * @param {Object} state - Gamepad state from poll() ({ buttons, previousButtons })
+   * @param {Map<number, {hold: boolean, double: boolean}>} tracked - Buttons with gesture bindings
+   * @param {number} now - Current time in ms
+   * @returns {GestureEvent[]} Gestures completed this poll
+   */
+  update(state, tracked, now) {
+    const { buttons, previousButtons } = state;
+    const events = [];
+
+    // Forget buttons whose gesture bindings went away (context switch, rebinding)
+    for (const button of this.pending.keys()) {
+      if (!tracked.has(button)) this.pending.delete(button);
+    }
+
+    for (const [button, spec] of tracked) {
+      const pressed = (buttons & button) !== 0;
+      const wasPressed = (previousButtons & button) !== 0;
+      const entry = this.pending.get(button);
+
+      if (pressed && !wasPressed) {
+        // Second tap inside the window completes a double tap
+        if (entry && entry.phase === 'released' && spec.double &&
+            now - entry.releasedAt <= this.doubleTapWindow) {
+          events.push({ button, gesture: 'double' });
+          this.pending.set(button, { phase: 'consumed' });
+        } else {
+          if (entry && entry.phase === 'released') {
+            events.push({ button, gesture: 'press' });
+          }
+          this.pending.set(button, { phase: 'down', pressedAt: now });
+        }
+        continue;
+      }
+
+      if (!entry) continue;
+
+      if (pressed) {
+        if (entry.phase === 'down' && spec.hold && now - entry.pressedAt >= this.holdTime) {
+          events.push({ button, gesture: 'hold' });
+          entry.phase = 'consumed';
+        }
+        continue;
+      }
+
+      if (wasPressed) {
+        // Released: a consumed press is done, a short press is a tap
+        // (or the first half of a double tap)
+        if (entry.phase === 'down' && spec.double) {
+          entry.phase = 'released';
+          entry.releasedAt = now;
+        } else {
+          if (entry.phase === 'down') {
+            events.push({ button, gesture: 'press' });
+          }
+          this.pending.delete(button);
+        }
+        continue;
+      }
+
+      // No second tap came in time
+      if (entry.phase === 'released' && now - entry.releasedAt > this.doubleTapWindow) {
+        events.push({ button, gesture: 'press' });
+        this.pending.delete(button);
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Drop every pending gesture (e.g. when a chord used the button)
+   */
+  cancel() {
+    this.pending.clear();
+  }
+}
+
+module.exports = GestureRecognizer;
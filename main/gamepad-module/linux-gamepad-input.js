@@ -0,0 +1,435 @@
+/**
+ * Linux Gamepad Input Handler
+ *
+ * Reads controllers through the evdev interface (/dev/input/event*).
+ * Translates kernel input events into the XINPUT_GAMEPAD layout so the
+ * rest of the gamepad module works exactly as it does on Windows.
+ *
+ * Axis ranges and the current state are asked from the kernel with ioctl()
+ * (through koffi). Without it, axes are assumed to use the Xbox ranges and
+ * state lost to a SYN_DROPPED is reset to neutral instead of read back.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GamepadInput = require('./gamepad-input');
+const { BUTTONS, ANALOG_CONFIG, CONTROLLER_SLOTS, LINUX_INPUT } = require('./gamepad-config');
+
+// Event types and codes from linux/input-event-codes.h
+const EV_SYN = 0x00;
+const EV_KEY = 0x01;
+const EV_ABS = 0x03;
+const SYN_REPORT = 0x00;
+const SYN_DROPPED = 0x03; // The kernel buffer overflowed, events were lost
+const KEY_MAX = 0x2ff;
+const BTN_GAMEPAD = 0x130; // First gamepad button (BTN_SOUTH), only pads have it
+
+// ioctl requests from linux/input.h (generic _IOC layout: x86, ARM, RISC-V)
+const IOC_READ = 2;
+const ABSINFO_SIZE = 24; // struct input_absinfo: six s32 (value, minimum, maximum, fuzz, flat, resolution)
+const KEY_BITS_SIZE = Math.ceil((KEY_MAX + 1) / 8);
+const EVIOCGKEY = ioctlRequest(0x18, KEY_BITS_SIZE);
+const EVIOCGABS = (code) => ioctlRequest(0x40 + code, ABSINFO_SIZE);
+
+// Assumed axis ranges when the kernel can't be asked
+const DEFAULT_STICK_RANGE = { min: -ANALOG_CONFIG.STICK_MAX - 1, max: ANALOG_CONFIG.STICK_MAX };
+const DEFAULT_TRIGGER_RANGE = { min: 0, max: LINUX_INPUT.TRIGGER_MAX };
+
+// struct input_event is { timeval, u16 type, u16 code, s32 value };
+// timeval is two longs, so its size depends on the architecture
+const LONG_SIZE = ['x64', 'arm64', 'ppc64', 's390x', 'riscv64'].includes(os.arch()) ? 8 : 4;
+const TIMEVAL_SIZE = LONG_SIZE * 2;
+const EVENT_SIZE = TIMEVAL_SIZE + 8;
+
+class LinuxGamepadInput extends GamepadInput {
+  constructor() {
+    super();
+    // Open controller per player slot, in the order they were plugged in
+    this.devices = new Array(CONTROLLER_SLOTS.COUNT).fill(null);
+    this.failedPaths = new Set();
+    this.lastScan = 0;
+    this.buffer = Buffer.alloc(EVENT_SIZE * 64);
+    this.ioctl = null;
+  }
+
+  /**
+   * Check that evdev is available
+   * A missing controller is not an error - poll() returns null until one is plugged in.
+   * @returns {boolean} Success status
+   */
+  init() {
+    try {
+      fs.accessSync(LINUX_INPUT.DEVICES_FILE, fs.constants.R_OK);
+      this.ioctl = loadIoctl();
+      this._scanDevices();
+      return true;
+    } catch (err) {
+      console.error('Failed to initialize evdev input:', err.message);
+      return false;
+    }
+  }
+
+  /**
+   * Drain pending input events of one slot and return the accumulated state
+   * @param {number} slot - Player slot (0-3)
+   * @returns {Object|null} Raw XINPUT_GAMEPAD fields or null if no controller is connected
+   */
+  readState(slot) {
+    if (!this.devices[slot] && Date.now() - this.lastScan >= LINUX_INPUT.RESCAN_INTERVAL) {
+      this._scanDevices();
+    }
+
+    const device = this.devices[slot];
+    if (!device) return null;
+
+    for (;;) {
+      let bytesRead;
+      try {
+        bytesRead = fs.readSync(device.fd, this.buffer, 0, this.buffer.length, null);
+      } catch (err) {
+        if (err.code === 'EAGAIN') break;
+        // ENODEV and friends - the controller was unplugged
+        this._closeDevice(slot);
+        return null;
+      }
+
+      for (let offset = 0; offset + EVENT_SIZE <= bytesRead; offset += EVENT_SIZE) {
+        this._handleEvent(
+          device,
+          this.buffer.readUInt16LE(offset + TIMEVAL_SIZE),
+          this.buffer.readUInt16LE(offset + TIMEVAL_SIZE + 2),
+          this.buffer.readInt32LE(offset + TIMEVAL_SIZE + 4),
+        );
+      }
+
+      if (bytesRead < this.buffer.length) break;
+    }
+
+    return { ...device.gamepad, wButtons: device.gamepad.wButtons | device.hatButtons };
+  }
+
+  /**
+   * Reset internal state and release all devices
+   */
+  reset() {
+    super.reset();
+    this.devices.forEach((device, slot) => this._closeDevice(slot));
+    this.failedPaths.clear();
+    this.lastScan = 0;
+  }
+
+  /**
+   * Apply a single input event to a device's accumulated state
+   * @private
+   */
+  _handleEvent(device, type, code, value) {
+    const { gamepad } = device;
+
+    // After a SYN_DROPPED, events up to the next report are incomplete;
+    // the state is read back from the kernel instead
+    if (type === EV_SYN) {
+      if (code === SYN_DROPPED) {
+        device.dropped = true;
+      } else if (code === SYN_REPORT && device.dropped) {
+        device.dropped = false;
+        this._resync(device);
+      }
+      return;
+    }
+    if (device.dropped) return;
+
+    if (type === EV_KEY) {
+      const button = LINUX_INPUT.KEY_MAP[code];
+      if (button === undefined) return;
+      if (value) {
+        gamepad.wButtons |= button;
+      } else {
+        gamepad.wButtons &= ~button;
+      }
+      return;
+    }
+
+    if (type !== EV_ABS) return;
+
+    const { ABS } = LINUX_INPUT;
+    switch (code) {
+    case ABS.LEFT_X:
+      gamepad.sThumbLX = this._toStick(device, code, value);
+      break;
+    case ABS.LEFT_Y:
+      // evdev reports down as positive, XInput reports up as positive
+      gamepad.sThumbLY = this._toStick(device, code, value, true);
+      break;
+    case ABS.RIGHT_X:
+      gamepad.sThumbRX = this._toStick(device, code, value);
+      break;
+    case ABS.RIGHT_Y:
+      gamepad.sThumbRY = this._toStick(device, code, value, true);
+      break;
+    case ABS.LEFT_TRIGGER:
+      gamepad.bLeftTrigger = this._toTrigger(device, code, value);
+      break;
+    case ABS.RIGHT_TRIGGER:
+      gamepad.bRightTrigger = this._toTrigger(device, code, value);
+      break;
+    case ABS.HAT_X:
+      device.hatButtons &= ~(BUTTONS.DPAD_LEFT | BUTTONS.DPAD_RIGHT);
+      if (value < 0) device.hatButtons |= BUTTONS.DPAD_LEFT;
+      if (value > 0) device.hatButtons |= BUTTONS.DPAD_RIGHT;
+      break;
+    case ABS.HAT_Y:
+      device.hatButtons &= ~(BUTTONS.DPAD_UP | BUTTONS.DPAD_DOWN);
+      if (value < 0) device.hatButtons |= BUTTONS.DPAD_UP;
+      if (value > 0) device.hatButtons |= BUTTONS.DPAD_DOWN;
+      break;
+    }
+  }
+
+  /**
+   * Scale a stick axis from its range to the signed 16-bit XInput range,
+   * with the middle of the range as center (pads reporting 0-255 rest at 128)
+   * @private
+   * @param {boolean} [invert] - Flip the direction (evdev Y grows downwards)
+   */
+  _toStick(device, code, value, invert = false) {
+    const { min, max } = device.axes[code] || DEFAULT_STICK_RANGE;
+    const center = (min + max) / 2;
+    const offset = invert ? center - value : value - center;
+    const scaled = Math.round((offset / ((max - min) / 2)) * ANALOG_CONFIG.STICK_MAX) || 0; // No -0
+    return Math.max(-ANALOG_CONFIG.STICK_MAX, Math.min(ANALOG_CONFIG.STICK_MAX, scaled));
+  }
+
+  /**
+   * Scale a trigger value from its range to the 0-255 XInput range
+   * Without a range from the kernel, widens the assumed one the first
+   * time a pad reports past 255.
+   * @private
+   */
+  _toTrigger(device, code, value) {
+    let range = device.axes[code];
+    if (!range) {
+      if (value > device.triggerMax) {
+        device.triggerMax = LINUX_INPUT.TRIGGER_MAX_WIDE;
+      }
+      range = { min: DEFAULT_TRIGGER_RANGE.min, max: device.triggerMax };
+    }
+
+    const scaled = Math.round(((value - range.min) / (range.max - range.min)) * ANALOG_CONFIG.TRIGGER_MAX);
+    return Math.max(0, Math.min(ANALOG_CONFIG.TRIGGER_MAX, scaled));
+  }
+
+  /**
+   * Ask the kernel for the range and current value of each axis
+   * @private
+   * @returns {Object.<number, {min: number, max: number, value: number}>} By EV_ABS code; axes it can't tell are missing
+   */
+  _readAxes(fd) {
+    const axes = {};
+    if (!this.ioctl) return axes;
+
+    const info = Buffer.alloc(ABSINFO_SIZE);
+    for (const code of Object.values(LINUX_INPUT.ABS)) {
+      if (this.ioctl(fd, EVIOCGABS(code), 'void *', info) < 0) continue;
+
+      const min = info.readInt32LE(4);
+      const max = info.readInt32LE(8);
+      if (max > min) {
+        axes[code] = { min, max, value: info.readInt32LE(0) };
+      }
+    }
+    return axes;
+  }
+
+  /**
+   * Ask the kernel which buttons are down
+   * @private
+   * @returns {number|null} XInput button mask, or null if it can't tell
+   */
+  _readButtons(fd) {
+    if (!this.ioctl) return null;
+
+    const bits = Buffer.alloc(KEY_BITS_SIZE);
+    if (this.ioctl(fd, EVIOCGKEY, 'void *', bits) < 0) return null;
+
+    let buttons = 0;
+    for (const [code, button] of Object.entries(LINUX_INPUT.KEY_MAP)) {
+      if (bits[code >> 3] & (1 << (code & 7))) {
+        buttons |= button;
+      }
+    }
+    return buttons;
+  }
+
+  /**
+   * Replace a device's state with what the kernel reports now
+   * Falls back to a neutral state, so no button stays stuck down.
+   * @private
+   */
+  _resync(device) {
+    const axes = this._readAxes(device.fd);
+    Object.assign(device.axes, axes);
+    const { gamepad } = device;
+
+    gamepad.wButtons = this._readButtons(device.fd) || 0;
+    gamepad.bLeftTrigger = 0;
+    gamepad.bRightTrigger = 0;
+    gamepad.sThumbLX = 0;
+    gamepad.sThumbLY = 0;
+    gamepad.sThumbRX = 0;
+    gamepad.sThumbRY = 0;
+    device.hatButtons = 0;
+
+    // Replayed as events so they're scaled like live input
+    for (const [code, { value }] of Object.entries(axes)) {
+      this._handleEvent(device, EV_ABS, Number(code), value);
+    }
+  }
+
+  /**
+   * List the event nodes of all gamepads known to the kernel
+   * Gamepads are told apart by their buttons rather than by a jsN handler,
+   * which only exists while the legacy joydev module is loaded.
+   * @private
+   * @returns {string[]} Device paths
+   */
+  _findDevices() {
+    const devices = fs.readFileSync(LINUX_INPUT.DEVICES_FILE, 'utf8').split(/\n\s*\n/);
+    const paths = [];
+
+    for (const device of devices) {
+      const handlers = device.match(/^H: Handlers=(.*)$/m);
+      if (!handlers || !hasGamepadButtons(device)) continue;
+
+      const event = handlers[1].trim().split(/\s+/).find(name => /^event\d+$/.test(name));
+      if (event) {
+        paths.push(path.join(LINUX_INPUT.DEVICE_DIR, event));
+      }
+    }
+
+    return paths;
+  }
+
+  /**
+   * Open newly plugged controllers into free slots
+   * @private
+   */
+  _scanDevices() {
+    this.lastScan = Date.now();
+
+    let paths;
+    try {
+      paths = this._findDevices();
+    } catch {
+      return;
+    }
+
+    const openPaths = this.devices.filter(Boolean).map(device => device.path);
+
+    for (const devicePath of paths) {
+      if (openPaths.includes(devicePath)) continue;
+
+      const slot = this.devices.indexOf(null);
+      if (slot === -1) return;
+
+      try {
+        const fd = fs.openSync(devicePath, fs.constants.O_RDONLY | fs.constants.O_NONBLOCK);
+        this.devices[slot] = this._createDevice(fd, devicePath);
+        this.failedPaths.delete(devicePath);
+        console.log(`Gamepad connected: ${devicePath} (slot ${slot + 1})`);
+      } catch (err) {
+        // Only report once per device, rescans happen every few seconds
+        if (!this.failedPaths.has(devicePath)) {
+          console.error(`Cannot open ${devicePath}:`, err.message);
+          this.failedPaths.add(devicePath);
+        }
+      }
+    }
+  }
+
+  /**
+   * Set up the state of a newly opened device, starting from what the
+   * kernel reports (sticks off center, buttons already held)
+   * @private
+   */
+  _createDevice(fd, devicePath) {
+    const device = {
+      fd,
+      path: devicePath,
+      gamepad: {
+        wButtons: 0,
+        bLeftTrigger: 0,
+        bRightTrigger: 0,
+        sThumbLX: 0,
+        sThumbLY: 0,
+        sThumbRX: 0,
+        sThumbRY: 0,
+      },
+      hatButtons: 0,
+      triggerMax: LINUX_INPUT.TRIGGER_MAX,
+      axes: {}, // Ranges by EV_ABS code, filled in by _resync
+      dropped: false,
+    };
+
+    this._resync(device);
+    return device;
+  }
+
+  /**
+   * Close the device in a slot
+   * @private
+   */
+  _closeDevice(slot) {
+    const device = this.devices[slot];
+    if (!device) return;
+
+    try {
+      fs.closeSync(device.fd);
+    } catch {
+      // Already gone
+    }
+    console.log(`Gamepad disconnected: ${device.path} (slot ${slot + 1})`);
+    this.devices[slot] = null;
+  }
+}
+
+/**
+ * An ioctl request number (_IOR('E', nr, size))
+ * @private
+ */
+function ioctlRequest(nr, size) {
+  return IOC_READ * 2 ** 30 + size * 2 ** 16 + 'E'.charCodeAt(0) * 2 ** 8 + nr;
+}
+
+/**
+ * Check the "B: KEY=" bitmap of a /proc/bus/input/devices entry for BTN_GAMEPAD
+ * The bitmap is printed as hex longs, most significant first.
+ * @private
+ */
+function hasGamepadButtons(device) {
+  const keys = device.match(/^B: KEY=(.*)$/m);
+  if (!keys) return false;
+
+  const longBits = LONG_SIZE * 8;
+  const words = keys[1].trim().split(/\s+/).reverse();
+  const word = words[Math.floor(BTN_GAMEPAD / longBits)];
+  if (!word) return false;
+
+  return ((BigInt(`0x${word}`) >> BigInt(BTN_GAMEPAD % longBits)) & 1n) === 1n;
+}
+
+/**
+ * libc's ioctl() through koffi, or null where it can't be loaded
+ * @private
+ */
+function loadIoctl() {
+  try {
+    const koffi = require('koffi');
+    return koffi.load('libc.so.6').func('int ioctl(int fd, unsigned long request, ...)');
+  } catch (err) {
+    console.log('evdev ioctl unavailable, assuming Xbox axis ranges:', err.message);
+    return null;
+  }
+}
+
+module.exports = LinuxGamepadInput;
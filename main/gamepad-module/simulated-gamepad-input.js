@@ -0,0 +1,187 @@
+/**
+ * Simulated Gamepad Input
+ *
+ * Replays a scripted timeline of controller states instead of reading hardware.
+ * Lets the dispatch logic (combos, D-pad repeat, background mode) be exercised
+ * on machines without a controller.
+ *
+ * Timeline format (JSON):
+ * {
+ *   "loop": false,
+ *   "frames": [
+ *     { "at": 0, "buttons": [] },
+ *     { "at": 500, "buttons": ["BACK", "START"] },
+ *     { "at": 650, "buttons": [], "leftStickX": 20000 },
+ *     { "at": 800, "buttons": ["LEFT_TRIGGER", "A"] },
+ *     { "at": 900, "buttons": [], "rightTrigger": 128 },
+ *     { "at": 2000, "connected": false }
+ *   ]
+ * }
+ *
+ * Each frame is a full snapshot that holds until the next frame starts:
+ * omitted fields are neutral. "at" is milliseconds since the first poll.
+ * LEFT_TRIGGER/RIGHT_TRIGGER in "buttons" mean a fully pulled trigger.
+ *
+ * With "loop": true the timeline restarts after "duration" ms, which must be
+ * later than the last frame. Without it, the last frame holds for
+ * LOOP_TAIL_MS before the restart.
+ */
+
+const fs = require('fs');
+const GamepadInput = require('./gamepad-input');
+const { BUTTONS, ANALOG_CONFIG } = require('./gamepad-config');
+
+// How long the last frame of a looping timeline without "duration" holds (ms)
+const LOOP_TAIL_MS = 1000;
+
+// Timeline field -> XINPUT_GAMEPAD field
+const AXIS_FIELDS = {
+  leftStickX: 'sThumbLX',
+  leftStickY: 'sThumbLY',
+  rightStickX: 'sThumbRX',
+  rightStickY: 'sThumbRY',
+  leftTrigger: 'bLeftTrigger',
+  rightTrigger: 'bRightTrigger',
+};
+
+class SimulatedGamepadInput extends GamepadInput {
+  /**
+   * @param {string|Object} source - Path to a timeline JSON file, or the timeline itself
+   * @param {Object} [options]
+   * @param {() => number} [options.now] - Clock source in ms (defaults to Date.now)
+   */
+  constructor(source, options = {}) {
+    super();
+    this.source = source;
+    this.now = options.now || Date.now;
+    this.frames = [];
+    this.loop = false;
+    this.duration = 0;
+    this.startTime = null;
+  }
+
+  /**
+   * Load and validate the timeline
+   * @returns {boolean} Success status
+   */
+  init() {
+    try {
+      const timeline = typeof this.source === 'string'
+        ? JSON.parse(fs.readFileSync(this.source, 'utf8'))
+        : this.source;
+
+      if (!timeline || !Array.isArray(timeline.frames) || timeline.frames.length === 0) {
+        throw new Error('timeline needs a non-empty "frames" array');
+      }
+
+      this.frames = timeline.frames
+        .map((frame, index) => this._parseFrame(frame, index))
+        .sort((a, b) => a.at - b.at);
+      this.loop = Boolean(timeline.loop);
+      this.duration = this._parseDuration(timeline.duration);
+      this.startTime = null;
+      return true;
+    } catch (err) {
+      console.error('Failed to load gamepad timeline:', err.message);
+      return false;
+    }
+  }
+
+  /**
+   * Return the timeline frame active at the current time
+   * The scripted controller always sits in the first player slot.
+   * @param {number} slot - Player slot (0-3)
+   * @returns {Object|null} Raw XINPUT_GAMEPAD fields or null while "disconnected"
+   */
+  readState(slot) {
+    if (slot !== 0 || this.frames.length === 0) return null;
+
+    if (this.startTime === null) {
+      this.startTime = this.now();
+    }
+
+    let elapsed = this.now() - this.startTime;
+    if (this.loop && this.duration > 0) {
+      elapsed %= this.duration;
+    }
+
+    let current = this.frames[0];
+    for (const frame of this.frames) {
+      if (frame.at > elapsed) break;
+      current = frame;
+    }
+
+    return current.connected ? { ...current.gamepad } : null;
+  }
+
+  /**
+   * Reset internal state and restart the timeline
+   */
+  reset() {
+    super.reset();
+    this.startTime = null;
+  }
+
+  /**
+   * Length of one pass through the timeline, so the last frame of a loop
+   * gets played before the restart
+   * @private
+   */
+  _parseDuration(duration) {
+    const lastAt = this.frames[this.frames.length - 1].at;
+    if (duration === undefined) {
+      return this.loop ? lastAt + LOOP_TAIL_MS : lastAt;
+    }
+
+    const ms = Number(duration);
+    if (!Number.isFinite(ms) || ms <= lastAt) {
+      throw new Error(`"duration" must be a number greater than the last frame's "at" (${lastAt})`);
+    }
+    return ms;
+  }
+
+  /**
+   * Convert a timeline entry into a validated frame
+   * @private
+   */
+  _parseFrame(frame, index) {
+    const at = Number(frame.at);
+    if (!Number.isFinite(at) || at < 0) {
+      throw new Error(`frame ${index}: "at" must be a non-negative number`);
+    }
+
+    let wButtons = 0;
+    for (const name of frame.buttons || []) {
+      if (!(name in BUTTONS)) {
+        throw new Error(`frame ${index}: unknown button "${name}"`);
+      }
+      wButtons |= BUTTONS[name];
+    }
+
+    const gamepad = {
+      wButtons,
+      bLeftTrigger: 0,
+      bRightTrigger: 0,
+      sThumbLX: 0,
+      sThumbLY: 0,
+      sThumbRX: 0,
+      sThumbRY: 0,
+    };
+
+    // Trigger "buttons" are derived from pressure by poll()
+    if (wButtons & BUTTONS.LEFT_TRIGGER) gamepad.bLeftTrigger = ANALOG_CONFIG.TRIGGER_MAX;
+    if (wButtons & BUTTONS.RIGHT_TRIGGER) gamepad.bRightTrigger = ANALOG_CONFIG.TRIGGER_MAX;
+    gamepad.wButtons &= ~(BUTTONS.LEFT_TRIGGER | BUTTONS.RIGHT_TRIGGER);
+
+    for (const [field, target] of Object.entries(AXIS_FIELDS)) {
+      if (frame[field] === undefined) continue;
+      const max = target.startsWith('b') ? ANALOG_CONFIG.TRIGGER_MAX : ANALOG_CONFIG.STICK_MAX;
+      const min = target.startsWith('b') ? 0 : -ANALOG_CONFIG.STICK_MAX;
+      gamepad[target] = Math.max(min, Math.min(max, Math.round(Number(frame[field]) || 0)));
+    }
+
+    return { at, connected: frame.connected !== false, gamepad };
+  }
+}
+
+module.exports = SimulatedGamepadInput;
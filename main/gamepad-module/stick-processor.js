@@ -0,0 +1,147 @@
+/**
+ * Stick Processor
+ *
+ * Turns raw stick axes into a normalized vector using a deadzone mode
+ * and a response curve. The cursor and scroll sticks each get their own
+ * processor so they can be tuned separately.
+ * Single Responsibility: analog stick shaping only.
+ */
+
+const { ANALOG_CONFIG } = require('./gamepad-config');
+
+const DEADZONE_MODES = ['axial', 'radial', 'scaled-radial'];
+const CURVES = ['linear', 'quadratic', 'exponent'];
+
+/**
+ * @typedef {Object} StickSettings
+ * @property {'axial'|'radial'|'scaled-radial'} deadzoneMode - Per axis, circular, or circular with the gap removed
+ * @property {number} deadzone - Inner deadzone as a fraction of full deflection (0-0.9)
+ * @property {number} outerDeadzone - Outer band treated as full deflection (0-0.5)
+ * @property {'linear'|'quadratic'|'exponent'} curve - Response curve
+ * @property {number} exponent - Exponent for the 'exponent' curve (0.2-5)
+ * @property {number} speed - Pixels per poll at full deflection (1-100)
+ */
+
+// Valid range per numeric setting
+const LIMITS = {
+  deadzone: [0, 0.9],
+  outerDeadzone: [0, 0.5],
+  exponent: [0.2, 5],
+  speed: [1, 100],
+};
+
+class StickProcessor {
+  /**
+   * @param {StickSettings} settings
+   */
+  constructor(settings) {
+    this.settings = settings;
+  }
+
+  /**
+   * Merge user settings over defaults, dropping invalid values
+   * @param {Object} settings - Possibly partial or malformed settings
+   * @param {StickSettings} defaults - Fallback values
+   * @returns {StickSettings}
+   */
+  static sanitize(settings, defaults) {
+    const result = { ...defaults };
+    if (!settings || typeof settings !== 'object') return result;
+
+    if (DEADZONE_MODES.includes(settings.deadzoneMode)) {
+      result.deadzoneMode = settings.deadzoneMode;
+    }
+    if (CURVES.includes(settings.curve)) {
+      result.curve = settings.curve;
+    }
+    for (const [key, [min, max]] of Object.entries(LIMITS)) {
+      const value = Number(settings[key]);
+      if (settings[key] !== undefined && Number.isFinite(value)) {
+        result[key] = Math.round(Math.max(min, Math.min(max, value)) * 100) / 100;
+      }
+    }
+
+    // Leave some travel between the two deadzones
+    result.outerDeadzone = Math.min(result.outerDeadzone, Math.round((0.95 - result.deadzone) * 100) / 100);
+    return result;
+  }
+
+  /**
+   * Replace the settings
+   * @param {StickSettings} settings
+   */
+  setSettings(settings) {
+    this.settings = settings;
+  }
+
+  /**
+   * Shape a raw stick position
+   * @param {number} rawX - Raw X axis (-32767..32767)
+   * @param {number} rawY - Raw Y axis (-32767..32767)
+   * @returns {{x: number, y: number}} Shaped vector, each axis in -1..1 (0 inside the deadzone)
+   */
+  process(rawX, rawY) {
+    const x = this._normalize(rawX);
+    const y = this._normalize(rawY);
+
+    if (this.settings.deadzoneMode === 'axial') {
+      return { x: this._shapeAxis(x), y: this._shapeAxis(y) };
+    }
+
+    const magnitude = Math.hypot(x, y);
+    const { deadzone, outerDeadzone } = this.settings;
+    if (magnitude <= deadzone || magnitude === 0) {
+      return { x: 0, y: 0 };
+    }
+
+    // Radial keeps the raw distance (jumps past the deadzone),
+    // scaled-radial remaps deadzone..edge onto 0..1
+    const scaled = this.settings.deadzoneMode === 'radial'
+      ? magnitude / (1 - outerDeadzone)
+      : (magnitude - deadzone) / (1 - deadzone - outerDeadzone);
+    const shaped = this._applyCurve(Math.min(1, scaled));
+
+    return {
+      x: (x / magnitude) * shaped,
+      y: (y / magnitude) * shaped,
+    };
+  }
+
+  /**
+   * Shape one axis on its own (axial deadzone)
+   * @private
+   */
+  _shapeAxis(value) {
+    const { deadzone, outerDeadzone } = this.settings;
+    const magnitude = Math.abs(value);
+    if (magnitude <= deadzone) return 0;
+
+    const scaled = Math.min(1, (magnitude - deadzone) / (1 - deadzone - outerDeadzone));
+    return Math.sign(value) * this._applyCurve(scaled);
+  }
+
+  /**
+   * Apply the response curve to a 0..1 magnitude
+   * @private
+   */
+  _applyCurve(magnitude) {
+    switch (this.settings.curve) {
+    case 'quadratic':
+      return magnitude * magnitude;
+    case 'exponent':
+      return Math.pow(magnitude, this.settings.exponent);
+    default:
+      return magnitude;
+    }
+  }
+
+  /**
+   * Map a raw axis to -1..1
+   * @private
+   */
+  _normalize(value) {
+    return Math.max(-1, Math.min(1, value / ANALOG_CONFIG.STICK_MAX));
+  }
+}
+
+module.exports = StickProcessor;
@@ -0,0 +1,193 @@
+const { SettingsStore } = require('./settings-store');
+
+/**
+ * Pages visited in the wiki webviews, most recent first, e.g.
+ * { "entries": [{ "url": "https://terraria.wiki.gg/wiki/Zenith", "title": "Zenith",
+ *   "wiki": "https://terraria.wiki.gg", "visits": 3, "lastVisited": 1718000000000 }] }
+ * One entry per URL; visiting it again moves it to the front.
+ * "searches" holds the text searched for, most recent first.
+ */
+const historyStore = new SettingsStore('history.json', { entries: [], searches: [] });
+
+// Retention: entries beyond MAX_ENTRIES, or not visited for MAX_AGE_DAYS, are
+// dropped, and searches beyond MAX_SEARCHES
+const HISTORY_LIMITS = {
+  MAX_ENTRIES: 1000,
+  MAX_AGE_DAYS: 90,
+  MAX_SEARCHES: 200,
+};
+
+// Longest title kept
+const MAX_TITLE_LENGTH = 200;
+
+/**
+ * Count a visit to a page
+ * @param {Object} page
+ * @param {string} page.url
+ * @param {string} [page.title]
+ * @param {string} [page.wiki] - Base URL of the wiki the page belongs to
+ */
+function recordVisit(page) {
+  if (!page || typeof page.url !== 'string' || !/^https?:\/\//.test(page.url)) return;
+
+  const entries = readEntries();
+  const existing = entries.find(entry => entry.url === page.url);
+  const title = cleanTitle(page.title);
+
+  const entry = {
+    url: page.url,
+    title: title || (existing ? existing.title : ''),
+    wiki: typeof page.wiki === 'string' && page.wiki ? page.wiki : (existing ? existing.wiki : ''),
+    visits: existing ? existing.visits + 1 : 1,
+    lastVisited: Date.now(),
+  };
+
+  const rest = entries.filter(other => other.url !== page.url);
+  historyStore.set('entries', prune([entry, ...rest]));
+}
+
+/**
+ * Store the title a page reported after its visit was recorded
+ * @param {string} url
+ * @param {string} title
+ */
+function setPageTitle(url, title) {
+  const entries = readEntries();
+  const entry = entries.find(other => other.url === url);
+  const cleaned = cleanTitle(title);
+  if (!entry || !cleaned || entry.title === cleaned) return;
+
+  entry.title = cleaned;
+  historyStore.set('entries', entries);
+}
+
+/**
+ * @param {number} limit
+ * @returns {Object[]} The most recently visited pages
+ */
+function getRecentHistory(limit) {
+  return readEntries().slice(0, limit);
+}
+
+/**
+ * Find pages whose title contains every word of the query
+ * @param {string} query
+ * @param {number} limit
+ * @returns {Object[]} Matches, most recently visited first
+ */
+function searchHistory(query, limit) {
+  const words = String(query).toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return getRecentHistory(limit);
+
+  return readEntries()
+    .filter(entry => {
+      const title = (entry.title || entry.url).toLowerCase();
+      return words.every(word => title.includes(word));
+    })
+    .slice(0, limit);
+}
+
+/**
+ * Remember a search, moving it to the front if it was searched before
+ * @param {string} query
+ */
+function recordSearch(query) {
+  const text = cleanTitle(query);
+  if (!text) return;
+
+  const searches = readSearches()
+    .filter(other => other.toLowerCase() !== text.toLowerCase());
+  historyStore.set('searches', [text, ...searches].slice(0, HISTORY_LIMITS.MAX_SEARCHES));
+}
+
+/**
+ * Find past searches that start with the text typed so far
+ * @param {string} prefix - '' for the latest searches
+ * @param {number} limit
+ * @returns {string[]} Matches, most recent first
+ */
+function getPastSearches(prefix, limit) {
+  const start = String(prefix).replace(/\s+/g, ' ').trim().toLowerCase();
+
+  return readSearches()
+    .filter(search => search.toLowerCase().startsWith(start))
+    .slice(0, limit);
+}
+
+/**
+ * Forget every visited page and search
+ */
+function clearHistory() {
+  historyStore.reset();
+}
+
+/**
+ * The well-formed entries of the file, as copies
+ * @private
+ */
+function readEntries() {
+  const entries = historyStore.get('entries');
+  if (!Array.isArray(entries)) return [];
+
+  return entries.map(cleanEntry).filter(Boolean);
+}
+
+/**
+ * Validate one entry (null when it has no page URL)
+ * @private
+ */
+function cleanEntry(entry) {
+  if (!entry || typeof entry !== 'object' || typeof entry.url !== 'string' || !/^https?:\/\//.test(entry.url)) {
+    return null;
+  }
+
+  return {
+    url: entry.url,
+    title: cleanTitle(entry.title),
+    wiki: typeof entry.wiki === 'string' ? entry.wiki : '',
+    visits: Number.isInteger(entry.visits) && entry.visits > 0 ? entry.visits : 1,
+    // Entries without a date are old enough for prune() to drop
+    lastVisited: Number.isFinite(entry.lastVisited) ? entry.lastVisited : 0,
+  };
+}
+
+/**
+ * The searches of the file that are non-empty text
+ * @private
+ */
+function readSearches() {
+  const searches = historyStore.get('searches');
+  if (!Array.isArray(searches)) return [];
+
+  return searches.map(cleanTitle).filter(Boolean);
+}
+
+/**
+ * Apply the retention limits
+ * @private
+ */
+function prune(entries) {
+  const oldest = Date.now() - HISTORY_LIMITS.MAX_AGE_DAYS * 24 * 60 * 60 * 1000;
+  return entries
+    .filter(entry => entry.lastVisited >= oldest)
+    .slice(0, HISTORY_LIMITS.MAX_ENTRIES);
+}
+
+/**
+ * Single-line, trimmed title ('' for anything that isn't a string)
+ * @private
+ */
+function cleanTitle(value) {
+  if (typeof value !== 'string') return '';
+  return value.replace(/\s+/g, ' ').trim().slice(0, MAX_TITLE_LENGTH);
+}
+
+module.exports = {
+  recordVisit,
+  setPageTitle,
+  getRecentHistory,
+  searchHistory,
+  recordSearch,
+  getPastSearches,
+  clearHistory,
+};
@@ -1,23 +1,67 @@
-const { app, ipcMain, screen } = require('electron');
-const { createWindow, getMainWindow } = require('./window');
-const { setupShortcuts } = require('./shortcuts');
+const { app, clipboard, ipcMain, screen } = require('electron');
+const {
+  createWindow,
+  getMainWindow,
+  getWindowState,
+  setWindowOpacity,
+  getSplitLayout,
+  setSplitLayout,
+} = require('./window');
+const { setupShortcuts, restoreClickThrough } = require('./shortcuts');
 const { setupSecurity } = require('./security');
-const { startPolling, stopPolling, setBackgroundMode } = require('./gamepad-module/gamepad');
+const {
+  startPolling,
+  stopPolling,
+  setBackgroundMode,
+  setControllerSlot,
+  getControllerStatus,
+  getBindings,
+  setBinding,
+  resetBindings,
+  setBindingCapture,
+  setInputContext,
+  getStickSettings,
+  setStickSettings,
+  resetStickSettings,
+} = require('./gamepad-module/gamepad');
+const SimulatedGamepadInput = require('./gamepad-module/simulated-gamepad-input');
+const { getZoomLevels, setZoomLevel } = require('./zoom-levels');
+const { getBookmarks, saveBookmark, removeBookmark } = require('./bookmarks');
+const {
+  recordVisit,
+  setPageTitle,
+  getRecentHistory,
+  searchHistory,
+  recordSearch,
+  getPastSearches,
+  clearHistory,
+} = require('./history');
+const { getSession, saveSession, setStartOnLandingPage } = require('./session');
+const {
+  getCustomWikis,
+  saveCustomWiki,
+  removeCustomWiki,
+  moveCustomWiki,
+  exportCustomWikis,
+  importCustomWikis,
+} = require('./custom-wikis');
+const { discoverSearchUrl } = require('./search-discovery');
 
 app.whenReady().then(() => {
   setupSecurity();
   createWindow();
   setupShortcuts();
+  restoreClickThrough();
 
   const win = getMainWindow();
 
-  // Start gamepad polling (Windows only)
-  if (process.platform === 'win32') {
-    try {
-      startPolling();
-    } catch (err) {
-      console.log('Gamepad support not available:', err.message);
-    }
+  // Start gamepad polling (XInput on Windows, evdev on Linux)
+  // GAMEPAD_TIMELINE replays a scripted controller instead, for testing without hardware
+  try {
+    const timeline = process.env.GAMEPAD_TIMELINE;
+    startPolling(timeline ? new SimulatedGamepadInput(timeline) : undefined);
+  } catch (err) {
+    console.log('Gamepad support not available:', err.message);
   }
 
   // Switch to background mode when overlay loses focus
@@ -106,10 +150,118 @@ ipcMain.on('stop-resize', () => {
 
 // Handle opacity change
 ipcMain.on('set-opacity', (event, opacity) => {
-  const win = getMainWindow();
-  if (win) {
-    win.setOpacity(opacity);
-  }
+  setWindowOpacity(opacity);
+});
+
+// Opacity and click-through state from the last run
+ipcMain.handle('get-window-state', () => getWindowState());
+
+// Controller slot selection from the settings panel
+ipcMain.handle('get-controller-status', () => getControllerStatus());
+
+ipcMain.on('set-controller-slot', (event, slot) => {
+  setControllerSlot(slot);
+});
+
+// Stick deadzone and response curve settings
+ipcMain.handle('get-stick-settings', () => getStickSettings());
+
+ipcMain.handle('set-stick-settings', (event, stick, settings) => {
+  return setStickSettings(stick, settings);
+});
+
+ipcMain.handle('reset-stick-settings', () => resetStickSettings());
+
+// Gamepad bindings from the rebinding screen
+ipcMain.handle('get-gamepad-bindings', () => getBindings());
+
+ipcMain.handle('set-gamepad-binding', (event, context, action, binding) => {
+  return setBinding(context, action, binding);
+});
+
+ipcMain.handle('reset-gamepad-bindings', () => resetBindings());
+
+ipcMain.on('set-binding-capture', (event, active) => {
+  setBindingCapture(active);
+});
+
+// Renderer tells us which binding layer applies (e.g. on-screen keyboard open)
+ipcMain.on('set-input-context', (event, context) => {
+  setInputContext(context);
+});
+
+// Remembered zoom per wiki origin
+ipcMain.handle('get-zoom-levels', () => getZoomLevels());
+
+ipcMain.on('set-zoom-level', (event, origin, factor) => {
+  setZoomLevel(origin, factor);
+});
+
+// Bookmarked wiki pages
+ipcMain.handle('get-bookmarks', () => getBookmarks());
+
+ipcMain.handle('save-bookmark', (event, bookmark) => saveBookmark(bookmark));
+
+ipcMain.handle('remove-bookmark', (event, id) => removeBookmark(id));
+
+// Wikis added by the user
+ipcMain.handle('get-custom-wikis', () => getCustomWikis());
+
+ipcMain.handle('save-custom-wiki', (event, wiki) => saveCustomWiki(wiki));
+
+ipcMain.handle('remove-custom-wiki', (event, id) => removeCustomWiki(id));
+
+ipcMain.handle('move-custom-wiki', (event, id, index) => moveCustomWiki(id, index));
+
+ipcMain.handle('export-custom-wikis', () => exportCustomWikis(getMainWindow()));
+
+ipcMain.handle('import-custom-wikis', () => importCustomWikis(getMainWindow()));
+
+// Search URL of a wiki that isn't listed, found from its site
+ipcMain.handle('discover-search-url', (event, url) => discoverSearchUrl(url));
+
+// Browsing history of the wiki webviews
+ipcMain.on('record-history-visit', (event, page) => {
+  recordVisit(page);
+});
+
+ipcMain.on('set-history-title', (event, url, title) => {
+  setPageTitle(url, title);
+});
+
+ipcMain.handle('get-recent-history', (event, limit) => getRecentHistory(limit));
+
+ipcMain.handle('search-history', (event, query, limit) => searchHistory(query, limit));
+
+ipcMain.on('record-search', (event, query) => {
+  recordSearch(query);
+});
+
+ipcMain.handle('get-past-searches', (event, prefix, limit) => getPastSearches(prefix, limit));
+
+ipcMain.handle('clear-history', () => clearHistory());
+
+// Tabs open when the overlay was last used
+ipcMain.handle('get-session', () => getSession());
+
+ipcMain.on('save-session', (event, session) => {
+  saveSession(session);
+});
+
+ipcMain.on('set-start-on-landing-page', (event, enabled) => {
+  setStartOnLandingPage(enabled);
+});
+
+// Split-view layout, saved with the window bounds
+ipcMain.handle('get-split-layout', () => getSplitLayout());
+
+ipcMain.on('set-split-layout', (event, layout) => {
+  setSplitLayout(layout);
+});
+
+// Text copied from a wiki page with the gamepad
+ipcMain.on('copy-text', (event, text) => {
+  clipboard.writeText(String(text));
 });
 
 app.on('window-all-closed', () => {
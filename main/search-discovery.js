@@ -0,0 +1,240 @@
+/**
+ * Finds the search URL of a wiki from its address. Tries, in order:
+ * 1. The OpenSearch description linked from the main page
+ * 2. MediaWiki's api.php siteinfo (server and script path)
+ * 3. Known wiki farms with a fixed search path
+ *
+ * Search URLs use the WIKIS format: the search text is appended, or
+ * replaces {query}. The parsers take page text, so they can be checked
+ * against saved HTML/JSON; discoverSearchUrl takes the fetcher for the same reason.
+ */
+
+// Give up on a page after this long (ms)
+const FETCH_TIMEOUT_MS = 5000;
+
+// Don't read more than this much of a page
+const MAX_PAGE_LENGTH = 2 * 1024 * 1024;
+
+// Hosted wiki farms whose wikis all search the same way
+const WIKI_FARMS = [
+  { host: /(^|\.)wiki\.gg$/, path: '/index.php?search=' },
+  { host: /(^|\.)fandom\.com$/, path: '/wiki/Special:Search?query=' },
+  { host: /(^|\.)fextralife\.com$/, path: '/search?q=' },
+  { host: /(^|\.)miraheze\.org$/, path: '/w/index.php?search=' },
+];
+
+// Where MediaWiki's api.php usually lives when the page doesn't say
+const API_PATHS = ['/api.php', '/w/api.php'];
+
+/**
+ * Find a wiki's search URL
+ * @param {string} baseUrl - The wiki's address
+ * @param {(url: string) => Promise<string>} [fetchText] - Loads a page's text
+ * @returns {Promise<string|null>} The search URL, or null if none was found
+ */
+async function discoverSearchUrl(baseUrl, fetchText = fetchPage) {
+  let base;
+  try {
+    base = new URL(baseUrl);
+  } catch {
+    return null;
+  }
+  if (base.protocol !== 'http:' && base.protocol !== 'https:') return null;
+
+  const html = await fetchText(base.href).catch(() => '');
+
+  // 1. OpenSearch description
+  const descriptionUrl = findOpenSearchLink(html, base.href);
+  if (descriptionUrl) {
+    const xml = await fetchText(descriptionUrl).catch(() => '');
+    const template = parseOpenSearchDescription(xml);
+    if (template) return template;
+  }
+
+  // 2. MediaWiki siteinfo
+  const linkedApi = findApiUrl(html, base.href);
+  const apiUrls = linkedApi ? [linkedApi] : API_PATHS.map(path => base.origin + path);
+  for (const apiUrl of apiUrls) {
+    const json = await fetchText(apiUrl + '?action=query&meta=siteinfo&format=json').catch(() => '');
+    const searchUrl = searchUrlFromSiteinfo(json, apiUrl);
+    if (searchUrl) return searchUrl;
+  }
+
+  // 3. Wiki farms
+  return searchUrlFromFarm(base.href);
+}
+
+/**
+ * Find the OpenSearch description linked from a page
+ * (<link rel="search" type="application/opensearchdescription+xml" href="…">)
+ * @param {string} html
+ * @param {string} pageUrl - For resolving a relative href
+ * @returns {string|null} Absolute URL of the description
+ */
+function findOpenSearchLink(html, pageUrl) {
+  const link = findLinkTags(html).find(attrs =>
+    /(^|\s)search(\s|$)/i.test(attrs.rel || '') &&
+    (attrs.type || '').toLowerCase() === 'application/opensearchdescription+xml' &&
+    attrs.href);
+
+  return link ? resolveUrl(link.href, pageUrl) : null;
+}
+
+/**
+ * Read the HTML search template from an OpenSearch description
+ * @param {string} xml
+ * @returns {string|null} Search URL with {query} for the search text
+ */
+function parseOpenSearchDescription(xml) {
+  const urlTags = String(xml).match(/<Url\b[^>]*>/gi) || [];
+
+  for (const tag of urlTags) {
+    const attrs = parseAttributes(tag);
+    if ((attrs.type || '').toLowerCase() !== 'text/html' || !attrs.template) continue;
+
+    const template = dropOptionalParams(attrs.template).replace('{searchTerms}', '{query}');
+
+    if (/^https?:\/\//.test(template) && template.includes('{query}') && !/\{(?!query\})/.test(template)) {
+      return template;
+    }
+  }
+  return null;
+}
+
+/**
+ * Find MediaWiki's api.php from the page's EditURI (RSD) link
+ * @param {string} html
+ * @param {string} pageUrl - For resolving a relative href
+ * @returns {string|null} Absolute api.php URL without a query
+ */
+function findApiUrl(html, pageUrl) {
+  const link = findLinkTags(html).find(attrs =>
+    (attrs.rel || '').toLowerCase() === 'edituri' && /api\.php/.test(attrs.href || ''));
+  if (!link) return null;
+
+  const url = resolveUrl(link.href, pageUrl);
+  return url ? url.split('?')[0] : null;
+}
+
+/**
+ * Build the search URL from a MediaWiki siteinfo response
+ * (query.general.server and query.general.script, e.g. "/w/index.php")
+ * @param {string} json - Response of api.php?action=query&meta=siteinfo&format=json
+ * @param {string} apiUrl - For resolving a protocol-relative server
+ * @returns {string|null}
+ */
+function searchUrlFromSiteinfo(json, apiUrl) {
+  let general;
+  try {
+    general = JSON.parse(json).query.general;
+  } catch {
+    return null;
+  }
+  if (!general || typeof general.script !== 'string' || !general.script.startsWith('/')) return null;
+
+  const server = typeof general.server === 'string' && general.server
+    ? resolveUrl(general.server, apiUrl)
+    : new URL(apiUrl).origin;
+  if (!server) return null;
+
+  return server.replace(/\/+$/, '') + general.script + '?search=';
+}
+
+/**
+ * Search URL of a wiki on a known wiki farm
+ * @param {string} baseUrl
+ * @returns {string|null}
+ */
+function searchUrlFromFarm(baseUrl) {
+  let url;
+  try {
+    url = new URL(baseUrl);
+  } catch {
+    return null;
+  }
+
+  const farm = WIKI_FARMS.find(entry => entry.host.test(url.hostname));
+  return farm ? url.origin + farm.path : null;
+}
+
+/**
+ * Leave out the optional query parameters ({startPage?}) of a template
+ * @private
+ */
+function dropOptionalParams(template) {
+  const queryStart = template.indexOf('?');
+  if (queryStart === -1) return template;
+
+  const params = template.slice(queryStart + 1).split('&')
+    .filter(param => !/=\{[^}]+\?\}$/.test(param));
+  return template.slice(0, queryStart) + (params.length > 0 ? '?' + params.join('&') : '');
+}
+
+/**
+ * Attributes of every <link> tag in a page
+ * @private
+ */
+function findLinkTags(html) {
+  return (String(html).match(/<link\b[^>]*>/gi) || []).map(parseAttributes);
+}
+
+/**
+ * Attributes of one tag, names lowercased and entities in values decoded
+ * @private
+ */
+function parseAttributes(tag) {
+  const attrs = {};
+  const pattern = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g;
+  let match;
+  while ((match = pattern.exec(tag)) !== null) {
+    const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4];
+    attrs[match[1].toLowerCase()] = decodeEntities(value);
+  }
+  return attrs;
+}
+
+/**
+ * @private
+ */
+function decodeEntities(value) {
+  return value
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, '\'')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Absolute http(s) URL, or null
+ * @private
+ */
+function resolveUrl(href, base) {
+  try {
+    const url = new URL(href, base);
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Load a page's text, following redirects
+ * @private
+ */
+async function fetchPage(url) {
+  const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+  const text = await response.text();
+  return text.slice(0, MAX_PAGE_LENGTH);
+}
+
+module.exports = {
+  discoverSearchUrl,
+  findOpenSearchLink,
+  parseOpenSearchDescription,
+  findApiUrl,
+  searchUrlFromSiteinfo,
+  searchUrlFromFarm,
+};
@@ -0,0 +1,117 @@
+const { SettingsStore } = require('./settings-store');
+
+/**
+ * The tabs open when the overlay was last used, e.g.
+ * { "startOnLandingPage": false, "activeTab": 0, "tabs": [{
+ *   "url": "https://terraria.wiki.gg/wiki/Zenith", "scrollY": 1200,
+ *   "wiki": { "baseUrl": "https://terraria.wiki.gg", "searchUrl": "https://terraria.wiki.gg/..." },
+ *   "history": ["https://terraria.wiki.gg", "https://terraria.wiki.gg/wiki/Zenith"], "historyIndex": 1 }] }
+ * A tab showing the landing page has an empty url.
+ */
+const sessionStore = new SettingsStore('session.json', {
+  startOnLandingPage: false,
+  activeTab: 0,
+  tabs: [],
+});
+
+// Most tabs and back/forward entries per tab kept
+const SESSION_LIMITS = {
+  MAX_TABS: 20,
+  MAX_HISTORY: 50,
+};
+
+/**
+ * Get the last session, with anything malformed in the file dropped
+ * @returns {{startOnLandingPage: boolean, activeTab: number, tabs: Object[]}}
+ */
+function getSession() {
+  const tabs = cleanTabs(sessionStore.get('tabs'));
+  const activeTab = sessionStore.get('activeTab');
+
+  return {
+    startOnLandingPage: sessionStore.get('startOnLandingPage') === true,
+    activeTab: Number.isInteger(activeTab) && activeTab >= 0 && activeTab < tabs.length ? activeTab : 0,
+    tabs,
+  };
+}
+
+/**
+ * Remember the open tabs
+ * @param {Object} session
+ * @param {Object[]} session.tabs
+ * @param {number} session.activeTab - Index into tabs
+ */
+function saveSession(session) {
+  if (!session) return;
+
+  const tabs = cleanTabs(session.tabs);
+  const activeTab = Number.isInteger(session.activeTab) ? session.activeTab : 0;
+
+  sessionStore.set('tabs', tabs);
+  sessionStore.set('activeTab', Math.max(0, Math.min(tabs.length - 1, activeTab)));
+}
+
+/**
+ * Choose between restoring the last session and starting on the landing page
+ * @param {boolean} enabled - Always start on the landing page
+ */
+function setStartOnLandingPage(enabled) {
+  sessionStore.set('startOnLandingPage', enabled === true);
+}
+
+/**
+ * Keep the well-formed tabs, within the limits
+ * @private
+ */
+function cleanTabs(tabs) {
+  if (!Array.isArray(tabs)) return [];
+
+  return tabs.map(cleanTab).filter(Boolean).slice(0, SESSION_LIMITS.MAX_TABS);
+}
+
+/**
+ * Validate one tab (null when it can't be restored)
+ * @private
+ */
+function cleanTab(tab) {
+  if (!tab || typeof tab !== 'object') return null;
+
+  // Landing page tab
+  if (tab.url === '') return { url: '', scrollY: 0, wiki: null, history: [], historyIndex: -1 };
+
+  if (!isPageUrl(tab.url) || !tab.wiki || !isPageUrl(tab.wiki.baseUrl)) return null;
+
+  let history = Array.isArray(tab.history) ? tab.history.filter(isPageUrl) : [];
+  let historyIndex = history.lastIndexOf(tab.url);
+  if (Number.isInteger(tab.historyIndex) && history[tab.historyIndex] === tab.url) {
+    historyIndex = tab.historyIndex;
+  }
+  if (historyIndex === -1) {
+    history = [tab.url];
+    historyIndex = 0;
+  }
+
+  // Keep the entries nearest the current page
+  const start = Math.max(0, Math.min(historyIndex - SESSION_LIMITS.MAX_HISTORY + 1,
+    history.length - SESSION_LIMITS.MAX_HISTORY));
+
+  return {
+    url: tab.url,
+    scrollY: Number.isFinite(tab.scrollY) ? Math.max(0, tab.scrollY) : 0,
+    wiki: {
+      baseUrl: tab.wiki.baseUrl,
+      searchUrl: isPageUrl(tab.wiki.searchUrl) ? tab.wiki.searchUrl : '',
+    },
+    history: history.slice(start, start + SESSION_LIMITS.MAX_HISTORY),
+    historyIndex: historyIndex - start,
+  };
+}
+
+/**
+ * @private
+ */
+function isPageUrl(value) {
+  return typeof value === 'string' && /^https?:\/\//.test(value);
+}
+
+module.exports = { getSession, saveSession, setStartOnLandingPage };
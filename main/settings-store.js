@@ -0,0 +1,87 @@
+const { app } = require('electron');
+const path = require('path');
+const fs = require('fs');
+
+/**
+ * JSON file in userData holding a flat object of settings.
+ * Missing keys and unreadable files fall back to the given defaults.
+ */
+class SettingsStore {
+  /**
+   * @param {string} fileName - File name inside userData
+   * @param {Object} defaults - Default values for every known key
+   */
+  constructor(fileName, defaults) {
+    this.filePath = path.join(app.getPath('userData'), fileName);
+    this.defaults = defaults;
+    this.data = null;
+  }
+
+  /**
+   * Read the file (once) and merge it over the defaults
+   * @returns {Object}
+   */
+  load() {
+    if (this.data) return this.data;
+
+    let stored = {};
+    try {
+      if (fs.existsSync(this.filePath)) {
+        stored = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+      }
+    } catch (e) {
+      console.log(`Ignoring unreadable ${path.basename(this.filePath)}:`, e.message);
+    }
+
+    this.data = { ...this.defaults, ...stored };
+    return this.data;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {*}
+   */
+  get(key) {
+    return this.load()[key];
+  }
+
+  /**
+   * Update a value and persist the file
+   * @param {string} key
+   * @param {*} value
+   */
+  set(key, value) {
+    this.load()[key] = value;
+    this.save();
+  }
+
+  /**
+   * Drop a key (back to its default, if any) and persist the file
+   * @param {string} key
+   */
+  remove(key) {
+    delete this.load()[key];
+    this.save();
+  }
+
+  /**
+   * Restore the defaults and persist them
+   */
+  reset() {
+    this.data = { ...this.defaults };
+    this.save();
+  }
+
+  /**
+   * Write the current values to disk
+   */
+  save() {
+    try {
+      fs.writeFileSync(this.filePath, JSON.stringify(this.load(), null, 2));
+    } catch {
+      // Ignore save errors
+    }
+  }
+}
+
+module.exports = { SettingsStore };
@@ -1,8 +1,35 @@
 const { globalShortcut } = require('electron');
-const { getMainWindow } = require('./window');
+const { getMainWindow, getWindowState, setClickThroughState } = require('./window');
 
 let isClickThrough = false;
 
+/**
+ * Toggle click-through mode (mouse events pass to the game underneath)
+ */
+function toggleClickThrough() {
+  const win = getMainWindow();
+  if (!win) return;
+
+  isClickThrough = !isClickThrough;
+  win.setIgnoreMouseEvents(isClickThrough, { forward: true });
+  setClickThroughState(isClickThrough);
+
+  // Send message to renderer to show click-through state
+  win.webContents.send('click-through-changed', isClickThrough);
+}
+
+/**
+ * Turn click-through back on if it was on when the overlay closed
+ * (the renderer asks for the state once it has loaded)
+ */
+function restoreClickThrough() {
+  const win = getMainWindow();
+  if (!win || !getWindowState().clickThrough) return;
+
+  isClickThrough = true;
+  win.setIgnoreMouseEvents(true, { forward: true });
+}
+
 function setupShortcuts() {
   // Toggle overlay visibility
   globalShortcut.register('Control+Shift+W', () => {
@@ -17,17 +44,8 @@ function setupShortcuts() {
   });
 
   // Toggle click-through mode
-  globalShortcut.register('Control+Shift+C', () => {
-    const win = getMainWindow();
-    if (!win) return;
-
-    isClickThrough = !isClickThrough;
-    win.setIgnoreMouseEvents(isClickThrough, { forward: true });
-
-    // Send message to renderer to show click-through state
-    win.webContents.send('click-through-changed', isClickThrough);
-  });
+  globalShortcut.register('Control+Shift+C', toggleClickThrough);
 }
 
-module.exports = { setupShortcuts };
+module.exports = { setupShortcuts, toggleClickThrough, restoreClickThrough };
 
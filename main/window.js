@@ -1,13 +1,19 @@
 const { BrowserWindow, app, webContents } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const { getZoomShortcut } = require('./zoom-levels');
 
 let mainWindow;
 
-// Config file path for persisting window bounds
+// Config file path for persisting window bounds and state (opacity,
+// click-through) and the split-view layout
 const configPath = path.join(app.getPath('userData'), 'window-config.json');
 
-function loadWindowBounds() {
+const DEFAULT_SPLIT_LAYOUT = { enabled: false, orientation: 'horizontal', ratio: 0.5 };
+
+let windowConfig = null;
+
+function loadWindowConfig() {
   try {
     if (fs.existsSync(configPath)) {
       const data = fs.readFileSync(configPath, 'utf8');
@@ -19,21 +25,106 @@ function loadWindowBounds() {
   return { width: 900, height: 600 };
 }
 
-function saveWindowBounds() {
-  if (!mainWindow) return;
+function saveWindowConfig() {
   try {
-    const bounds = mainWindow.getBounds();
-    fs.writeFileSync(configPath, JSON.stringify(bounds));
+    fs.writeFileSync(configPath, JSON.stringify(windowConfig));
   } catch (e) {
     // Ignore save errors
   }
 }
 
+function saveWindowBounds() {
+  if (!mainWindow) return;
+  windowConfig = { ...windowConfig, ...mainWindow.getBounds() };
+  saveWindowConfig();
+}
+
+/**
+ * Get the saved opacity and click-through state
+ * @returns {{opacity: number, clickThrough: boolean}}
+ */
+function getWindowState() {
+  const opacity = windowConfig && windowConfig.opacity;
+  return {
+    opacity: Number.isFinite(opacity) ? Math.max(0.2, Math.min(1, opacity)) : 1,
+    clickThrough: Boolean(windowConfig && windowConfig.clickThrough === true),
+  };
+}
+
+/**
+ * Change the window opacity and save it
+ * @param {number} opacity - 0.2 to 1
+ */
+function setWindowOpacity(opacity) {
+  if (!Number.isFinite(opacity)) return;
+
+  windowConfig = { ...windowConfig, opacity };
+  if (mainWindow) {
+    mainWindow.setOpacity(getWindowState().opacity);
+  }
+  saveWindowConfig();
+}
+
+/**
+ * Remember whether click-through mode is on
+ * @param {boolean} enabled
+ */
+function setClickThroughState(enabled) {
+  windowConfig = { ...windowConfig, clickThrough: enabled };
+  saveWindowConfig();
+}
+
+/**
+ * Get the saved split-view layout
+ * @returns {{enabled: boolean, orientation: string, ratio: number}}
+ */
+function getSplitLayout() {
+  const saved = windowConfig && windowConfig.splitView;
+  return { ...DEFAULT_SPLIT_LAYOUT, ...saved };
+}
+
+/**
+ * Save the split-view layout alongside the window bounds
+ * @param {{enabled: boolean, orientation: string, ratio: number}} layout
+ */
+function setSplitLayout(layout) {
+  if (!layout || typeof layout !== 'object') return;
+
+  const current = getSplitLayout();
+  windowConfig = {
+    ...windowConfig,
+    splitView: {
+      enabled: typeof layout.enabled === 'boolean' ? layout.enabled : current.enabled,
+      orientation: layout.orientation === 'vertical' ? 'vertical' : 'horizontal',
+      ratio: Number.isFinite(layout.ratio) ? Math.max(0.2, Math.min(0.8, layout.ratio)) : current.ratio,
+    },
+  };
+  saveWindowConfig();
+}
+
+/**
+ * Send Ctrl +/-/0 to the renderer, whether the overlay or the wiki page has focus
+ * @param {Electron.WebContents} contents
+ */
+function forwardZoomShortcuts(contents) {
+  contents.on('before-input-event', (event, input) => {
+    const shortcut = getZoomShortcut(input);
+    if (shortcut) {
+      event.preventDefault();
+      mainWindow.webContents.send('zoom-shortcut', shortcut);
+    }
+  });
+}
+
 function createWindow() {
-  const bounds = loadWindowBounds();
+  windowConfig = loadWindowConfig();
+  const { x, y, width, height } = windowConfig;
 
   mainWindow = new BrowserWindow({
-    ...bounds,
+    x,
+    y,
+    width,
+    height,
     transparent: true,
     frame: false,
     resizable: true,
@@ -50,13 +141,32 @@ function createWindow() {
   // Use 'screen-saver' level to appear above fullscreen games
   mainWindow.setAlwaysOnTop(true, 'screen-saver');
 
+  mainWindow.setOpacity(getWindowState().opacity);
+
   mainWindow.loadFile('renderer/index.html');
 
+  forwardZoomShortcuts(mainWindow.webContents);
+
+  // Track clickable elements from inside every wiki page
+  mainWindow.webContents.on('will-attach-webview', (event, webPreferences) => {
+    webPreferences.preload = path.join(__dirname, '../webview-preload.js');
+  });
+
   // Handle webview webContents - increase max listeners to prevent warnings
   // Webviews add internal listeners during navigation which can trigger warnings
   mainWindow.webContents.on('did-attach-webview', (event, webviewContents) => {
     webviewContents.setMaxListeners(0);
 
+    forwardZoomShortcuts(webviewContents);
+
+    // Links that want a new window (target="_blank", middle-click) open as overlay tabs
+    webviewContents.setWindowOpenHandler(({ url, disposition }) => {
+      if (url.startsWith('http://') || url.startsWith('https://')) {
+        mainWindow.webContents.send('open-tab', { url, background: disposition === 'background-tab' });
+      }
+      return { action: 'deny' };
+    });
+
     // Suppress ERR_ABORTED errors that occur during rapid navigation
     // These are normal when user navigates before previous page finishes loading
     webviewContents.on('did-fail-load', (event, errorCode, errorDescription, validatedURL) => {
@@ -83,4 +193,12 @@ function getMainWindow() {
   return mainWindow;
 }
 
-module.exports = { createWindow, getMainWindow };
\ No newline at end of file
+module.exports = {
+  createWindow,
+  getMainWindow,
+  getWindowState,
+  setWindowOpacity,
+  setClickThroughState,
+  getSplitLayout,
+  setSplitLayout,
+};
\ No newline at end of file
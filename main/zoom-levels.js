@@ -0,0 +1,79 @@
+const { SettingsStore } = require('./settings-store');
+const { CURSOR_CONFIG } = require('./gamepad-module/gamepad-config');
+
+/**
+ * Remembered webview zoom per wiki origin, e.g.
+ * { "https://eldenring.wiki.fextralife.com": 1.3 }.
+ * Origins at 100% are not stored.
+ */
+const zoomStore = new SettingsStore('zoom-levels.json', {});
+
+// Ctrl/Cmd + key -> zoom change (numpad keys report the same key)
+const ZOOM_SHORTCUTS = {
+  '=': 'in',
+  '+': 'in',
+  '-': 'out',
+  '0': 'reset',
+};
+
+/**
+ * The well-formed levels of the file: origins with a factor in
+ * CURSOR_CONFIG.ZOOM_MIN..ZOOM_MAX
+ * @returns {Object.<string, number>} Zoom factor by origin
+ */
+function getZoomLevels() {
+  const levels = {};
+  for (const [origin, factor] of Object.entries(zoomStore.load())) {
+    if (isOrigin(origin) && isZoomFactor(factor)) {
+      levels[origin] = factor;
+    }
+  }
+  return levels;
+}
+
+/**
+ * Remember the zoom factor for an origin
+ * @param {string} origin - e.g. "https://terraria.wiki.gg"
+ * @param {number} factor - 1 forgets the origin
+ */
+function setZoomLevel(origin, factor) {
+  if (!isOrigin(origin) || !isZoomFactor(factor)) return;
+
+  if (factor === 1) {
+    zoomStore.remove(origin);
+  } else {
+    zoomStore.set(origin, factor);
+  }
+}
+
+/**
+ * Match a keyboard zoom shortcut
+ * @param {Electron.Input} input - From a webContents 'before-input-event'
+ * @returns {'in'|'out'|'reset'|null}
+ */
+function getZoomShortcut(input) {
+  if (input.type !== 'keyDown' || !(input.control || input.meta) || input.alt) {
+    return null;
+  }
+  return ZOOM_SHORTCUTS[input.key] || null;
+}
+
+/**
+ * @private
+ */
+function isOrigin(value) {
+  try {
+    return typeof value === 'string' && new URL(value).origin === value;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * @private
+ */
+function isZoomFactor(value) {
+  return Number.isFinite(value) && value >= CURSOR_CONFIG.ZOOM_MIN && value <= CURSOR_CONFIG.ZOOM_MAX;
+}
+
+module.exports = { getZoomLevels, setZoomLevel, getZoomShortcut };
@@ -5,6 +5,10 @@ let clickThroughListener = null;
 let gamepadListener = null;
 let analogListener = null;
 let scrollListener = null;
+let connectionListener = null;
+let bindingCaptureListener = null;
+let zoomShortcutListener = null;
+let openTabListener = null;
 
 contextBridge.exposeInMainWorld('electronAPI', {
   onClickThroughChanged: (callback) => {
@@ -36,6 +40,91 @@ contextBridge.exposeInMainWorld('electronAPI', {
     scrollListener = (event, data) => callback(data);
     ipcRenderer.on('gamepad-scroll', scrollListener);
   },
+  onGamepadConnection: (callback) => {
+    if (connectionListener) {
+      ipcRenderer.removeListener('gamepad-connection', connectionListener);
+    }
+    connectionListener = (event, data) => callback(data);
+    ipcRenderer.on('gamepad-connection', connectionListener);
+  },
+  getControllerStatus: () => ipcRenderer.invoke('get-controller-status'),
+  setControllerSlot: (slot) => {
+    ipcRenderer.send('set-controller-slot', slot);
+  },
+  getStickSettings: () => ipcRenderer.invoke('get-stick-settings'),
+  setStickSettings: (stick, settings) => ipcRenderer.invoke('set-stick-settings', stick, settings),
+  resetStickSettings: () => ipcRenderer.invoke('reset-stick-settings'),
+  onBindingCaptured: (callback) => {
+    if (bindingCaptureListener) {
+      ipcRenderer.removeListener('gamepad-binding-captured', bindingCaptureListener);
+    }
+    bindingCaptureListener = (event, binding) => callback(binding);
+    ipcRenderer.on('gamepad-binding-captured', bindingCaptureListener);
+  },
+  getGamepadBindings: () => ipcRenderer.invoke('get-gamepad-bindings'),
+  setGamepadBinding: (context, action, binding) => ipcRenderer.invoke('set-gamepad-binding', context, action, binding),
+  resetGamepadBindings: () => ipcRenderer.invoke('reset-gamepad-bindings'),
+  setBindingCapture: (active) => {
+    ipcRenderer.send('set-binding-capture', active);
+  },
+  setInputContext: (context) => {
+    ipcRenderer.send('set-input-context', context);
+  },
+  getZoomLevels: () => ipcRenderer.invoke('get-zoom-levels'),
+  setZoomLevel: (origin, factor) => {
+    ipcRenderer.send('set-zoom-level', origin, factor);
+  },
+  onZoomShortcut: (callback) => {
+    if (zoomShortcutListener) {
+      ipcRenderer.removeListener('zoom-shortcut', zoomShortcutListener);
+    }
+    zoomShortcutListener = (event, shortcut) => callback(shortcut);
+    ipcRenderer.on('zoom-shortcut', zoomShortcutListener);
+  },
+  onOpenTab: (callback) => {
+    if (openTabListener) {
+      ipcRenderer.removeListener('open-tab', openTabListener);
+    }
+    openTabListener = (event, data) => callback(data);
+    ipcRenderer.on('open-tab', openTabListener);
+  },
+  getBookmarks: () => ipcRenderer.invoke('get-bookmarks'),
+  saveBookmark: (bookmark) => ipcRenderer.invoke('save-bookmark', bookmark),
+  removeBookmark: (id) => ipcRenderer.invoke('remove-bookmark', id),
+  getCustomWikis: () => ipcRenderer.invoke('get-custom-wikis'),
+  saveCustomWiki: (wiki) => ipcRenderer.invoke('save-custom-wiki', wiki),
+  removeCustomWiki: (id) => ipcRenderer.invoke('remove-custom-wiki', id),
+  moveCustomWiki: (id, index) => ipcRenderer.invoke('move-custom-wiki', id, index),
+  exportCustomWikis: () => ipcRenderer.invoke('export-custom-wikis'),
+  importCustomWikis: () => ipcRenderer.invoke('import-custom-wikis'),
+  discoverSearchUrl: (url) => ipcRenderer.invoke('discover-search-url', url),
+  recordHistoryVisit: (page) => {
+    ipcRenderer.send('record-history-visit', page);
+  },
+  setHistoryTitle: (url, title) => {
+    ipcRenderer.send('set-history-title', url, title);
+  },
+  getRecentHistory: (limit) => ipcRenderer.invoke('get-recent-history', limit),
+  searchHistory: (query, limit) => ipcRenderer.invoke('search-history', query, limit),
+  recordSearch: (query) => {
+    ipcRenderer.send('record-search', query);
+  },
+  getPastSearches: (prefix, limit) => ipcRenderer.invoke('get-past-searches', prefix, limit),
+  clearHistory: () => ipcRenderer.invoke('clear-history'),
+  getSession: () => ipcRenderer.invoke('get-session'),
+  saveSession: (session) => {
+    ipcRenderer.send('save-session', session);
+  },
+  setStartOnLandingPage: (enabled) => {
+    ipcRenderer.send('set-start-on-landing-page', enabled);
+  },
+  getSplitLayout: () => ipcRenderer.invoke('get-split-layout'),
+  setSplitLayout: (layout) => {
+    ipcRenderer.send('set-split-layout', layout);
+  },
+  copyText: (text) => {
+    ipcRenderer.send('copy-text', text);
+  },
   closeWindow: () => {
     ipcRenderer.send('close-window');
   },
@@ -48,4 +137,5 @@ contextBridge.exposeInMainWorld('electronAPI', {
   setOpacity: (opacity) => {
     ipcRenderer.send('set-opacity', opacity);
   },
+  getWindowState: () => ipcRenderer.invoke('get-window-state'),
 });
\ No newline at end of file
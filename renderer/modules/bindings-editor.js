@@ -0,0 +1,297 @@
+/**
+ * Bindings Editor Module
+ *
+ * Renders the gamepad binding table in the settings panel and lets the
+ * user rebind an action by pressing the desired button or chord.
+ *
+ * Single Responsibility: Binding display and rebinding flow
+ */
+
+(function(global) {
+  'use strict';
+
+  const CONTEXT_LABELS = {
+    global: 'Anywhere',
+    navigation: 'Browsing',
+    shift: 'Browsing, LT held',
+    osk: 'On-screen keyboard',
+  };
+
+  const ACTION_LABELS = {
+    'toggle-visibility': 'Show / hide overlay',
+    'close-app': 'Quit',
+    'click': 'Click',
+    'back': 'Back',
+    'home': 'Wiki selection',
+    'search': 'Open keyboard',
+    'page-up': 'Page up',
+    'page-down': 'Page down',
+    'start': 'Submit search',
+    'center-cursor': 'Center cursor',
+    'scroll-top': 'Scroll to top',
+    'context-menu': 'Context menu',
+    'toggle-bookmark': 'Bookmark page',
+    'forward': 'Forward',
+    'reload': 'Reload page',
+    'zoom-in': 'Zoom in',
+    'zoom-out': 'Zoom out',
+    'zoom-reset': 'Reset zoom',
+    'toggle-click-through': 'Toggle click-through',
+    'prev-wiki': 'Previous wiki',
+    'next-wiki': 'Next wiki',
+    'toggle-focus-mode': 'Toggle focus mode',
+    'toggle-selection': 'Select text',
+    'prev-tab': 'Previous tab',
+    'next-tab': 'Next tab',
+    'close-tab': 'Close tab',
+    'open-in-tab': 'Open link in new tab',
+    'toggle-split': 'Split view',
+    'flip-split': 'Flip split orientation',
+    'switch-pane': 'Switch pane',
+    'bookmarks': 'Bookmarks',
+    'history': 'History',
+    'osk-type': 'Type key',
+    'osk-close': 'Close keyboard',
+    'osk-backspace': 'Backspace',
+    'osk-space': 'Space',
+    'osk-prev-layout': 'Previous layout',
+    'osk-next-layout': 'Next layout',
+    'osk-submit': 'Submit',
+    'osk-next-suggestion': 'Next suggestion',
+    'osk-choose-suggestion': 'Use suggestion',
+  };
+
+  const BUTTON_LABELS = {
+    DPAD_UP: 'D-Up',
+    DPAD_DOWN: 'D-Down',
+    DPAD_LEFT: 'D-Left',
+    DPAD_RIGHT: 'D-Right',
+    START: 'Start',
+    BACK: 'Back',
+    LEFT_THUMB: 'LS',
+    RIGHT_THUMB: 'RS',
+    LEFT_SHOULDER: 'LB',
+    RIGHT_SHOULDER: 'RB',
+    A: 'A',
+    B: 'B',
+    X: 'X',
+    Y: 'Y',
+    LEFT_TRIGGER: 'LT',
+    RIGHT_TRIGGER: 'RT',
+  };
+
+  const GESTURE_LABELS = {
+    hold: 'Hold',
+    double: 'Double-tap',
+  };
+
+  /**
+   * BindingsEditor class - manages the rebinding screen
+   */
+  class BindingsEditor {
+    /**
+     * @param {Object} elements - DOM element references
+     * @param {HTMLElement} elements.list - Container for binding rows
+     * @param {HTMLElement} elements.message - Feedback line (errors, capture prompt)
+     * @param {HTMLElement} elements.resetBtn - Restore defaults button
+     * @param {Object} api - Binding persistence (window.electronAPI)
+     * @param {Object} callbacks - Callback functions
+     * @param {Function} callbacks.onBindingsChange - Called with the new table after any change
+     */
+    constructor(elements, api, callbacks = {}) {
+      this.list = elements.list;
+      this.message = elements.message;
+      this.resetBtn = elements.resetBtn;
+      this.api = api;
+      this.callbacks = callbacks;
+
+      // State
+      this.bindings = {};
+      this.capturing = null; // { context, action, btn } while waiting for a button
+
+      this._bindEvents();
+    }
+
+    /**
+     * Format a binding for display
+     * @param {string|string[]|null} binding
+     * @returns {string} e.g. "Back + Start", "Hold B" or "Unbound"
+     */
+    static formatBinding(binding) {
+      if (binding === null || binding === undefined) return 'Unbound';
+
+      const specs = Array.isArray(binding) ? binding : [binding];
+      return specs
+        .map(spec => {
+          const [buttons, gesture] = spec.split('@');
+          const label = buttons.split('+').map(name => BUTTON_LABELS[name] || name).join(' + ');
+          return gesture ? `${GESTURE_LABELS[gesture] || gesture} ${label}` : label;
+        })
+        .join(' / ');
+    }
+
+    /**
+     * Load the current table from the main process
+     * @returns {Promise<Object>} The binding table
+     */
+    load() {
+      return this.api.getGamepadBindings().then(bindings => {
+        this._apply(bindings);
+        return bindings;
+      });
+    }
+
+    /**
+     * Get the last loaded binding table
+     * @returns {Object}
+     */
+    getBindings() {
+      return this.bindings;
+    }
+
+    /**
+     * Stop waiting for a button press
+     */
+    cancelCapture() {
+      if (!this.capturing) return;
+
+      this.api.setBindingCapture(false);
+      this.capturing.btn.classList.remove('capturing');
+      this.capturing = null;
+      this._render();
+      this._setMessage('');
+    }
+
+    /**
+     * Bind event listeners
+     * @private
+     */
+    _bindEvents() {
+      this.resetBtn.addEventListener('click', () => {
+        this.cancelCapture();
+        this.api.resetGamepadBindings().then(bindings => {
+          this._apply(bindings);
+          this._setMessage('Default bindings restored');
+        });
+      });
+
+      this.api.onBindingCaptured(binding => this._handleCaptured(binding));
+    }
+
+    /**
+     * Save a captured button press for the action being rebound
+     * @private
+     */
+    _handleCaptured(binding) {
+      if (!this.capturing) return;
+
+      const { context, action } = this.capturing;
+      this.capturing = null;
+      this._save(context, action, binding);
+    }
+
+    /**
+     * Persist a binding and re-render
+     * @private
+     */
+    _save(context, action, binding) {
+      this.api.setGamepadBinding(context, action, binding).then(result => {
+        this._apply(result.bindings);
+        this._setMessage(result.ok ? '' : result.error, !result.ok);
+      });
+    }
+
+    /**
+     * Store a new table and notify listeners
+     * @private
+     */
+    _apply(bindings) {
+      this.bindings = bindings;
+      this._render();
+
+      if (this.callbacks.onBindingsChange) {
+        this.callbacks.onBindingsChange(bindings);
+      }
+    }
+
+    /**
+     * Start waiting for a button press for one action
+     * @private
+     */
+    _startCapture(context, action, btn) {
+      const sameRow = this.capturing && this.capturing.btn === btn;
+      this.cancelCapture();
+      if (sameRow) return;
+
+      this.capturing = { context, action, btn };
+      btn.textContent = 'Press a button…';
+      btn.classList.add('capturing');
+      this._setMessage(`Press the button or chord for "${ACTION_LABELS[action] || action}", then release. Hold or double-tap a single button to bind that gesture.`);
+      this.api.setBindingCapture(true);
+    }
+
+    /**
+     * Render one row per action, grouped by context
+     * @private
+     */
+    _render() {
+      this.list.innerHTML = '';
+
+      Object.entries(this.bindings).forEach(([context, actions]) => {
+        const group = document.createElement('div');
+        group.className = 'binding-group';
+
+        const title = document.createElement('div');
+        title.className = 'binding-group-title';
+        title.textContent = CONTEXT_LABELS[context] || context;
+        group.appendChild(title);
+
+        Object.entries(actions).forEach(([action, binding]) => {
+          const row = document.createElement('div');
+          row.className = 'binding-row';
+
+          const label = document.createElement('span');
+          label.className = 'binding-label';
+          label.textContent = ACTION_LABELS[action] || action;
+
+          const valueBtn = document.createElement('button');
+          valueBtn.type = 'button';
+          valueBtn.className = 'binding-value';
+          valueBtn.textContent = BindingsEditor.formatBinding(binding);
+          valueBtn.title = 'Rebind';
+          valueBtn.addEventListener('click', () => this._startCapture(context, action, valueBtn));
+
+          const clearBtn = document.createElement('button');
+          clearBtn.type = 'button';
+          clearBtn.className = 'binding-clear';
+          clearBtn.textContent = '×';
+          clearBtn.title = 'Unbind';
+          clearBtn.setAttribute('aria-label', `Unbind ${label.textContent}`);
+          clearBtn.disabled = binding === null;
+          clearBtn.addEventListener('click', () => {
+            this.cancelCapture();
+            this._save(context, action, null);
+          });
+
+          row.append(label, valueBtn, clearBtn);
+          group.appendChild(row);
+        });
+
+        this.list.appendChild(group);
+      });
+    }
+
+    /**
+     * Show feedback below the list
+     * @private
+     */
+    _setMessage(text, isError = false) {
+      this.message.textContent = text;
+      this.message.classList.toggle('error', isError);
+    }
+  }
+
+  // Expose to global scope
+  global.BindingsEditor = BindingsEditor;
+
+})(window);
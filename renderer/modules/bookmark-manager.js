@@ -0,0 +1,221 @@
+/**
+ * Bookmark Manager Module
+ *
+ * Saved wiki pages, kept by the main process in userData. Each bookmark
+ * belongs to the wiki it was saved from and can have a folder, tags and
+ * a favorite star. Drives the toolbar bookmark toggle and the favorite
+ * quick links on the landing page.
+ *
+ * Single Responsibility: Bookmark data, the toolbar toggle, and favorite links
+ *
+ * Dependencies:
+ * - WikiManager (wiki-manager.js) for wiki names
+ */
+
+(function(global) {
+  'use strict';
+
+  /**
+   * @typedef {Object} Bookmark
+   * @property {string} id - Assigned by the main process
+   * @property {string} url - Page address
+   * @property {string} title - Page title
+   * @property {string} wiki - Base URL of the wiki the page belongs to
+   * @property {string} folder - Folder name, or '' when unfiled
+   * @property {string[]} tags
+   * @property {boolean} favorite - Shown as a quick link on the landing page
+   * @property {number} added - Time saved (ms)
+   */
+
+  /**
+   * @typedef {Object} BookmarkPage
+   * @property {string} url
+   * @property {string} title
+   * @property {string} wiki - Base URL of the wiki
+   */
+
+  /**
+   * BookmarkManager class - manages bookmarks and their toolbar and landing page controls
+   */
+  class BookmarkManager {
+    /**
+     * @param {Object} elements - DOM element references
+     * @param {HTMLElement} elements.toggleBtn - Toolbar button that bookmarks the current page
+     * @param {HTMLElement} elements.favorites - Landing page section for favorites
+     * @param {HTMLElement} elements.favoritesList - Container for favorite links
+     * @param {WikiManager} wikiManager - Names the wiki of each bookmark
+     * @param {Object|null} api - electronAPI for persistence (null disables saving)
+     * @param {Object} callbacks - Callback functions
+     * @param {Function} callbacks.onOpen - Called with a Bookmark to show it
+     * @param {Function} callbacks.onChange - Called with all bookmarks after they change
+     */
+    constructor(elements, wikiManager, api, callbacks = {}) {
+      this.toggleBtn = elements.toggleBtn;
+      this.favorites = elements.favorites;
+      this.favoritesList = elements.favoritesList;
+      this.wikiManager = wikiManager;
+      this.api = api;
+      this.callbacks = callbacks;
+
+      /** @type {Bookmark[]} */
+      this.bookmarks = [];
+      /** @type {BookmarkPage|null} */
+      this.currentPage = null;
+
+      this._updateToggle();
+    }
+
+    /**
+     * Fetch the saved bookmarks
+     * @returns {Promise<void>}
+     */
+    load() {
+      if (!this.api) return Promise.resolve();
+
+      return this.api.getBookmarks().then(bookmarks => this._apply(bookmarks));
+    }
+
+    /**
+     * Get all bookmarks
+     * @returns {Bookmark[]}
+     */
+    getBookmarks() {
+      return this.bookmarks.slice();
+    }
+
+    /**
+     * Find the bookmark for a page
+     * @param {string} url
+     * @returns {Bookmark|null}
+     */
+    find(url) {
+      return this.bookmarks.find(bookmark => bookmark.url === url) || null;
+    }
+
+    /**
+     * Set the page shown in the current tab (null for none)
+     * @param {BookmarkPage|null} page
+     */
+    setCurrentPage(page) {
+      this.currentPage = page && /^https?:\/\//.test(page.url) ? page : null;
+      this._updateToggle();
+    }
+
+    /**
+     * Bookmark the current page, or remove its bookmark
+     * @returns {Promise<boolean|null>} true when added, false when removed, null without a page
+     */
+    toggleCurrent() {
+      const page = this.currentPage;
+      if (!page) return Promise.resolve(null);
+
+      const existing = this.find(page.url);
+      if (existing) {
+        return this.remove(existing.id).then(() => false);
+      }
+      return this._request('saveBookmark', {
+        url: page.url,
+        title: page.title,
+        wiki: page.wiki,
+        folder: '',
+        tags: [],
+        favorite: false,
+      }).then(() => true);
+    }
+
+    /**
+     * Change a bookmark
+     * @param {string} id
+     * @param {Object} changes - Any of title, folder, tags, favorite
+     * @returns {Promise<void>}
+     */
+    update(id, changes) {
+      const bookmark = this.bookmarks.find(entry => entry.id === id);
+      if (!bookmark) return Promise.resolve();
+
+      return this._request('saveBookmark', { ...bookmark, ...changes });
+    }
+
+    /**
+     * Delete a bookmark
+     * @param {string} id
+     * @returns {Promise<void>}
+     */
+    remove(id) {
+      return this._request('removeBookmark', id);
+    }
+
+    /**
+     * Call the main process and take the bookmark list it returns
+     * @private
+     */
+    _request(method, arg) {
+      // Without the main process there's nowhere to keep bookmarks
+      if (!this.api) return Promise.resolve();
+
+      return this.api[method](arg).then(bookmarks => this._apply(bookmarks));
+    }
+
+    /**
+     * Store a new bookmark list and refresh everything that shows it
+     * @private
+     */
+    _apply(bookmarks) {
+      this.bookmarks = Array.isArray(bookmarks) ? bookmarks : [];
+      this._updateToggle();
+      this._renderFavorites();
+
+      if (this.callbacks.onChange) {
+        this.callbacks.onChange(this.getBookmarks());
+      }
+    }
+
+    /**
+     * Show whether the current page is bookmarked
+     * @private
+     */
+    _updateToggle() {
+      const bookmarked = Boolean(this.currentPage && this.find(this.currentPage.url));
+      this.toggleBtn.disabled = !this.currentPage;
+      this.toggleBtn.classList.toggle('bookmarked', bookmarked);
+      this.toggleBtn.setAttribute('aria-pressed', String(bookmarked));
+      this.toggleBtn.title = bookmarked ? 'Remove bookmark' : 'Bookmark this page';
+    }
+
+    /**
+     * Build the favorite quick links on the landing page
+     * @private
+     */
+    _renderFavorites() {
+      const favorites = this.bookmarks.filter(bookmark => bookmark.favorite);
+      this.favoritesList.innerHTML = '';
+      this.favorites.classList.toggle('hidden', favorites.length === 0);
+
+      favorites.forEach(bookmark => {
+        const link = document.createElement('button');
+        link.type = 'button';
+        link.className = 'quick-link';
+        link.setAttribute('role', 'listitem');
+        link.title = bookmark.url;
+
+        const title = document.createElement('span');
+        title.className = 'quick-link-title';
+        title.textContent = bookmark.title;
+
+        const wiki = document.createElement('span');
+        wiki.className = 'quick-link-wiki';
+        wiki.textContent = this.wikiManager.getWikiName(bookmark.wiki);
+
+        link.append(title, wiki);
+        link.addEventListener('click', () => {
+          if (this.callbacks.onOpen) this.callbacks.onOpen(bookmark);
+        });
+        this.favoritesList.appendChild(link);
+      });
+    }
+  }
+
+  // Expose to global scope
+  global.BookmarkManager = BookmarkManager;
+
+})(window);
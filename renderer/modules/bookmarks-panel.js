@@ -0,0 +1,312 @@
+/**
+ * Bookmarks Panel Module
+ *
+ * Overlay panel listing the bookmarks by wiki and folder, with a filter
+ * that matches titles, folders and tags. Each bookmark can be opened,
+ * starred as a favorite, edited (folder and tags) or removed. Rows are
+ * plain buttons and inputs, so the gamepad cursor reaches them like the
+ * settings panel.
+ *
+ * Single Responsibility: Bookmark list display and editing
+ *
+ * Dependencies:
+ * - BookmarkManager (bookmark-manager.js)
+ */
+
+(function(global) {
+  'use strict';
+
+  /**
+   * BookmarksPanel class - manages the bookmarks overlay
+   */
+  class BookmarksPanel {
+    /**
+     * @param {Object} elements - DOM element references
+     * @param {HTMLElement} elements.panel - The bookmarks panel container
+     * @param {HTMLElement} elements.toggleBtn - Toolbar button that opens the panel
+     * @param {HTMLElement} elements.closeBtn - Close button inside the panel
+     * @param {HTMLInputElement} elements.filter - Filter input
+     * @param {HTMLElement} elements.list - Container for the bookmark groups
+     * @param {BookmarkManager} bookmarkManager - Bookmark data
+     * @param {Object} callbacks - Callback functions
+     * @param {Function} callbacks.onOpen - Called with a Bookmark to show it
+     * @param {Function} callbacks.onShow - Called when the panel opens
+     */
+    constructor(elements, bookmarkManager, callbacks = {}) {
+      this.panel = elements.panel;
+      this.toggleBtn = elements.toggleBtn;
+      this.closeBtn = elements.closeBtn;
+      this.filter = elements.filter;
+      this.list = elements.list;
+      this.bookmarkManager = bookmarkManager;
+      this.callbacks = callbacks;
+
+      // State
+      this.visible = false;
+      this.editingId = null;
+
+      this._bindEvents();
+    }
+
+    /**
+     * Check if the panel is currently visible
+     * @returns {boolean}
+     */
+    isVisible() {
+      return this.visible;
+    }
+
+    /**
+     * Show the bookmarks panel
+     */
+    show() {
+      this.visible = true;
+      this.editingId = null;
+      this.render();
+      this.panel.classList.remove('hidden');
+      this.toggleBtn.setAttribute('aria-expanded', 'true');
+
+      if (this.callbacks.onShow) {
+        this.callbacks.onShow();
+      }
+    }
+
+    /**
+     * Hide the bookmarks panel
+     */
+    hide() {
+      this.visible = false;
+      this.panel.classList.add('hidden');
+      this.toggleBtn.setAttribute('aria-expanded', 'false');
+    }
+
+    /**
+     * Toggle panel visibility
+     */
+    toggle() {
+      if (this.visible) {
+        this.hide();
+      } else {
+        this.show();
+      }
+    }
+
+    /**
+     * Rebuild the list (bookmarks or the filter changed)
+     */
+    render() {
+      const query = this.filter.value.trim().toLowerCase();
+      const bookmarks = this.bookmarkManager.getBookmarks()
+        .filter(bookmark => this._matches(bookmark, query));
+
+      this.list.innerHTML = '';
+
+      if (bookmarks.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'panel-hint';
+        empty.textContent = query
+          ? 'No bookmarks match the filter'
+          : 'No bookmarks yet. Use the star in the toolbar to save the page you\'re on.';
+        this.list.appendChild(empty);
+        return;
+      }
+
+      this._groupByWiki(bookmarks).forEach(({ wiki, folders }) => {
+        const group = document.createElement('div');
+        group.className = 'bookmark-group';
+
+        const title = document.createElement('h4');
+        title.className = 'bookmark-group-title';
+        title.textContent = this._wikiName(wiki);
+        group.appendChild(title);
+
+        folders.forEach(({ folder, items }) => {
+          if (folder) {
+            const folderTitle = document.createElement('div');
+            folderTitle.className = 'bookmark-folder-title';
+            folderTitle.textContent = folder;
+            group.appendChild(folderTitle);
+          }
+          items.forEach(bookmark => group.appendChild(this._renderRow(bookmark)));
+        });
+
+        this.list.appendChild(group);
+      });
+    }
+
+    /**
+     * Bind event listeners
+     * @private
+     */
+    _bindEvents() {
+      this.toggleBtn.addEventListener('click', () => this.toggle());
+      this.closeBtn.addEventListener('click', () => this.hide());
+      this.filter.addEventListener('input', () => this.render());
+    }
+
+    /**
+     * Check a bookmark against the filter text
+     * @private
+     */
+    _matches(bookmark, query) {
+      if (!query) return true;
+
+      const fields = [bookmark.title, bookmark.url, bookmark.folder, ...bookmark.tags];
+      return fields.some(field => field.toLowerCase().includes(query));
+    }
+
+    /**
+     * Group bookmarks by wiki (listed wikis first, in landing page order), then
+     * by folder (unfiled first, then alphabetical)
+     * @private
+     * @returns {{wiki: string, folders: {folder: string, items: Bookmark[]}[]}[]}
+     */
+    _groupByWiki(bookmarks) {
+      const wikis = this.bookmarkManager.wikiManager.getWikis();
+      const byWiki = new Map();
+
+      bookmarks.forEach(bookmark => {
+        if (!byWiki.has(bookmark.wiki)) byWiki.set(bookmark.wiki, new Map());
+        const folders = byWiki.get(bookmark.wiki);
+        if (!folders.has(bookmark.folder)) folders.set(bookmark.folder, []);
+        folders.get(bookmark.folder).push(bookmark);
+      });
+
+      const order = (wiki) => {
+        const index = wikis.findIndex(entry => entry.url === wiki);
+        return index === -1 ? wikis.length : index;
+      };
+
+      return Array.from(byWiki.keys())
+        .sort((a, b) => order(a) - order(b) || this._wikiName(a).localeCompare(this._wikiName(b)))
+        .map(wiki => ({
+          wiki,
+          folders: Array.from(byWiki.get(wiki).keys())
+            .sort((a, b) => (a === '' ? -1 : b === '' ? 1 : a.localeCompare(b)))
+            .map(folder => ({ folder, items: byWiki.get(wiki).get(folder) })),
+        }));
+    }
+
+    /**
+     * Display name of a wiki base URL
+     * @private
+     */
+    _wikiName(wiki) {
+      return this.bookmarkManager.wikiManager.getWikiName(wiki);
+    }
+
+    /**
+     * Build one bookmark's row (and its editor when open)
+     * @private
+     */
+    _renderRow(bookmark) {
+      const row = document.createElement('div');
+      row.className = 'bookmark-row';
+
+      const open = document.createElement('button');
+      open.type = 'button';
+      open.className = 'bookmark-open';
+      open.title = bookmark.url;
+
+      const title = document.createElement('span');
+      title.className = 'bookmark-title';
+      title.textContent = bookmark.title;
+      open.appendChild(title);
+
+      if (bookmark.tags.length > 0) {
+        const tags = document.createElement('span');
+        tags.className = 'bookmark-tags';
+        tags.textContent = bookmark.tags.map(tag => '#' + tag).join(' ');
+        open.appendChild(tags);
+      }
+
+      open.addEventListener('click', () => {
+        this.hide();
+        if (this.callbacks.onOpen) this.callbacks.onOpen(bookmark);
+      });
+
+      const favorite = this._renderAction(bookmark.favorite ? '★' : '☆',
+        bookmark.favorite ? 'Remove from favorites' : 'Add to favorites',
+        () => this.bookmarkManager.update(bookmark.id, { favorite: !bookmark.favorite }));
+      favorite.classList.toggle('favorite', bookmark.favorite);
+
+      const edit = this._renderAction('✎', 'Edit folder and tags', () => {
+        this.editingId = this.editingId === bookmark.id ? null : bookmark.id;
+        this.render();
+      });
+
+      const remove = this._renderAction('×', 'Remove bookmark',
+        () => this.bookmarkManager.remove(bookmark.id));
+
+      row.append(open, favorite, edit, remove);
+
+      if (this.editingId !== bookmark.id) return row;
+
+      const wrapper = document.createElement('div');
+      wrapper.append(row, this._renderEditor(bookmark));
+      return wrapper;
+    }
+
+    /**
+     * Build a small icon button of a bookmark row
+     * @private
+     */
+    _renderAction(symbol, label, onClick) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'bookmark-action';
+      btn.textContent = symbol;
+      btn.title = label;
+      btn.setAttribute('aria-label', label);
+      btn.addEventListener('click', onClick);
+      return btn;
+    }
+
+    /**
+     * Build the folder and tags editor of a bookmark
+     * @private
+     */
+    _renderEditor(bookmark) {
+      const editor = document.createElement('div');
+      editor.className = 'bookmark-editor';
+
+      const folder = document.createElement('input');
+      folder.type = 'text';
+      folder.value = bookmark.folder;
+      folder.placeholder = 'Folder';
+      folder.setAttribute('aria-label', 'Folder');
+
+      const tags = document.createElement('input');
+      tags.type = 'text';
+      tags.value = bookmark.tags.join(', ');
+      tags.placeholder = 'Tags, separated by commas';
+      tags.setAttribute('aria-label', 'Tags');
+
+      const save = document.createElement('button');
+      save.type = 'button';
+      save.className = 'panel-button';
+      save.textContent = 'Save';
+
+      const submit = () => {
+        this.editingId = null;
+        this.bookmarkManager.update(bookmark.id, {
+          folder: folder.value,
+          tags: tags.value.split(',').map(tag => tag.trim()).filter(Boolean),
+        });
+      };
+      save.addEventListener('click', submit);
+      [folder, tags].forEach(input => {
+        input.addEventListener('keydown', (e) => {
+          if (e.key === 'Enter') submit();
+        });
+      });
+
+      editor.append(folder, tags, save);
+      return editor;
+    }
+  }
+
+  // Expose to global scope
+  global.BookmarksPanel = BookmarksPanel;
+
+})(window);
@@ -0,0 +1,289 @@
+/**
+ * Context Menu Module
+ *
+ * Overlay-rendered menu for the wiki page, opened by right-click or a
+ * gamepad button. The items depend on what's under the pointer: a link,
+ * an image, selected text or a text field, followed by page actions.
+ *
+ * Single Responsibility: Menu building, display, navigation, and choice
+ */
+
+(function(global) {
+  'use strict';
+
+  /**
+   * @typedef {Object} MenuContext
+   * @property {string} linkURL - Link under the pointer, or ''
+   * @property {string} srcURL - Image under the pointer, or ''
+   * @property {string} selectionText - Text selected in the page, or ''
+   * @property {boolean} isEditable - Pointer is over a text field
+   * @property {ClickableElement|null} element - Page element under the pointer, if known
+   * @property {boolean} canSelect - Text selection can start from the pointer (gamepad cursor)
+   */
+
+  /**
+   * @typedef {Object} MenuItem
+   * @property {string} command - Passed to onCommand when chosen
+   * @property {string} label - Text shown in the menu
+   */
+
+  // Longest selection quoted in the "Search for" item
+  const MAX_QUOTE_LENGTH = 24;
+
+  /**
+   * ContextMenu class - manages the page context menu
+   */
+  class ContextMenu {
+    /**
+     * @param {Object} elements - DOM element references
+     * @param {HTMLElement} elements.menu - Full-window container (clicking it closes the menu)
+     * @param {HTMLElement} elements.list - Container for the items
+     * @param {Object} callbacks - Callback functions
+     * @param {Function} callbacks.onCommand - Called with (command, context) when an item is picked
+     * @param {Function} callbacks.onVisibilityChange - Called with true/false when the menu opens or closes
+     */
+    constructor(elements, callbacks = {}) {
+      this.menu = elements.menu;
+      this.list = elements.list;
+      this.callbacks = callbacks;
+
+      // State
+      this.visible = false;
+      this.context = null;
+      this.items = [];
+      this.itemButtons = [];
+      this.selectedIndex = 0;
+
+      // Analog navigation debounce
+      this.lastAnalogNav = 0;
+
+      this._bindEvents();
+    }
+
+    /**
+     * Check if the menu is currently visible
+     * @returns {boolean}
+     */
+    isVisible() {
+      return this.visible;
+    }
+
+    /**
+     * Open the menu for what's under the pointer
+     * @param {MenuContext} context
+     * @param {number} x - Overlay X to open at
+     * @param {number} y - Overlay Y to open at
+     */
+    show(context, x, y) {
+      this.context = context;
+      this.items = this._buildItems(context);
+      this.selectedIndex = 0;
+
+      this._renderItems();
+      this.visible = true;
+      this.menu.classList.remove('hidden');
+      this._position(x, y);
+      this._updateSelection();
+
+      if (this.callbacks.onVisibilityChange) {
+        this.callbacks.onVisibilityChange(true);
+      }
+    }
+
+    /**
+     * Close the menu without choosing
+     */
+    hide() {
+      if (!this.visible) return;
+
+      this.visible = false;
+      this.context = null;
+      this.menu.classList.add('hidden');
+
+      if (this.callbacks.onVisibilityChange) {
+        this.callbacks.onVisibilityChange(false);
+      }
+    }
+
+    /**
+     * Move the selection, wrapping around
+     * @param {number} step - 1 for down, -1 for up
+     */
+    move(step) {
+      const count = this.items.length;
+      this.selectedIndex = (this.selectedIndex + step + count) % count;
+      this._updateSelection();
+    }
+
+    /**
+     * Handle analog stick navigation with debounce
+     * @param {number} dx - X delta (unused, the menu is vertical)
+     * @param {number} dy - Y delta
+     * @returns {boolean} Whether navigation occurred
+     */
+    handleAnalogNavigation(dx, dy) {
+      const now = Date.now();
+      if (now - this.lastAnalogNav < 150) return false;
+
+      if (Math.abs(dy) > 4) {
+        this.lastAnalogNav = now;
+        this.move(dy > 0 ? 1 : -1);
+        return true;
+      }
+      return false;
+    }
+
+    /**
+     * Run the selected item and close
+     */
+    choose() {
+      this._chooseIndex(this.selectedIndex);
+    }
+
+    /**
+     * @private
+     */
+    _chooseIndex(index) {
+      const item = this.items[index];
+      const context = this.context;
+      if (!item) return;
+
+      this.hide();
+
+      if (this.callbacks.onCommand) {
+        this.callbacks.onCommand(item.command, context);
+      }
+    }
+
+    /**
+     * Close on a click outside the items or on Escape
+     * @private
+     */
+    _bindEvents() {
+      this.menu.addEventListener('mousedown', (e) => {
+        if (e.target === this.menu) this.hide();
+      });
+
+      this.menu.addEventListener('contextmenu', (e) => {
+        e.preventDefault();
+        if (e.target === this.menu) this.hide();
+      });
+
+      document.addEventListener('keydown', (e) => {
+        if (this.visible && e.key === 'Escape') this.hide();
+      });
+    }
+
+    /**
+     * Item groups for a context, most specific first
+     * @private
+     * @returns {MenuItem[][]}
+     */
+    _buildItems(context) {
+      const groups = [];
+
+      if (context.linkURL) {
+        groups.push([
+          { command: 'open-link', label: 'Open link' },
+          { command: 'open-link-tab', label: 'Open link in new tab' },
+          { command: 'copy-link', label: 'Copy link address' },
+        ]);
+      }
+
+      if (context.srcURL) {
+        groups.push([
+          { command: 'open-image', label: 'Open image' },
+          { command: 'copy-image', label: 'Copy image address' },
+          { command: 'save-image', label: 'Save image as…' },
+        ]);
+      }
+
+      const text = context.selectionText.replace(/\s+/g, ' ').trim();
+      if (text) {
+        const quote = text.length > MAX_QUOTE_LENGTH ? text.slice(0, MAX_QUOTE_LENGTH) + '…' : text;
+        groups.push([
+          { command: 'copy-text', label: 'Copy' },
+          { command: 'search-text', label: `Search for “${quote}”` },
+        ]);
+      } else if (context.canSelect && !context.isEditable) {
+        groups.push([{ command: 'select-text', label: 'Select text' }]);
+      }
+
+      if (context.isEditable && context.element && context.element.kind === 'text') {
+        groups.push([{ command: 'edit-field', label: 'Type with keyboard' }]);
+      }
+
+      groups.push([
+        { command: 'back', label: 'Back' },
+        { command: 'forward', label: 'Forward' },
+        { command: 'reload', label: 'Reload' },
+        { command: 'copy-page-url', label: 'Copy page address' },
+      ]);
+
+      // Remember where each group starts for the separators
+      groups.forEach((group, i) => {
+        if (i > 0) group[0].separated = true;
+      });
+      return groups.flat();
+    }
+
+    /**
+     * Build one button per item
+     * @private
+     */
+    _renderItems() {
+      this.list.innerHTML = '';
+
+      this.itemButtons = this.items.map((item, index) => {
+        if (item.separated) {
+          const separator = document.createElement('div');
+          separator.className = 'context-menu-separator';
+          this.list.appendChild(separator);
+        }
+
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'context-menu-item';
+        btn.setAttribute('role', 'menuitem');
+        btn.textContent = item.label;
+        btn.addEventListener('click', () => this._chooseIndex(index));
+        btn.addEventListener('mouseenter', () => {
+          this.selectedIndex = index;
+          this._updateSelection();
+        });
+
+        this.list.appendChild(btn);
+        return btn;
+      });
+    }
+
+    /**
+     * Open at a point, flipping to stay inside the window
+     * @private
+     */
+    _position(x, y) {
+      const width = this.list.offsetWidth;
+      const height = this.list.offsetHeight;
+
+      const left = x + width > window.innerWidth ? x - width : x;
+      const top = y + height > window.innerHeight ? y - height : y;
+
+      this.list.style.left = Math.max(0, left) + 'px';
+      this.list.style.top = Math.max(0, top) + 'px';
+    }
+
+    /**
+     * Mark the selected item
+     * @private
+     */
+    _updateSelection() {
+      this.itemButtons.forEach((btn, index) => {
+        btn.classList.toggle('selected', index === this.selectedIndex);
+      });
+    }
+  }
+
+  // Expose to global scope
+  global.ContextMenu = ContextMenu;
+
+})(window);
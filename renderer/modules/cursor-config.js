@@ -17,7 +17,8 @@
    * @property {number} CURSOR_HIDE_DELAY - ms before cursor auto-hides
    * @property {number} SNAP_RADIUS - How close to snap to an element
    * @property {number} SNAP_STRENGTH - Magnetic attraction strength (0-1)
-   * @property {number} ELEMENT_REFRESH_RATE - ms between element list refreshes
+   * @property {number} ELEMENT_REFRESH_RATE - ms between element list refreshes (page elements are pushed by the webview preload)
+   * @property {number} SPATIAL_CELL_SIZE - Element index grid cell size (CSS pixels)
    * @property {number} DPAD_MOVE_MULTIPLIER - Normal D-pad movement multiplier
    * @property {number} DPAD_FAST_MULTIPLIER - Fast D-pad movement multiplier
    * @property {number} SCROLL_ANALOG_STEP - Right stick scroll per tick
@@ -25,6 +26,14 @@
    * @property {number} REFRESH_DELAY_MS - Delay before refreshing elements
    * @property {number} NAV_COMPLETE_DELAY_MS - Delay after navigation completes
    * @property {number} CLICK_FEEDBACK_MS - Visual click feedback duration
+   * @property {number} HOVER_DWELL_MS - ms on a page element before it receives hover events
+   * @property {number} ZOOM_STEP - Webview zoom factor change per step
+   * @property {number} ZOOM_MIN - Smallest webview zoom factor
+   * @property {number} ZOOM_MAX - Largest webview zoom factor
+   * @property {number} FOCUS_ANGLE_WEIGHT - Focus mode penalty for off-axis candidates
+   * @property {number} FOCUS_MAX_ANGLE - Degrees off axis before a candidate is ignored
+   * @property {number} FOCUS_REPEAT_MS - Minimum ms between focus jumps while held
+   * @property {number} FOCUS_SCROLL_STEP - Scroll amount when no candidate is in view
    */
 
   /** @type {CursorConfiguration} */
@@ -41,6 +50,7 @@
     REFRESH_DELAY_MS: 500,
     NAV_COMPLETE_DELAY_MS: 300,
     CLICK_FEEDBACK_MS: 150,
+    HOVER_DWELL_MS: 250,
 
     // Cursor behavior
     CURSOR_SPEED: 8,
@@ -49,6 +59,18 @@
     SNAP_RADIUS: 100,
     SNAP_STRENGTH: 0.3,
     ELEMENT_REFRESH_RATE: 300,
+    SPATIAL_CELL_SIZE: 200,
+
+    // Webview zoom
+    ZOOM_STEP: 0.1,
+    ZOOM_MIN: 0.5,
+    ZOOM_MAX: 3,
+
+    // Focus mode (D-pad jumps between elements)
+    FOCUS_ANGLE_WEIGHT: 2,
+    FOCUS_MAX_ANGLE: 75,
+    FOCUS_REPEAT_MS: 150,
+    FOCUS_SCROLL_STEP: 300,
   };
 
   // Expose to global scope
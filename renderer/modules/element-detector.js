@@ -10,6 +10,9 @@
 (function(global) {
   'use strict';
 
+  // Use global config (loaded before this module)
+  const CONFIG = global.CURSOR_CONFIG;
+
   /**
    * @typedef {Object} ClickableElement
    * @property {HTMLElement} element - The DOM element
@@ -20,7 +23,8 @@
    * @property {number} top - Top boundary
    * @property {number} bottom - Bottom boundary
    * @property {boolean} isWebviewElement - Whether element is inside webview
-   * @property {number} [webviewIndex] - Index in webview's __gamepadClickables array
+   * @property {number} [webviewId] - Page element id (its data-gamepad-id attribute)
+   * @property {'text'|'select'|'toggle'|'other'} [kind] - Page element type, decides what a click does
    */
 
   /**
@@ -30,23 +34,42 @@
     /**
      * @param {HTMLElement} wiki - The webview element
      * @param {HTMLElement} landingPage - Landing page container
+     * @param {Object} [callbacks] - Event callbacks
+     * @param {Function} [callbacks.onWebviewChange] - Called when page elements or scroll change
      */
-    constructor(wiki, landingPage) {
+    constructor(wiki, landingPage, callbacks = {}) {
       this.wiki = wiki;
       this.landingPage = landingPage;
 
+      this.onWebviewChange = callbacks.onWebviewChange || (() => {});
+
       /** @type {ClickableElement[]} */
-      this.allClickableElements = [];
+      this.localElements = [];
+
+      // Page elements by id, in document coordinates (CSS pixels), indexed by area
+      this.webviewElements = new Map();
+      this.webviewIndex = new SpatialIndex(CONFIG.SPATIAL_CELL_SIZE);
+
+      // Webview placement, zoom and scroll position for coordinate mapping
+      this.webviewView = null;
+      this.webviewReachable = false; // Wiki shown and not covered by a panel
+      this.liveUpdates = false; // Webview preload is reporting for this page
 
       this.highlightStyleInjected = false;
+
+      this._bindEvents();
     }
 
     /**
-     * Get all currently tracked clickable elements
+     * Get all currently tracked clickable elements, including page
+     * elements scrolled out of view
      * @returns {ClickableElement[]}
      */
     getElements() {
-      return this.allClickableElements;
+      if (!this._hasWebviewElements()) return this.localElements;
+
+      const webviewElements = Array.from(this.webviewElements.values(), entry => this._toOverlay(entry));
+      return this.localElements.concat(webviewElements);
     }
 
     /**
@@ -55,6 +78,7 @@
      */
     getLocalClickableElements() {
       const isInWebview = this.wiki.classList.contains('active');
+      const openPanel = this.getOpenPanel();
       const toolbarHeight = 36;
       const elements = [];
 
@@ -76,9 +100,27 @@
         }
       });
 
-      if (!isInWebview) {
+      if (openPanel) {
+        // Overlay panel covers the page - only its own controls are reachable
+        const panelClickables = openPanel.querySelectorAll('button:not(:disabled), input:not(:disabled)');
+        panelClickables.forEach(el => {
+          const rect = el.getBoundingClientRect();
+          if (rect.width > 0 && rect.height > 0) {
+            elements.push({
+              element: el,
+              centerX: rect.left + rect.width / 2,
+              centerY: rect.top + rect.height / 2,
+              left: rect.left,
+              right: rect.right,
+              top: rect.top,
+              bottom: rect.bottom,
+              isWebviewElement: false,
+            });
+          }
+        });
+      } else if (!isInWebview) {
         // Landing page elements
-        const landingClickables = document.querySelectorAll('.wiki-card, #go-btn, #wiki-url-input');
+        const landingClickables = document.querySelectorAll('.wiki-card, .quick-link, #go-btn, #wiki-url-input, #manage-wikis-btn');
         landingClickables.forEach(el => {
           const rect = el.getBoundingClientRect();
           if (rect.width > 0 && rect.height > 0 && rect.top > toolbarHeight) {
@@ -99,100 +141,67 @@
       return elements;
     }
 
+    /**
+     * Get the overlay panel currently covering the page, if any
+     * @returns {HTMLElement|null}
+     */
+    getOpenPanel() {
+      return document.querySelector('.overlay-panel:not(.hidden)');
+    }
+
     /**
      * Refresh the list of clickable elements
+     * Page elements come from the webview preload as they change; until it
+     * has reported in for the current page there are none.
      * @param {Function} [onComplete] - Called when refresh completes
      */
     refresh(onComplete) {
-      const localElements = this.getLocalClickableElements();
+      this.localElements = this.getLocalClickableElements();
+      this.webviewReachable = this.wiki.classList.contains('active') && !this.getOpenPanel();
 
-      if (this.wiki.classList.contains('active')) {
-        // Preserve existing webview elements while fetching new ones
-        const existingWebviewElements = this.allClickableElements.filter(el => el.isWebviewElement);
-        const webviewRect = this.wiki.getBoundingClientRect();
+      if (!this.webviewReachable) {
+        if (onComplete) onComplete();
+        return;
+      }
 
-        // Inject styles if needed
-        if (!this.highlightStyleInjected) {
-          this._injectHighlightStyles();
-          this.highlightStyleInjected = true;
-        }
+      // Inject styles if needed
+      if (!this.highlightStyleInjected) {
+        this._injectHighlightStyles();
+        this.highlightStyleInjected = true;
+      }
 
-        this.wiki.executeJavaScript(`
-          (function() {
-            const clickables = document.querySelectorAll('a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [onclick], [role="button"], [role="link"], [tabindex]:not([tabindex="-1"])');
-            const results = [];
-            const viewWidth = window.innerWidth;
-            const viewHeight = window.innerHeight;
-            
-            window.__gamepadClickables = [];
-            
-            for (let i = 0; i < clickables.length; i++) {
-              const el = clickables[i];
-              const rect = el.getBoundingClientRect();
-              const style = window.getComputedStyle(el);
-              
-              if (rect.width >= 4 && rect.height >= 4 &&
-                  rect.right > 0 && rect.left < viewWidth &&
-                  rect.bottom > 0 && rect.top < viewHeight &&
-                  style.visibility !== 'hidden' && 
-                  style.display !== 'none' &&
-                  parseFloat(style.opacity) > 0.1) {
-                window.__gamepadClickables.push(el);
-                results.push({
-                  left: rect.left,
-                  top: rect.top,
-                  right: rect.right,
-                  bottom: rect.bottom,
-                  width: rect.width,
-                  height: rect.height,
-                  index: window.__gamepadClickables.length - 1
-                });
-              }
-              
-              if (results.length >= 500) break;
-            }
-            return results;
-          })()
-        `).then(results => {
-          const webviewElements = results.map(r => ({
-            element: this.wiki,
-            centerX: webviewRect.left + r.left + r.width / 2,
-            centerY: webviewRect.top + r.top + r.height / 2,
-            left: webviewRect.left + r.left,
-            right: webviewRect.left + r.right,
-            top: webviewRect.top + r.top,
-            bottom: webviewRect.top + r.bottom,
-            isWebviewElement: true,
-            webviewIndex: r.index,
-          }));
-
-          this.allClickableElements = localElements.concat(webviewElements);
-
-          if (onComplete) onComplete();
-        }).catch(() => {
-          this.allClickableElements = localElements.concat(existingWebviewElements);
-          if (onComplete) onComplete();
-        });
+      if (this.liveUpdates) {
+        this._updateWebviewView(this.webviewView.scrollX, this.webviewView.scrollY);
       } else {
-        this.allClickableElements = localElements;
-        if (onComplete) onComplete();
+        this._requestLiveUpdates();
       }
+      if (onComplete) onComplete();
+    }
+
+    /**
+     * Record a new webview scroll position without a full refresh
+     * @param {{x: number, y: number}} position - Page scroll position (CSS pixels)
+     */
+    setWebviewScroll(position) {
+      if (!this.webviewView) return;
+      this.webviewView.scrollX = position.x;
+      this.webviewView.scrollY = position.y;
     }
 
     /**
      * Find the nearest clickable element to a position
+     * Elements containing the point win; otherwise the closest center
+     * within the snap radius.
      * @param {number} x - X coordinate
      * @param {number} y - Y coordinate
      * @param {number} snapRadius - Maximum snap distance
      * @returns {ClickableElement|null}
      */
     findNearest(x, y, snapRadius) {
-      if (this.allClickableElements.length === 0) return null;
-
       let nearest = null;
       let nearestDist = snapRadius;
 
-      for (const el of this.allClickableElements) {
+      for (const el of this.localElements) {
         // Check if cursor is inside element bounds
         if (x >= el.left && x <= el.right &&
             y >= el.top && y <= el.bottom) {
@@ -207,14 +216,56 @@
         }
       }
 
-      return nearest;
+      if (!this._hasWebviewElements()) return nearest;
+
+      // Look up page elements around the point in document coordinates
+      const { rect, zoom, scrollX, scrollY } = this.webviewView;
+      const docX = (x - rect.left) / zoom + scrollX;
+      const docY = (y - rect.top) / zoom + scrollY;
+      const docRadius = snapRadius / zoom;
+      const candidates = this.webviewIndex.query(
+        docX - docRadius, docY - docRadius, docX + docRadius, docY + docRadius,
+      );
+
+      // Only elements on screen are reachable
+      const viewLeft = scrollX;
+      const viewTop = scrollY;
+      const viewRight = scrollX + rect.width / zoom;
+      const viewBottom = scrollY + rect.height / zoom;
+
+      let containing = null;
+      let nearestEntry = null;
+
+      for (const entry of candidates) {
+        if (entry.right <= viewLeft || entry.left >= viewRight ||
+            entry.bottom <= viewTop || entry.top >= viewBottom) {
+          continue;
+        }
+
+        // Nested clickables: the first one found (usually the outer one) wins
+        if (docX >= entry.left && docX <= entry.right &&
+            docY >= entry.top && docY <= entry.bottom) {
+          if (!containing || entry.id < containing.id) containing = entry;
+          continue;
+        }
+
+        const dist = Math.hypot(docX - entry.centerX, docY - entry.centerY) * zoom;
+        if (dist < nearestDist) {
+          nearestDist = dist;
+          nearestEntry = entry;
+        }
+      }
+
+      if (containing) return this._toOverlay(containing);
+      return nearestEntry ? this._toOverlay(nearestEntry) : nearest;
     }
 
     /**
      * Reset state (for when going back to landing page)
      */
     reset() {
-      this.allClickableElements = [];
+      this.localElements = [];
+      this._clearWebviewElements();
       this.highlightStyleInjected = false;
     }
 
@@ -226,6 +277,147 @@
       this.highlightStyleInjected = false;
     }
 
+    /**
+     * Get the webview zoom factor (1 until the webview is ready)
+     * @returns {number}
+     */
+    getZoomFactor() {
+      try {
+        return this.wiki.getZoomFactor();
+      } catch {
+        return 1;
+      }
+    }
+
+    /**
+     * Convert a page element to overlay coordinates
+     * @private
+     * @returns {ClickableElement}
+     */
+    _toOverlay(entry) {
+      const { rect, zoom, scrollX, scrollY } = this.webviewView;
+      const left = rect.left + (entry.left - scrollX) * zoom;
+      const top = rect.top + (entry.top - scrollY) * zoom;
+      const right = rect.left + (entry.right - scrollX) * zoom;
+      const bottom = rect.top + (entry.bottom - scrollY) * zoom;
+
+      return {
+        element: this.wiki,
+        centerX: (left + right) / 2,
+        centerY: (top + bottom) / 2,
+        left,
+        right,
+        top,
+        bottom,
+        isWebviewElement: true,
+        webviewId: entry.id,
+        kind: entry.kind,
+      };
+    }
+
+    /**
+     * Drop page elements (new page or back to the landing page)
+     * @private
+     */
+    _clearWebviewElements() {
+      this.webviewElements.clear();
+      this.webviewIndex.clear();
+      this.webviewView = null;
+      this.liveUpdates = false;
+    }
+
+    /**
+     * @private
+     */
+    _hasWebviewElements() {
+      return this.webviewReachable && this.webviewView !== null && this.webviewIndex.size > 0;
+    }
+
+    /**
+     * Listen for element updates from the webview preload
+     * @private
+     */
+    _bindEvents() {
+      this.wiki.addEventListener('ipc-message', (e) => {
+        if (e.channel === 'gamepad-elements') this._handleWebviewMessage(e.args[0]);
+      });
+
+      // A new document means new elements; its preload reports in again
+      this.wiki.addEventListener('did-navigate', () => this._clearWebviewElements());
+    }
+
+    /**
+     * Apply a reset, diff or scroll message from the webview preload
+     * @private
+     */
+    _handleWebviewMessage(message) {
+      if (message.type === 'scroll') {
+        // Scroll before the first list is meaningless
+        if (!this.liveUpdates) return;
+        this.setWebviewScroll({ x: message.scrollX, y: message.scrollY });
+        this.onWebviewChange();
+        return;
+      }
+
+      if (message.type === 'reset') {
+        this.webviewElements.clear();
+        this.liveUpdates = true;
+      } else if (!this.liveUpdates) {
+        // Diff against a list we don't have - wait for the reset
+        this._requestLiveUpdates();
+        return;
+      }
+
+      message.remove.forEach(id => this.webviewElements.delete(id));
+      message.upsert.forEach(r => this.webviewElements.set(r.id, this._createEntry(r)));
+      this.webviewIndex.build(Array.from(this.webviewElements.values()));
+
+      this._updateWebviewView(message.scrollX, message.scrollY);
+      this.onWebviewChange();
+    }
+
+    /**
+     * Ask the webview preload to send its full element list
+     * @private
+     */
+    _requestLiveUpdates() {
+      try {
+        this.wiki.send('gamepad-elements-request');
+      } catch {
+        // Webview not attached yet
+      }
+    }
+
+    /**
+     * Build an index entry from a page rect
+     * @private
+     */
+    _createEntry(r) {
+      return {
+        id: r.id,
+        kind: r.kind,
+        left: r.left,
+        top: r.top,
+        right: r.right,
+        bottom: r.bottom,
+        centerX: (r.left + r.right) / 2,
+        centerY: (r.top + r.bottom) / 2,
+      };
+    }
+
+    /**
+     * Record where the webview sits, its zoom and its scroll position
+     * @private
+     */
+    _updateWebviewView(scrollX, scrollY) {
+      this.webviewView = {
+        rect: this.wiki.getBoundingClientRect(),
+        zoom: this.getZoomFactor(),
+        scrollX,
+        scrollY,
+      };
+    }
+
     /**
      * Inject highlight styles into webview
      * @private
@@ -246,6 +438,10 @@
                 position: relative;
                 z-index: 1000;
               }
+              .gamepad-selecting ::selection {
+                background: rgba(33, 150, 243, 0.45) !important;
+                color: inherit !important;
+              }
             \`;
             document.head.appendChild(style);
           }
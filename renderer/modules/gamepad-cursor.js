@@ -10,6 +10,7 @@
  * - CURSOR_CONFIG (cursor-config.js)
  * - ElementDetector (element-detector.js)
  * - WebviewBridge (webview-bridge.js)
+ * - SpatialNavigator (spatial-navigator.js)
  */
 
 (function(global) {
@@ -30,12 +31,12 @@
      */
     constructor(elements) {
       this.cursor = elements.cursor;
-      this.wiki = elements.wiki;
       this.landingPage = elements.landingPage;
 
-      // Create sub-modules
-      this.elementDetector = new ElementDetector(this.wiki, this.landingPage);
-      this.webviewBridge = new WebviewBridge(this.wiki);
+      // Element detection and page access for each webview (one per tab)
+      this.views = new Map();
+      this._attachWebview(elements.wiki);
+      this.spatialNavigator = new SpatialNavigator();
 
       // Cursor state
       this.x = window.innerWidth / 2;
@@ -47,6 +48,15 @@
       this.currentHighlightedElement = null;
       this.currentHighlightedLocal = null;
 
+      // Focus mode (D-pad jumps between elements)
+      this.focusMode = false;
+      this.focusPending = false; // Waiting for a focus scroll to finish
+      this.lastFocusMove = 0;
+
+      // Hover emulation (page element under the cursor gets mouse events)
+      this.hoverTimeout = null;
+      this.hoveredElement = null;
+
       // Periodic refresh
       this.elementRefreshInterval = null;
     }
@@ -73,6 +83,7 @@
       this.cursor.classList.remove('snapped');
       this._clearAllHighlights();
       this.currentHighlightedElement = null;
+      this._endHover();
       this._stopElementRefresh();
     }
 
@@ -113,6 +124,105 @@
       this._resetHideTimer();
     }
 
+    /**
+     * Move the cursor to the middle of the window
+     */
+    center() {
+      this.show();
+      this.x = window.innerWidth / 2;
+      this.y = window.innerHeight / 2;
+      this._updatePosition();
+    }
+
+    /**
+     * Move the cursor to the middle of the wiki page (the focused pane in split view)
+     */
+    centerOnPage() {
+      const view = this.wiki.getBoundingClientRect();
+      if (view.width === 0 || view.height === 0) {
+        this.center();
+        return;
+      }
+
+      this.show();
+      this.x = view.left + view.width / 2;
+      this.y = view.top + view.height / 2;
+      this._updatePosition();
+    }
+
+    /**
+     * Point the cursor at another webview (tab switch)
+     * @param {HTMLElement} wiki - The webview now shown
+     */
+    setWebview(wiki) {
+      if (wiki === this.wiki) return;
+
+      this._endHover();
+      this._clearAllHighlights();
+      this.currentHighlightedElement = null;
+
+      this._attachWebview(wiki);
+      this.refreshElements();
+    }
+
+    /**
+     * Forget a webview that was removed (tab closed)
+     * @param {HTMLElement} wiki
+     */
+    removeWebview(wiki) {
+      this.views.delete(wiki);
+    }
+
+    /**
+     * Turn focus mode on or off
+     * @param {boolean} enabled
+     */
+    setFocusMode(enabled) {
+      this.focusMode = enabled;
+      this.cursor.classList.toggle('focus-mode', enabled);
+    }
+
+    /**
+     * Check if focus mode is on
+     * @returns {boolean}
+     */
+    isFocusMode() {
+      return this.focusMode;
+    }
+
+    /**
+     * Jump to the best element in a direction (focus mode)
+     * Scrolls the page when the next element is off-screen.
+     * @param {'up'|'down'|'left'|'right'} direction
+     */
+    moveFocus(direction) {
+      // Held D-pad repeats faster than we want to jump
+      const now = Date.now();
+      if (this.focusPending || now - this.lastFocusMove < CONFIG.FOCUS_REPEAT_MS) return;
+      this.lastFocusMove = now;
+
+      this.show();
+
+      const from = this.currentHighlightedElement || this._cursorRect();
+      const elements = this.elementDetector.getElements();
+
+      if (this._isInWebview(from)) {
+        // Stay inside the page until it can't scroll any further
+        const target = this.spatialNavigator.findNext(this._pageCandidates(elements), from, direction);
+        if (target) {
+          this._focusWebviewElement(target);
+        } else {
+          this._scrollForFocus(from, direction);
+        }
+        return;
+      }
+
+      const target = this.spatialNavigator.findNext(elements, from, direction);
+      if (target) {
+        this._focusLocalOrWebview(target);
+      }
+    }
+
     /**
      * Click the currently highlighted element
      * @returns {Object|null} Info about what was clicked
@@ -132,7 +242,7 @@
 
       if (element.isWebviewElement) {
         // Click webview element using bridge
-        this.webviewBridge.clickElement(element.webviewIndex);
+        this.webviewBridge.clickElement(element.webviewId);
 
         // Refresh after navigation with forced style re-injection
         // The page content may change, so we need to re-inject highlight styles
@@ -156,6 +266,108 @@
       }
     }
 
+    /**
+     * Read the text field or select behind a webview element
+     * @param {Object} elementInfo - Highlighted webview element
+     * @returns {Promise<FormField|null>}
+     */
+    readFormField(elementInfo) {
+      return this.webviewBridge.getFormField(elementInfo.webviewId);
+    }
+
+    /**
+     * Write text typed on the OSK back into a webview field
+     * Single-line fields are submitted like pressing Enter.
+     * @param {FormField} field - Field from readFormField()
+     * @param {string} value - New text
+     */
+    writeFormField(field, value) {
+      this.webviewBridge.setFieldValue(field.webviewId, value, !field.multiline);
+      setTimeout(() => this.refreshElements(), CONFIG.REFRESH_DELAY_MS);
+    }
+
+    /**
+     * Choose an option of a webview select
+     * @param {FormField} field - Field from readFormField()
+     * @param {number} index - Option index
+     */
+    chooseFormOption(field, index) {
+      this.webviewBridge.selectOption(field.webviewId, index);
+    }
+
+    /**
+     * Toggle a webview checkbox or radio button
+     * @param {Object} elementInfo - Highlighted webview element
+     * @returns {Promise<boolean|null>} New checked state
+     */
+    toggleFormField(elementInfo) {
+      this.cursor.classList.add('clicking');
+      setTimeout(() => this.cursor.classList.remove('clicking'), CONFIG.CLICK_FEEDBACK_MS);
+
+      return this.webviewBridge.toggleElement(elementInfo.webviewId);
+    }
+
+    /**
+     * Get the cursor position
+     * @returns {{x: number, y: number}} Overlay coordinates
+     */
+    getPosition() {
+      return { x: this.x, y: this.y };
+    }
+
+    /**
+     * Where the cursor points inside the wiki page
+     * @returns {{x: number, y: number}|null} Page viewport point (CSS pixels), null off the page
+     */
+    getPagePoint() {
+      if (!this._isInWebview(this._cursorRect())) return null;
+
+      const view = this.wiki.getBoundingClientRect();
+      const zoom = this.elementDetector.getZoomFactor();
+      return { x: (this.x - view.left) / zoom, y: (this.y - view.top) / zoom };
+    }
+
+    /**
+     * What the cursor points at inside the wiki page: the highlighted page
+     * element, and a point on it (or the cursor point when there's none)
+     * @returns {{element: ClickableElement|null, x: number, y: number}|null} Point in page viewport CSS pixels, null off the page
+     */
+    getPageTarget() {
+      if (!this._isInWebview(this._cursorRect())) return null;
+
+      const highlighted = this.currentHighlightedElement;
+      const element = highlighted && highlighted.isWebviewElement ? highlighted : null;
+      const point = element ? this._pointInside(element) : { x: this.x, y: this.y };
+
+      const view = this.wiki.getBoundingClientRect();
+      const zoom = this.elementDetector.getZoomFactor();
+      return { element, x: (point.x - view.left) / zoom, y: (point.y - view.top) / zoom };
+    }
+
+    /**
+     * Find the page element at an overlay point
+     * @param {number} x
+     * @param {number} y
+     * @returns {ClickableElement|null}
+     */
+    getPageElementAt(x, y) {
+      const found = this.elementDetector.findNearest(x, y, 0);
+      return found && found.isWebviewElement ? found : null;
+    }
+
+    /**
+     * Put the cursor on a point of the wiki page
+     * @param {number} x - Page viewport X (CSS pixels)
+     * @param {number} y - Page viewport Y (CSS pixels)
+     */
+    moveToPagePoint(x, y) {
+      const view = this.wiki.getBoundingClientRect();
+      const zoom = this.elementDetector.getZoomFactor();
+      this.x = Math.max(view.left, Math.min(view.right - 10, view.left + x * zoom));
+      this.y = Math.max(view.top, Math.min(view.bottom - 10, view.top + y * zoom));
+      this._updatePosition();
+    }
+
     /**
      * Get the currently highlighted element
      * @returns {Object|null}
@@ -170,24 +382,43 @@
     reset() {
       this.currentHighlightedElement = null;
       this._clearAllHighlights();
+      this._endHover();
       this.elementDetector.reset();
     }
 
     /**
-     * Scroll the page
+     * Scroll the open overlay panel, or the page when none is open
      * @param {number} deltaX - Horizontal scroll amount
      * @param {number} deltaY - Vertical scroll amount
      */
     scrollPage(deltaX, deltaY) {
-      if (this.webviewBridge.isActive()) {
-        this.webviewBridge.scroll(deltaX, deltaY);
+      const openPanel = this.elementDetector.getOpenPanel();
+      if (openPanel) {
+        openPanel.scrollBy(deltaX, deltaY);
         setTimeout(() => this.refreshElements(), CONFIG.CLICK_FEEDBACK_MS);
+      } else if (this.webviewBridge.isActive()) {
+        this.webviewBridge.scroll(deltaX, deltaY).then(result => this._onWebviewScrolled(result));
       } else {
         this.landingPage.scrollBy(deltaX, deltaY);
         setTimeout(() => this.refreshElements(), CONFIG.CLICK_FEEDBACK_MS);
       }
     }
 
+    /**
+     * Scroll the open overlay panel, or the page, back to the top
+     */
+    scrollToTop() {
+      const openPanel = this.elementDetector.getOpenPanel();
+      if (openPanel) {
+        openPanel.scrollTo(0, 0);
+      } else if (this.webviewBridge.isActive()) {
+        this.webviewBridge.scrollTo(0, 0);
+      } else {
+        this.landingPage.scrollTo(0, 0);
+      }
+      setTimeout(() => this.refreshElements(), CONFIG.CLICK_FEEDBACK_MS);
+    }
+
     /**
      * Scroll with gamepad (right stick)
      * @param {number} scrollX - Horizontal scroll delta
@@ -198,7 +429,7 @@
         const scrollAmountX = Math.round(scrollX * CONFIG.SCROLL_SPEED * 5);
         const scrollAmountY = Math.round(scrollY * CONFIG.SCROLL_SPEED * 5);
         if (scrollAmountX !== 0 || scrollAmountY !== 0) {
-          this.webviewBridge.scroll(scrollAmountX, scrollAmountY);
+          this.webviewBridge.scroll(scrollAmountX, scrollAmountY).then(result => this._onWebviewScrolled(result));
         }
       }
     }
@@ -209,7 +440,9 @@
      */
     refreshElements(forceStyleReinject = false) {
       if (forceStyleReinject) {
+        // New page: indices no longer point at the highlighted element
         this.elementDetector.resetHighlightStyles();
+        this.currentHighlightedElement = null;
       }
       this.elementDetector.refresh(() => {
         if (this.visible) {
@@ -218,6 +451,201 @@
       });
     }
 
+    /**
+     * Make a webview current, creating its detector and bridge on first use
+     * @private
+     */
+    _attachWebview(wiki) {
+      let view = this.views.get(wiki);
+      if (!view) {
+        const elementDetector = new ElementDetector(wiki, this.landingPage, {
+          onWebviewChange: () => {
+            // Background tabs keep their list up to date silently
+            if (this.visible && elementDetector === this.elementDetector) this._updatePosition();
+          },
+        });
+        view = { elementDetector, webviewBridge: new WebviewBridge(wiki) };
+        this.views.set(wiki, view);
+      }
+
+      this.wiki = wiki;
+      this.elementDetector = view.elementDetector;
+      this.webviewBridge = view.webviewBridge;
+    }
+
+    /**
+     * Focus a target from the local DOM or the webview
+     * @private
+     */
+    _focusLocalOrWebview(target) {
+      if (target.isWebviewElement) {
+        this._focusWebviewElement(target);
+        return;
+      }
+
+      // Landing page and panel lists can extend past their scroll area
+      target.element.scrollIntoView({ block: 'nearest', inline: 'nearest', behavior: 'instant' });
+      const rect = target.element.getBoundingClientRect();
+      const centerX = rect.left + rect.width / 2;
+      const centerY = rect.top + rect.height / 2;
+
+      if (centerX === target.centerX && centerY === target.centerY) {
+        this._focusElement(target);
+        return;
+      }
+
+      this.focusPending = true;
+      this.elementDetector.refresh(() => {
+        this.focusPending = false;
+        this._focusElement(this.elementDetector.findNearest(centerX, centerY, CONFIG.SNAP_RADIUS) || target);
+      });
+    }
+
+    /**
+     * Focus a webview element, scrolling it fully into view if it's clipped
+     * @private
+     */
+    _focusWebviewElement(target) {
+      const view = this.wiki.getBoundingClientRect();
+      const clipped = target.top < view.top || target.bottom > view.bottom ||
+        target.left < view.left || target.right > view.right;
+
+      if (!clipped) {
+        this._focusElement(target);
+        return;
+      }
+
+      this.focusPending = true;
+      this.webviewBridge.scrollElementIntoView(target.webviewId).then(result => {
+        this.focusPending = false;
+        if (!result) return;
+
+        this.elementDetector.setWebviewScroll(result);
+        this._focusElement(this._offsetRect(target, result));
+      });
+    }
+
+    /**
+     * Scroll the page one step when nothing is left in a direction,
+     * then look again. At the edge of the page, leave it for the toolbar.
+     * @private
+     */
+    _scrollForFocus(from, direction) {
+      const step = CONFIG.FOCUS_SCROLL_STEP;
+      const [dx, dy] = {
+        up: [0, -step],
+        down: [0, step],
+        left: [-step, 0],
+        right: [step, 0],
+      }[direction];
+
+      this.focusPending = true;
+      this.webviewBridge.scroll(dx, dy).then(result => {
+        this.focusPending = false;
+
+        if (!result || (result.dx === 0 && result.dy === 0)) {
+          const target = this.spatialNavigator.findNext(this.elementDetector.getElements(), from, direction);
+          if (target) this._focusLocalOrWebview(target);
+          return;
+        }
+
+        // Follow the current element as the page moves under it
+        this.elementDetector.setWebviewScroll(result);
+        const moved = this._offsetRect(from, result);
+        const target = this.spatialNavigator.findNext(
+          this._pageCandidates(this.elementDetector.getElements()), moved, direction,
+        );
+        if (target) {
+          this._focusWebviewElement(target);
+        } else {
+          this.x = moved.centerX;
+          this.y = moved.centerY;
+          this._updatePosition();
+        }
+      });
+    }
+
+    /**
+     * Move the cursor onto an element and highlight it
+     * @private
+     */
+    _focusElement(target) {
+      this.x = target.centerX;
+      this.y = target.centerY;
+      this.cursor.style.left = this.x + 'px';
+      this.cursor.style.top = this.y + 'px';
+
+      this._highlightElement(target);
+      this.currentHighlightedElement = target;
+      this.cursor.classList.add('snapped');
+      this._updateHover();
+      this._resetHideTimer();
+    }
+
+    /**
+     * Shift a rect by a webview scroll delta (CSS pixels, scaled by zoom)
+     * @private
+     */
+    _offsetRect(rect, delta) {
+      const zoom = this.elementDetector.getZoomFactor();
+      const dx = delta.dx * zoom;
+      const dy = delta.dy * zoom;
+      return {
+        ...rect,
+        left: rect.left - dx,
+        right: rect.right - dx,
+        top: rect.top - dy,
+        bottom: rect.bottom - dy,
+        centerX: rect.centerX - dx,
+        centerY: rect.centerY - dy,
+      };
+    }
+
+    /**
+     * Page elements on screen or within one scroll step of it, so focus
+     * doesn't skip over long stretches of text to a far-off link
+     * @private
+     */
+    _pageCandidates(elements) {
+      const view = this.wiki.getBoundingClientRect();
+      const reach = CONFIG.FOCUS_SCROLL_STEP * this.elementDetector.getZoomFactor();
+
+      return elements.filter(el => el.isWebviewElement &&
+        el.bottom > view.top - reach && el.top < view.bottom + reach &&
+        el.right > view.left - reach && el.left < view.right + reach);
+    }
+
+    /**
+     * The cursor position as a zero-size rect
+     * @private
+     */
+    _cursorRect() {
+      return {
+        left: this.x,
+        right: this.x,
+        top: this.y,
+        bottom: this.y,
+        centerX: this.x,
+        centerY: this.y,
+      };
+    }
+
+    /**
+     * Check if a rect sits on the wiki page (not the toolbar or a panel)
+     * @private
+     */
+    _isInWebview(rect) {
+      if (!this.webviewBridge.isActive() || this.elementDetector.getOpenPanel()) {
+        return false;
+      }
+      if (rect.isWebviewElement) return true;
+
+      // In split view the other pane is beside or below this one
+      const view = this.wiki.getBoundingClientRect();
+      return rect.centerX >= view.left && rect.centerX <= view.right &&
+        rect.centerY >= view.top && rect.centerY <= view.bottom;
+    }
+
     /**
      * Reset hide timer
      * @private
@@ -236,7 +664,7 @@
       this.cursor.style.top = this.y + 'px';
 
       const nearest = this._findNearestElement();
-      if (nearest && nearest !== this.currentHighlightedElement) {
+      if (nearest && !this._isSameElement(nearest, this.currentHighlightedElement)) {
         this._highlightElement(nearest);
         this.currentHighlightedElement = nearest;
         this.cursor.classList.add('snapped');
@@ -245,6 +673,88 @@
         this.currentHighlightedElement = null;
         this.cursor.classList.remove('snapped');
       }
+
+      this._updateHover();
+    }
+
+    /**
+     * Hover the page element under the cursor once the cursor rests on it,
+     * and let go of it when the cursor moves off
+     * @private
+     */
+    _updateHover() {
+      const target = this.currentHighlightedElement;
+      if (!target || !target.isWebviewElement) {
+        this._endHover();
+        return;
+      }
+
+      if (this._isSameElement(target, this.hoveredElement)) return;
+
+      if (this.hoverTimeout) clearTimeout(this.hoverTimeout);
+      this.hoverTimeout = setTimeout(() => {
+        this.hoverTimeout = null;
+        const current = this.currentHighlightedElement;
+        if (!this.visible || !this._isSameElement(current, target)) return;
+
+        const view = this.wiki.getBoundingClientRect();
+        const point = this._pointInside(current);
+        this.webviewBridge.hoverAt(point.x - view.left, point.y - view.top);
+        this.hoveredElement = current;
+      }, CONFIG.HOVER_DWELL_MS);
+    }
+
+    /**
+     * The cursor point moved inside an element's rect
+     * (the cursor may only be near the element it snapped to)
+     * @private
+     */
+    _pointInside(rect) {
+      return {
+        x: Math.max(rect.left + 1, Math.min(rect.right - 1, this.x)),
+        y: Math.max(rect.top + 1, Math.min(rect.bottom - 1, this.y)),
+      };
+    }
+
+    /**
+     * Cancel a pending hover and leave the hovered page element
+     * @private
+     */
+    _endHover() {
+      if (this.hoverTimeout) {
+        clearTimeout(this.hoverTimeout);
+        this.hoverTimeout = null;
+      }
+      if (this.hoveredElement) {
+        this.hoveredElement = null;
+        this.webviewBridge.endHover();
+      }
+    }
+
+    /**
+     * Re-snap after the page scrolled under the cursor
+     * @private
+     */
+    _onWebviewScrolled(result) {
+      if (!result) return;
+
+      this.elementDetector.setWebviewScroll(result);
+      if (this.visible) {
+        this._updatePosition();
+      }
+    }
+
+    /**
+     * Check if two element infos refer to the same element
+     * (webview lookups build a new object each time)
+     * @private
+     */
+    _isSameElement(a, b) {
+      if (!a || !b) return a === b;
+      if (a.isWebviewElement || b.isWebviewElement) {
+        return a.isWebviewElement === b.isWebviewElement && a.webviewId === b.webviewId;
+      }
+      return a.element === b.element;
     }
 
     /**
@@ -282,7 +792,7 @@
       if (!elementInfo) return;
 
       if (elementInfo.isWebviewElement) {
-        this.webviewBridge.highlightElement(elementInfo.webviewIndex);
+        this.webviewBridge.highlightElement(elementInfo.webviewId);
       } else {
         elementInfo.element.classList.add('gamepad-selected');
         this.currentHighlightedLocal = elementInfo.element;
@@ -291,6 +801,8 @@
 
     /**
      * Start periodic element refresh
+     * Picks up local UI changes; the page itself is only scanned until its
+     * preload starts pushing updates.
      * @private
      */
     _startElementRefresh() {
@@ -0,0 +1,186 @@
+/**
+ * History Manager Module
+ *
+ * Durable browsing history: every page shown in a wiki webview is
+ * recorded by the main process with its title, wiki, visit count and
+ * time of the last visit. Unlike the per-tab NavigationManager history,
+ * it survives going home and restarts. Drives the "Recently viewed"
+ * links on the landing page.
+ *
+ * Single Responsibility: History recording, queries, and recent links
+ *
+ * Dependencies:
+ * - WikiManager (wiki-manager.js) for wiki names
+ */
+
+(function(global) {
+  'use strict';
+
+  // Recent pages linked from the landing page
+  const RECENT_LINKS = 8;
+
+  // Most entries a search returns
+  const SEARCH_LIMIT = 100;
+
+  // Most past searches offered as predictions
+  const PAST_SEARCH_LIMIT = 4;
+
+  /**
+   * @typedef {Object} HistoryEntry
+   * @property {string} url
+   * @property {string} title - Page title ('' until the page reports one)
+   * @property {string} wiki - Base URL of the wiki the page belongs to
+   * @property {number} visits - Times the page was shown
+   * @property {number} lastVisited - Time of the last visit (ms)
+   */
+
+  /**
+   * HistoryManager class - manages the browsing history and recent links
+   */
+  class HistoryManager {
+    /**
+     * @param {Object} elements - DOM element references
+     * @param {HTMLElement} elements.recent - Landing page section for recent pages
+     * @param {HTMLElement} elements.recentList - Container for recent links
+     * @param {WikiManager} wikiManager - Names the wiki of each page
+     * @param {Object|null} api - electronAPI for persistence (null disables history)
+     * @param {Object} callbacks - Callback functions
+     * @param {Function} callbacks.onOpen - Called with a HistoryEntry to show it
+     */
+    constructor(elements, wikiManager, api, callbacks = {}) {
+      this.recent = elements.recent;
+      this.recentList = elements.recentList;
+      this.wikiManager = wikiManager;
+      this.api = api;
+      this.callbacks = callbacks;
+    }
+
+    /**
+     * Count a visit to a page
+     * @param {Object} page
+     * @param {string} page.url
+     * @param {string} page.title
+     * @param {string} page.wiki - Base URL of the wiki
+     */
+    record(page) {
+      if (!this.api || !/^https?:\/\//.test(page.url)) return;
+
+      this.api.recordHistoryVisit(page);
+      this.refreshRecent().catch(() => {});
+    }
+
+    /**
+     * Store the title a page reported after it was recorded
+     * @param {string} url
+     * @param {string} title
+     */
+    setTitle(url, title) {
+      if (!this.api || !/^https?:\/\//.test(url)) return;
+
+      this.api.setHistoryTitle(url, title);
+      this.refreshRecent().catch(() => {});
+    }
+
+    /**
+     * Find visited pages by title
+     * @param {string} query - Every word must appear in the title ('' for the latest pages)
+     * @returns {Promise<HistoryEntry[]>}
+     */
+    search(query) {
+      if (!this.api) return Promise.resolve([]);
+
+      return this.api.searchHistory(query, SEARCH_LIMIT);
+    }
+
+    /**
+     * Remember a search, to predict it later
+     * @param {string} query
+     */
+    recordSearch(query) {
+      if (!this.api) return;
+
+      this.api.recordSearch(query);
+    }
+
+    /**
+     * Find past searches starting with the text typed so far
+     * @param {string} prefix - '' for the latest searches
+     * @returns {Promise<string[]>} Most recent first
+     */
+    getPastSearches(prefix) {
+      if (!this.api) return Promise.resolve([]);
+
+      return this.api.getPastSearches(prefix, PAST_SEARCH_LIMIT);
+    }
+
+    /**
+     * Forget every visited page and search
+     * @returns {Promise<void>}
+     */
+    clear() {
+      if (!this.api) return Promise.resolve();
+
+      return this.api.clearHistory().then(() => this.refreshRecent());
+    }
+
+    /**
+     * Rebuild the recently viewed links
+     * @returns {Promise<void>}
+     */
+    refreshRecent() {
+      if (!this.api) return Promise.resolve();
+
+      return this.api.getRecentHistory(RECENT_LINKS).then(entries => this._renderRecent(entries));
+    }
+
+    /**
+     * Get a short description of an entry: wiki, last visit and visit count
+     * @param {HistoryEntry} entry
+     * @returns {string}
+     */
+    describe(entry) {
+      const date = new Date(entry.lastVisited);
+      const when = date.toDateString() === new Date().toDateString()
+        ? date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
+        : date.toLocaleDateString();
+      const visits = entry.visits === 1 ? '1 visit' : `${entry.visits} visits`;
+
+      return `${this.wikiManager.getWikiName(entry.wiki)} · ${when} · ${visits}`;
+    }
+
+    /**
+     * Build the recent links on the landing page
+     * @private
+     */
+    _renderRecent(entries) {
+      this.recentList.innerHTML = '';
+      this.recent.classList.toggle('hidden', entries.length === 0);
+
+      entries.forEach(entry => {
+        const link = document.createElement('button');
+        link.type = 'button';
+        link.className = 'quick-link';
+        link.setAttribute('role', 'listitem');
+        link.title = entry.url;
+
+        const title = document.createElement('span');
+        title.className = 'quick-link-title';
+        title.textContent = entry.title || entry.url;
+
+        const wiki = document.createElement('span');
+        wiki.className = 'quick-link-wiki';
+        wiki.textContent = this.wikiManager.getWikiName(entry.wiki);
+
+        link.append(title, wiki);
+        link.addEventListener('click', () => {
+          if (this.callbacks.onOpen) this.callbacks.onOpen(entry);
+        });
+        this.recentList.appendChild(link);
+      });
+    }
+  }
+
+  // Expose to global scope
+  global.HistoryManager = HistoryManager;
+
+})(window);
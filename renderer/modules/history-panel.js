@@ -0,0 +1,190 @@
+/**
+ * History Panel Module
+ *
+ * Overlay panel listing visited pages, most recent first, with a search
+ * over page titles and a clear-history button (pressed twice, so a
+ * stray gamepad click can't wipe it).
+ *
+ * Single Responsibility: History display, search, and clearing
+ *
+ * Dependencies:
+ * - HistoryManager (history-manager.js)
+ */
+
+(function(global) {
+  'use strict';
+
+  // How long the clear button waits for the confirming press (ms)
+  const CLEAR_CONFIRM_MS = 3000;
+
+  /**
+   * HistoryPanel class - manages the history overlay
+   */
+  class HistoryPanel {
+    /**
+     * @param {Object} elements - DOM element references
+     * @param {HTMLElement} elements.panel - The history panel container
+     * @param {HTMLElement} elements.toggleBtn - Toolbar button that opens the panel
+     * @param {HTMLElement} elements.closeBtn - Close button inside the panel
+     * @param {HTMLInputElement} elements.search - Title search input
+     * @param {HTMLElement} elements.list - Container for the entries
+     * @param {HTMLElement} elements.clearBtn - Clears the history
+     * @param {HistoryManager} historyManager - History data
+     * @param {Object} callbacks - Callback functions
+     * @param {Function} callbacks.onOpen - Called with a HistoryEntry to show it
+     * @param {Function} callbacks.onShow - Called when the panel opens
+     */
+    constructor(elements, historyManager, callbacks = {}) {
+      this.panel = elements.panel;
+      this.toggleBtn = elements.toggleBtn;
+      this.closeBtn = elements.closeBtn;
+      this.search = elements.search;
+      this.list = elements.list;
+      this.clearBtn = elements.clearBtn;
+      this.historyManager = historyManager;
+      this.callbacks = callbacks;
+
+      // State
+      this.visible = false;
+      this.renderId = 0; // Drops search results that arrive out of order
+      this.clearTimeout = null;
+
+      this._bindEvents();
+    }
+
+    /**
+     * Check if the panel is currently visible
+     * @returns {boolean}
+     */
+    isVisible() {
+      return this.visible;
+    }
+
+    /**
+     * Show the history panel
+     */
+    show() {
+      this.visible = true;
+      this.render();
+      this.panel.classList.remove('hidden');
+      this.toggleBtn.setAttribute('aria-expanded', 'true');
+
+      if (this.callbacks.onShow) {
+        this.callbacks.onShow();
+      }
+    }
+
+    /**
+     * Hide the history panel
+     */
+    hide() {
+      this.visible = false;
+      this.panel.classList.add('hidden');
+      this.toggleBtn.setAttribute('aria-expanded', 'false');
+      this._resetClear();
+    }
+
+    /**
+     * Toggle panel visibility
+     */
+    toggle() {
+      if (this.visible) {
+        this.hide();
+      } else {
+        this.show();
+      }
+    }
+
+    /**
+     * Rebuild the list for the current search
+     */
+    render() {
+      const query = this.search.value.trim();
+      const renderId = ++this.renderId;
+
+      this.historyManager.search(query).then(entries => {
+        if (renderId === this.renderId) this._renderEntries(entries, query);
+      }).catch(() => {});
+    }
+
+    /**
+     * Bind event listeners
+     * @private
+     */
+    _bindEvents() {
+      this.toggleBtn.addEventListener('click', () => this.toggle());
+      this.closeBtn.addEventListener('click', () => this.hide());
+      this.search.addEventListener('input', () => this.render());
+      this.clearBtn.addEventListener('click', () => this._clear());
+    }
+
+    /**
+     * Build one button per entry
+     * @private
+     */
+    _renderEntries(entries, query) {
+      this.list.innerHTML = '';
+
+      if (entries.length === 0) {
+        const empty = document.createElement('p');
+        empty.className = 'panel-hint';
+        empty.textContent = query ? 'No visited page titles match the search' : 'No pages visited yet';
+        this.list.appendChild(empty);
+        return;
+      }
+
+      entries.forEach(entry => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'history-entry';
+        btn.title = entry.url;
+
+        const title = document.createElement('span');
+        title.className = 'history-title';
+        title.textContent = entry.title || entry.url;
+
+        const meta = document.createElement('span');
+        meta.className = 'history-meta';
+        meta.textContent = this.historyManager.describe(entry);
+
+        btn.append(title, meta);
+        btn.addEventListener('click', () => {
+          this.hide();
+          if (this.callbacks.onOpen) this.callbacks.onOpen(entry);
+        });
+        this.list.appendChild(btn);
+      });
+    }
+
+    /**
+     * Ask for a second press, then clear the history
+     * @private
+     */
+    _clear() {
+      if (!this.clearTimeout) {
+        this.clearBtn.textContent = 'Press again to clear';
+        this.clearBtn.classList.add('confirming');
+        this.clearTimeout = setTimeout(() => this._resetClear(), CLEAR_CONFIRM_MS);
+        return;
+      }
+
+      this._resetClear();
+      this.historyManager.clear().then(() => this.render()).catch(() => {});
+    }
+
+    /**
+     * Put the clear button back to its first step
+     * @private
+     */
+    _resetClear() {
+      if (this.clearTimeout) clearTimeout(this.clearTimeout);
+      this.clearTimeout = null;
+      this.clearBtn.textContent = 'Clear history';
+      this.clearBtn.classList.remove('confirming');
+    }
+  }
+
+  // Expose to global scope
+  global.HistoryPanel = HistoryPanel;
+
+})(window);
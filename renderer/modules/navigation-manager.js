@@ -59,6 +59,9 @@
       // Reset highlight state on page change
       this.highlightStyleInjected = false;
 
+      // Arrived at the current entry (back/forward or a restored session) - keep the stack
+      if (this.history[this.currentIndex] === e.url) return;
+
       // Trim forward history if we navigated (not via back/forward)
       if (this.currentIndex < this.history.length - 1) {
         this.history = this.history.slice(0, this.currentIndex + 1);
@@ -77,6 +80,7 @@
      */
     _handleNavigateInPage(e) {
       if (e.url === 'about:blank') return;
+      if (this.history[this.currentIndex] === e.url) return;
 
       if (this.currentIndex < this.history.length - 1) {
         this.history = this.history.slice(0, this.currentIndex + 1);
@@ -205,6 +209,26 @@
       }
     }
 
+    /**
+     * Get the back/forward stack
+     * @returns {{entries: string[], index: number}}
+     */
+    getState() {
+      return { entries: this.history.slice(), index: this.currentIndex };
+    }
+
+    /**
+     * Replace the back/forward stack (e.g. from a saved session)
+     * Load entries[index] afterwards; arriving there keeps the stack.
+     * @param {string[]} entries
+     * @param {number} index - The current entry
+     */
+    restoreState(entries, index) {
+      this.clearHistory();
+      this.history = entries.slice();
+      this.currentIndex = index;
+    }
+
     /**
      * Check if we can go back
      * @returns {boolean}
@@ -2,6 +2,9 @@
  * On-Screen Keyboard (OSK) Manager Module
  *
  * Handles the virtual on-screen keyboard for gamepad text input.
+ * A row above the keys predicts the rest of the text (from the
+ * getSuggestions callback); the highlighted prediction is submitted with
+ * one button press.
  *
  * Single Responsibility: Keyboard display, navigation, and input handling
  */
@@ -25,6 +28,12 @@
 
   const COLS = 10;
 
+  // Wait after the last key before asking for predictions (ms)
+  const SUGGEST_DELAY_MS = 200;
+
+  // Most predictions in the row
+  const MAX_SUGGESTIONS = 6;
+
   /**
    * OSKManager class - manages on-screen keyboard functionality
    */
@@ -34,15 +43,19 @@
      * @param {HTMLElement} elements.osk - The keyboard container
      * @param {HTMLElement} elements.oskKeys - Container for keyboard keys
      * @param {HTMLElement} elements.oskInputText - Preview text element
+     * @param {HTMLElement} elements.oskSuggestions - Row of predicted texts above the keys
      * @param {Object} callbacks - Callback functions
      * @param {Function} callbacks.onHideCursor - Called when keyboard opens (hide main cursor)
      * @param {Function} callbacks.onShowCursor - Called when keyboard closes (show main cursor)
      * @param {Function} callbacks.onSubmit - Called when input is submitted
+     * @param {Function} callbacks.onVisibilityChange - Called with true/false when the keyboard opens or closes
+     * @param {Function} callbacks.getSuggestions - Called with the target input and text typed, resolves to predicted texts
      */
     constructor(elements, callbacks = {}) {
       this.osk = elements.osk;
       this.oskKeys = elements.oskKeys;
       this.oskInputText = elements.oskInputText;
+      this.oskSuggestions = elements.oskSuggestions;
       this.callbacks = callbacks;
 
       // State
@@ -51,6 +64,10 @@
       this.currentLayout = 'letters';
       this.inputValue = '';
       this.targetInput = null;
+      this.suggestions = [];
+      this.suggestionIndex = 0;
+      this.suggestTimeout = null;
+      this.suggestRequestId = 0; // Ignores predictions for older text
 
       // Analog navigation debounce
       this.lastAnalogNav = 0;
@@ -66,7 +83,7 @@
 
     /**
      * Show the on-screen keyboard
-     * @param {HTMLInputElement} targetInput - The input element to type into
+     * @param {HTMLInputElement|FormField} targetInput - Local input, or a webview field read by GamepadCursor
      */
     show(targetInput) {
       this.targetInput = targetInput;
@@ -76,10 +93,16 @@
       this.osk.classList.remove('hidden');
       this._renderKeys();
       this._updatePreview();
+      this._renderSuggestions([]);
+      this._updateSuggestions();
 
       if (this.callbacks.onHideCursor) {
         this.callbacks.onHideCursor();
       }
+
+      if (this.callbacks.onVisibilityChange) {
+        this.callbacks.onVisibilityChange(true);
+      }
     }
 
     /**
@@ -98,10 +121,15 @@
       this.visible = false;
       this.osk.classList.add('hidden');
       this.targetInput = null;
+      this._cancelSuggestions();
 
       if (this.callbacks.onShowCursor) {
         this.callbacks.onShowCursor();
       }
+
+      if (this.callbacks.onVisibilityChange) {
+        this.callbacks.onVisibilityChange(false);
+      }
     }
 
     /**
@@ -169,6 +197,7 @@
       if (this.selectedIndex < keys.length) {
         this.inputValue += keys[this.selectedIndex].toLowerCase();
         this._updatePreview();
+        this._updateSuggestions();
       }
     }
 
@@ -178,6 +207,7 @@
     backspace() {
       this.inputValue = this.inputValue.slice(0, -1);
       this._updatePreview();
+      this._updateSuggestions();
     }
 
     /**
@@ -186,6 +216,29 @@
     space() {
       this.inputValue += ' ';
       this._updatePreview();
+      this._updateSuggestions();
+    }
+
+    /**
+     * Highlight the next prediction (wrapping around)
+     */
+    nextSuggestion() {
+      if (this.suggestions.length === 0) return;
+
+      this.suggestionIndex = (this.suggestionIndex + 1) % this.suggestions.length;
+      this._renderSuggestions(this.suggestions);
+    }
+
+    /**
+     * Submit a prediction right away
+     * @param {number} [index] - Defaults to the highlighted one
+     */
+    chooseSuggestion(index = this.suggestionIndex) {
+      const suggestion = this.suggestions[index];
+      if (suggestion === undefined) return;
+
+      this.inputValue = suggestion;
+      this.hide(true);
     }
 
     /**
@@ -199,7 +252,7 @@
 
     /**
      * Get the target input element
-     * @returns {HTMLInputElement|null}
+     * @returns {HTMLInputElement|FormField|null}
      */
     getTargetInput() {
       return this.targetInput;
@@ -222,6 +275,7 @@
         keyEl.addEventListener('click', () => {
           this.inputValue += key.toLowerCase();
           this._updatePreview();
+          this._updateSuggestions();
         });
 
         this.oskKeys.appendChild(keyEl);
@@ -235,6 +289,62 @@
     _updatePreview() {
       this.oskInputText.textContent = this.inputValue || '';
     }
+
+    /**
+     * Ask for predictions of the current text once typing pauses
+     * @private
+     */
+    _updateSuggestions() {
+      this._cancelSuggestions();
+      if (!this.callbacks.getSuggestions) return;
+
+      const requestId = this.suggestRequestId;
+      this.suggestTimeout = setTimeout(() => {
+        this.suggestTimeout = null;
+        this.callbacks.getSuggestions(this.targetInput, this.inputValue)
+          .catch(() => [])
+          .then(suggestions => {
+            if (requestId !== this.suggestRequestId || !this.visible) return;
+
+            // Nothing to predict when the text is already complete
+            const typed = this.inputValue.trim().toLowerCase();
+            this.suggestionIndex = 0;
+            this._renderSuggestions(suggestions
+              .filter(text => text.toLowerCase() !== typed)
+              .slice(0, MAX_SUGGESTIONS));
+          });
+      }, SUGGEST_DELAY_MS);
+    }
+
+    /**
+     * Drop the pending prediction request
+     * @private
+     */
+    _cancelSuggestions() {
+      clearTimeout(this.suggestTimeout);
+      this.suggestTimeout = null;
+      this.suggestRequestId++;
+    }
+
+    /**
+     * Render the prediction row (hidden when there are none)
+     * @private
+     */
+    _renderSuggestions(suggestions) {
+      this.suggestions = suggestions;
+      this.oskSuggestions.innerHTML = '';
+      this.oskSuggestions.classList.toggle('hidden', suggestions.length === 0);
+
+      suggestions.forEach((suggestion, index) => {
+        const suggestionEl = document.createElement('div');
+        suggestionEl.className = 'osk-suggestion' + (index === this.suggestionIndex ? ' selected' : '');
+        suggestionEl.textContent = suggestion;
+
+        suggestionEl.addEventListener('click', () => this.chooseSuggestion(index));
+
+        this.oskSuggestions.appendChild(suggestionEl);
+      });
+    }
   }
 
   // Expose to global scope
@@ -0,0 +1,350 @@
+/**
+ * Search Suggestions Module
+ *
+ * Suggests articles of the current wiki while typing in the toolbar
+ * search box, in a dropdown under it. MediaWiki wikis are asked through
+ * their opensearch API; other wikis suggest the pages of that wiki in
+ * the browsing history. Picking a suggestion opens the article directly
+ * instead of the search results page.
+ *
+ * The dropdown only shows while the input has focus, which typing on the
+ * on-screen keyboard doesn't give it; the OSK shows the same suggestions
+ * in its own row through fetchSuggestions.
+ *
+ * Requests wait for typing to pause, and a newer request cancels the
+ * one still running. When a source fails (e.g. the wiki has no API where
+ * it was expected) the next one that handles the wiki is asked.
+ *
+ * Single Responsibility: Search suggestion fetching and the dropdown
+ *
+ * Dependencies:
+ * - WikiManager (wiki-manager.js) for the current wiki
+ * - HistoryManager (history-manager.js) for wikis without a suggestion API
+ */
+
+(function(global) {
+  'use strict';
+
+  // Wait this long after the last key press before asking (ms)
+  const DEBOUNCE_MS = 250;
+
+  // Most suggestions shown
+  const MAX_SUGGESTIONS = 8;
+
+  /**
+   * @typedef {Object} Suggestion
+   * @property {string} title
+   * @property {string} url - The article
+   */
+
+  /**
+   * Suggestion sources, by kind of wiki. The adapters that handle the
+   * wiki's config ({baseUrl, searchUrl}) are asked in order until one
+   * doesn't fail.
+   */
+  const ADAPTERS = [
+    {
+      // MediaWiki (wiki.gg, Fandom and most self-hosted wikis)
+      handles: (config) => mediaWikiApiUrls(config.searchUrl).length > 0,
+      fetch: (config, query, { signal }) => {
+        const params = new URLSearchParams({
+          action: 'opensearch',
+          search: query,
+          limit: String(MAX_SUGGESTIONS),
+          namespace: '0',
+          format: 'json',
+          origin: '*', // Anonymous cross-origin request
+        });
+
+        // Try the likely api.php locations in order
+        return mediaWikiApiUrls(config.searchUrl).reduce((previous, apiUrl) => previous.catch(err => {
+          if (signal.aborted) throw err;
+          return fetchOpenSearch(`${apiUrl}?${params}`, signal);
+        }), Promise.reject(new Error('No api.php')));
+      },
+    },
+    {
+      // Anything else (e.g. Fextralife): pages of the wiki visited before
+      handles: () => true,
+      fetch: (config, query, { historyManager }) => historyManager.search(query).then(entries => entries
+        .filter(entry => entry.wiki === config.baseUrl)
+        .map(entry => ({ title: siteTitle(entry.title) || entry.url, url: entry.url }))),
+    },
+  ];
+
+  /**
+   * SearchSuggestions class - manages the toolbar search dropdown
+   */
+  class SearchSuggestions {
+    /**
+     * @param {Object} elements - DOM element references
+     * @param {HTMLInputElement} elements.input - The toolbar search input
+     * @param {HTMLElement} elements.container - Wrapper of the input and the dropdown
+     * @param {HTMLElement} elements.list - The dropdown
+     * @param {WikiManager} wikiManager - The wiki to search
+     * @param {HistoryManager} historyManager - Suggestions for wikis without an API
+     * @param {Object} callbacks - Callback functions
+     * @param {Function} callbacks.onPick - Called with the Suggestion picked
+     */
+    constructor(elements, wikiManager, historyManager, callbacks = {}) {
+      this.input = elements.input;
+      this.container = elements.container;
+      this.list = elements.list;
+      this.wikiManager = wikiManager;
+      this.historyManager = historyManager;
+      this.callbacks = callbacks;
+
+      // State
+      this.visible = false;
+      /** @type {Suggestion[]} */
+      this.suggestions = [];
+      this.selectedIndex = -1;
+      this.debounceTimeout = null;
+      this.controller = null; // AbortController of the running request
+      this.requestId = 0;
+
+      this._bindEvents();
+    }
+
+    /**
+     * Check if the dropdown is currently visible
+     * @returns {boolean}
+     */
+    isVisible() {
+      return this.visible;
+    }
+
+    /**
+     * Get suggestions for a query on the current wiki, cancelling any
+     * request still running
+     * @param {string} query
+     * @returns {Promise<Suggestion[]|null>} null when a newer request replaced this one
+     */
+    fetchSuggestions(query) {
+      this.cancel();
+
+      const config = this.wikiManager.getConfig();
+      const text = query.replace(/\s+/g, ' ').trim();
+      if (!text || !config.baseUrl) return Promise.resolve([]);
+
+      const requestId = this.requestId;
+      const controller = new AbortController();
+      this.controller = controller;
+
+      const options = { signal: controller.signal, historyManager: this.historyManager };
+      return ADAPTERS
+        .filter(entry => entry.handles(config))
+        .reduce((previous, adapter) => previous.catch(err => {
+          if (controller.signal.aborted) throw err;
+          return adapter.fetch(config, text, options);
+        }), Promise.reject(new Error('No suggestion source')))
+        .catch(() => [])
+        .then(suggestions => {
+          if (requestId !== this.requestId) return null;
+
+          this.controller = null;
+          return suggestions.slice(0, MAX_SUGGESTIONS);
+        });
+    }
+
+    /**
+     * Stop the pending and running requests
+     */
+    cancel() {
+      clearTimeout(this.debounceTimeout);
+      this.debounceTimeout = null;
+      this.requestId++;
+
+      if (this.controller) {
+        this.controller.abort();
+        this.controller = null;
+      }
+    }
+
+    /**
+     * Hide the dropdown and drop its requests
+     */
+    hide() {
+      this.cancel();
+      this.visible = false;
+      this.suggestions = [];
+      this.selectedIndex = -1;
+      this.list.classList.add('hidden');
+      this.list.innerHTML = '';
+      this.input.setAttribute('aria-expanded', 'false');
+      this.input.removeAttribute('aria-activedescendant');
+    }
+
+    /**
+     * Bind event listeners
+     * @private
+     */
+    _bindEvents() {
+      this.input.addEventListener('input', () => this._scheduleUpdate());
+      this.input.addEventListener('blur', () => this.hide());
+
+      // Keep the input focused when a suggestion is clicked
+      this.list.addEventListener('mousedown', (e) => e.preventDefault());
+
+      // Capture: runs before the input's own Enter (search) handler
+      this.container.addEventListener('keydown', (e) => this._handleKey(e), true);
+    }
+
+    /**
+     * Arrow keys move through the suggestions, Enter opens the selected
+     * one (or searches as usual), Escape closes the dropdown
+     * @private
+     */
+    _handleKey(e) {
+      if (e.key === 'Escape' && this.visible) {
+        e.preventDefault();
+        e.stopPropagation();
+        this.hide();
+      } else if ((e.key === 'ArrowDown' || e.key === 'ArrowUp') && this.visible) {
+        e.preventDefault();
+        this._select(this.selectedIndex + (e.key === 'ArrowDown' ? 1 : -1));
+      } else if (e.key === 'Enter') {
+        if (this.selectedIndex !== -1) {
+          e.preventDefault();
+          e.stopPropagation();
+          this._pick(this.suggestions[this.selectedIndex]);
+        } else {
+          this.hide();
+        }
+      }
+    }
+
+    /**
+     * Ask for suggestions once typing pauses
+     * @private
+     */
+    _scheduleUpdate() {
+      this.cancel();
+      if (!this.input.value.trim()) {
+        this.hide();
+        return;
+      }
+
+      this.debounceTimeout = setTimeout(() => {
+        this.debounceTimeout = null;
+        this.fetchSuggestions(this.input.value).then(suggestions => {
+          if (suggestions) this._render(suggestions);
+        });
+      }, DEBOUNCE_MS);
+    }
+
+    /**
+     * Show the suggestions (hides the dropdown when there are none)
+     * @private
+     */
+    _render(suggestions) {
+      if (suggestions.length === 0 || document.activeElement !== this.input) {
+        this.hide();
+        return;
+      }
+
+      this.suggestions = suggestions;
+      this.selectedIndex = -1;
+      this.list.innerHTML = '';
+
+      suggestions.forEach((suggestion, index) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.id = `search-suggestion-${index}`;
+        btn.className = 'search-suggestion';
+        btn.setAttribute('role', 'option');
+        btn.setAttribute('aria-selected', 'false');
+        btn.textContent = suggestion.title;
+        btn.title = suggestion.url;
+        btn.addEventListener('click', () => this._pick(suggestion));
+        this.list.appendChild(btn);
+      });
+
+      this.visible = true;
+      this.list.classList.remove('hidden');
+      this.input.setAttribute('aria-expanded', 'true');
+      this.input.removeAttribute('aria-activedescendant');
+    }
+
+    /**
+     * Highlight a suggestion (-1 for none, wrapping around at the ends)
+     * @private
+     */
+    _select(index) {
+      const count = this.suggestions.length;
+      this.selectedIndex = index < -1 ? count - 1 : index >= count ? -1 : index;
+
+      Array.from(this.list.children).forEach((btn, i) => {
+        const selected = i === this.selectedIndex;
+        btn.classList.toggle('selected', selected);
+        btn.setAttribute('aria-selected', String(selected));
+      });
+
+      if (this.selectedIndex === -1) {
+        this.input.removeAttribute('aria-activedescendant');
+      } else {
+        this.input.setAttribute('aria-activedescendant', `search-suggestion-${this.selectedIndex}`);
+      }
+    }
+
+    /**
+     * Open a suggested article
+     * @private
+     * @param {Suggestion} suggestion
+     */
+    _pick(suggestion) {
+      this.input.value = suggestion.title;
+      this.hide();
+
+      if (this.callbacks.onPick) {
+        this.callbacks.onPick(suggestion);
+      }
+    }
+  }
+
+  /**
+   * Where MediaWiki's api.php may be for a search URL like
+   * .../index.php?search= (next to it) or .../wiki/Special:Search?query=
+   * (/api.php on Fandom, /w/api.php on Wikipedia-style installs)
+   * @param {string} searchUrl
+   * @returns {string[]} Most likely first, empty if it isn't a MediaWiki one
+   */
+  function mediaWikiApiUrls(searchUrl) {
+    const script = /^(https?:\/\/[^?#]+\/)index\.php(\?|$)/.exec(searchUrl || '');
+    if (script) return [script[1] + 'api.php'];
+
+    const specialPage = /^(https?:\/\/[^/?#]+)\/[^/?#]+\/Special:Search(\?|$)/.exec(searchUrl || '');
+    return specialPage ? [specialPage[1] + '/api.php', specialPage[1] + '/w/api.php'] : [];
+  }
+
+  /**
+   * Ask one api.php for opensearch suggestions
+   * @param {string} url - api.php with the opensearch query
+   * @param {AbortSignal} signal
+   * @returns {Promise<Suggestion[]>} Rejects unless the answer is an opensearch one
+   */
+  function fetchOpenSearch(url, signal) {
+    return fetch(url, { signal })
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.json();
+      })
+      // [query, titles, descriptions, urls]
+      .then(([, titles, , urls]) => titles
+        .map((title, i) => ({ title, url: urls[i] }))
+        .filter(suggestion => /^https?:\/\//.test(suggestion.url)));
+  }
+
+  /**
+   * Page title without the site name ("Zenith | Elden Ring Wiki" -> "Zenith")
+   * @param {string} title
+   * @returns {string}
+   */
+  function siteTitle(title) {
+    return (title || '').split(' | ')[0].trim();
+  }
+
+  // Expose to global scope
+  global.SearchSuggestions = SearchSuggestions;
+
+})(window);
@@ -0,0 +1,186 @@
+/**
+ * Select Picker Module
+ *
+ * Gamepad-friendly option list for <select> elements inside the
+ * webview, which open as native popups the cursor can't reach.
+ *
+ * Single Responsibility: Option list display, navigation, and choice
+ */
+
+(function(global) {
+  'use strict';
+
+  /**
+   * SelectPicker class - manages the option picker dialog
+   */
+  class SelectPicker {
+    /**
+     * @param {Object} elements - DOM element references
+     * @param {HTMLElement} elements.picker - The dialog container
+     * @param {HTMLElement} elements.title - Title element (field label)
+     * @param {HTMLElement} elements.options - Container for the options
+     * @param {Object} callbacks - Callback functions
+     * @param {Function} callbacks.onChoose - Called with (field, index) when an option is picked
+     * @param {Function} callbacks.onVisibilityChange - Called with true/false when the picker opens or closes
+     */
+    constructor(elements, callbacks = {}) {
+      this.picker = elements.picker;
+      this.title = elements.title;
+      this.optionsContainer = elements.options;
+      this.callbacks = callbacks;
+
+      // State
+      this.visible = false;
+      this.field = null;
+      this.selectedIndex = 0;
+      this.optionButtons = [];
+
+      // Analog navigation debounce
+      this.lastAnalogNav = 0;
+    }
+
+    /**
+     * Check if the picker is currently visible
+     * @returns {boolean}
+     */
+    isVisible() {
+      return this.visible;
+    }
+
+    /**
+     * Show the options of a select field
+     * @param {FormField} field - Select read from the webview
+     */
+    show(field) {
+      this.field = field;
+      this.title.textContent = field.label || 'Choose an option';
+
+      // Start on the current choice, or the first enabled option
+      const current = field.options.findIndex(o => o.selected && !o.disabled);
+      this.selectedIndex = current !== -1 ? current : field.options.findIndex(o => !o.disabled);
+
+      this._renderOptions();
+      this.visible = true;
+      this.picker.classList.remove('hidden');
+      this._updateSelection();
+
+      if (this.callbacks.onVisibilityChange) {
+        this.callbacks.onVisibilityChange(true);
+      }
+    }
+
+    /**
+     * Hide the picker without choosing
+     */
+    hide() {
+      this.visible = false;
+      this.field = null;
+      this.picker.classList.add('hidden');
+
+      if (this.callbacks.onVisibilityChange) {
+        this.callbacks.onVisibilityChange(false);
+      }
+    }
+
+    /**
+     * Move the selection, skipping disabled options
+     * @param {number} step - 1 for down, -1 for up
+     */
+    move(step) {
+      if (!this.field) return;
+
+      const options = this.field.options;
+      let index = this.selectedIndex;
+      for (let i = 0; i < options.length; i++) {
+        index = (index + step + options.length) % options.length;
+        if (!options[index].disabled) break;
+      }
+
+      this.selectedIndex = index;
+      this._updateSelection();
+    }
+
+    /**
+     * Handle analog stick navigation with debounce
+     * @param {number} dx - X delta (unused, the list is vertical)
+     * @param {number} dy - Y delta
+     * @returns {boolean} Whether navigation occurred
+     */
+    handleAnalogNavigation(dx, dy) {
+      const now = Date.now();
+      if (now - this.lastAnalogNav < 150) return false;
+
+      if (Math.abs(dy) > 4) {
+        this.lastAnalogNav = now;
+        this.move(dy > 0 ? 1 : -1);
+        return true;
+      }
+      return false;
+    }
+
+    /**
+     * Pick the selected option and close
+     */
+    choose() {
+      this._chooseIndex(this.selectedIndex);
+    }
+
+    /**
+     * @private
+     */
+    _chooseIndex(index) {
+      const field = this.field;
+      const option = field && field.options[index];
+      if (!option || option.disabled) return;
+
+      this.hide();
+
+      if (this.callbacks.onChoose) {
+        this.callbacks.onChoose(field, index);
+      }
+    }
+
+    /**
+     * Build one button per option
+     * @private
+     */
+    _renderOptions() {
+      this.optionsContainer.innerHTML = '';
+
+      this.optionButtons = this.field.options.map((option, index) => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'picker-option';
+        btn.setAttribute('role', 'option');
+        btn.textContent = option.label;
+        btn.disabled = option.disabled;
+        btn.classList.toggle('current', option.selected);
+        btn.addEventListener('click', () => this._chooseIndex(index));
+
+        this.optionsContainer.appendChild(btn);
+        return btn;
+      });
+    }
+
+    /**
+     * Mark the selected option and keep it in view
+     * @private
+     */
+    _updateSelection() {
+      this.optionButtons.forEach((btn, index) => {
+        const selected = index === this.selectedIndex;
+        btn.classList.toggle('selected', selected);
+        btn.setAttribute('aria-selected', String(selected));
+      });
+
+      const selectedBtn = this.optionButtons[this.selectedIndex];
+      if (selectedBtn) {
+        selectedBtn.scrollIntoView({ block: 'nearest' });
+      }
+    }
+  }
+
+  // Expose to global scope
+  global.SelectPicker = SelectPicker;
+
+})(window);
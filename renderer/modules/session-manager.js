@@ -0,0 +1,239 @@
+/**
+ * Session Manager Module
+ *
+ * Saves the open tabs - each one's wiki, page, scroll position and
+ * back/forward stack - as they change, and reopens them at startup so a
+ * restart picks up where it left off. The "Startup" setting can make
+ * the overlay always start on the landing page instead.
+ *
+ * Single Responsibility: Tab session saving, restoring, and the startup setting
+ *
+ * Dependencies:
+ * - TabManager (tab-manager.js) - passed to restore()
+ * - WikiManager (wiki-manager.js) for each tab's wiki
+ * - WebviewBridge (webview-bridge.js) to scroll restored pages
+ */
+
+(function(global) {
+  'use strict';
+
+  // Wait after the last change before saving (scrolling reports often)
+  const SAVE_DELAY_MS = 1000;
+
+  const STARTUP_OPTIONS = [
+    { startOnLandingPage: false, label: 'Last session' },
+    { startOnLandingPage: true, label: 'Landing page' },
+  ];
+
+  /**
+   * @typedef {Object} SessionTab
+   * @property {string} url - Current page ('' for the landing page)
+   * @property {Object} [wiki] - The tab's wiki baseUrl and searchUrl
+   * @property {string[]} [history] - Back/forward entries
+   * @property {number} [historyIndex] - Index of url in history
+   * @property {number} [scrollY] - Vertical scroll position
+   */
+
+  /**
+   * SessionManager class - saves and restores the open tabs
+   */
+  class SessionManager {
+    /**
+     * @param {Object} elements - DOM element references
+     * @param {HTMLElement} elements.startupOptions - Container for the startup choice
+     * @param {WikiManager} wikiManager - Wiki of each tab
+     * @param {Object|null} api - electronAPI for persistence (null disables sessions)
+     */
+    constructor(elements, wikiManager, api) {
+      this.startupOptions = elements.startupOptions;
+      this.wikiManager = wikiManager;
+      this.api = api;
+
+      // State
+      this.tabManager = null; // Set by restore(); nothing is saved before then
+      this.startOnLandingPage = false;
+      this.saveTimeout = null;
+      this.scrollPositions = new WeakMap(); // webview -> last reported scrollY
+      this.optionButtons = [];
+
+      // Don't lose changes still waiting for the save delay
+      window.addEventListener('beforeunload', () => {
+        if (this.saveTimeout) this._save();
+      });
+
+      this._renderStartupOptions();
+    }
+
+    /**
+     * Follow a webview's (tab's) navigation and scrolling
+     * @param {HTMLElement} wiki
+     */
+    watch(wiki) {
+      wiki.addEventListener('did-navigate', () => {
+        this.scrollPositions.delete(wiki);
+        this.scheduleSave();
+      });
+      wiki.addEventListener('did-navigate-in-page', () => this.scheduleSave());
+
+      // The element reports from the page preload carry its scroll position
+      wiki.addEventListener('ipc-message', (e) => {
+        const message = e.args[0];
+        if (e.channel !== 'gamepad-elements' || !message || !Number.isFinite(message.scrollY)) return;
+        if (this.scrollPositions.get(wiki) === message.scrollY) return;
+
+        this.scrollPositions.set(wiki, message.scrollY);
+        this.scheduleSave();
+      });
+    }
+
+    /**
+     * Reopen the last session's tabs (unless set to start on the landing
+     * page), then start saving changes
+     * @param {TabManager} tabManager
+     * @returns {Promise<void>}
+     */
+    restore(tabManager) {
+      if (!this.api) {
+        this.tabManager = tabManager;
+        return Promise.resolve();
+      }
+
+      return this.api.getSession().then(session => {
+        this.startOnLandingPage = session.startOnLandingPage;
+        this._updateStartupOptions();
+
+        if (!this.startOnLandingPage) {
+          this._restoreTabs(tabManager, session.tabs, session.activeTab);
+        }
+      }).finally(() => {
+        this.tabManager = tabManager;
+      });
+    }
+
+    /**
+     * Save the session once changes settle
+     */
+    scheduleSave() {
+      if (!this.api || !this.tabManager) return;
+
+      if (this.saveTimeout) clearTimeout(this.saveTimeout);
+      this.saveTimeout = setTimeout(() => this._save(), SAVE_DELAY_MS);
+    }
+
+    /**
+     * Open the saved tabs, in order, with the first one in the current tab
+     * @private
+     */
+    _restoreTabs(tabManager, savedTabs, activeTab) {
+      if (savedTabs.length === 0) return;
+
+      // Each new tab opens right after the current one, so add them last to first
+      const tabs = [tabManager.getActiveTab()];
+      for (let i = savedTabs.length - 1; i > 0; i--) {
+        tabs.splice(1, 0, tabManager.openTab({ activate: false }));
+      }
+
+      savedTabs.forEach((saved, i) => this._restoreTab(tabs[i], saved));
+      tabManager.activateTab(tabs[activeTab] || tabs[0]);
+    }
+
+    /**
+     * Load a saved page into a tab with its history and scroll position
+     * @private
+     * @param {Tab} tab
+     * @param {SessionTab} saved
+     */
+    _restoreTab(tab, saved) {
+      if (!saved.url) return;
+
+      const wiki = tab.webview;
+      tab.navigation.restoreState(saved.history, saved.historyIndex);
+      this.wikiManager.openPage(wiki, saved.url, saved.wiki);
+
+      if (saved.scrollY > 0) {
+        const scrollBack = () => {
+          wiki.removeEventListener('did-stop-loading', scrollBack);
+          new WebviewBridge(wiki).scrollTo(0, saved.scrollY);
+        };
+        wiki.addEventListener('did-stop-loading', scrollBack);
+      }
+    }
+
+    /**
+     * Send the current tabs to the main process
+     * @private
+     */
+    _save() {
+      clearTimeout(this.saveTimeout);
+      this.saveTimeout = null;
+
+      const tabs = this.tabManager.getTabs();
+      this.api.saveSession({
+        activeTab: tabs.indexOf(this.tabManager.getActiveTab()),
+        tabs: tabs.map(tab => this._captureTab(tab)),
+      });
+    }
+
+    /**
+     * Describe a tab for the session file
+     * @private
+     * @param {Tab} tab
+     * @returns {SessionTab}
+     */
+    _captureTab(tab) {
+      const { entries, index } = tab.navigation.getState();
+      const url = tab.webview.classList.contains('active') ? entries[index] : null;
+      if (!url) return { url: '' };
+
+      return {
+        url,
+        wiki: this.wikiManager.getConfig(tab.webview),
+        history: entries,
+        historyIndex: index,
+        scrollY: this.scrollPositions.get(tab.webview) || 0,
+      };
+    }
+
+    /**
+     * Create the startup choice buttons in the settings panel
+     * @private
+     */
+    _renderStartupOptions() {
+      this.startupOptions.innerHTML = '';
+      this.optionButtons = STARTUP_OPTIONS.map(option => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'segmented-option';
+        btn.setAttribute('role', 'radio');
+        btn.textContent = option.label;
+
+        btn.addEventListener('click', () => {
+          this.startOnLandingPage = option.startOnLandingPage;
+          this._updateStartupOptions();
+          if (this.api) this.api.setStartOnLandingPage(option.startOnLandingPage);
+        });
+
+        this.startupOptions.appendChild(btn);
+        return { option, btn };
+      });
+
+      this._updateStartupOptions();
+    }
+
+    /**
+     * Mark the selected startup choice
+     * @private
+     */
+    _updateStartupOptions() {
+      this.optionButtons.forEach(({ option, btn }) => {
+        const selected = option.startOnLandingPage === this.startOnLandingPage;
+        btn.classList.toggle('selected', selected);
+        btn.setAttribute('aria-checked', String(selected));
+      });
+    }
+  }
+
+  // Expose to global scope
+  global.SessionManager = SessionManager;
+
+})(window);
@@ -0,0 +1,179 @@
+/**
+ * Settings Panel Module
+ *
+ * Handles the settings overlay opened from the toolbar and its
+ * controller slot selection.
+ *
+ * Single Responsibility: Settings display and user preference input
+ */
+
+(function(global) {
+  'use strict';
+
+  const SLOT_COUNT = 4;
+
+  /**
+   * SettingsPanel class - manages the settings overlay
+   */
+  class SettingsPanel {
+    /**
+     * @param {Object} elements - DOM element references
+     * @param {HTMLElement} elements.panel - The settings panel container
+     * @param {HTMLElement} elements.toggleBtn - Toolbar button that opens the panel
+     * @param {HTMLElement} elements.closeBtn - Close button inside the panel
+     * @param {HTMLElement} elements.controllerSlots - Container for slot buttons
+     * @param {Object} callbacks - Callback functions
+     * @param {Function} callbacks.onControllerSlotChange - Called with the chosen slot (null = any)
+     * @param {Function} callbacks.onShow - Called when the panel opens
+     * @param {Function} callbacks.onHide - Called when the panel closes
+     */
+    constructor(elements, callbacks = {}) {
+      this.panel = elements.panel;
+      this.toggleBtn = elements.toggleBtn;
+      this.closeBtn = elements.closeBtn;
+      this.controllerSlots = elements.controllerSlots;
+      this.callbacks = callbacks;
+
+      // State
+      this.visible = false;
+      this.selectedSlot = null;
+      this.connectedSlots = new Array(SLOT_COUNT).fill(false);
+      this.slotButtons = [];
+
+      this._bindEvents();
+      this._renderControllerSlots();
+    }
+
+    /**
+     * Check if the panel is currently visible
+     * @returns {boolean}
+     */
+    isVisible() {
+      return this.visible;
+    }
+
+    /**
+     * Show the settings panel
+     */
+    show() {
+      this.visible = true;
+      this.panel.classList.remove('hidden');
+      this.toggleBtn.setAttribute('aria-expanded', 'true');
+
+      if (this.callbacks.onShow) {
+        this.callbacks.onShow();
+      }
+    }
+
+    /**
+     * Hide the settings panel
+     */
+    hide() {
+      this.visible = false;
+      this.panel.classList.add('hidden');
+      this.toggleBtn.setAttribute('aria-expanded', 'false');
+
+      if (this.callbacks.onHide) {
+        this.callbacks.onHide();
+      }
+    }
+
+    /**
+     * Toggle panel visibility
+     */
+    toggle() {
+      if (this.visible) {
+        this.hide();
+      } else {
+        this.show();
+      }
+    }
+
+    /**
+     * Apply the controller status reported by the main process
+     * @param {Object} status
+     * @param {number|null} status.slot - Selected slot (null = any)
+     * @param {boolean[]} status.connected - Connection state per slot
+     */
+    setControllerStatus(status) {
+      this.selectedSlot = status.slot;
+      this.connectedSlots = status.connected.slice(0, SLOT_COUNT);
+      this._updateControllerSlots();
+    }
+
+    /**
+     * Update the connection indicator of one slot
+     * @param {number} slot - Player slot (0-3)
+     * @param {boolean} connected
+     */
+    setSlotConnected(slot, connected) {
+      this.connectedSlots[slot] = connected;
+      this._updateControllerSlots();
+    }
+
+    /**
+     * Bind event listeners
+     * @private
+     */
+    _bindEvents() {
+      this.toggleBtn.addEventListener('click', () => this.toggle());
+      this.closeBtn.addEventListener('click', () => this.hide());
+    }
+
+    /**
+     * Create the "Any" and per-slot buttons
+     * @private
+     */
+    _renderControllerSlots() {
+      this.controllerSlots.innerHTML = '';
+      this.slotButtons = [];
+
+      const choices = [null, ...Array.from({ length: SLOT_COUNT }, (_, slot) => slot)];
+      choices.forEach(slot => {
+        const btn = document.createElement('button');
+        btn.type = 'button';
+        btn.className = 'segmented-option';
+        btn.setAttribute('role', 'radio');
+        btn.innerHTML = slot === null
+          ? 'Any'
+          : `<span class="slot-dot" aria-hidden="true"></span>P${slot + 1}`;
+
+        btn.addEventListener('click', () => {
+          this.selectedSlot = slot;
+          this._updateControllerSlots();
+          if (this.callbacks.onControllerSlotChange) {
+            this.callbacks.onControllerSlotChange(slot);
+          }
+        });
+
+        this.slotButtons.push({ slot, btn });
+        this.controllerSlots.appendChild(btn);
+      });
+
+      this._updateControllerSlots();
+    }
+
+    /**
+     * Refresh selection and connection indicators in place
+     * (keeps the buttons so gamepad highlighting isn't lost)
+     * @private
+     */
+    _updateControllerSlots() {
+      this.slotButtons.forEach(({ slot, btn }) => {
+        const selected = slot === this.selectedSlot;
+        btn.classList.toggle('selected', selected);
+        btn.setAttribute('aria-checked', String(selected));
+
+        if (slot !== null) {
+          const connected = this.connectedSlots[slot];
+          btn.querySelector('.slot-dot').classList.toggle('connected', connected);
+          btn.title = `Controller ${slot + 1} (${connected ? 'connected' : 'not connected'})`;
+        }
+      });
+    }
+  }
+
+  // Expose to global scope
+  global.SettingsPanel = SettingsPanel;
+
+})(window);
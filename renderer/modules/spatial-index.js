@@ -0,0 +1,104 @@
+/**
+ * Spatial Index Module
+ *
+ * Uniform grid over element rectangles so nearby elements can be found
+ * without scanning the whole list. Each element is stored in every cell
+ * its rectangle touches.
+ *
+ * Single Responsibility: Rectangle lookup by area
+ */
+
+(function(global) {
+  'use strict';
+
+  /**
+   * SpatialIndex class - grid bucketed rectangles
+   */
+  class SpatialIndex {
+    /**
+     * @param {number} cellSize - Grid cell width and height
+     */
+    constructor(cellSize) {
+      this.cellSize = cellSize;
+
+      /** @type {Map<string, Object[]>} */
+      this.cells = new Map();
+      this.size = 0;
+    }
+
+    /**
+     * Replace the indexed items
+     * @param {Object[]} items - Objects with left, top, right and bottom
+     */
+    build(items) {
+      this.cells.clear();
+      this.size = items.length;
+
+      for (const item of items) {
+        this._forEachCell(item.left, item.top, item.right, item.bottom, key => {
+          const bucket = this.cells.get(key);
+          if (bucket) {
+            bucket.push(item);
+          } else {
+            this.cells.set(key, [item]);
+          }
+        });
+      }
+    }
+
+    /**
+     * Find items whose rectangle overlaps an area
+     * @param {number} left
+     * @param {number} top
+     * @param {number} right
+     * @param {number} bottom
+     * @returns {Object[]} Matching items, each once
+     */
+    query(left, top, right, bottom) {
+      const found = new Set();
+
+      this._forEachCell(left, top, right, bottom, key => {
+        const bucket = this.cells.get(key);
+        if (!bucket) return;
+
+        for (const item of bucket) {
+          if (item.right >= left && item.left <= right &&
+              item.bottom >= top && item.top <= bottom) {
+            found.add(item);
+          }
+        }
+      });
+
+      return Array.from(found);
+    }
+
+    /**
+     * Remove all items
+     */
+    clear() {
+      this.cells.clear();
+      this.size = 0;
+    }
+
+    /**
+     * Call back with the key of every cell an area touches
+     * @private
+     */
+    _forEachCell(left, top, right, bottom, callback) {
+      const minCol = Math.floor(left / this.cellSize);
+      const maxCol = Math.floor(right / this.cellSize);
+      const minRow = Math.floor(top / this.cellSize);
+      const maxRow = Math.floor(bottom / this.cellSize);
+
+      for (let row = minRow; row <= maxRow; row++) {
+        for (let col = minCol; col <= maxCol; col++) {
+          callback(`${col},${row}`);
+        }
+      }
+    }
+  }
+
+  // Expose to global scope
+  global.SpatialIndex = SpatialIndex;
+
+})(window);
@@ -0,0 +1,111 @@
+/**
+ * Spatial Navigator Module
+ *
+ * Picks the best clickable element in a D-pad direction, the way
+ * TV and console browsers move focus: candidates must lie ahead of the
+ * current element and are scored by distance, with a penalty for how
+ * far they sit off the direction's axis.
+ *
+ * Single Responsibility: Directional element selection only
+ */
+
+(function(global) {
+  'use strict';
+
+  // Use global config (loaded before this module)
+  const CONFIG = global.CURSOR_CONFIG;
+
+  /**
+   * @typedef {Object} Rect
+   * @property {number} left
+   * @property {number} right
+   * @property {number} top
+   * @property {number} bottom
+   * @property {number} centerX
+   * @property {number} centerY
+   */
+
+  /**
+   * SpatialNavigator class - directional focus scoring
+   */
+  class SpatialNavigator {
+    /**
+     * Find the best element in a direction
+     * @param {Rect[]} candidates - Elements to choose from (overlay coordinates)
+     * @param {Rect} from - Current element or cursor point
+     * @param {'up'|'down'|'left'|'right'} direction
+     * @returns {Rect|null} Best candidate or null if nothing lies that way
+     */
+    findNext(candidates, from, direction) {
+      let best = null;
+      let bestScore = Infinity;
+
+      for (const candidate of candidates) {
+        if (candidate === from ||
+            (candidate.centerX === from.centerX && candidate.centerY === from.centerY)) {
+          continue;
+        }
+
+        const score = this._score(from, candidate, direction);
+        if (score !== null && score < bestScore) {
+          best = candidate;
+          bestScore = score;
+        }
+      }
+
+      return best;
+    }
+
+    /**
+     * Score a candidate (lower is better), null if it isn't in that direction
+     * @private
+     */
+    _score(from, to, direction) {
+      const vertical = direction === 'up' || direction === 'down';
+
+      // Candidate's center must be ahead of ours
+      const ahead = {
+        up: to.centerY < from.centerY,
+        down: to.centerY > from.centerY,
+        left: to.centerX < from.centerX,
+        right: to.centerX > from.centerX,
+      }[direction];
+      if (!ahead) return null;
+
+      // Edge-to-edge gap along the direction (0 when the rects overlap)
+      const primary = Math.max(0, {
+        up: from.top - to.bottom,
+        down: to.top - from.bottom,
+        left: from.left - to.right,
+        right: to.left - from.right,
+      }[direction]);
+
+      // Gap across the direction (0 when the rects line up)
+      const orthogonal = vertical
+        ? this._intervalGap(from.left, from.right, to.left, to.right)
+        : this._intervalGap(from.top, from.bottom, to.top, to.bottom);
+
+      const angle = Math.atan2(orthogonal, primary);
+      if (angle > CONFIG.FOCUS_MAX_ANGLE * Math.PI / 180) return null;
+
+      const distance = Math.hypot(primary, orthogonal);
+      const angleFactor = 1 + CONFIG.FOCUS_ANGLE_WEIGHT * (angle / (Math.PI / 2));
+
+      // Center distance breaks ties between overlapping candidates
+      const centerDistance = Math.hypot(to.centerX - from.centerX, to.centerY - from.centerY);
+      return distance * angleFactor + centerDistance * 0.01;
+    }
+
+    /**
+     * Distance between two 1D intervals
+     * @private
+     */
+    _intervalGap(aStart, aEnd, bStart, bEnd) {
+      return Math.max(0, Math.max(aStart, bStart) - Math.min(aEnd, bEnd));
+    }
+  }
+
+  // Expose to global scope
+  global.SpatialNavigator = SpatialNavigator;
+
+})(window);
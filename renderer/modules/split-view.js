@@ -0,0 +1,319 @@
+/**
+ * Split View Module
+ *
+ * Shows two webviews (tabs) at once, side by side or stacked, with a
+ * draggable divider between them. One pane is focused: it's the current
+ * tab, so the gamepad cursor, search box and back/forward act on it.
+ * Showing another tab while split puts it in the focused pane.
+ *
+ * Single Responsibility: Pane layout, divider dragging, and the focused pane
+ */
+
+(function(global) {
+  'use strict';
+
+  // Divider ratio limits, so neither pane gets too small to use
+  const MIN_RATIO = 0.2;
+  const MAX_RATIO = 0.8;
+
+  // Half the divider's thickness (px)
+  const DIVIDER_HALF = 3;
+
+  /**
+   * @typedef {Object} SplitLayout
+   * @property {boolean} enabled - Split view is on
+   * @property {'horizontal'|'vertical'} orientation - Panes side by side, or stacked
+   * @property {number} ratio - Share of the space taken by the first pane
+   */
+
+  /**
+   * SplitView class - manages the two-pane layout
+   */
+  class SplitView {
+    /**
+     * @param {Object} elements - DOM element references
+     * @param {HTMLElement} elements.divider - Draggable divider between the panes
+     * @param {HTMLElement} elements.landingPage - Landing page (shown in the focused pane when it has no wiki)
+     * @param {Object} callbacks - Callback functions
+     * @param {Function} callbacks.onLayoutChange - Called with the SplitLayout when it changes
+     */
+    constructor(elements, callbacks = {}) {
+      this.divider = elements.divider;
+      this.landingPage = elements.landingPage;
+      this.callbacks = callbacks;
+
+      // State
+      this.enabled = false;
+      this.orientation = 'horizontal';
+      this.ratio = 0.5;
+      this.panes = []; // [first, second] webviews while enabled
+      this.focused = null;
+      this.dragging = false;
+
+      this._bindDivider();
+    }
+
+    /**
+     * Check if split view is on
+     * @returns {boolean}
+     */
+    isEnabled() {
+      return this.enabled;
+    }
+
+    /**
+     * Get the current layout
+     * @returns {SplitLayout}
+     */
+    getLayout() {
+      return { enabled: this.enabled, orientation: this.orientation, ratio: this.ratio };
+    }
+
+    /**
+     * Take the orientation and divider position of a saved layout
+     * (turning split view on is left to the caller, which picks the panes)
+     * @param {SplitLayout} layout
+     */
+    restore(layout) {
+      if (!layout) return;
+
+      if (layout.orientation === 'horizontal' || layout.orientation === 'vertical') {
+        this.orientation = layout.orientation;
+      }
+      if (typeof layout.ratio === 'number') {
+        this.ratio = this._clampRatio(layout.ratio);
+      }
+      if (this.enabled) this._layout();
+    }
+
+    /**
+     * Show two webviews side by side
+     * @param {HTMLElement} focused - Webview of the current tab (first pane)
+     * @param {HTMLElement} other - Webview for the second pane
+     */
+    open(focused, other) {
+      if (this.enabled) this._clearPanes();
+
+      this.enabled = true;
+      this.panes = [focused, other];
+      this.focused = focused;
+      this.panes.forEach(pane => pane.classList.add('pane'));
+      document.body.classList.add('split');
+      this.divider.classList.remove('hidden');
+
+      this._layout();
+      this._save();
+    }
+
+    /**
+     * Go back to a single pane (the focused one)
+     */
+    close() {
+      if (!this.enabled) return;
+
+      this._clearPanes();
+      this.enabled = false;
+      this.panes = [];
+      this.focused = null;
+      document.body.classList.remove('split');
+      this.divider.classList.add('hidden');
+
+      this._save();
+    }
+
+    /**
+     * Check if a webview is one of the panes
+     * @param {HTMLElement} webview
+     * @returns {boolean}
+     */
+    hasPane(webview) {
+      return this.panes.includes(webview);
+    }
+
+    /**
+     * Get the pane that isn't focused
+     * @returns {HTMLElement|null}
+     */
+    getOtherPane() {
+      return this.panes.find(pane => pane !== this.focused) || null;
+    }
+
+    /**
+     * Find the pane under an overlay point
+     * @param {number} x
+     * @param {number} y
+     * @returns {HTMLElement|null}
+     */
+    paneAt(x, y) {
+      return this.panes.find(pane => {
+        const rect = pane.getBoundingClientRect();
+        return x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom;
+      }) || null;
+    }
+
+    /**
+     * Focus a webview (the current tab changed). A webview that isn't one
+     * of the panes takes the focused pane's place.
+     * @param {HTMLElement} webview
+     */
+    setFocused(webview) {
+      if (!this.enabled || webview === this.focused) return;
+
+      if (!this.hasPane(webview)) {
+        const index = this.panes.indexOf(this.focused);
+        this._clearPane(this.focused);
+        this.panes[index] = webview;
+        webview.classList.add('pane');
+      }
+
+      this.focused = webview;
+      this._layout();
+    }
+
+    /**
+     * Switch between side by side and stacked panes
+     * @returns {'horizontal'|'vertical'} The new orientation
+     */
+    toggleOrientation() {
+      this.orientation = this.orientation === 'horizontal' ? 'vertical' : 'horizontal';
+      if (this.enabled) this._layout();
+      this._save();
+      return this.orientation;
+    }
+
+    /**
+     * Drag the divider to resize the panes
+     * @private
+     */
+    _bindDivider() {
+      this.divider.addEventListener('mousedown', (e) => {
+        if (e.button !== 0) return;
+        e.preventDefault();
+        this.dragging = true;
+        // Webviews swallow mouse events, which would stop the drag over a pane
+        document.body.classList.add('split-resizing');
+      });
+
+      document.addEventListener('mousemove', (e) => {
+        if (!this.dragging) return;
+
+        const area = this._area();
+        this.ratio = this.orientation === 'horizontal'
+          ? this._clampRatio(e.clientX / area.width)
+          : this._clampRatio((e.clientY - area.top) / area.height);
+        this._layout();
+      });
+
+      document.addEventListener('mouseup', () => {
+        if (!this.dragging) return;
+
+        this.dragging = false;
+        document.body.classList.remove('split-resizing');
+        this._save();
+      });
+
+      // Double-click flips the orientation
+      this.divider.addEventListener('dblclick', () => this.toggleOrientation());
+    }
+
+    /**
+     * Position the panes, the divider, and the landing page (in the focused pane)
+     * @private
+     */
+    _layout() {
+      const [first, second, divider] = this._rects();
+
+      this._place(this.panes[0], first);
+      this._place(this.panes[1], second);
+      this._place(this.divider, divider);
+      this._place(this.landingPage, this.focused === this.panes[0] ? first : second);
+
+      this.divider.dataset.orientation = this.orientation;
+      this.divider.setAttribute('aria-orientation', this.orientation === 'horizontal' ? 'vertical' : 'horizontal');
+    }
+
+    /**
+     * CSS boxes of the first pane, second pane and divider, below the toolbar
+     * @private
+     * @returns {Object[]} left/top/width/height strings for each
+     */
+    _rects() {
+      const first = this.ratio.toFixed(4);
+      const second = (1 - this.ratio).toFixed(4);
+
+      if (this.orientation === 'horizontal') {
+        const full = { top: 'var(--toolbar-height)', height: 'calc(100% - var(--toolbar-height))' };
+        return [
+          { ...full, left: '0', width: `calc(100% * ${first} - ${DIVIDER_HALF}px)` },
+          { ...full, left: `calc(100% * ${first} + ${DIVIDER_HALF}px)`, width: `calc(100% * ${second} - ${DIVIDER_HALF}px)` },
+          { ...full, left: `calc(100% * ${first} - ${DIVIDER_HALF}px)`, width: `${DIVIDER_HALF * 2}px` },
+        ];
+      }
+
+      const area = '(100% - var(--toolbar-height))';
+      const split = `var(--toolbar-height) + ${area} * ${first}`;
+      const full = { left: '0', width: '100%' };
+      return [
+        { ...full, top: 'var(--toolbar-height)', height: `calc(${area} * ${first} - ${DIVIDER_HALF}px)` },
+        { ...full, top: `calc(${split} + ${DIVIDER_HALF}px)`, height: `calc(${area} * ${second} - ${DIVIDER_HALF}px)` },
+        { ...full, top: `calc(${split} - ${DIVIDER_HALF}px)`, height: `${DIVIDER_HALF * 2}px` },
+      ];
+    }
+
+    /**
+     * Apply a box to an element
+     * @private
+     */
+    _place(el, rect) {
+      Object.assign(el.style, rect);
+    }
+
+    /**
+     * Drop the pane layout from every element
+     * @private
+     */
+    _clearPanes() {
+      this.panes.forEach(pane => this._clearPane(pane));
+      this._clearPane(this.landingPage);
+    }
+
+    /**
+     * Drop the pane layout from one element
+     * @private
+     */
+    _clearPane(el) {
+      el.classList.remove('pane');
+      Object.assign(el.style, { left: '', top: '', width: '', height: '' });
+    }
+
+    /**
+     * The space below the toolbar, in overlay pixels
+     * @private
+     */
+    _area() {
+      const toolbarHeight = parseFloat(getComputedStyle(document.documentElement).getPropertyValue('--toolbar-height')) || 0;
+      return { top: toolbarHeight, width: window.innerWidth, height: window.innerHeight - toolbarHeight };
+    }
+
+    /**
+     * @private
+     */
+    _clampRatio(ratio) {
+      return Math.max(MIN_RATIO, Math.min(MAX_RATIO, ratio));
+    }
+
+    /**
+     * Report the layout for saving
+     * @private
+     */
+    _save() {
+      if (this.callbacks.onLayoutChange) {
+        this.callbacks.onLayoutChange(this.getLayout());
+      }
+    }
+  }
+
+  // Expose to global scope
+  global.SplitView = SplitView;
+
+})(window);
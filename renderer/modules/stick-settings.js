@@ -0,0 +1,242 @@
+/**
+ * Stick Settings Module
+ *
+ * Renders deadzone and response curve controls for the cursor and
+ * scroll sticks in the settings panel. Uses buttons only (segmented
+ * choices and -/+ steppers) so everything works with the gamepad cursor.
+ *
+ * Single Responsibility: Stick tuning display and input
+ */
+
+(function(global) {
+  'use strict';
+
+  const STICKS = [
+    { id: 'cursor', label: 'Cursor (left stick)' },
+    { id: 'scroll', label: 'Scroll (right stick)' },
+  ];
+
+  const CHOICES = {
+    deadzoneMode: {
+      label: 'Deadzone shape',
+      options: [
+        { value: 'axial', label: 'Axial' },
+        { value: 'radial', label: 'Radial' },
+        { value: 'scaled-radial', label: 'Scaled' },
+      ],
+    },
+    curve: {
+      label: 'Response',
+      options: [
+        { value: 'linear', label: 'Linear' },
+        { value: 'quadratic', label: 'Quadratic' },
+        { value: 'exponent', label: 'Custom' },
+      ],
+    },
+  };
+
+  const STEPPERS = {
+    deadzone: { label: 'Inner deadzone', step: 0.02, format: v => `${Math.round(v * 100)}%` },
+    outerDeadzone: { label: 'Outer deadzone', step: 0.01, format: v => `${Math.round(v * 100)}%` },
+    exponent: { label: 'Curve exponent', step: 0.1, format: v => v.toFixed(1) },
+    speed: { label: 'Speed', step: 1, format: v => String(v) },
+  };
+
+  /**
+   * StickSettings class - manages the stick tuning controls
+   */
+  class StickSettings {
+    /**
+     * @param {Object} elements - DOM element references
+     * @param {HTMLElement} elements.container - Container for the controls
+     * @param {HTMLElement} elements.resetBtn - Restore defaults button
+     * @param {Object} api - Settings persistence (window.electronAPI)
+     */
+    constructor(elements, api) {
+      this.container = elements.container;
+      this.resetBtn = elements.resetBtn;
+      this.api = api;
+
+      // State
+      this.settings = null;
+      this.controls = {}; // stick -> { choices, steppers } element refs
+
+      this._build();
+      this._bindEvents();
+    }
+
+    /**
+     * Load the current settings from the main process
+     * @returns {Promise<Object>}
+     */
+    load() {
+      return this.api.getStickSettings().then(settings => {
+        this._apply(settings);
+        return settings;
+      });
+    }
+
+    /**
+     * Bind event listeners
+     * @private
+     */
+    _bindEvents() {
+      this.resetBtn.addEventListener('click', () => {
+        this.api.resetStickSettings().then(settings => this._apply(settings));
+      });
+    }
+
+    /**
+     * Send one changed value to the main process
+     * @private
+     */
+    _change(stick, key, value) {
+      this.api.setStickSettings(stick, { [key]: value }).then(settings => this._apply(settings));
+    }
+
+    /**
+     * Store settings and refresh the controls
+     * @private
+     */
+    _apply(settings) {
+      this.settings = settings;
+      this._update();
+    }
+
+    /**
+     * Create the controls once; _update() refreshes them in place
+     * (keeps the buttons so gamepad highlighting isn't lost)
+     * @private
+     */
+    _build() {
+      this.container.innerHTML = '';
+
+      STICKS.forEach(({ id, label }) => {
+        const group = document.createElement('div');
+        group.className = 'stick-group';
+
+        const title = document.createElement('div');
+        title.className = 'binding-group-title';
+        title.textContent = label;
+        group.appendChild(title);
+
+        const controls = { choices: {}, steppers: {} };
+
+        Object.entries(CHOICES).forEach(([key, choice]) => {
+          const segmented = document.createElement('div');
+          segmented.className = 'segmented';
+          segmented.setAttribute('role', 'radiogroup');
+          segmented.setAttribute('aria-label', `${label} ${choice.label}`);
+
+          controls.choices[key] = choice.options.map(option => {
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'segmented-option';
+            btn.setAttribute('role', 'radio');
+            btn.textContent = option.label;
+            btn.addEventListener('click', () => this._change(id, key, option.value));
+            segmented.appendChild(btn);
+            return { value: option.value, btn };
+          });
+
+          group.appendChild(this._createRow(choice.label, segmented));
+        });
+
+        Object.entries(STEPPERS).forEach(([key, stepper]) => {
+          const wrapper = document.createElement('div');
+          wrapper.className = 'stepper';
+
+          const minus = this._createStepButton('−', `Decrease ${stepper.label.toLowerCase()}`);
+          const value = document.createElement('span');
+          value.className = 'stepper-value';
+          const plus = this._createStepButton('+', `Increase ${stepper.label.toLowerCase()}`);
+
+          minus.addEventListener('click', () => this._step(id, key, -1));
+          plus.addEventListener('click', () => this._step(id, key, 1));
+
+          wrapper.append(minus, value, plus);
+          controls.steppers[key] = { value, minus, plus };
+
+          group.appendChild(this._createRow(stepper.label, wrapper));
+        });
+
+        this.controls[id] = controls;
+        this.container.appendChild(group);
+      });
+    }
+
+    /**
+     * Change a numeric setting by one step
+     * @private
+     */
+    _step(stick, key, direction) {
+      if (!this.settings) return;
+
+      const current = this.settings[stick][key];
+      const next = Math.round((current + direction * STEPPERS[key].step) * 100) / 100;
+      this._change(stick, key, next);
+    }
+
+    /**
+     * Refresh selection, values and enabled state
+     * @private
+     */
+    _update() {
+      if (!this.settings) return;
+
+      STICKS.forEach(({ id }) => {
+        const settings = this.settings[id];
+        const controls = this.controls[id];
+
+        Object.entries(controls.choices).forEach(([key, options]) => {
+          options.forEach(({ value, btn }) => {
+            const selected = settings[key] === value;
+            btn.classList.toggle('selected', selected);
+            btn.setAttribute('aria-checked', String(selected));
+          });
+        });
+
+        Object.entries(controls.steppers).forEach(([key, { value, minus, plus }]) => {
+          value.textContent = STEPPERS[key].format(settings[key]);
+
+          // The exponent only matters for the custom curve
+          const enabled = key !== 'exponent' || settings.curve === 'exponent';
+          minus.disabled = !enabled;
+          plus.disabled = !enabled;
+          value.classList.toggle('disabled', !enabled);
+        });
+      });
+    }
+
+    /**
+     * @private
+     */
+    _createRow(labelText, control) {
+      const row = document.createElement('div');
+      row.className = 'binding-row';
+
+      const label = document.createElement('span');
+      label.className = 'binding-label';
+      label.textContent = labelText;
+
+      row.append(label, control);
+      return row;
+    }
+
+    /**
+     * @private
+     */
+    _createStepButton(text, ariaLabel) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'stepper-button';
+      btn.textContent = text;
+      btn.setAttribute('aria-label', ariaLabel);
+      return btn;
+    }
+  }
+
+  // Expose to global scope
+  global.StickSettings = StickSettings;
+
+})(window);
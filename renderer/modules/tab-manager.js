@@ -0,0 +1,271 @@
+/**
+ * Tab Manager Module
+ *
+ * Multi-tab browsing: one webview per tab, each with its own navigation
+ * history, and a tab strip in the toolbar. Only the current tab's
+ * webview is shown; background tabs stay laid out (invisibly) so their
+ * pages keep loading and their element positions stay valid.
+ *
+ * Single Responsibility: Tab lifecycle, tab strip, and the current tab
+ *
+ * Dependencies:
+ * - NavigationManager (navigation-manager.js)
+ */
+
+(function(global) {
+  'use strict';
+
+  const NEW_TAB_TITLE = 'New tab';
+
+  /**
+   * @typedef {Object} Tab
+   * @property {number} id - Unique tab id
+   * @property {HTMLElement} webview - The tab's webview
+   * @property {NavigationManager} navigation - The tab's history
+   * @property {HTMLElement} item - Tab strip entry (tab and close buttons)
+   * @property {HTMLElement} button - Tab strip button
+   * @property {string} title - Page title shown in the strip
+   */
+
+  /**
+   * TabManager class - manages tabs and their webviews
+   */
+  class TabManager {
+    /**
+     * @param {Object} elements - DOM element references
+     * @param {HTMLElement} elements.wiki - The first tab's webview (template for new ones)
+     * @param {HTMLElement} elements.strip - Tab strip container
+     * @param {HTMLElement} elements.newTabBtn - Opens a new tab
+     * @param {Object} callbacks - Callback functions
+     * @param {Function} callbacks.onTabCreated - Called with the new tab before it's shown
+     * @param {Function} callbacks.onTabClosed - Called with the tab after it's removed
+     * @param {Function} callbacks.onActiveTabChange - Called with (tab, previousTab) after switching
+     * @param {Function} callbacks.onNavigationComplete - Called with the tab when one of its loads finishes
+     */
+    constructor(elements, callbacks = {}) {
+      this.template = elements.wiki;
+      this.strip = elements.strip;
+      this.newTabBtn = elements.newTabBtn;
+      this.callbacks = callbacks;
+
+      /** @type {Tab[]} */
+      this.tabs = [];
+      this.activeTab = null;
+      this.nextId = 1;
+
+      this.newTabBtn.addEventListener('click', () => this.openTab());
+
+      // The page's own webview is the first tab
+      this.activateTab(this._createTab(this.template));
+    }
+
+    /**
+     * Get the tab being shown
+     * @returns {Tab}
+     */
+    getActiveTab() {
+      return this.activeTab;
+    }
+
+    /**
+     * Get the webview being shown
+     * @returns {HTMLElement}
+     */
+    getActiveWebview() {
+      return this.activeTab.webview;
+    }
+
+    /**
+     * Get all tabs in strip order
+     * @returns {Tab[]}
+     */
+    getTabs() {
+      return this.tabs.slice();
+    }
+
+    /**
+     * Find the tab showing a webview
+     * @param {HTMLElement} webview
+     * @returns {Tab|null}
+     */
+    getTabByWebview(webview) {
+      return this.tabs.find(tab => tab.webview === webview) || null;
+    }
+
+    /**
+     * Open a new, blank tab after the current one
+     * @param {Object} [options]
+     * @param {boolean} [options.activate=true] - Switch to it (false opens in the background)
+     * @returns {Tab}
+     */
+    openTab({ activate = true } = {}) {
+      const webview = document.createElement('webview');
+      for (const attr of this.template.attributes) {
+        if (attr.name !== 'id' && attr.name !== 'class' && attr.name !== 'src') {
+          webview.setAttribute(attr.name, attr.value);
+        }
+      }
+      webview.setAttribute('src', 'about:blank');
+
+      const after = this.activeTab.webview;
+      after.parentNode.insertBefore(webview, after.nextSibling);
+
+      const tab = this._createTab(webview, this.activeTab);
+      if (activate) this.activateTab(tab);
+      return tab;
+    }
+
+    /**
+     * Close a tab; the last tab can't be closed
+     * @param {Tab} tab
+     * @returns {boolean} Whether the tab was closed
+     */
+    closeTab(tab) {
+      const index = this.tabs.indexOf(tab);
+      if (index === -1 || this.tabs.length === 1) return false;
+
+      // Move to the neighbour first so the closed tab is never current
+      if (tab === this.activeTab) {
+        this.activateTab(this.tabs[index + 1] || this.tabs[index - 1]);
+      }
+
+      this.tabs.splice(index, 1);
+      tab.item.remove();
+      tab.webview.remove();
+      tab.navigation.clearHistory();
+
+      if (this.callbacks.onTabClosed) {
+        this.callbacks.onTabClosed(tab);
+      }
+      return true;
+    }
+
+    /**
+     * Show a tab
+     * @param {Tab} tab
+     */
+    activateTab(tab) {
+      const previous = this.activeTab;
+      if (tab === previous) return;
+
+      if (previous) {
+        previous.webview.classList.remove('current');
+        previous.item.classList.remove('current');
+        previous.button.setAttribute('aria-selected', 'false');
+      }
+
+      this.activeTab = tab;
+      tab.webview.classList.add('current');
+      tab.item.classList.add('current');
+      tab.button.setAttribute('aria-selected', 'true');
+      tab.item.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+
+      if (this.callbacks.onActiveTabChange) {
+        this.callbacks.onActiveTabChange(tab, previous);
+      }
+    }
+
+    /**
+     * Switch to the previous or next tab, wrapping around
+     * @param {number} step - 1 for next, -1 for previous
+     * @returns {Tab} The tab now shown
+     */
+    cycle(step) {
+      const index = this.tabs.indexOf(this.activeTab);
+      const next = this.tabs[(index + step + this.tabs.length) % this.tabs.length];
+      this.activateTab(next);
+      return next;
+    }
+
+    /**
+     * Set up a tab around a webview and add it to the strip
+     * @private
+     * @param {HTMLElement} webview
+     * @param {Tab} [after] - Tab to insert after (end of the strip when omitted)
+     * @returns {Tab}
+     */
+    _createTab(webview, after) {
+      const tab = {
+        id: this.nextId++,
+        webview,
+        navigation: null,
+        item: null,
+        button: null,
+        title: NEW_TAB_TITLE,
+      };
+
+      tab.navigation = new NavigationManager(webview, {
+        onNavigationComplete: () => {
+          if (this.callbacks.onNavigationComplete) {
+            this.callbacks.onNavigationComplete(tab);
+          }
+        },
+      });
+
+      this._renderTab(tab);
+      if (after) {
+        after.item.after(tab.item);
+        this.tabs.splice(this.tabs.indexOf(after) + 1, 0, tab);
+      } else {
+        this.strip.appendChild(tab.item);
+        this.tabs.push(tab);
+      }
+
+      webview.addEventListener('page-title-updated', (e) => this._setTitle(tab, e.title));
+      webview.addEventListener('did-navigate', (e) => {
+        if (e.url === 'about:blank') this._setTitle(tab, NEW_TAB_TITLE);
+      });
+
+      if (this.callbacks.onTabCreated) {
+        this.callbacks.onTabCreated(tab);
+      }
+      return tab;
+    }
+
+    /**
+     * Build a tab's strip entry
+     * @private
+     */
+    _renderTab(tab) {
+      const item = document.createElement('div');
+      item.className = 'tab-item';
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'tab';
+      button.setAttribute('role', 'tab');
+      button.setAttribute('aria-selected', 'false');
+      button.addEventListener('click', () => this.activateTab(tab));
+      button.addEventListener('auxclick', (e) => {
+        if (e.button === 1) this.closeTab(tab);
+      });
+
+      const close = document.createElement('button');
+      close.type = 'button';
+      close.className = 'tab-close';
+      close.title = 'Close tab';
+      close.textContent = '×';
+      close.addEventListener('click', () => this.closeTab(tab));
+
+      item.append(button, close);
+      tab.item = item;
+      tab.button = button;
+      this._setTitle(tab, tab.title);
+    }
+
+    /**
+     * Show a page title on the tab
+     * @private
+     */
+    _setTitle(tab, title) {
+      tab.title = title || NEW_TAB_TITLE;
+      tab.button.textContent = tab.title;
+      tab.button.title = tab.title;
+      tab.item.querySelector('.tab-close').setAttribute('aria-label', `Close ${tab.title}`);
+    }
+  }
+
+  // Expose to global scope
+  global.TabManager = TabManager;
+
+})(window);
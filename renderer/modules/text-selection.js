@@ -0,0 +1,130 @@
+/**
+ * Text Selection Module
+ *
+ * Gamepad text selection in wiki articles: the word under the cursor
+ * starts the selection and the D-pad extends it by word or line. The
+ * selection lives in the page itself, so it shows with the page's own
+ * highlight (tinted by the injected .gamepad-selecting style).
+ *
+ * Single Responsibility: Selection state and extension
+ *
+ * Dependencies:
+ * - GamepadCursor (gamepad-cursor.js)
+ */
+
+(function(global) {
+  'use strict';
+
+  /**
+   * TextSelection class - manages gamepad text selection
+   */
+  class TextSelection {
+    /**
+     * @param {Object} elements - DOM element references
+     * @param {HTMLElement} elements.hints - Button hint bar shown while selecting
+     * @param {GamepadCursor} gamepadCursor - Cursor the selection starts from
+     * @param {Object} callbacks - Callback functions
+     * @param {Function} callbacks.onVisibilityChange - Called with true/false when selection starts or stops
+     */
+    constructor(elements, gamepadCursor, callbacks = {}) {
+      this.hints = elements.hints;
+      this.gamepadCursor = gamepadCursor;
+      this.callbacks = callbacks;
+
+      // State
+      this.active = false;
+      this.pending = false; // Waiting for the page to answer
+      this.text = '';
+      this.focusPoint = null;
+    }
+
+    /**
+     * Check if a selection is in progress
+     * @returns {boolean}
+     */
+    isActive() {
+      return this.active;
+    }
+
+    /**
+     * Select the word under the cursor
+     * @returns {Promise<boolean>} false if there's no text under the cursor
+     */
+    start() {
+      const point = this.gamepadCursor.getPagePoint();
+      if (!point || this.pending) return Promise.resolve(false);
+
+      this.pending = true;
+      return this.gamepadCursor.webviewBridge.startSelection(point.x, point.y).then(state => {
+        this.pending = false;
+        if (!state) return false;
+
+        this.active = true;
+        this._update(state);
+        this.hints.classList.remove('hidden');
+
+        if (this.callbacks.onVisibilityChange) {
+          this.callbacks.onVisibilityChange(true);
+        }
+        return true;
+      });
+    }
+
+    /**
+     * Move the end of the selection
+     * @param {'up'|'down'|'left'|'right'} direction - Left/right by word, up/down by line
+     */
+    extend(direction) {
+      // Held D-pad repeats faster than the page answers
+      if (!this.active || this.pending) return;
+
+      this.pending = true;
+      this.gamepadCursor.webviewBridge.extendSelection(direction).then(state => {
+        this.pending = false;
+        if (this.active && state) this._update(state);
+      });
+    }
+
+    /**
+     * Get the selected text
+     * @returns {string}
+     */
+    getText() {
+      return this.text;
+    }
+
+    /**
+     * End the selection and leave the cursor where it stopped
+     */
+    stop() {
+      if (!this.active) return;
+
+      this.active = false;
+      this.gamepadCursor.webviewBridge.clearSelection();
+      this.hints.classList.add('hidden');
+
+      if (this.callbacks.onVisibilityChange) {
+        this.callbacks.onVisibilityChange(false);
+      }
+      if (this.focusPoint) {
+        this.gamepadCursor.moveToPagePoint(this.focusPoint.x, this.focusPoint.y);
+      }
+
+      this.text = '';
+      this.focusPoint = null;
+    }
+
+    /**
+     * Store what the page reported about the selection
+     * @private
+     */
+    _update(state) {
+      this.text = state.text;
+      this.focusPoint = { x: state.x, y: state.y };
+    }
+  }
+
+  // Expose to global scope
+  global.TextSelection = TextSelection;
+
+})(window);
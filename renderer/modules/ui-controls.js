@@ -109,6 +109,14 @@
       }
     }
 
+    /**
+     * Show an opacity that was set elsewhere (e.g. restored at startup)
+     * @param {number} opacity - 0.2 to 1
+     */
+    setOpacity(opacity) {
+      this.opacitySlider.value = String(Math.round(opacity * 100));
+    }
+
     /**
      * Set click-through mode status
      * @param {boolean} enabled - Whether click-through is enabled
@@ -123,6 +131,15 @@
       }
     }
 
+    /**
+     * Show a controller connect/disconnect notice
+     * @param {number} slot - Player slot (0-3)
+     * @param {boolean} connected - Whether the controller connected or disconnected
+     */
+    showControllerConnection(slot, connected) {
+      this.showStatus(`Controller ${slot + 1} ${connected ? 'connected' : 'disconnected'}`, 3000);
+    }
+
     /**
      * Display a custom status message
      * @param {string} message - The message to display
@@ -10,6 +10,80 @@
 (function(global) {
   'use strict';
 
+  /**
+   * @typedef {Object} ScrollResult
+   * @property {number} dx - Horizontal distance actually scrolled (CSS pixels)
+   * @property {number} dy - Vertical distance actually scrolled (CSS pixels)
+   * @property {number} x - New horizontal scroll position
+   * @property {number} y - New vertical scroll position
+   */
+
+  // Page-side lookup of an element by id, searching open shadow roots and
+  // same-origin iframes as well (prepended to the injected scripts)
+  const FIND_ELEMENT = `
+    function findGamepadElement(root, id) {
+      const match = root.querySelector('[data-gamepad-id="' + id + '"]');
+      if (match) return match;
+
+      for (const el of root.querySelectorAll('*')) {
+        let inner = el.shadowRoot;
+        if (!inner && (el.tagName === 'IFRAME' || el.tagName === 'FRAME')) {
+          try { inner = el.contentDocument; } catch (e) { inner = null; }
+        }
+        const found = inner && findGamepadElement(inner, id);
+        if (found) return found;
+      }
+      return null;
+    }
+  `;
+
+  // Page-side summary of the current selection: its text and where its
+  // moving end is, scrolling the page so that end stays in view
+  const REPORT_SELECTION = `
+    function reportSelection(sel) {
+      const focus = document.createRange();
+      focus.setStart(sel.focusNode, sel.focusOffset);
+      let rect = focus.getBoundingClientRect();
+      if (rect.width === 0 && rect.height === 0 && sel.rangeCount > 0) {
+        rect = sel.getRangeAt(0).getBoundingClientRect();
+      }
+
+      const margin = 40;
+      let dy = 0;
+      if (rect.bottom > window.innerHeight - margin) dy = rect.bottom - window.innerHeight + margin;
+      if (rect.top < margin) dy = rect.top - margin;
+      if (dy !== 0) window.scrollBy({ top: dy, behavior: 'instant' });
+
+      return { text: sel.toString(), x: rect.left, y: rect.top + rect.height / 2 - dy };
+    }
+  `;
+
+  /**
+   * @typedef {Object} SelectionState
+   * @property {string} text - Selected text
+   * @property {number} x - Moving end of the selection (page viewport, CSS pixels)
+   * @property {number} y - Moving end of the selection (page viewport, CSS pixels)
+   */
+
+  /**
+   * @typedef {Object} PointInfo
+   * @property {string} linkURL - Link at the point, or ''
+   * @property {string} srcURL - Image at the point, or ''
+   * @property {string} selectionText - Text selected in the page, or ''
+   * @property {boolean} isEditable - The point is over a text field
+   */
+
+  /**
+   * @typedef {Object} FormField
+   * @property {number} webviewId - Page element id (data-gamepad-id)
+   * @property {'text'|'select'} kind - Text entry or option list
+   * @property {string} label - Best available description of the field
+   * @property {string} [value] - Current text (text fields)
+   * @property {boolean} [multiline] - Whether it's a textarea (text fields)
+   * @property {{label: string, disabled: boolean, selected: boolean}[]} [options] - Choices (selects)
+   * @property {boolean} [multiple] - Whether several options can be selected (selects)
+   */
+
   /**
    * WebviewBridge class - manages webview interactions
    */
@@ -31,18 +105,51 @@
 
     /**
      * Highlight an element in the webview
-     * @param {number} webviewIndex - Index in __gamepadClickables array
+     * @param {number} webviewId - Page element id (data-gamepad-id)
      */
-    highlightElement(webviewIndex) {
+    highlightElement(webviewId) {
       this.wiki.executeJavaScript(`
         (function() {
-          if (window.__gamepadClickables && window.__gamepadClickables[${webviewIndex}]) {
-            window.__gamepadClickables[${webviewIndex}].classList.add('gamepad-selected');
+          ${FIND_ELEMENT}
+          const el = findGamepadElement(document, ${webviewId});
+          if (!el) return;
+
+          // Page styles don't reach into shadow roots or frames - copy them in
+          const root = el.getRootNode();
+          const styles = document.getElementById('gamepad-nav-styles');
+          if (root !== document && styles && !root.querySelector('#gamepad-nav-styles')) {
+            (root.head || root).appendChild(styles.cloneNode(true));
           }
+
+          el.classList.add('gamepad-selected');
+          window.__gamepadHighlighted = el;
         })()
       `).catch(() => {});
     }
 
+    /**
+     * Move the page's mouse to a point, as if hovering there
+     * Chromium fires the full trusted sequence (pointerover/enter/move,
+     * mouseover/enter/move, mouseout/leave on the previous target), so
+     * CSS :hover, tooltips and link previews react like with a real mouse.
+     * @param {number} x - Webview X (overlay pixels from the webview's left edge)
+     * @param {number} y - Webview Y (overlay pixels from the webview's top edge)
+     */
+    hoverAt(x, y) {
+      if (!this.isActive()) return;
+
+      this.wiki.sendInputEvent({ type: 'mouseMove', x: Math.round(x), y: Math.round(y) });
+    }
+
+    /**
+     * Take the page's mouse away (mouseout/mouseleave on the hovered element)
+     */
+    endHover() {
+      if (!this.isActive()) return;
+
+      this.wiki.sendInputEvent({ type: 'mouseLeave', x: 0, y: 0 });
+    }
+
     /**
      * Clear all highlights in the webview
      */
@@ -51,21 +158,23 @@
 
       this.wiki.executeJavaScript(`
         (function() {
-          const highlighted = document.querySelector('.gamepad-selected');
+          const highlighted = window.__gamepadHighlighted || document.querySelector('.gamepad-selected');
           if (highlighted) highlighted.classList.remove('gamepad-selected');
+          window.__gamepadHighlighted = null;
         })()
       `).catch(() => {});
     }
 
     /**
      * Click an element in the webview
-     * @param {number} webviewIndex - Index in __gamepadClickables array
+     * @param {number} webviewId - Page element id (data-gamepad-id)
      */
-    clickElement(webviewIndex) {
+    clickElement(webviewId) {
       this.wiki.executeJavaScript(`
         (function() {
-          if (window.__gamepadClickables && window.__gamepadClickables[${webviewIndex}]) {
-            const el = window.__gamepadClickables[${webviewIndex}];
+          ${FIND_ELEMENT}
+          const el = findGamepadElement(document, ${webviewId});
+          if (el) {
             const link = el.closest('a') || el;
             link.click();
           }
@@ -73,15 +182,262 @@
       `).catch(() => {});
     }
 
+    /**
+     * Read a text field or select in the webview
+     * @param {number} webviewId - Page element id (data-gamepad-id)
+     * @returns {Promise<FormField|null>} null if the element is gone or isn't a field
+     */
+    getFormField(webviewId) {
+      return this.wiki.executeJavaScript(`
+        (function() {
+          ${FIND_ELEMENT}
+          const el = findGamepadElement(document, ${webviewId});
+          if (!el || (el.tagName !== 'SELECT' && el.tagName !== 'INPUT' && el.tagName !== 'TEXTAREA')) {
+            return null;
+          }
+
+          const labelEl = el.labels && el.labels[0];
+          const label = el.getAttribute('aria-label') || (labelEl && labelEl.textContent.trim()) ||
+            el.placeholder || el.title || el.name || '';
+
+          if (el.tagName === 'SELECT') {
+            return {
+              webviewId: ${webviewId},
+              kind: 'select',
+              label,
+              multiple: el.multiple,
+              options: Array.from(el.options, o => ({ label: o.label || o.text, disabled: o.disabled, selected: o.selected })),
+            };
+          }
+          return {
+            webviewId: ${webviewId},
+            kind: 'text',
+            label,
+            value: el.value,
+            multiline: el.tagName === 'TEXTAREA',
+          };
+        })()
+      `).catch(() => null);
+    }
+
+    /**
+     * Write text into a webview field the way typing would, then
+     * optionally press Enter
+     * @param {number} webviewId - Page element id (data-gamepad-id)
+     * @param {string} value - New text
+     * @param {boolean} submit - Press Enter afterwards (submits its form)
+     */
+    setFieldValue(webviewId, value, submit) {
+      this.wiki.executeJavaScript(`
+        (function() {
+          ${FIND_ELEMENT}
+          const el = findGamepadElement(document, ${webviewId});
+          if (!el) return;
+
+          // Use the native setter so framework-controlled inputs see the change
+          el.focus();
+          const setter = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(el), 'value').set;
+          setter.call(el, ${JSON.stringify(value)});
+          el.dispatchEvent(new Event('input', { bubbles: true }));
+          el.dispatchEvent(new Event('change', { bubbles: true }));
+
+          if (${submit}) {
+            const init = { key: 'Enter', code: 'Enter', keyCode: 13, which: 13, bubbles: true, cancelable: true };
+            const proceed = el.dispatchEvent(new KeyboardEvent('keydown', init));
+            el.dispatchEvent(new KeyboardEvent('keypress', init));
+            el.dispatchEvent(new KeyboardEvent('keyup', init));
+            if (proceed && el.form) el.form.requestSubmit();
+          }
+        })()
+      `).catch(() => {});
+    }
+
+    /**
+     * Choose an option of a webview select (toggles it for multi-selects)
+     * @param {number} webviewId - Page element id (data-gamepad-id)
+     * @param {number} index - Option index
+     */
+    selectOption(webviewId, index) {
+      this.wiki.executeJavaScript(`
+        (function() {
+          ${FIND_ELEMENT}
+          const el = findGamepadElement(document, ${webviewId});
+          if (!el || !el.options[${index}]) return;
+
+          if (el.multiple) {
+            el.options[${index}].selected = !el.options[${index}].selected;
+          } else {
+            el.selectedIndex = ${index};
+          }
+          el.dispatchEvent(new Event('input', { bubbles: true }));
+          el.dispatchEvent(new Event('change', { bubbles: true }));
+        })()
+      `).catch(() => {});
+    }
+
+    /**
+     * Toggle a webview checkbox or radio button
+     * @param {number} webviewId - Page element id (data-gamepad-id)
+     * @returns {Promise<boolean|null>} New checked state, null if the element is gone
+     */
+    toggleElement(webviewId) {
+      return this.wiki.executeJavaScript(`
+        (function() {
+          ${FIND_ELEMENT}
+          const el = findGamepadElement(document, ${webviewId});
+          if (!el) return null;
+
+          // A real click fires the page's own handlers
+          el.click();
+          return el.checked;
+        })()
+      `).catch(() => null);
+    }
+
+    /**
+     * Describe what's at a point in the page (for the context menu)
+     * @param {number} x - Page viewport X (CSS pixels)
+     * @param {number} y - Page viewport Y (CSS pixels)
+     * @returns {Promise<PointInfo|null>}
+     */
+    getPointInfo(x, y) {
+      return this.wiki.executeJavaScript(`
+        (function() {
+          let el = document.elementFromPoint(${x}, ${y});
+          while (el && el.shadowRoot) {
+            const inner = el.shadowRoot.elementFromPoint(${x}, ${y});
+            if (!inner || inner === el) break;
+            el = inner;
+          }
+
+          const link = el && el.closest('a[href]');
+          const image = el && el.closest('img');
+          return {
+            linkURL: link ? link.href : '',
+            srcURL: image ? image.currentSrc || image.src : '',
+            selectionText: window.getSelection().toString(),
+            isEditable: !!el && (el.isContentEditable || el.matches('input, textarea')),
+          };
+        })()
+      `).catch(() => null);
+    }
+
+    /**
+     * Select the word at a point in the page
+     * @param {number} x - Page viewport X (CSS pixels)
+     * @param {number} y - Page viewport Y (CSS pixels)
+     * @returns {Promise<SelectionState|null>} null if there's no text there
+     */
+    startSelection(x, y) {
+      return this.wiki.executeJavaScript(`
+        (function() {
+          ${REPORT_SELECTION}
+          let range = null;
+          if (document.caretPositionFromPoint) {
+            const pos = document.caretPositionFromPoint(${x}, ${y});
+            if (pos) {
+              range = document.createRange();
+              range.setStart(pos.offsetNode, pos.offset);
+            }
+          } else if (document.caretRangeFromPoint) {
+            range = document.caretRangeFromPoint(${x}, ${y});
+          }
+          if (!range || range.startContainer.nodeType !== Node.TEXT_NODE) return null;
+
+          // Anchor at the start of the word under the point and select it
+          const sel = window.getSelection();
+          sel.removeAllRanges();
+          sel.addRange(range);
+          sel.modify('move', 'forward', 'word');
+          sel.modify('move', 'backward', 'word');
+          sel.modify('extend', 'forward', 'word');
+
+          document.documentElement.classList.add('gamepad-selecting');
+          return reportSelection(sel);
+        })()
+      `).catch(() => null);
+    }
+
+    /**
+     * Move the end of the selection by a word (left/right) or line (up/down)
+     * @param {'up'|'down'|'left'|'right'} direction
+     * @returns {Promise<SelectionState|null>}
+     */
+    extendSelection(direction) {
+      const forward = direction === 'right' || direction === 'down';
+      const granularity = direction === 'up' || direction === 'down' ? 'line' : 'word';
+
+      return this.wiki.executeJavaScript(`
+        (function() {
+          ${REPORT_SELECTION}
+          const sel = window.getSelection();
+          if (sel.rangeCount === 0) return null;
+
+          sel.modify('extend', '${forward ? 'forward' : 'backward'}', '${granularity}');
+          return reportSelection(sel);
+        })()
+      `).catch(() => null);
+    }
+
+    /**
+     * Remove the page selection
+     */
+    clearSelection() {
+      this.wiki.executeJavaScript(`
+        (function() {
+          window.getSelection().removeAllRanges();
+          document.documentElement.classList.remove('gamepad-selecting');
+        })()
+      `).catch(() => {});
+    }
+
     /**
      * Scroll the webview content
      * @param {number} deltaX - Horizontal scroll amount
      * @param {number} deltaY - Vertical scroll amount
+     * @returns {Promise<ScrollResult|null>} null if the webview isn't available
      */
     scroll(deltaX, deltaY) {
+      if (!this.isActive()) return Promise.resolve(null);
+
+      return this.wiki.executeJavaScript(`
+        (function() {
+          const startX = window.scrollX;
+          const startY = window.scrollY;
+          window.scrollBy({ left: ${deltaX}, top: ${deltaY}, behavior: 'instant' });
+          return { dx: window.scrollX - startX, dy: window.scrollY - startY, x: window.scrollX, y: window.scrollY };
+        })()
+      `).catch(() => null);
+    }
+
+    /**
+     * Scroll the webview just enough to show an element
+     * @param {number} webviewId - Page element id (data-gamepad-id)
+     * @returns {Promise<ScrollResult|null>} null if the element is gone
+     */
+    scrollElementIntoView(webviewId) {
+      return this.wiki.executeJavaScript(`
+        (function() {
+          ${FIND_ELEMENT}
+          const el = findGamepadElement(document, ${webviewId});
+          if (!el) return null;
+          const startX = window.scrollX;
+          const startY = window.scrollY;
+          el.scrollIntoView({ block: 'nearest', inline: 'nearest', behavior: 'instant' });
+          return { dx: window.scrollX - startX, dy: window.scrollY - startY, x: window.scrollX, y: window.scrollY };
+        })()
+      `).catch(() => null);
+    }
+
+    /**
+     * Scroll the webview content to an absolute position
+     * @param {number} x - Horizontal scroll position
+     * @param {number} y - Vertical scroll position
+     */
+    scrollTo(x, y) {
       if (!this.isActive()) return;
 
-      this.wiki.executeJavaScript(`window.scrollBy(${deltaX}, ${deltaY})`).catch(() => {});
+      this.wiki.executeJavaScript(`window.scrollTo(${x}, ${y})`).catch(() => {});
     }
   }
 
@@ -2,7 +2,8 @@
  * Wiki Manager Module
  *
  * Handles wiki selection, rendering wiki cards, custom URL navigation,
- * and managing the wiki webview state.
+ * and managing the wiki webview state. The wikis are the user's own
+ * (see WikisPanel) followed by the built-in WIKIS.
  *
  * Single Responsibility: All wiki-related state and operations
  *
@@ -25,8 +26,9 @@
      * @param {HTMLElement} elements.goBtn - Go button for custom URL
      * @param {HTMLElement} elements.searchInput - Search input in toolbar
      * @param {HTMLElement} elements.searchBtn - Search button in toolbar
+     * @param {Object|null} api - electronAPI for finding custom URLs' search (null uses the MediaWiki default)
      */
-    constructor(elements) {
+    constructor(elements, api = null) {
       this.wiki = elements.wiki;
       this.landingPage = elements.landingPage;
       this.wikiGrid = elements.wikiGrid;
@@ -34,16 +36,21 @@
       this.goBtn = elements.goBtn;
       this.searchInput = elements.searchInput;
       this.searchBtn = elements.searchBtn;
+      this.api = api;
 
-      // Current wiki configuration
-      this.config = {
-        baseUrl: '',
-        searchUrl: '',
-      };
+      // Wiki configuration of each webview (tab), and of the current one
+      this.configs = new WeakMap();
+      this.config = this._configFor(this.wiki);
+
+      // Wikis added by the user, shown before the built-in ones
+      this.customWikis = [];
 
       // Callback for when wiki state changes
       this.onWikiNavigated = null;
 
+      // Callback with the query of each search run
+      this.onSearch = null;
+
       this._bindEvents();
     }
 
@@ -67,28 +74,19 @@
           this.performSearch();
         }
       });
-
-      // Prevent new windows - open in same webview
-      this.wiki.addEventListener('new-window', (e) => {
-        e.preventDefault();
-        if (e.url) {
-          this.wiki.src = e.url;
-        }
-      });
     }
 
     /**
-     * Render wiki cards from the global WIKIS configuration
+     * Render wiki cards for the custom and built-in wikis
      */
     renderWikiCards() {
       this.wikiGrid.innerHTML = '';
 
       if (typeof WIKIS === 'undefined' || !Array.isArray(WIKIS)) {
         console.error('WIKIS configuration not found');
-        return;
       }
 
-      WIKIS.forEach(wikiData => {
+      this.getWikis().forEach(wikiData => {
         const card = document.createElement('button');
         card.className = 'wiki-card';
         card.type = 'button';
@@ -96,12 +94,15 @@
         card.dataset.url = wikiData.url;
         card.dataset.search = wikiData.search;
         card.setAttribute('aria-label', `Open ${wikiData.name} wiki`);
+        if (wikiData.tags && wikiData.tags.length > 0) {
+          card.title = wikiData.tags.map(tag => '#' + tag).join(' ');
+        }
 
-        card.innerHTML = `
-          <span class="wiki-icon" aria-hidden="true">${wikiData.icon}</span>
-          <span class="wiki-name">${wikiData.name}</span>
-        `;
+        const name = document.createElement('span');
+        name.className = 'wiki-name';
+        name.textContent = wikiData.name;
 
+        card.append(this.createWikiIcon(wikiData), name);
         card.addEventListener('click', () => {
           this.showWiki(wikiData.url, wikiData.search);
         });
@@ -110,19 +111,64 @@
       });
     }
 
+    /**
+     * Get every wiki: the user's own, then the built-in ones
+     * @returns {Object[]} Wikis with name, url, search, icon (and tags for custom ones)
+     */
+    getWikis() {
+      const builtIn = typeof WIKIS !== 'undefined' && Array.isArray(WIKIS) ? WIKIS : [];
+      return [...this.customWikis, ...builtIn];
+    }
+
+    /**
+     * Replace the user's wikis and rebuild the cards
+     * @param {Object[]} wikis
+     */
+    setCustomWikis(wikis) {
+      this.customWikis = Array.isArray(wikis) ? wikis : [];
+      this.renderWikiCards();
+    }
+
+    /**
+     * Build a wiki's icon: its emoji, or the site's favicon when it has none
+     * @param {Object} wikiData
+     * @returns {HTMLElement}
+     */
+    createWikiIcon(wikiData) {
+      const icon = document.createElement('span');
+      icon.className = 'wiki-icon';
+      icon.setAttribute('aria-hidden', 'true');
+
+      if (wikiData.icon) {
+        icon.textContent = wikiData.icon;
+        return icon;
+      }
+
+      const favicon = document.createElement('img');
+      favicon.className = 'wiki-favicon';
+      favicon.alt = '';
+      favicon.addEventListener('error', () => {
+        icon.textContent = '🌐';
+      });
+      try {
+        favicon.src = new URL('/favicon.ico', wikiData.url).href;
+        icon.appendChild(favicon);
+      } catch {
+        icon.textContent = '🌐';
+      }
+      return icon;
+    }
+
     /**
      * Show the landing page, hide the webview
      */
     showLandingPage() {
-      this.landingPage.classList.remove('hidden');
       this.wiki.classList.remove('active');
       this.wiki.src = 'about:blank';
-      this.searchInput.value = '';
-      this.searchInput.placeholder = 'Select a wiki first...';
-      this.searchInput.disabled = true;
-      this.searchBtn.disabled = true;
 
       this.config = { baseUrl: '', searchUrl: '' };
+      this.configs.set(this.wiki, this.config);
+      this._showLandingControls();
     }
 
     /**
@@ -131,19 +177,91 @@
      * @param {string} searchUrl - The wiki's search URL pattern
      */
     showWiki(baseUrl, searchUrl) {
-      this.config.baseUrl = baseUrl;
-      this.config.searchUrl = searchUrl || baseUrl + '/wiki/Special:Search?search=';
+      this.openPage(this.wiki, baseUrl, {
+        baseUrl,
+        searchUrl: searchUrl || baseUrl + '/wiki/Special:Search?search=',
+      });
+    }
 
-      this.landingPage.classList.add('hidden');
-      this.wiki.classList.add('active');
-      this.wiki.src = baseUrl;
-      this.searchInput.disabled = false;
-      this.searchInput.placeholder = 'Search wiki...';
-      this.searchBtn.disabled = false;
+    /**
+     * Show a page of a wiki (e.g. a bookmark), searching that wiki afterwards
+     * @param {string} url - Page to load
+     * @param {string} baseUrl - The wiki's base URL
+     */
+    showPage(url, baseUrl) {
+      const wikiData = this.getWikis().find(entry => entry.url === baseUrl);
+
+      this.openPage(this.wiki, url, {
+        baseUrl,
+        searchUrl: wikiData ? wikiData.search : baseUrl + '/wiki/Special:Search?search=',
+      });
+    }
+
+    /**
+     * Show another page of the current wiki (e.g. a search suggestion)
+     * @param {string} url
+     */
+    showArticle(url) {
+      this.openPage(this.wiki, url, this.config);
+    }
+
+    /**
+     * Load a page of a wiki into a webview (the current one or a background tab)
+     * @param {HTMLElement} wiki - Target webview
+     * @param {string} url - Page to load
+     * @param {Object} config - The wiki's baseUrl and searchUrl
+     */
+    openPage(wiki, url, config) {
+      this.configs.set(wiki, { ...config });
+      wiki.classList.add('active');
+      wiki.src = url;
+
+      if (wiki === this.wiki) {
+        this.config = this.configs.get(wiki);
+        this._showWikiControls();
+      }
+    }
+
+    /**
+     * Switch to another webview (tab), showing its wiki or the landing page
+     * @param {HTMLElement} wiki
+     */
+    setWebview(wiki) {
+      this.wiki = wiki;
+      this.config = this._configFor(wiki);
+
+      if (this.isWikiActive()) {
+        this._showWikiControls();
+      } else {
+        this._showLandingControls();
+      }
+    }
+
+    /**
+     * Show the previous or next wiki (custom or built-in)
+     * Starts at the first (or last) wiki when the current one isn't listed.
+     * @param {number} step - 1 for next, -1 for previous
+     * @returns {Object|null} The wiki shown, or null if none are configured
+     */
+    showAdjacentWiki(step) {
+      const wikis = this.getWikis();
+      if (wikis.length === 0) {
+        return null;
+      }
+
+      const current = wikis.findIndex(wikiData => wikiData.url === this.config.baseUrl);
+      const index = current === -1
+        ? (step > 0 ? 0 : wikis.length - 1)
+        : (current + step + wikis.length) % wikis.length;
+
+      const wikiData = wikis[index];
+      this.showWiki(wikiData.url, wikiData.search);
+      return wikiData;
     }
 
     /**
      * Navigate to a custom URL entered by the user
+     * Searches with the MediaWiki default until the wiki's own search is found.
      */
     goToCustomUrl() {
       let url = this.wikiUrlInput.value.trim();
@@ -151,17 +269,44 @@
         if (!url.startsWith('http://') && !url.startsWith('https://')) {
           url = 'https://' + url;
         }
+        url = url.replace(/\/+$/, '');
+
+        const wiki = this.wiki;
         this.showWiki(url, url + '/wiki/Special:Search?search=');
+        this.discoverSearchUrl(url).then(searchUrl => {
+          // Only if the tab is still on that wiki
+          const config = this.configs.get(wiki);
+          if (searchUrl && config && config.baseUrl === url) {
+            config.searchUrl = searchUrl;
+          }
+        });
       }
     }
 
+    /**
+     * Find a wiki's search URL from its site (OpenSearch, MediaWiki
+     * siteinfo or a known wiki farm)
+     * @param {string} baseUrl
+     * @returns {Promise<string|null>} null if it couldn't be found
+     */
+    discoverSearchUrl(baseUrl) {
+      if (!this.api) return Promise.resolve(null);
+
+      return this.api.discoverSearchUrl(baseUrl).catch(() => null);
+    }
+
     /**
      * Perform a search on the current wiki
      */
     performSearch() {
       const query = this.searchInput.value.trim();
       if (query && this.config.searchUrl) {
-        this.wiki.src = this.config.searchUrl + encodeURIComponent(query);
+        const template = this.config.searchUrl;
+        this.wiki.src = template.includes('{query}')
+          ? template.replace('{query}', encodeURIComponent(query))
+          : template + encodeURIComponent(query);
+
+        if (this.onSearch) this.onSearch(query);
       }
     }
 
@@ -174,11 +319,62 @@
     }
 
     /**
-     * Get the current wiki configuration
+     * Get the wiki configuration of a webview
+     * @param {HTMLElement} [wiki] - Defaults to the current webview
      * @returns {Object} config with baseUrl and searchUrl
      */
-    getConfig() {
-      return { ...this.config };
+    getConfig(wiki = this.wiki) {
+      return { ...this._configFor(wiki) };
+    }
+
+    /**
+     * Get a display name for a wiki base URL
+     * @param {string} baseUrl
+     * @returns {string} The wiki's name, or the host name
+     */
+    getWikiName(baseUrl) {
+      const wikiData = this.getWikis().find(entry => entry.url === baseUrl);
+      if (wikiData) return wikiData.name;
+
+      try {
+        return new URL(baseUrl).hostname;
+      } catch {
+        return 'Other pages';
+      }
+    }
+
+    /**
+     * Get a webview's wiki configuration, empty until a wiki is shown in it
+     * @private
+     */
+    _configFor(wiki) {
+      if (!this.configs.has(wiki)) {
+        this.configs.set(wiki, { baseUrl: '', searchUrl: '' });
+      }
+      return this.configs.get(wiki);
+    }
+
+    /**
+     * Hide the landing page and enable searching
+     * @private
+     */
+    _showWikiControls() {
+      this.landingPage.classList.add('hidden');
+      this.searchInput.disabled = false;
+      this.searchInput.placeholder = 'Search wiki...';
+      this.searchBtn.disabled = false;
+    }
+
+    /**
+     * Show the landing page and disable searching
+     * @private
+     */
+    _showLandingControls() {
+      this.landingPage.classList.remove('hidden');
+      this.searchInput.value = '';
+      this.searchInput.placeholder = 'Select a wiki first...';
+      this.searchInput.disabled = true;
+      this.searchBtn.disabled = true;
     }
   }
 
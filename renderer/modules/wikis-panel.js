@@ -0,0 +1,445 @@
+/**
+ * Wikis Panel Module
+ *
+ * Overlay panel for the user's own wikis, kept by the main process in
+ * userData and shown before the built-in ones. Wikis can be added (the
+ * current tab's wiki is offered when it isn't listed yet), edited,
+ * removed, reordered by dragging or with the up/down buttons, and the
+ * list imported from or exported to a JSON file. A new wiki's search URL
+ * is looked up from its site when left empty, and asked for if not found.
+ *
+ * Single Responsibility: Custom wiki list editing and its persistence
+ *
+ * Dependencies:
+ * - WikiManager (wiki-manager.js)
+ */
+
+(function(global) {
+  'use strict';
+
+  // editingId of a wiki that hasn't been saved yet
+  const NEW_WIKI = 'new';
+
+  /**
+   * @typedef {Object} CustomWiki
+   * @property {string} id - Assigned by the main process
+   * @property {string} name
+   * @property {string} url - Base URL
+   * @property {string} search - Search URL, appended to or with {query} replaced
+   * @property {string} icon - Emoji, or '' for the site's favicon
+   * @property {string[]} tags
+   */
+
+  /**
+   * WikisPanel class - manages the custom wikis overlay
+   */
+  class WikisPanel {
+    /**
+     * @param {Object} elements - DOM element references
+     * @param {HTMLElement} elements.panel - The wikis panel container
+     * @param {HTMLElement} elements.toggleBtn - Landing page button that opens the panel
+     * @param {HTMLElement} elements.closeBtn - Close button inside the panel
+     * @param {HTMLElement} elements.list - Container for the wiki rows and editor
+     * @param {HTMLElement} elements.message - Status line for import/export results
+     * @param {HTMLElement} elements.addBtn - Starts adding a wiki
+     * @param {HTMLElement} elements.importBtn - Imports wikis from a file
+     * @param {HTMLElement} elements.exportBtn - Exports the wikis to a file
+     * @param {WikiManager} wikiManager - Shows the wikis on the landing page
+     * @param {Object|null} api - electronAPI for persistence (null disables the panel)
+     * @param {Object} callbacks - Callback functions
+     * @param {Function} callbacks.onShow - Called when the panel opens
+     */
+    constructor(elements, wikiManager, api, callbacks = {}) {
+      this.panel = elements.panel;
+      this.toggleBtn = elements.toggleBtn;
+      this.closeBtn = elements.closeBtn;
+      this.list = elements.list;
+      this.message = elements.message;
+      this.addBtn = elements.addBtn;
+      this.importBtn = elements.importBtn;
+      this.exportBtn = elements.exportBtn;
+      this.wikiManager = wikiManager;
+      this.api = api;
+      this.callbacks = callbacks;
+
+      // State
+      this.visible = false;
+      /** @type {CustomWiki[]} */
+      this.wikis = [];
+      this.editingId = null; // Wiki whose editor is open (NEW_WIKI when adding)
+      this.draft = null; // Prefilled fields of a new wiki
+      this.draggingId = null;
+
+      this._bindEvents();
+    }
+
+    /**
+     * Fetch the saved wikis
+     * @returns {Promise<void>}
+     */
+    load() {
+      if (!this.api) return Promise.resolve();
+
+      return this.api.getCustomWikis().then(wikis => this._apply(wikis));
+    }
+
+    /**
+     * Check if the panel is currently visible
+     * @returns {boolean}
+     */
+    isVisible() {
+      return this.visible;
+    }
+
+    /**
+     * Show the wikis panel
+     */
+    show() {
+      this.visible = true;
+      this.editingId = null;
+      this._setMessage('');
+      this.render();
+      this.panel.classList.remove('hidden');
+      this.toggleBtn.setAttribute('aria-expanded', 'true');
+
+      if (this.callbacks.onShow) {
+        this.callbacks.onShow();
+      }
+    }
+
+    /**
+     * Hide the wikis panel
+     */
+    hide() {
+      this.visible = false;
+      this.panel.classList.add('hidden');
+      this.toggleBtn.setAttribute('aria-expanded', 'false');
+    }
+
+    /**
+     * Toggle panel visibility
+     */
+    toggle() {
+      if (this.visible) {
+        this.hide();
+      } else {
+        this.show();
+      }
+    }
+
+    /**
+     * Rebuild the list (wikis changed or an editor opened)
+     */
+    render() {
+      this.list.innerHTML = '';
+
+      if (this.editingId === NEW_WIKI) {
+        this.list.appendChild(this._renderEditor(this.draft));
+      }
+
+      if (this.wikis.length === 0 && this.editingId !== NEW_WIKI) {
+        const empty = document.createElement('p');
+        empty.className = 'panel-hint';
+        empty.textContent = 'No wikis of your own yet. Add one to show it on the landing page.';
+        this.list.appendChild(empty);
+        return;
+      }
+
+      this.wikis.forEach((wiki, index) => {
+        this.list.appendChild(this._renderRow(wiki, index));
+        if (this.editingId === wiki.id) {
+          this.list.appendChild(this._renderEditor(wiki));
+        }
+      });
+    }
+
+    /**
+     * Bind event listeners
+     * @private
+     */
+    _bindEvents() {
+      this.toggleBtn.addEventListener('click', () => this.toggle());
+      this.closeBtn.addEventListener('click', () => this.hide());
+      this.addBtn.addEventListener('click', () => this._startAdding());
+      this.importBtn.addEventListener('click', () => this._import());
+      this.exportBtn.addEventListener('click', () => this._export());
+    }
+
+    /**
+     * Open the editor for a new wiki, filled in from the current tab's
+     * wiki when it isn't listed yet
+     * @private
+     */
+    _startAdding() {
+      const config = this.wikiManager.getConfig();
+      const listed = this.wikiManager.getWikis().some(wiki => wiki.url === config.baseUrl);
+
+      this.draft = { name: '', url: '', search: '', icon: '', tags: [] };
+      if (config.baseUrl && !listed) {
+        this.draft.url = config.baseUrl;
+        this.draft.search = config.searchUrl;
+        this.draft.name = this.wikiManager.getWikiName(config.baseUrl);
+      }
+
+      this.editingId = NEW_WIKI;
+      this._setMessage('');
+      this.render();
+    }
+
+    /**
+     * Call the main process and take the wiki list it returns
+     * @private
+     */
+    _request(method, ...args) {
+      if (!this.api) return Promise.resolve();
+
+      return this.api[method](...args).then(wikis => this._apply(wikis));
+    }
+
+    /**
+     * Store a new wiki list and refresh everything that shows it
+     * @private
+     */
+    _apply(wikis) {
+      this.wikis = Array.isArray(wikis) ? wikis : [];
+      this.wikiManager.setCustomWikis(this.wikis.slice());
+      if (this.visible) this.render();
+    }
+
+    /**
+     * Move a wiki to another position
+     * @private
+     */
+    _move(id, index) {
+      if (index < 0 || index >= this.wikis.length) return;
+
+      this._request('moveCustomWiki', id, index).catch(() => {});
+    }
+
+    /**
+     * Write the list to a file the user picks
+     * @private
+     */
+    _export() {
+      if (!this.api) return;
+
+      this.api.exportCustomWikis().then(filePath => {
+        if (!filePath) return;
+        this._setMessage(this.wikis.length === 1 ? 'Exported 1 wiki' : `Exported ${this.wikis.length} wikis`);
+      }).catch(() => this._setMessage('Couldn\'t write the file'));
+    }
+
+    /**
+     * Add the wikis from a file the user picks
+     * @private
+     */
+    _import() {
+      if (!this.api) return;
+
+      this.api.importCustomWikis().then(result => {
+        if (!result) return;
+        this._apply(result.wikis);
+        this._setMessage(result.imported === 1 ? 'Imported 1 wiki' : `Imported ${result.imported} wikis`);
+      }).catch(() => this._setMessage('That file isn\'t a list of wikis'));
+    }
+
+    /**
+     * Show an import/export result (or clear it with '')
+     * @private
+     */
+    _setMessage(text) {
+      this.message.textContent = text;
+    }
+
+    /**
+     * Build one wiki's row
+     * @private
+     */
+    _renderRow(wiki, index) {
+      const row = document.createElement('div');
+      row.className = 'custom-wiki-row';
+      row.draggable = true;
+
+      const info = document.createElement('div');
+      info.className = 'custom-wiki-info';
+
+      const name = document.createElement('span');
+      name.className = 'custom-wiki-name';
+      name.textContent = wiki.name;
+
+      const url = document.createElement('span');
+      url.className = 'custom-wiki-url';
+      url.textContent = [wiki.url, ...wiki.tags.map(tag => '#' + tag)].join(' ');
+
+      info.append(name, url);
+
+      const up = this._renderAction('↑', 'Move up', () => this._move(wiki.id, index - 1));
+      up.disabled = index === 0;
+
+      const down = this._renderAction('↓', 'Move down', () => this._move(wiki.id, index + 1));
+      down.disabled = index === this.wikis.length - 1;
+
+      const edit = this._renderAction('✎', 'Edit wiki', () => {
+        this.editingId = this.editingId === wiki.id ? null : wiki.id;
+        this.render();
+      });
+
+      const remove = this._renderAction('×', 'Remove wiki', () => {
+        if (this.editingId === wiki.id) this.editingId = null;
+        this._request('removeCustomWiki', wiki.id).catch(() => {});
+      });
+
+      // Mouse reordering: drop a row onto another to take its place
+      row.addEventListener('dragstart', (e) => {
+        this.draggingId = wiki.id;
+        e.dataTransfer.effectAllowed = 'move';
+        row.classList.add('dragging');
+      });
+      row.addEventListener('dragend', () => {
+        this.draggingId = null;
+        row.classList.remove('dragging');
+      });
+      row.addEventListener('dragover', (e) => {
+        if (this.draggingId && this.draggingId !== wiki.id) e.preventDefault();
+      });
+      row.addEventListener('drop', (e) => {
+        e.preventDefault();
+        if (this.draggingId) this._move(this.draggingId, index);
+      });
+
+      row.append(this.wikiManager.createWikiIcon(wiki), info, up, down, edit, remove);
+      return row;
+    }
+
+    /**
+     * Build a small icon button of a wiki row
+     * @private
+     */
+    _renderAction(symbol, label, onClick) {
+      const btn = document.createElement('button');
+      btn.type = 'button';
+      btn.className = 'custom-wiki-action';
+      btn.textContent = symbol;
+      btn.title = label;
+      btn.setAttribute('aria-label', label);
+      btn.addEventListener('click', onClick);
+      return btn;
+    }
+
+    /**
+     * Build the form for a new or existing wiki
+     * @private
+     * @param {CustomWiki|Object} wiki - Existing wiki, or the draft of a new one
+     */
+    _renderEditor(wiki) {
+      const editor = document.createElement('div');
+      editor.className = 'custom-wiki-editor';
+
+      const field = (value, placeholder) => {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = value;
+        input.placeholder = placeholder;
+        input.setAttribute('aria-label', placeholder);
+        return input;
+      };
+
+      const name = field(wiki.name, 'Name');
+      const url = field(wiki.url, 'Wiki URL, e.g. https://example.wiki.gg');
+      const search = field(wiki.search, 'Search URL (found automatically if empty), ending in ?search= or with {query}');
+      const icon = field(wiki.icon, 'Icon emoji (optional, the site icon otherwise)');
+      const tags = field(wiki.tags.join(', '), 'Tags, separated by commas');
+
+      const hint = document.createElement('p');
+      hint.className = 'panel-hint';
+      hint.setAttribute('role', 'status');
+
+      const save = document.createElement('button');
+      save.type = 'button';
+      save.className = 'panel-button';
+      save.textContent = this.editingId === NEW_WIKI ? 'Add wiki' : 'Save';
+
+      const cancel = document.createElement('button');
+      cancel.type = 'button';
+      cancel.className = 'panel-button';
+      cancel.textContent = 'Cancel';
+      cancel.addEventListener('click', () => {
+        this.editingId = null;
+        this.render();
+      });
+
+      // Set when the wiki's search couldn't be found, so that saving again
+      // with the field empty uses the MediaWiki default
+      let askedForSearch = false;
+      url.addEventListener('input', () => {
+        askedForSearch = false;
+      });
+
+      // Fill in the empty search field from the wiki's site
+      const findSearch = () => {
+        const address = /^https?:\/\//.test(url.value.trim()) ? url.value.trim() : 'https://' + url.value.trim();
+        hint.textContent = 'Looking for the wiki\'s search…';
+        save.disabled = true;
+
+        return this.wikiManager.discoverSearchUrl(address.replace(/\/+$/, '')).then(searchUrl => {
+          save.disabled = false;
+          if (searchUrl) {
+            search.value = searchUrl;
+            hint.textContent = '';
+            return true;
+          }
+
+          hint.textContent = 'Couldn\'t find this wiki\'s search. Enter its search URL, or save again to use /wiki/Special:Search.';
+          search.focus();
+          return false;
+        });
+      };
+
+      const submit = () => {
+        if (save.disabled) return;
+        if (!name.value.trim() || !url.value.trim()) {
+          hint.textContent = 'A wiki needs a name and a URL';
+          return;
+        }
+
+        if (!search.value.trim() && !askedForSearch) {
+          findSearch().then(found => {
+            askedForSearch = !found;
+            // Unless the editor was closed meanwhile
+            if (found && editor.isConnected) submit();
+          });
+          return;
+        }
+
+        const changes = {
+          name: name.value,
+          url: url.value,
+          search: search.value,
+          icon: icon.value,
+          tags: tags.value.split(',').map(tag => tag.trim()).filter(Boolean),
+        };
+        if (this.editingId !== NEW_WIKI) changes.id = wiki.id;
+
+        this.editingId = null;
+        this._request('saveCustomWiki', changes).catch(() => {});
+      };
+      save.addEventListener('click', submit);
+      [name, url, search, icon, tags].forEach(input => {
+        input.addEventListener('keydown', (e) => {
+          if (e.key === 'Enter') submit();
+        });
+      });
+
+      const buttons = document.createElement('div');
+      buttons.className = 'custom-wiki-buttons';
+      buttons.append(cancel, save);
+
+      editor.append(name, url, search, icon, tags, hint, buttons);
+      return editor;
+    }
+  }
+
+  // Expose to global scope
+  global.WikisPanel = WikisPanel;
+
+})(window);
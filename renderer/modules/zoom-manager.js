@@ -0,0 +1,171 @@
+/**
+ * Zoom Manager Module
+ *
+ * Zooms the wiki webview and remembers the level per wiki origin, so a
+ * wiki with tiny text comes back at the size it was left at. Levels are
+ * stored by the main process; the toolbar indicator shows any zoom other
+ * than 100% and resets it when clicked.
+ *
+ * Single Responsibility: Webview zoom level and its persistence
+ *
+ * @requires CURSOR_CONFIG - Global config from cursor-config.js (zoom limits)
+ */
+
+(function(global) {
+  'use strict';
+
+  // Use global config (loaded before this module)
+  const CONFIG = global.CURSOR_CONFIG;
+
+  /**
+   * ZoomManager class - manages the webview zoom level
+   */
+  class ZoomManager {
+    /**
+     * @param {Object} elements - DOM element references
+     * @param {HTMLElement} elements.wiki - The webview element
+     * @param {HTMLElement} elements.indicator - Toolbar zoom indicator
+     * @param {Object|null} api - electronAPI for persistence (null keeps levels in memory)
+     */
+    constructor(elements, api) {
+      this.wiki = elements.wiki;
+      this.indicator = elements.indicator;
+      this.api = api;
+
+      /** @type {Object.<string, number>} Zoom factor by origin */
+      this.levels = {};
+      this.watched = new WeakSet();
+
+      this.watch(this.wiki);
+    }
+
+    /**
+     * Fetch the remembered levels
+     * @returns {Promise<void>}
+     */
+    load() {
+      if (!this.api) return Promise.resolve();
+
+      return this.api.getZoomLevels().then(levels => {
+        this.levels = levels || {};
+        this._applyStoredZoom(this.wiki);
+      });
+    }
+
+    /**
+     * Keep a webview (tab) at its pages' remembered zoom
+     * @param {HTMLElement} wiki
+     */
+    watch(wiki) {
+      if (this.watched.has(wiki)) return;
+      this.watched.add(wiki);
+
+      // Chromium forgets zoom across origins and restarts - reapply ours
+      wiki.addEventListener('did-navigate', () => this._applyStoredZoom(wiki));
+    }
+
+    /**
+     * Switch the zoom controls to another webview (tab)
+     * @param {HTMLElement} wiki
+     */
+    setWebview(wiki) {
+      this.wiki = wiki;
+      this._applyStoredZoom(wiki);
+    }
+
+    /**
+     * Change the zoom by a number of steps
+     * @param {number} steps - Positive to zoom in, negative to zoom out
+     * @returns {number} The new zoom factor
+     */
+    zoomBy(steps) {
+      const current = this.wiki.getZoomFactor();
+      const factor = Math.min(CONFIG.ZOOM_MAX,
+        Math.max(CONFIG.ZOOM_MIN, current + steps * CONFIG.ZOOM_STEP));
+      const rounded = Math.round(factor * 100) / 100;
+
+      this._setZoom(rounded);
+      return rounded;
+    }
+
+    /**
+     * Reset the zoom to 100%
+     * @returns {number} The new zoom factor
+     */
+    reset() {
+      this._setZoom(1);
+      return 1;
+    }
+
+    /**
+     * Apply and remember a zoom factor for the current origin
+     * @private
+     */
+    _setZoom(factor) {
+      this.wiki.setZoomFactor(factor);
+      this._updateIndicator(factor);
+
+      const origin = this._getOrigin(this.wiki);
+      if (!origin) return;
+
+      if (factor === 1) {
+        delete this.levels[origin];
+      } else {
+        this.levels[origin] = factor;
+      }
+      if (this.api) {
+        this.api.setZoomLevel(origin, factor);
+      }
+    }
+
+    /**
+     * Zoom a webview's page to its origin's remembered level
+     * @private
+     */
+    _applyStoredZoom(wiki) {
+      const origin = this._getOrigin(wiki);
+      const stored = origin ? this.levels[origin] : undefined;
+      const factor = Number.isFinite(stored) && stored >= CONFIG.ZOOM_MIN && stored <= CONFIG.ZOOM_MAX
+        ? stored
+        : 1;
+
+      if (wiki === this.wiki) {
+        this._updateIndicator(factor);
+      }
+
+      try {
+        if (wiki.getZoomFactor() !== factor) {
+          wiki.setZoomFactor(factor);
+        }
+      } catch {
+        // Webview not attached yet - did-navigate will apply it
+      }
+    }
+
+    /**
+     * Origin of a webview's page, or null for blank and local pages
+     * @private
+     */
+    _getOrigin(wiki) {
+      try {
+        const origin = new URL(wiki.getURL()).origin;
+        return origin === 'null' ? null : origin;
+      } catch {
+        return null;
+      }
+    }
+
+    /**
+     * Show the zoom level, hidden at 100%
+     * @private
+     */
+    _updateIndicator(factor) {
+      this.indicator.textContent = `${Math.round(factor * 100)}%`;
+      this.indicator.classList.toggle('hidden', factor === 1);
+    }
+  }
+
+  // Expose to global scope
+  global.ZoomManager = ZoomManager;
+
+})(window);
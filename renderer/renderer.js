@@ -11,6 +11,18 @@
  * - UIControls: Window controls (resize, opacity, close)
  * - GamepadCursor: Virtual cursor with magnetic snapping
  * - OSKManager: On-screen keyboard for gamepad text input
+ * - SelectPicker: Option list for <select> elements in the wiki page
+ * - SettingsPanel: Settings overlay (controller slot selection)
+ * - BindingsEditor: Gamepad button rebinding inside the settings panel
+ * - StickSettings: Stick deadzone and response curve controls
+ * - SplitView: Two tabs side by side with a focused pane
+ * - SessionManager: Saves the open tabs and restores them at startup
+ * - BookmarkManager: Saved pages, the toolbar star, and landing page favorites
+ * - BookmarksPanel: Bookmark list with folders, tags and a filter
+ * - HistoryManager: Visited pages and the landing page recent links
+ * - HistoryPanel: History list with title search and clearing
+ * - WikisPanel: The user's own wikis, with import and export
+ * - SearchSuggestions: Article suggestions under the toolbar search box
  *
  * @requires wikis-config.js (WIKIS global)
  * @requires modules/wiki-manager.js (WikiManager class)
@@ -18,6 +30,18 @@
  * @requires modules/ui-controls.js (UIControls class)
  * @requires modules/gamepad-cursor.js (GamepadCursor class)
  * @requires modules/osk-manager.js (OSKManager class)
+ * @requires modules/select-picker.js (SelectPicker class)
+ * @requires modules/settings-panel.js (SettingsPanel class)
+ * @requires modules/bindings-editor.js (BindingsEditor class)
+ * @requires modules/stick-settings.js (StickSettings class)
+ * @requires modules/split-view.js (SplitView class)
+ * @requires modules/session-manager.js (SessionManager class)
+ * @requires modules/bookmark-manager.js (BookmarkManager class)
+ * @requires modules/bookmarks-panel.js (BookmarksPanel class)
+ * @requires modules/history-manager.js (HistoryManager class)
+ * @requires modules/history-panel.js (HistoryPanel class)
+ * @requires modules/wikis-panel.js (WikisPanel class)
+ * @requires modules/search-suggestions.js (SearchSuggestions class)
  */
 
 (function() {
@@ -30,11 +54,19 @@
     wiki: document.getElementById('wiki'),
     searchInput: document.getElementById('search-input'),
     searchBtn: document.getElementById('search-btn'),
+    searchSuggestions: document.getElementById('search-suggestions'),
     backBtn: document.getElementById('back-btn'),
     forwardBtn: document.getElementById('forward-btn'),
     homeBtn: document.getElementById('home-btn'),
+    bookmarkBtn: document.getElementById('bookmark-btn'),
     closeBtn: document.getElementById('close-btn'),
     status: document.getElementById('status'),
+    tabStrip: document.getElementById('tab-strip'),
+    newTabBtn: document.getElementById('new-tab-btn'),
+    splitBtn: document.getElementById('split-btn'),
+    splitOrientationBtn: document.getElementById('split-orientation-btn'),
+    splitDivider: document.getElementById('split-divider'),
+    zoomIndicator: document.getElementById('zoom-indicator'),
     landingPage: document.getElementById('landing-page'),
     wikiUrlInput: document.getElementById('wiki-url-input'),
     goBtn: document.getElementById('go-btn'),
@@ -44,6 +76,49 @@
     osk: document.getElementById('osk'),
     oskKeys: document.getElementById('osk-keys'),
     oskInputText: document.getElementById('osk-input-text'),
+    oskSuggestions: document.getElementById('osk-suggestions'),
+    bookmarksBtn: document.getElementById('bookmarks-btn'),
+    bookmarksPanel: document.getElementById('bookmarks-panel'),
+    bookmarksCloseBtn: document.getElementById('bookmarks-close-btn'),
+    bookmarksFilter: document.getElementById('bookmarks-filter'),
+    bookmarksList: document.getElementById('bookmarks-list'),
+    favorites: document.getElementById('favorites'),
+    favoritesList: document.getElementById('favorites-list'),
+    historyBtn: document.getElementById('history-btn'),
+    historyPanel: document.getElementById('history-panel'),
+    historyCloseBtn: document.getElementById('history-close-btn'),
+    historySearch: document.getElementById('history-search'),
+    historyList: document.getElementById('history-list'),
+    historyClearBtn: document.getElementById('history-clear-btn'),
+    recent: document.getElementById('recent'),
+    recentList: document.getElementById('recent-list'),
+    manageWikisBtn: document.getElementById('manage-wikis-btn'),
+    wikisPanel: document.getElementById('wikis-panel'),
+    wikisCloseBtn: document.getElementById('wikis-close-btn'),
+    wikisList: document.getElementById('wikis-list'),
+    wikisMessage: document.getElementById('wikis-message'),
+    wikisAddBtn: document.getElementById('wikis-add-btn'),
+    wikisImportBtn: document.getElementById('wikis-import-btn'),
+    wikisExportBtn: document.getElementById('wikis-export-btn'),
+    settingsBtn: document.getElementById('settings-btn'),
+    settingsPanel: document.getElementById('settings-panel'),
+    settingsCloseBtn: document.getElementById('settings-close-btn'),
+    controllerSlots: document.getElementById('controller-slots'),
+    startupOptions: document.getElementById('startup-options'),
+    bindingsList: document.getElementById('bindings-list'),
+    bindingsMessage: document.getElementById('bindings-message'),
+    bindingsResetBtn: document.getElementById('bindings-reset-btn'),
+    oskHintKeys: document.querySelectorAll('#osk-hints [data-action]'),
+    selectPicker: document.getElementById('select-picker'),
+    selectPickerTitle: document.getElementById('select-picker-title'),
+    selectPickerOptions: document.getElementById('select-picker-options'),
+    pickerHintKeys: document.querySelectorAll('#select-picker-hints [data-action]'),
+    contextMenu: document.getElementById('context-menu'),
+    contextMenuList: document.getElementById('context-menu-list'),
+    selectionHints: document.getElementById('selection-hints'),
+    selectionHintKeys: document.querySelectorAll('#selection-hints [data-action]'),
+    stickSettings: document.getElementById('stick-settings'),
+    stickResetBtn: document.getElementById('stick-reset-btn'),
   };
 
   // ============================================================
@@ -59,17 +134,17 @@
     goBtn: elements.goBtn,
     searchInput: elements.searchInput,
     searchBtn: elements.searchBtn,
-  });
+  }, window.electronAPI || null);
 
-  // Navigation Manager - handles history and back/forward
-  const navigationManager = new NavigationManager(elements.wiki, {
-    onNavigationComplete: () => {
-      uiControls.setLoadingStatus(false);
-      // Always refresh elements after navigation, with forced style re-injection
-      // This ensures clickable elements are detected on the new page
-      setTimeout(() => gamepadCursor.refreshElements(true), CURSOR_CONFIG.NAV_COMPLETE_DELAY_MS);
-    },
-  });
+  // Zoom Manager - webview zoom, remembered per wiki origin
+  const zoomManager = new ZoomManager({
+    wiki: elements.wiki,
+    indicator: elements.zoomIndicator,
+  }, window.electronAPI || null);
+
+  // Navigation Manager of the current tab - handles history and back/forward
+  // (each tab has its own; set by the Tab Manager below)
+  let navigationManager = null;
 
   // UI Controls - handles window controls
   const uiControls = new UIControls({
@@ -90,28 +165,267 @@
     osk: elements.osk,
     oskKeys: elements.oskKeys,
     oskInputText: elements.oskInputText,
+    oskSuggestions: elements.oskSuggestions,
   }, {
     onHideCursor: () => gamepadCursor.hide(),
     onShowCursor: () => gamepadCursor.show(),
     onSubmit: (targetInput, value) => {
       // Trigger the appropriate action based on which input was used
-      if (targetInput === elements.searchInput) {
-        wikiManager.performSearch();
+      if (targetInput.webviewId !== undefined) {
+        gamepadCursor.writeFormField(targetInput, value);
+      } else if (targetInput === elements.searchInput) {
+        // A suggested article title opens the article, like picking it in the dropdown
+        const articleUrl = suggestedArticles.get(value.trim().toLowerCase());
+        if (articleUrl) {
+          wikiManager.showArticle(articleUrl);
+        } else {
+          wikiManager.performSearch();
+        }
       } else if (targetInput === elements.wikiUrlInput) {
         wikiManager.goToCustomUrl();
+      } else if (elements.bookmarksPanel.contains(targetInput) ||
+        elements.historyPanel.contains(targetInput)) {
+        // The filter and search update as they're typed into
+        targetInput.dispatchEvent(new Event('input'));
+      }
+    },
+    onVisibilityChange: (visible) => {
+      // Main process picks the binding context (osk vs navigation)
+      if (window.electronAPI) {
+        window.electronAPI.setInputContext(visible ? 'osk' : 'navigation');
+      }
+    },
+    getSuggestions: (targetInput, text) => {
+      return targetInput === elements.searchInput ? predictSearch(text) : Promise.resolve([]);
+    },
+  });
+
+  // Select Picker - handles <select> elements in the wiki page
+  const selectPicker = new SelectPicker({
+    picker: elements.selectPicker,
+    title: elements.selectPickerTitle,
+    options: elements.selectPickerOptions,
+  }, {
+    onChoose: (field, index) => gamepadCursor.chooseFormOption(field, index),
+    onVisibilityChange: (visible) => {
+      if (visible) {
+        gamepadCursor.hide();
+      } else {
+        gamepadCursor.show();
+      }
+    },
+  });
+
+  // Text Selection - selects and copies text in the wiki page
+  const textSelection = new TextSelection({
+    hints: elements.selectionHints,
+  }, gamepadCursor, {
+    onVisibilityChange: (active) => {
+      if (active) {
+        gamepadCursor.hide();
+      } else {
+        gamepadCursor.show();
+      }
+    },
+  });
+
+  // Context Menu - right-click or LT + RT on the wiki page
+  const contextMenu = new ContextMenu({
+    menu: elements.contextMenu,
+    list: elements.contextMenuList,
+  }, {
+    onCommand: (command, context) => {
+      const handler = CONTEXT_MENU_COMMANDS[command];
+      if (handler) handler(context);
+    },
+    onVisibilityChange: (visible) => {
+      if (visible) {
+        gamepadCursor.hide();
+      } else {
+        gamepadCursor.show();
+      }
+    },
+  });
+
+  // Split View - two tabs side by side; the focused pane is the current tab
+  const splitView = new SplitView({
+    divider: elements.splitDivider,
+    landingPage: elements.landingPage,
+  }, {
+    onLayoutChange: (layout) => {
+      elements.splitBtn.setAttribute('aria-pressed', String(layout.enabled));
+      elements.splitOrientationBtn.classList.toggle('hidden', !layout.enabled);
+      if (window.electronAPI) {
+        window.electronAPI.setSplitLayout(layout);
+      }
+      // The page moved, so its element positions did too
+      setTimeout(() => gamepadCursor.refreshElements(), window.CURSOR_CONFIG.REFRESH_DELAY_MS);
+    },
+  });
+
+  // Bookmark Manager - saved pages, the toolbar star and landing page favorites
+  const bookmarkManager = new BookmarkManager({
+    toggleBtn: elements.bookmarkBtn,
+    favorites: elements.favorites,
+    favoritesList: elements.favoritesList,
+  }, wikiManager, window.electronAPI || null, {
+    onOpen: openPage,
+    onChange: () => {
+      if (bookmarksPanel.isVisible()) bookmarksPanel.render();
+    },
+  });
+
+  // Bookmarks Panel - bookmark list by wiki and folder
+  const bookmarksPanel = new BookmarksPanel({
+    panel: elements.bookmarksPanel,
+    toggleBtn: elements.bookmarksBtn,
+    closeBtn: elements.bookmarksCloseBtn,
+    filter: elements.bookmarksFilter,
+    list: elements.bookmarksList,
+  }, bookmarkManager, {
+    onOpen: openPage,
+    onShow: () => hideOtherPanels(bookmarksPanel),
+  });
+
+  // History Manager - visited pages and the landing page recent links
+  const historyManager = new HistoryManager({
+    recent: elements.recent,
+    recentList: elements.recentList,
+  }, wikiManager, window.electronAPI || null, {
+    onOpen: openPage,
+  });
+
+  // History Panel - visited pages with title search
+  const historyPanel = new HistoryPanel({
+    panel: elements.historyPanel,
+    toggleBtn: elements.historyBtn,
+    closeBtn: elements.historyCloseBtn,
+    search: elements.historySearch,
+    list: elements.historyList,
+    clearBtn: elements.historyClearBtn,
+  }, historyManager, {
+    onOpen: openPage,
+    onShow: () => hideOtherPanels(historyPanel),
+  });
+
+  // Search Suggestions - articles of the current wiki while typing a search.
+  // The dropdown follows the focused input, so gamepad users get the same
+  // articles in the OSK suggestion row instead (see predictSearch)
+  const searchSuggestions = new SearchSuggestions({
+    input: elements.searchInput,
+    container: elements.searchInput.parentElement,
+    list: elements.searchSuggestions,
+  }, wikiManager, historyManager, {
+    onPick: (suggestion) => wikiManager.showArticle(suggestion.url),
+  });
+
+  // Article URLs of the titles last predicted on the OSK, by lowercased title
+  const suggestedArticles = new Map();
+
+  // Searches are remembered to predict later ones on the OSK
+  wikiManager.onSearch = (query) => historyManager.recordSearch(query);
+
+  // Session Manager - saves the open tabs and restores them at startup
+  const sessionManager = new SessionManager({
+    startupOptions: elements.startupOptions,
+  }, wikiManager, window.electronAPI || null);
+
+  // Wikis Panel - the user's own wikis, shown before the built-in ones
+  const wikisPanel = new WikisPanel({
+    panel: elements.wikisPanel,
+    toggleBtn: elements.manageWikisBtn,
+    closeBtn: elements.wikisCloseBtn,
+    list: elements.wikisList,
+    message: elements.wikisMessage,
+    addBtn: elements.wikisAddBtn,
+    importBtn: elements.wikisImportBtn,
+    exportBtn: elements.wikisExportBtn,
+  }, wikiManager, window.electronAPI || null, {
+    onShow: () => hideOtherPanels(wikisPanel),
+  });
+
+  // Tab Manager - one webview and history per tab
+  const tabManager = new TabManager({
+    wiki: elements.wiki,
+    strip: elements.tabStrip,
+    newTabBtn: elements.newTabBtn,
+  }, {
+    onTabCreated: (tab) => {
+      zoomManager.watch(tab.webview);
+      sessionManager.watch(tab.webview);
+      bindWebviewEvents(tab.webview);
+    },
+    onTabClosed: (tab) => {
+      gamepadCursor.removeWebview(tab.webview);
+      if (splitView.hasPane(tab.webview)) splitView.close();
+      sessionManager.scheduleSave();
+    },
+    onActiveTabChange: (tab, previous) => {
+      navigationManager = tab.navigation;
+      closePageDialogs();
+      splitView.setFocused(tab.webview);
+      searchSuggestions.hide();
+      wikiManager.setWebview(tab.webview);
+      zoomManager.setWebview(tab.webview);
+      gamepadCursor.setWebview(tab.webview);
+      updateCurrentPage(tab.webview);
+      sessionManager.scheduleSave();
+      if (previous) {
+        uiControls.setLoadingStatus(tab.webview.classList.contains('loading'));
       }
     },
+    onNavigationComplete: (tab) => {
+      if (tab !== tabManager.getActiveTab()) return;
+
+      uiControls.setLoadingStatus(false);
+      updateCurrentPage(tab.webview);
+      // Always refresh elements after navigation, with forced style re-injection
+      // This ensures clickable elements are detected on the new page
+      setTimeout(() => gamepadCursor.refreshElements(true), CURSOR_CONFIG.NAV_COMPLETE_DELAY_MS);
+    },
   });
 
+  // Settings Panel - handles user preferences
+  const settingsPanel = new SettingsPanel({
+    panel: elements.settingsPanel,
+    toggleBtn: elements.settingsBtn,
+    closeBtn: elements.settingsCloseBtn,
+    controllerSlots: elements.controllerSlots,
+  }, {
+    onControllerSlotChange: (slot) => {
+      if (window.electronAPI) {
+        window.electronAPI.setControllerSlot(slot);
+      }
+    },
+    onShow: () => hideOtherPanels(settingsPanel),
+    onHide: () => {
+      if (bindingsEditor) bindingsEditor.cancelCapture();
+    },
+  });
+
+  // Bindings Editor - handles gamepad rebinding (needs the main process)
+  const bindingsEditor = window.electronAPI
+    ? new BindingsEditor({
+      list: elements.bindingsList,
+      message: elements.bindingsMessage,
+      resetBtn: elements.bindingsResetBtn,
+    }, window.electronAPI, {
+      onBindingsChange: updateButtonHints,
+    })
+    : null;
+
+  // Stick Settings - handles deadzone and curve tuning (needs the main process)
+  const stickSettings = window.electronAPI
+    ? new StickSettings({
+      container: elements.stickSettings,
+      resetBtn: elements.stickResetBtn,
+    }, window.electronAPI)
+    : null;
+
   // ============================================================
   // Additional Event Bindings (module interactions)
   // ============================================================
 
-  // Loading state from webview
-  elements.wiki.addEventListener('did-start-loading', () => {
-    uiControls.setLoadingStatus(true);
-  });
-
   // Navigation buttons
   elements.backBtn.addEventListener('click', () => {
     if (!navigationManager.goBack()) {
@@ -128,20 +442,362 @@
     showLandingPage();
   });
 
+  elements.bookmarkBtn.addEventListener('click', toggleBookmark);
+
+  // The search runs without the input losing focus when clicked with the gamepad
+  elements.searchBtn.addEventListener('click', () => searchSuggestions.hide());
+
+  elements.splitBtn.addEventListener('click', toggleSplitView);
+
+  elements.splitOrientationBtn.addEventListener('click', () => {
+    splitView.toggleOrientation();
+  });
+
+  elements.zoomIndicator.addEventListener('click', () => {
+    applyZoom(() => zoomManager.reset());
+  });
+
   // ============================================================
   // Helper Functions
   // ============================================================
 
+  /**
+   * Show the current bindings in the keyboard, picker and selection hint bars
+   * @param {Object} bindings - Binding table from the main process
+   */
+  function updateButtonHints(bindings) {
+    elements.oskHintKeys.forEach(key => {
+      key.textContent = BindingsEditor.formatBinding(bindings.osk[key.dataset.action]);
+    });
+    elements.pickerHintKeys.forEach(key => {
+      key.textContent = BindingsEditor.formatBinding(bindings.navigation[key.dataset.action]);
+    });
+    elements.selectionHintKeys.forEach(key => {
+      key.textContent = BindingsEditor.formatBinding(bindings.navigation[key.dataset.action]);
+    });
+  }
+
+  /**
+   * Listen to a tab's webview
+   * @param {HTMLElement} webview
+   */
+  function bindWebviewEvents(webview) {
+    // Loading state from webview
+    webview.addEventListener('did-start-loading', () => {
+      if (webview !== tabManager.getActiveWebview()) return;
+
+      uiControls.setLoadingStatus(true);
+      textSelection.stop();
+      contextMenu.hide();
+    });
+
+    // Every page shown goes into the history; its title follows once loaded
+    webview.addEventListener('did-navigate', (e) => {
+      historyManager.record({
+        url: e.url,
+        title: '',
+        wiki: wikiManager.getConfig(webview).baseUrl,
+      });
+    });
+
+    webview.addEventListener('page-title-updated', (e) => {
+      try {
+        historyManager.setTitle(webview.getURL(), e.title);
+      } catch {
+        // Webview detached while closing its tab
+      }
+    });
+
+    // Clicking into the other pane of split view focuses it
+    webview.addEventListener('focus', () => {
+      if (webview !== tabManager.getActiveWebview() && splitView.hasPane(webview)) {
+        tabManager.activateTab(tabManager.getTabByWebview(webview));
+      }
+    });
+
+    // Right-click on the page opens the same menu as the gamepad
+    webview.addEventListener('context-menu', (e) => {
+      const { params } = e;
+      const view = webview.getBoundingClientRect();
+      const x = view.left + params.x;
+      const y = view.top + params.y;
+
+      contextMenu.show({
+        linkURL: params.linkURL,
+        srcURL: params.mediaType === 'image' ? params.srcURL : '',
+        selectionText: params.selectionText,
+        isEditable: params.isEditable,
+        element: gamepadCursor.getPageElementAt(x, y),
+        canSelect: false,
+      }, x, y);
+    });
+  }
+
+  /**
+   * Close everything that works on the current page (before switching tabs)
+   */
+  function closePageDialogs() {
+    textSelection.stop();
+    contextMenu.hide();
+    if (selectPicker.isVisible()) selectPicker.hide();
+    if (oskManager.isVisible() && oskManager.getTargetInput().webviewId !== undefined) {
+      oskManager.hide(false);
+    }
+  }
+
+  /**
+   * Open a page in a new tab, as part of the current wiki
+   * @param {string} url
+   * @param {boolean} background - Stay on the current tab
+   */
+  function openInNewTab(url, background) {
+    const config = wikiManager.getConfig();
+    const tab = tabManager.openTab({ activate: !background });
+    wikiManager.openPage(tab.webview, url, config.baseUrl ? config : { baseUrl: url, searchUrl: '' });
+
+    if (background) {
+      uiControls.showStatus('Opened in new tab', 1000);
+    }
+  }
+
+  /**
+   * Close the current tab, or go to the landing page if it's the last one
+   */
+  function closeCurrentTab() {
+    if (!tabManager.closeTab(tabManager.getActiveTab())) {
+      showLandingPage();
+    }
+  }
+
+  /**
+   * Turn split view on, next to the neighbouring tab (or a copy of the
+   * current page when there's only one tab), or back off
+   */
+  function toggleSplitView() {
+    if (splitView.isEnabled()) {
+      splitView.close();
+      return;
+    }
+
+    const current = tabManager.getActiveTab();
+    const tabs = tabManager.getTabs();
+    const index = tabs.indexOf(current);
+    let other = tabs[index + 1] || tabs[index - 1];
+    if (!other) {
+      other = tabManager.openTab({ activate: false });
+      if (wikiManager.isWikiActive()) {
+        wikiManager.openPage(other.webview, current.webview.getURL(), wikiManager.getConfig());
+      }
+    }
+    splitView.open(current.webview, other.webview);
+  }
+
+  /**
+   * Focus the other pane of split view and put the cursor on it
+   */
+  function switchPane() {
+    const other = splitView.getOtherPane();
+    if (!other) return;
+
+    tabManager.activateTab(tabManager.getTabByWebview(other));
+    gamepadCursor.centerOnPage();
+  }
+
+  /**
+   * Tell the bookmark toggle which page the current tab shows
+   * @param {HTMLElement} webview - The current tab's webview
+   */
+  function updateCurrentPage(webview) {
+    if (!wikiManager.isWikiActive()) {
+      bookmarkManager.setCurrentPage(null);
+      return;
+    }
+
+    try {
+      bookmarkManager.setCurrentPage({
+        url: webview.getURL(),
+        title: webview.getTitle(),
+        wiki: wikiManager.getConfig().baseUrl,
+      });
+    } catch {
+      // Webview not attached yet - its navigation will report back
+      bookmarkManager.setCurrentPage(null);
+    }
+  }
+
+  /**
+   * Bookmark the current page, or remove its bookmark
+   */
+  function toggleBookmark() {
+    updateCurrentPage(tabManager.getActiveWebview());
+    bookmarkManager.toggleCurrent().then(added => {
+      if (added !== null) uiControls.showStatus(added ? 'Bookmarked' : 'Bookmark removed', 1500);
+    }).catch(() => {});
+  }
+
+  /**
+   * Show a bookmarked or visited page in the current tab
+   * @param {Bookmark|HistoryEntry} page
+   */
+  function openPage(page) {
+    textSelection.stop();
+    contextMenu.hide();
+    wikiManager.showPage(page.url, page.wiki || new URL(page.url).origin);
+  }
+
+  /**
+   * Keep a single overlay panel open
+   * @param {Object} shown - The panel that just opened
+   */
+  function hideOtherPanels(shown) {
+    [settingsPanel, bookmarksPanel, historyPanel, wikisPanel].forEach(panel => {
+      if (panel !== shown && panel.isVisible()) panel.hide();
+    });
+  }
+
   /**
    * Show the landing page and reset state
    */
   function showLandingPage() {
+    textSelection.stop();
+    contextMenu.hide();
     wikiManager.showLandingPage();
+    updateCurrentPage(tabManager.getActiveWebview());
+    historyManager.refreshRecent().catch(() => {});
     navigationManager.clearHistory();
     gamepadCursor.reset();
     gamepadCursor.hide();
   }
 
+  /**
+   * Change the webview zoom and report the new level
+   * @param {Function} change - Applies the zoom and returns the new factor
+   */
+  function applyZoom(change) {
+    if (!wikiManager.isWikiActive()) return;
+
+    const factor = change();
+    uiControls.showStatus(`Zoom ${Math.round(factor * 100)}%`, 1500);
+    setTimeout(() => gamepadCursor.refreshElements(), window.CURSOR_CONFIG.CLICK_FEEDBACK_MS);
+  }
+
+  /**
+   * Go back in history, or to the landing page when there's none
+   */
+  function goBack() {
+    if (!wikiManager.isWikiActive()) return;
+
+    if (!navigationManager.goBack()) {
+      showLandingPage();
+    }
+    setTimeout(() => gamepadCursor.refreshElements(), window.CURSOR_CONFIG.REFRESH_DELAY_MS);
+  }
+
+  /**
+   * Go forward in history
+   */
+  function goForward() {
+    if (navigationManager.goForward()) {
+      setTimeout(() => gamepadCursor.refreshElements(), window.CURSOR_CONFIG.REFRESH_DELAY_MS);
+    }
+  }
+
+  /**
+   * Start selecting text at the gamepad cursor
+   */
+  function startTextSelection() {
+    if (!wikiManager.isWikiActive()) return;
+
+    textSelection.start().then(started => {
+      if (!started) uiControls.showStatus('No text under the cursor', 1500);
+    });
+  }
+
+  /**
+   * Copy text to the clipboard and confirm it
+   * @param {string} text
+   * @param {string} message - Status shown after copying
+   */
+  function copyText(text, message) {
+    if (!text || !window.electronAPI) return;
+
+    window.electronAPI.copyText(text);
+    uiControls.showStatus(message, 1000);
+  }
+
+  /**
+   * Search the current wiki
+   * @param {string} text - Query (whitespace is collapsed)
+   */
+  function searchWiki(text) {
+    const query = text.replace(/\s+/g, ' ').trim();
+    if (!query || elements.searchInput.disabled) return;
+
+    elements.searchInput.value = query;
+    wikiManager.performSearch();
+  }
+
+  /**
+   * Predict a search from the text typed so far: matching past searches,
+   * then the current wiki's article titles
+   * @param {string} text
+   * @returns {Promise<string[]>}
+   */
+  function predictSearch(text) {
+    return Promise.all([
+      historyManager.getPastSearches(text),
+      searchSuggestions.fetchSuggestions(text),
+    ]).then(([searches, suggestions]) => {
+      const titles = (suggestions || []).map(suggestion => suggestion.title);
+      const seen = new Set();
+
+      // Past searches win over an article of the same name
+      const pastSearches = new Set(searches.map(search => search.toLowerCase()));
+      suggestedArticles.clear();
+      (suggestions || [])
+        .filter(suggestion => !pastSearches.has(suggestion.title.toLowerCase()))
+        .forEach(suggestion => suggestedArticles.set(suggestion.title.toLowerCase(), suggestion.url));
+
+      return searches.concat(titles).filter(prediction => {
+        const key = prediction.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    });
+  }
+
+  /**
+   * Context menu commands - run with the menu's context
+   * @type {Object.<string, Function>}
+   */
+  const CONTEXT_MENU_COMMANDS = {
+    'open-link': (context) => {
+      tabManager.getActiveWebview().src = context.linkURL;
+    },
+    'open-link-tab': (context) => openInNewTab(context.linkURL, true),
+    'copy-link': (context) => copyText(context.linkURL, 'Link address copied'),
+    'open-image': (context) => {
+      tabManager.getActiveWebview().src = context.srcURL;
+    },
+    'copy-image': (context) => copyText(context.srcURL, 'Image address copied'),
+    'save-image': (context) => tabManager.getActiveWebview().downloadURL(context.srcURL),
+    'copy-text': (context) => copyText(context.selectionText, 'Copied'),
+    'search-text': (context) => searchWiki(context.selectionText),
+    'select-text': startTextSelection,
+    'edit-field': (context) => {
+      gamepadCursor.readFormField(context.element).then(field => {
+        if (field) oskManager.show(field);
+      });
+    },
+    'back': goBack,
+    'forward': goForward,
+    'reload': () => {
+      if (wikiManager.isWikiActive()) tabManager.getActiveWebview().reload();
+    },
+    'copy-page-url': () => copyText(tabManager.getActiveWebview().getURL(), 'Page address copied'),
+  };
+
   // ============================================================
   // Gamepad Input Handling
   // ============================================================
@@ -153,6 +809,7 @@
 
     /**
      * OSK action handlers - maps action names to handler functions
+     * Buttons come from the "osk" context of the binding table.
      * @type {Object.<string, Function>}
      */
     const OSK_ACTIONS = {
@@ -164,13 +821,64 @@
       'cursor-left-fast': () => oskManager.navigate('left'),
       'cursor-right': () => oskManager.navigate('right'),
       'cursor-right-fast': () => oskManager.navigate('right'),
-      'click': () => oskManager.typeSelected(),      // A - type selected key
-      'back': () => oskManager.hide(false),          // B - close keyboard
-      'search': () => oskManager.backspace(),        // X - backspace
-      'home': () => oskManager.space(),              // Y - space
-      'page-up': () => oskManager.switchLayout(),    // LB - switch layout
-      'page-down': () => oskManager.switchLayout(),  // RB - switch layout
-      'start': () => oskManager.hide(true),           // Start - submit
+      'osk-type': () => oskManager.typeSelected(),
+      'osk-close': () => oskManager.hide(false),
+      'osk-backspace': () => oskManager.backspace(),
+      'osk-space': () => oskManager.space(),
+      'osk-prev-layout': () => oskManager.switchLayout(),
+      'osk-next-layout': () => oskManager.switchLayout(),
+      'osk-submit': () => oskManager.hide(true),
+      'osk-next-suggestion': () => oskManager.nextSuggestion(),
+      'osk-choose-suggestion': () => oskManager.chooseSuggestion(),
+    };
+
+    /**
+     * Select picker action handlers - the picker takes over while it's open
+     * @type {Object.<string, Function>}
+     */
+    const PICKER_ACTIONS = {
+      'cursor-up': () => selectPicker.move(-1),
+      'cursor-up-fast': () => selectPicker.move(-1),
+      'cursor-down': () => selectPicker.move(1),
+      'cursor-down-fast': () => selectPicker.move(1),
+      'click': () => selectPicker.choose(),
+      'back': () => selectPicker.hide(),
+      'home': () => selectPicker.hide(),
+    };
+
+    /**
+     * Context menu action handlers - the menu takes over while it's open
+     * @type {Object.<string, Function>}
+     */
+    const CONTEXT_MENU_ACTIONS = {
+      'cursor-up': () => contextMenu.move(-1),
+      'cursor-up-fast': () => contextMenu.move(-1),
+      'cursor-down': () => contextMenu.move(1),
+      'cursor-down-fast': () => contextMenu.move(1),
+      'click': () => contextMenu.choose(),
+      'back': () => contextMenu.hide(),
+      'home': () => contextMenu.hide(),
+      'context-menu': () => contextMenu.hide(),
+    };
+
+    /**
+     * Text selection action handlers - the selection takes over while it's active
+     * @type {Object.<string, Function>}
+     */
+    const SELECTION_ACTIONS = {
+      'cursor-up': () => textSelection.extend('up'),
+      'cursor-up-fast': () => textSelection.extend('up'),
+      'cursor-down': () => textSelection.extend('down'),
+      'cursor-down-fast': () => textSelection.extend('down'),
+      'cursor-left': () => textSelection.extend('left'),
+      'cursor-left-fast': () => textSelection.extend('left'),
+      'cursor-right': () => textSelection.extend('right'),
+      'cursor-right-fast': () => textSelection.extend('right'),
+      'click': copySelection,
+      'search': searchSelection,
+      'back': () => textSelection.stop(),
+      'home': () => textSelection.stop(),
+      'toggle-selection': () => textSelection.stop(),
     };
 
     /**
@@ -179,14 +887,14 @@
      */
     const GAMEPAD_ACTIONS = {
       // D-pad navigation
-      'cursor-up': () => gamepadCursor.move(0, -CURSOR_SPEED * CONFIG.DPAD_MOVE_MULTIPLIER),
-      'cursor-up-fast': () => gamepadCursor.move(0, -CURSOR_SPEED * CONFIG.DPAD_FAST_MULTIPLIER),
-      'cursor-down': () => gamepadCursor.move(0, CURSOR_SPEED * CONFIG.DPAD_MOVE_MULTIPLIER),
-      'cursor-down-fast': () => gamepadCursor.move(0, CURSOR_SPEED * CONFIG.DPAD_FAST_MULTIPLIER),
-      'cursor-left': () => gamepadCursor.move(-CURSOR_SPEED * CONFIG.DPAD_MOVE_MULTIPLIER, 0),
-      'cursor-left-fast': () => gamepadCursor.move(-CURSOR_SPEED * CONFIG.DPAD_FAST_MULTIPLIER, 0),
-      'cursor-right': () => gamepadCursor.move(CURSOR_SPEED * CONFIG.DPAD_MOVE_MULTIPLIER, 0),
-      'cursor-right-fast': () => gamepadCursor.move(CURSOR_SPEED * CONFIG.DPAD_FAST_MULTIPLIER, 0),
+      'cursor-up': () => moveWithDpad('up', 0, -CURSOR_SPEED * CONFIG.DPAD_MOVE_MULTIPLIER),
+      'cursor-up-fast': () => moveWithDpad('up', 0, -CURSOR_SPEED * CONFIG.DPAD_FAST_MULTIPLIER),
+      'cursor-down': () => moveWithDpad('down', 0, CURSOR_SPEED * CONFIG.DPAD_MOVE_MULTIPLIER),
+      'cursor-down-fast': () => moveWithDpad('down', 0, CURSOR_SPEED * CONFIG.DPAD_FAST_MULTIPLIER),
+      'cursor-left': () => moveWithDpad('left', -CURSOR_SPEED * CONFIG.DPAD_MOVE_MULTIPLIER, 0),
+      'cursor-left-fast': () => moveWithDpad('left', -CURSOR_SPEED * CONFIG.DPAD_FAST_MULTIPLIER, 0),
+      'cursor-right': () => moveWithDpad('right', CURSOR_SPEED * CONFIG.DPAD_MOVE_MULTIPLIER, 0),
+      'cursor-right-fast': () => moveWithDpad('right', CURSOR_SPEED * CONFIG.DPAD_FAST_MULTIPLIER, 0),
 
       // Right stick scrolling
       'scroll-up-analog': () => gamepadCursor.scrollPage(0, -CONFIG.SCROLL_ANALOG_STEP),
@@ -200,16 +908,10 @@
 
       // Click action (A button)
       'click': handleClick,
+      'context-menu': openContextMenu,
 
       // Back action (B button)
-      'back': () => {
-        if (wikiManager.isWikiActive()) {
-          if (!navigationManager.goBack()) {
-            showLandingPage();
-          }
-          setTimeout(() => gamepadCursor.refreshElements(), CONFIG.REFRESH_DELAY_MS);
-        }
-      },
+      'back': goBack,
 
       // Home action (Y button)
       'home': showLandingPage,
@@ -217,10 +919,93 @@
       // Search/keyboard action (X button)
       'search': () => {
         if (wikiManager.isWikiActive() && !elements.searchInput.disabled) {
+          searchSuggestions.hide();
           gamepadCursor.show();
           oskManager.show(elements.searchInput);
         }
       },
+
+      // Stick clicks
+      'center-cursor': () => gamepadCursor.center(),
+      'scroll-top': () => gamepadCursor.scrollToTop(),
+
+      // Shift layer (LT held)
+      'forward': goForward,
+      'reload': () => {
+        if (wikiManager.isWikiActive()) tabManager.getActiveWebview().reload();
+      },
+      'zoom-in': () => applyZoom(() => zoomManager.zoomBy(1)),
+      'zoom-out': () => applyZoom(() => zoomManager.zoomBy(-1)),
+      'zoom-reset': () => applyZoom(() => zoomManager.reset()),
+      'prev-wiki': () => cycleWiki(-1),
+      'next-wiki': () => cycleWiki(1),
+      'prev-tab': () => cycleTab(-1),
+      'next-tab': () => cycleTab(1),
+      'close-tab': closeCurrentTab,
+      'open-in-tab': openLinkInNewTab,
+      'toggle-focus-mode': () => {
+        const enabled = !gamepadCursor.isFocusMode();
+        gamepadCursor.setFocusMode(enabled);
+        uiControls.showStatus(enabled ? 'Focus mode on' : 'Focus mode off', 1500);
+      },
+      'toggle-selection': startTextSelection,
+      'toggle-split': () => {
+        toggleSplitView();
+        uiControls.showStatus(splitView.isEnabled() ? 'Split view on' : 'Split view off', 1500);
+      },
+      'switch-pane': switchPane,
+      'toggle-bookmark': toggleBookmark,
+      'bookmarks': () => bookmarksPanel.toggle(),
+      'history': () => historyPanel.toggle(),
+      'flip-split': () => {
+        if (!splitView.isEnabled()) return;
+        const orientation = splitView.toggleOrientation();
+        uiControls.showStatus(orientation === 'horizontal' ? 'Side by side' : 'Stacked', 1500);
+      },
+    };
+
+    /**
+     * Settings panel action handlers - override normal actions while the panel is open
+     * @type {Object.<string, Function>}
+     */
+    const SETTINGS_ACTIONS = {
+      'back': () => settingsPanel.hide(),
+      'home': () => settingsPanel.hide(),
+    };
+
+    /**
+     * Bookmarks panel action handlers - override normal actions while the panel is open
+     * @type {Object.<string, Function>}
+     */
+    const BOOKMARKS_ACTIONS = {
+      'back': () => bookmarksPanel.hide(),
+      'home': () => bookmarksPanel.hide(),
+    };
+
+    /**
+     * History panel action handlers - override normal actions while the panel is open
+     * @type {Object.<string, Function>}
+     */
+    const HISTORY_ACTIONS = {
+      'back': () => historyPanel.hide(),
+      'home': () => historyPanel.hide(),
+    };
+
+    /**
+     * Wikis panel action handlers - override normal actions while the panel is open
+     * @type {Object.<string, Function>}
+     */
+    const WIKIS_ACTIONS = {
+      'back': () => wikisPanel.hide(),
+      'home': () => wikisPanel.hide(),
+    };
+
+    /**
+     * Search suggestion action handlers - override normal actions while the dropdown is open
+     * @type {Object.<string, Function>}
+     */
+    const SUGGESTIONS_ACTIONS = {
+      'back': () => searchSuggestions.hide(),
     };
 
     // Handle gamepad actions
@@ -232,6 +1017,57 @@
         return;
       }
 
+      // Select picker is modal, other actions are ignored
+      if (selectPicker.isVisible()) {
+        const handler = PICKER_ACTIONS[action];
+        if (handler) handler();
+        return;
+      }
+
+      // So is the context menu
+      if (contextMenu.isVisible()) {
+        const handler = CONTEXT_MENU_ACTIONS[action];
+        if (handler) handler();
+        return;
+      }
+
+      // Text selection is modal too
+      if (textSelection.isActive()) {
+        const handler = SELECTION_ACTIONS[action];
+        if (handler) handler();
+        return;
+      }
+
+      // The search suggestions close on back, the cursor picks one
+      if (searchSuggestions.isVisible() && SUGGESTIONS_ACTIONS[action]) {
+        SUGGESTIONS_ACTIONS[action]();
+        return;
+      }
+
+      // Settings panel swallows back/home, everything else drives the cursor
+      if (settingsPanel.isVisible() && SETTINGS_ACTIONS[action]) {
+        SETTINGS_ACTIONS[action]();
+        return;
+      }
+
+      // So does the bookmarks panel
+      if (bookmarksPanel.isVisible() && BOOKMARKS_ACTIONS[action]) {
+        BOOKMARKS_ACTIONS[action]();
+        return;
+      }
+
+      // And the history panel
+      if (historyPanel.isVisible() && HISTORY_ACTIONS[action]) {
+        HISTORY_ACTIONS[action]();
+        return;
+      }
+
+      // And the wikis panel
+      if (wikisPanel.isVisible() && WIKIS_ACTIONS[action]) {
+        WIKIS_ACTIONS[action]();
+        return;
+      }
+
       // Normal gamepad actions
       const handler = GAMEPAD_ACTIONS[action];
       if (handler) handler();
@@ -244,6 +1080,19 @@
         return;
       }
 
+      if (selectPicker.isVisible()) {
+        selectPicker.handleAnalogNavigation(data.dx, data.dy);
+        return;
+      }
+
+      if (contextMenu.isVisible()) {
+        contextMenu.handleAnalogNavigation(data.dx, data.dy);
+        return;
+      }
+
+      // The selection moves with the D-pad only
+      if (textSelection.isActive()) return;
+
       if (data.dx !== 0 || data.dy !== 0) {
         gamepadCursor.move(data.dx, data.dy);
       }
@@ -251,17 +1100,195 @@
 
     // Handle right stick scrolling
     window.electronAPI.onGamepadScroll((data) => {
-      if (wikiManager.isWikiActive() && !oskManager.isVisible()) {
+      if (wikiManager.isWikiActive() && !oskManager.isVisible() && !selectPicker.isVisible() &&
+          !contextMenu.isVisible() && !textSelection.isActive()) {
         gamepadCursor.scrollWithGamepad(data.scrollX, data.scrollY);
       }
     });
 
+    // Links opened in a new window (target="_blank", middle-click) become tabs
+    window.electronAPI.onOpenTab(({ url, background }) => openInNewTab(url, background));
+
+    // Ctrl +/-/0 from the main process (works while the page has focus)
+    window.electronAPI.onZoomShortcut((shortcut) => {
+      if (shortcut === 'in') {
+        applyZoom(() => zoomManager.zoomBy(1));
+      } else if (shortcut === 'out') {
+        applyZoom(() => zoomManager.zoomBy(-1));
+      } else {
+        applyZoom(() => zoomManager.reset());
+      }
+    });
+
+    // Controller connect/disconnect notices
+    window.electronAPI.onGamepadConnection(({ slot, connected }) => {
+      uiControls.showControllerConnection(slot, connected);
+      settingsPanel.setSlotConnected(slot, connected);
+    });
+
+    window.electronAPI.getControllerStatus().then((status) => {
+      settingsPanel.setControllerStatus(status);
+    }).catch(() => {});
+
+    bindingsEditor.load().catch(() => {});
+    stickSettings.load().catch(() => {});
+    zoomManager.load().catch(() => {});
+    bookmarkManager.load().catch(() => {});
+    historyManager.refreshRecent().catch(() => {});
+    wikisPanel.load().catch(() => {});
+
+    // Opacity and click-through carry over from the last run
+    window.electronAPI.getWindowState().then((state) => {
+      uiControls.setOpacity(state.opacity);
+      if (state.clickThrough) uiControls.setClickThroughStatus(true);
+    }).catch(() => {});
+
+    // Last session's tabs, then the split-view layout saved with the window bounds
+    sessionManager.restore(tabManager)
+      .catch(() => {})
+      .then(() => window.electronAPI.getSplitLayout())
+      .then((layout) => {
+        splitView.restore(layout);
+        if (layout.enabled && !splitView.isEnabled()) toggleSplitView();
+      })
+      .catch(() => {});
+
+    /**
+     * Move the cursor with the D-pad, or jump to the next element in focus mode
+     * @param {'up'|'down'|'left'|'right'} direction
+     * @param {number} dx - Free cursor X delta
+     * @param {number} dy - Free cursor Y delta
+     */
+    function moveWithDpad(direction, dx, dy) {
+      if (gamepadCursor.isFocusMode()) {
+        gamepadCursor.moveFocus(direction);
+      } else {
+        gamepadCursor.move(dx, dy);
+      }
+    }
+
+    /**
+     * Switch to the previous or next built-in wiki
+     * @param {number} step - 1 for next, -1 for previous
+     */
+    function cycleWiki(step) {
+      navigationManager.clearHistory();
+      const wikiData = wikiManager.showAdjacentWiki(step);
+      if (wikiData) {
+        uiControls.showStatus(wikiData.name, 1500);
+        gamepadCursor.reset();
+      }
+    }
+
+    /**
+     * Switch to the previous or next tab
+     * @param {number} step - 1 for next, -1 for previous
+     */
+    function cycleTab(step) {
+      const tabs = tabManager.getTabs();
+      if (tabs.length < 2) return;
+
+      const tab = tabManager.cycle(step);
+      uiControls.showStatus(`Tab ${tabs.indexOf(tab) + 1}/${tabs.length}: ${tab.title}`, 1500);
+    }
+
+    /**
+     * Open the link under the cursor in a background tab
+     */
+    function openLinkInNewTab() {
+      if (!wikiManager.isWikiActive()) return;
+
+      const target = gamepadCursor.getPageTarget();
+      if (!target) return;
+
+      gamepadCursor.webviewBridge.getPointInfo(target.x, target.y).then(info => {
+        if (info && info.linkURL) {
+          openInNewTab(info.linkURL, true);
+        } else {
+          uiControls.showStatus('No link under the cursor', 1500);
+        }
+      });
+    }
+
+    /**
+     * Open the context menu for what the cursor points at
+     */
+    function openContextMenu() {
+      if (!wikiManager.isWikiActive()) return;
+
+      const target = gamepadCursor.getPageTarget();
+      if (!target) return;
+
+      const position = gamepadCursor.getPosition();
+      gamepadCursor.webviewBridge.getPointInfo(target.x, target.y).then(info => {
+        contextMenu.show({
+          linkURL: '',
+          srcURL: '',
+          selectionText: '',
+          isEditable: false,
+          ...info,
+          element: target.element,
+          canSelect: true,
+        }, position.x, position.y);
+      });
+    }
+
+    /**
+     * Copy the selected text to the clipboard and end the selection
+     */
+    function copySelection() {
+      copyText(textSelection.getText(), 'Copied');
+      textSelection.stop();
+    }
+
+    /**
+     * Search the current wiki for the selected text
+     */
+    function searchSelection() {
+      const text = textSelection.getText();
+      textSelection.stop();
+      searchWiki(text);
+    }
+
     /**
      * Handle click action - special logic for text inputs
      */
     function handleClick() {
+      // Over the other pane of split view, the first click focuses it
+      if (splitView.isEnabled()) {
+        const { x, y } = gamepadCursor.getPosition();
+        const pane = splitView.paneAt(x, y);
+        if (pane && pane !== tabManager.getActiveWebview()) {
+          tabManager.activateTab(tabManager.getTabByWebview(pane));
+          return;
+        }
+      }
+
       const highlighted = gamepadCursor.getHighlightedElement();
 
+      // Page form elements: type with the OSK, pick from a list, or toggle
+      if (highlighted && highlighted.isWebviewElement) {
+        if (highlighted.kind === 'text' || highlighted.kind === 'select') {
+          gamepadCursor.readFormField(highlighted).then(field => {
+            if (!field) {
+              gamepadCursor.click();
+            } else if (field.kind === 'select') {
+              selectPicker.show(field);
+            } else {
+              oskManager.show(field);
+            }
+          });
+          return;
+        }
+
+        if (highlighted.kind === 'toggle') {
+          gamepadCursor.toggleFormField(highlighted).then(checked => {
+            if (checked !== null) uiControls.showStatus(checked ? 'Checked' : 'Unchecked', 1000);
+          });
+          return;
+        }
+      }
+
       // Check if clicking a text input - open OSK instead
       if (highlighted && !highlighted.isWebviewElement) {
         const el = highlighted.element;
@@ -1,9 +1,10 @@
 /**
  * Wiki Configuration
  *
- * This module defines all available wikis in a single, centralized location.
+ * This module defines the built-in wikis in a single, centralized location.
  * To add a new wiki, simply add a new object to the WIKIS array below.
- * No need to modify HTML or other code files.
+ * No need to modify HTML or other code files. Users can add their own
+ * wikis in the app (see wikis-panel.js); those are listed first.
  *
  * Format:
  * {
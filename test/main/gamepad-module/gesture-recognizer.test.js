@@ -0,0 +1,109 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const GestureRecognizer = require('../../../main/gamepad-module/gesture-recognizer');
+const { BUTTONS, GESTURES } = require('../../../main/gamepad-module/gamepad-config');
+
+const { HOLD_TIME, DOUBLE_TAP_WINDOW } = GESTURES;
+const A = BUTTONS.A;
+
+describe('GestureRecognizer', () => {
+  let recognizer;
+  let previousButtons;
+
+  /**
+   * Feed one poll with the given buttons down at time `now`
+   * @returns {string[]} Gestures recognized this poll
+   */
+  function poll(buttons, now, tracked) {
+    const state = { buttons, previousButtons };
+    previousButtons = buttons;
+    return recognizer.update(state, tracked, now).map(event => event.gesture);
+  }
+
+  beforeEach(() => {
+    recognizer = new GestureRecognizer();
+    previousButtons = 0;
+  });
+
+  describe('hold', () => {
+    const tracked = new Map([[A, { hold: true, double: false }]]);
+
+    it('fires once the button has been down for exactly HOLD_TIME', () => {
+      assert.deepEqual(poll(A, 0, tracked), []);
+      assert.deepEqual(poll(A, HOLD_TIME - 1, tracked), []);
+      assert.deepEqual(poll(A, HOLD_TIME, tracked), ['hold']);
+    });
+
+    it('fires only once, and no press follows on release', () => {
+      poll(A, 0, tracked);
+      poll(A, HOLD_TIME, tracked);
+      assert.deepEqual(poll(A, HOLD_TIME + 100, tracked), []);
+      assert.deepEqual(poll(0, HOLD_TIME + 200, tracked), []);
+    });
+
+    it('turns a release just before HOLD_TIME into a press', () => {
+      poll(A, 0, tracked);
+      assert.deepEqual(poll(0, HOLD_TIME - 1, tracked), ['press']);
+    });
+  });
+
+  describe('double tap', () => {
+    const tracked = new Map([[A, { hold: false, double: true }]]);
+
+    it('fires when the second tap comes at the end of DOUBLE_TAP_WINDOW', () => {
+      poll(A, 0, tracked);
+      poll(0, 50, tracked);
+      assert.deepEqual(poll(A, 50 + DOUBLE_TAP_WINDOW, tracked), ['double']);
+      assert.deepEqual(poll(0, 60 + DOUBLE_TAP_WINDOW, tracked), []);
+    });
+
+    it('treats a second tap just outside the window as two presses', () => {
+      poll(A, 0, tracked);
+      poll(0, 50, tracked);
+      assert.deepEqual(poll(A, 51 + DOUBLE_TAP_WINDOW, tracked), ['press']);
+      poll(0, 100 + DOUBLE_TAP_WINDOW, tracked);
+      assert.deepEqual(poll(0, 101 + 2 * DOUBLE_TAP_WINDOW, tracked), ['press']);
+    });
+
+    it('releases the deferred press only after the window expires', () => {
+      poll(A, 0, tracked);
+      poll(0, 50, tracked);
+      assert.deepEqual(poll(0, 50 + DOUBLE_TAP_WINDOW, tracked), []);
+      assert.deepEqual(poll(0, 51 + DOUBLE_TAP_WINDOW, tracked), ['press']);
+      assert.deepEqual(poll(0, 1000, tracked), []);
+    });
+  });
+
+  describe('cancel', () => {
+    const tracked = new Map([[A, { hold: true, double: true }]]);
+
+    it('drops a press whose button was used by a chord', () => {
+      poll(A, 0, tracked);
+      recognizer.cancel();
+      assert.deepEqual(poll(0, 50, tracked), []);
+      assert.deepEqual(poll(0, 50 + DOUBLE_TAP_WINDOW + 1, tracked), []);
+    });
+
+    it('drops a tap waiting for its second half', () => {
+      poll(A, 0, tracked);
+      poll(0, 50, tracked);
+      recognizer.cancel();
+      assert.deepEqual(poll(0, 51 + DOUBLE_TAP_WINDOW, tracked), []);
+    });
+
+    it('recognizes the next press normally', () => {
+      poll(A, 0, tracked);
+      recognizer.cancel();
+      poll(0, 50, tracked);
+      poll(A, 100, tracked);
+      assert.deepEqual(poll(A, 100 + HOLD_TIME, tracked), ['hold']);
+    });
+  });
+
+  it('forgets buttons that are no longer tracked', () => {
+    poll(A, 0, new Map([[A, { hold: true, double: false }]]));
+    assert.deepEqual(poll(0, 50, new Map()), []);
+    assert.equal(recognizer.pending.size, 0);
+  });
+});
@@ -0,0 +1,201 @@
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+
+const LinuxGamepadInput = require('../../../main/gamepad-module/linux-gamepad-input');
+const { BUTTONS, ANALOG_CONFIG, LINUX_INPUT } = require('../../../main/gamepad-module/gamepad-config');
+
+const { ABS } = LINUX_INPUT;
+const EV_SYN = 0x00;
+const EV_KEY = 0x01;
+const EV_ABS = 0x03;
+const SYN_REPORT = 0x00;
+const SYN_DROPPED = 0x03;
+const BTN_SOUTH = 0x130;
+const BTN_EAST = 0x131;
+
+/**
+ * A "B: KEY=" bitmap as the kernel prints it: hex longs, most significant first
+ * @param {number[]} codes - EV_KEY codes the device has
+ */
+function keyBitmap(codes) {
+  const longBits = ['x64', 'arm64', 'ppc64', 's390x', 'riscv64'].includes(os.arch()) ? 64n : 32n;
+  const words = [];
+  for (const code of codes) {
+    const index = Number(BigInt(code) / longBits);
+    while (words.length <= index) words.push(0n);
+    words[index] |= 1n << (BigInt(code) % longBits);
+  }
+  return words.reverse().map(word => word.toString(16)).join(' ');
+}
+
+/**
+ * A /proc/bus/input/devices entry
+ */
+function procEntry(name, handlers, keys) {
+  return [
+    'I: Bus=0003 Vendor=045e Product=028e Version=0114',
+    `N: Name="${name}"`,
+    `H: Handlers=${handlers}`,
+    'B: EV=20000b',
+    `B: KEY=${keyBitmap(keys)}`,
+    '',
+  ].join('\n');
+}
+
+/**
+ * A kernel that answers EVIOCGABS from `axes` and EVIOCGKEY from `keys`
+ * @param {Object} state
+ * @param {Object.<number, {min: number, max: number, value: number}>} state.axes - By EV_ABS code
+ * @param {number[]} state.keys - EV_KEY codes held down
+ */
+function fakeIoctl(state) {
+  return (fd, request, type, buffer) => {
+    const nr = request & 0xff;
+    if (nr === 0x18) {
+      buffer.fill(0);
+      for (const code of state.keys) buffer[code >> 3] |= 1 << (code & 7);
+      return 0;
+    }
+
+    const axis = state.axes[nr - 0x40];
+    if (!axis) return -1;
+    buffer.writeInt32LE(axis.value, 0);
+    buffer.writeInt32LE(axis.min, 4);
+    buffer.writeInt32LE(axis.max, 8);
+    return 0;
+  };
+}
+
+/**
+ * A device as LinuxGamepadInput opens it, against the given kernel
+ * @returns {{input: LinuxGamepadInput, device: Object, send: Function}}
+ */
+function openDevice(kernel) {
+  const input = new LinuxGamepadInput();
+  input.ioctl = kernel ? fakeIoctl(kernel) : null;
+  const device = input._createDevice(-1, '/dev/input/event0');
+  const send = (type, code, value) => input._handleEvent(device, type, code, value);
+  return { input, device, send };
+}
+
+describe('LinuxGamepadInput', () => {
+  describe('finding devices', () => {
+    const KEY_A = 30;
+    const BTN_LEFT = 0x110;
+
+    function findDevices(entries) {
+      const readFileSync = mock.method(fs, 'readFileSync', () => entries.join('\n'));
+      try {
+        return new LinuxGamepadInput()._findDevices();
+      } finally {
+        readFileSync.mock.restore();
+      }
+    }
+
+    it('finds gamepads by their buttons, with or without joydev', () => {
+      const paths = findDevices([
+        procEntry('Keyboard', 'sysrq kbd event2 leds', [KEY_A]),
+        procEntry('Mouse', 'mouse0 event3', [BTN_LEFT]),
+        procEntry('Xbox 360 pad', 'event5 js0', [BTN_SOUTH, BTN_EAST]),
+        procEntry('Xbox Wireless pad', 'event7', [BTN_SOUTH, BTN_EAST]),
+      ]);
+      assert.deepEqual(paths, ['/dev/input/event5', '/dev/input/event7']);
+    });
+
+    it('skips entries without a key bitmap or event node', () => {
+      const paths = findDevices([
+        'N: Name="Power Button"\nH: Handlers=event0\n',
+        procEntry('Pad without evdev', 'js1', [BTN_SOUTH]),
+      ]);
+      assert.deepEqual(paths, []);
+    });
+  });
+
+  describe('axis ranges', () => {
+    const PAD_0_255 = {
+      keys: [],
+      axes: {
+        [ABS.LEFT_X]: { min: 0, max: 255, value: 128 },
+        [ABS.LEFT_Y]: { min: 0, max: 255, value: 128 },
+        [ABS.LEFT_TRIGGER]: { min: 0, max: 1023, value: 0 },
+      },
+    };
+
+    it('centers sticks that report 0-255', () => {
+      const { device, send } = openDevice(PAD_0_255);
+      assert.ok(Math.abs(device.gamepad.sThumbLX) < 200);
+      assert.ok(Math.abs(device.gamepad.sThumbLY) < 200);
+
+      send(EV_ABS, ABS.LEFT_X, 255);
+      send(EV_ABS, ABS.LEFT_Y, 0);
+      assert.equal(device.gamepad.sThumbLX, ANALOG_CONFIG.STICK_MAX);
+      assert.equal(device.gamepad.sThumbLY, ANALOG_CONFIG.STICK_MAX);
+
+      send(EV_ABS, ABS.LEFT_X, 0);
+      assert.equal(device.gamepad.sThumbLX, -ANALOG_CONFIG.STICK_MAX);
+    });
+
+    it('scales triggers by their reported maximum', () => {
+      const { device, send } = openDevice(PAD_0_255);
+      send(EV_ABS, ABS.LEFT_TRIGGER, 1023);
+      assert.equal(device.gamepad.bLeftTrigger, ANALOG_CONFIG.TRIGGER_MAX);
+      send(EV_ABS, ABS.LEFT_TRIGGER, 255);
+      assert.equal(device.gamepad.bLeftTrigger, 64);
+    });
+
+    it('assumes the Xbox ranges without ioctl', () => {
+      const { device, send } = openDevice(null);
+      send(EV_ABS, ABS.LEFT_X, 0);
+      send(EV_ABS, ABS.RIGHT_Y, -32768);
+      assert.equal(device.gamepad.sThumbLX, 0);
+      assert.equal(device.gamepad.sThumbRY, ANALOG_CONFIG.STICK_MAX);
+
+      send(EV_ABS, ABS.RIGHT_TRIGGER, 255);
+      assert.equal(device.gamepad.bRightTrigger, ANALOG_CONFIG.TRIGGER_MAX);
+      send(EV_ABS, ABS.RIGHT_TRIGGER, 1023);
+      assert.equal(device.gamepad.bRightTrigger, ANALOG_CONFIG.TRIGGER_MAX);
+      send(EV_ABS, ABS.RIGHT_TRIGGER, 255);
+      assert.equal(device.gamepad.bRightTrigger, 64);
+    });
+  });
+
+  describe('SYN_DROPPED', () => {
+    it('ignores events until the next report, then reads the state back', () => {
+      const kernel = { keys: [], axes: { [ABS.HAT_X]: { min: -1, max: 1, value: 0 } } };
+      const { device, send } = openDevice(kernel);
+
+      send(EV_KEY, BTN_SOUTH, 1);
+      send(EV_SYN, SYN_REPORT, 0);
+      assert.equal(device.gamepad.wButtons, BUTTONS.A);
+
+      // A's release was lost, B and the hat moved meanwhile
+      kernel.keys = [BTN_EAST];
+      kernel.axes[ABS.HAT_X].value = -1;
+      send(EV_SYN, SYN_DROPPED, 0);
+      send(EV_KEY, BTN_SOUTH, 1);
+      assert.equal(device.gamepad.wButtons, BUTTONS.A);
+
+      send(EV_SYN, SYN_REPORT, 0);
+      assert.equal(device.gamepad.wButtons, BUTTONS.B);
+      assert.equal(device.hatButtons, BUTTONS.DPAD_LEFT);
+
+      send(EV_KEY, BTN_EAST, 0);
+      assert.equal(device.gamepad.wButtons, 0);
+    });
+
+    it('releases everything when the state can\'t be read back', () => {
+      const { device, send } = openDevice(null);
+      send(EV_KEY, BTN_SOUTH, 1);
+      send(EV_ABS, ABS.HAT_Y, 1);
+      send(EV_ABS, ABS.LEFT_X, 20000);
+
+      send(EV_SYN, SYN_DROPPED, 0);
+      send(EV_SYN, SYN_REPORT, 0);
+      assert.equal(device.gamepad.wButtons, 0);
+      assert.equal(device.hatButtons, 0);
+      assert.equal(device.gamepad.sThumbLX, 0);
+    });
+  });
+});
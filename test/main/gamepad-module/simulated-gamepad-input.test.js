@@ -0,0 +1,263 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const SimulatedGamepadInput = require('../../../main/gamepad-module/simulated-gamepad-input');
+const GamepadActionDispatcher = require('../../../main/gamepad-module/gamepad-actions');
+const GestureRecognizer = require('../../../main/gamepad-module/gesture-recognizer');
+const ButtonRepeatHandler = require('../../../main/gamepad-module/button-repeat-handler');
+const { GamepadBindings } = require('../../../main/gamepad-module/gamepad-bindings');
+const { POLLING, DPAD_REPEAT, CONTROLLER_SLOTS } = require('../../../main/gamepad-module/gamepad-config');
+
+// Mocked clock start: late enough that the first poll probes every slot
+const START_TIME = CONTROLLER_SLOTS.RECONNECT_CHECK;
+
+/**
+ * Replays a timeline through the dispatcher the way gamepad.js polls it,
+ * without Electron: window actions and renderer actions are recorded.
+ */
+function createHarness(timeline) {
+  const actions = [];
+  let visible = true;
+
+  const windowActionHandler = {
+    isWindowVisible: () => visible,
+    toggleVisibility: () => {
+      visible = !visible;
+      actions.push('toggle-visibility');
+    },
+    closeApp: () => actions.push('close-app'),
+    toggleClickThrough: () => actions.push('toggle-click-through'),
+  };
+  const navigationActionHandler = { handleAction: (action) => actions.push(action) };
+
+  const bindings = new GamepadBindings({ get: () => undefined, set() {}, reset() {} });
+  bindings.load();
+
+  const input = new SimulatedGamepadInput(timeline);
+  assert.equal(input.init(), true);
+
+  const dispatcher = new GamepadActionDispatcher(windowActionHandler, navigationActionHandler, bindings.compile());
+  const gestureRecognizer = new GestureRecognizer();
+  const repeatHandler = new ButtonRepeatHandler();
+
+  const harness = {
+    actions,
+    backgroundMode: false,
+
+    // One pollGamepad() (buttons and D-pad)
+    poll() {
+      const state = input.poll();
+      if (!state) return;
+
+      dispatcher.dispatchButtonPress(state, harness.backgroundMode, gestureRecognizer, Date.now());
+      if (harness.backgroundMode) return;
+
+      dispatcher.dispatchDpad(state, (direction) => actions.push(`cursor-${direction}`), repeatHandler);
+    },
+
+    // Poll every POLLING.INTERVAL until `ms` have passed, letting
+    // timers fire on time in between
+    run(ms) {
+      for (let elapsed = 0; elapsed < ms; elapsed++) {
+        if (elapsed % POLLING.INTERVAL === 0) harness.poll();
+        mock.timers.tick(1);
+      }
+    },
+
+    stop() {
+      repeatHandler.clearAll();
+    },
+  };
+  return harness;
+}
+
+describe('SimulatedGamepadInput', () => {
+  let harness;
+
+  beforeEach(() => {
+    mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: START_TIME });
+    harness = null;
+  });
+
+  afterEach(() => {
+    if (harness) harness.stop();
+    mock.timers.reset();
+  });
+
+  describe('dispatching a timeline', () => {
+    it('toggles visibility once for a held Back+Start', () => {
+      harness = createHarness({
+        frames: [
+          { at: 0, buttons: [] },
+          { at: 100, buttons: ['BACK', 'START'] },
+          { at: 400, buttons: [] },
+        ],
+      });
+      harness.run(500);
+      assert.deepEqual(harness.actions, ['toggle-visibility']);
+    });
+
+    it('toggles visibility in background mode too', () => {
+      harness = createHarness({
+        frames: [
+          { at: 0, buttons: [] },
+          { at: 100, buttons: ['BACK', 'START'] },
+          { at: 200, buttons: [] },
+        ],
+      });
+      harness.backgroundMode = true;
+      harness.run(300);
+      assert.deepEqual(harness.actions, ['toggle-visibility']);
+    });
+
+    it('repeats a held D-pad after the delay, at the repeat rate', () => {
+      harness = createHarness({
+        frames: [
+          { at: 0, buttons: ['DPAD_DOWN'] },
+          { at: 380, buttons: [] },
+        ],
+      });
+      harness.run(600);
+
+      // The press, the first repeat at DELAY, then one every RATE until the release is polled
+      const repeats = 1 + Math.floor((380 - DPAD_REPEAT.DELAY) / DPAD_REPEAT.RATE);
+      assert.deepEqual(harness.actions, new Array(1 + repeats).fill('cursor-down'));
+    });
+
+    it('clicks as soon as A is pressed', () => {
+      harness = createHarness({
+        frames: [
+          { at: 0, buttons: ['A'] },
+          { at: 1000, buttons: [] },
+        ],
+      });
+      harness.run(100);
+      assert.deepEqual(harness.actions, ['click']);
+    });
+
+    it('goes back as soon as B is pressed', () => {
+      harness = createHarness({
+        frames: [
+          { at: 0, buttons: ['B'] },
+          { at: 1000, buttons: [] },
+        ],
+      });
+      harness.run(100);
+      assert.deepEqual(harness.actions, ['back']);
+    });
+
+    it('goes home as soon as Y is pressed', () => {
+      harness = createHarness({
+        frames: [
+          { at: 0, buttons: ['Y'] },
+          { at: 1000, buttons: [] },
+        ],
+      });
+      harness.run(100);
+      assert.deepEqual(harness.actions, ['home']);
+    });
+
+    it('ignores navigation buttons and the D-pad in background mode', () => {
+      harness = createHarness({
+        frames: [
+          { at: 0, buttons: ['X'] },
+          { at: 100, buttons: ['DPAD_UP'] },
+          { at: 300, buttons: [] },
+        ],
+      });
+      harness.backgroundMode = true;
+      harness.run(400);
+      assert.deepEqual(harness.actions, []);
+    });
+
+    it('uses the shift layer while the left trigger is pulled', () => {
+      harness = createHarness({
+        frames: [
+          { at: 0, buttons: ['X'] },
+          { at: 100, buttons: ['LEFT_TRIGGER'] },
+          { at: 200, buttons: ['LEFT_TRIGGER', 'DPAD_RIGHT'] },
+          { at: 300, buttons: [] },
+        ],
+      });
+      harness.run(400);
+      assert.deepEqual(harness.actions, ['search', 'next-wiki']);
+    });
+
+    it('opens the context menu with both triggers', () => {
+      harness = createHarness({
+        frames: [
+          { at: 0, buttons: ['LEFT_TRIGGER'] },
+          { at: 100, buttons: ['LEFT_TRIGGER', 'RIGHT_TRIGGER'] },
+          { at: 200, buttons: [] },
+        ],
+      });
+      harness.run(300);
+      assert.deepEqual(harness.actions, ['context-menu']);
+    });
+
+    it('bookmarks the page on a double tap of LT + Y', () => {
+      harness = createHarness({
+        frames: [
+          { at: 0, buttons: ['LEFT_TRIGGER'] },
+          { at: 100, buttons: ['LEFT_TRIGGER', 'Y'] },
+          { at: 150, buttons: ['LEFT_TRIGGER'] },
+          { at: 200, buttons: ['LEFT_TRIGGER', 'Y'] },
+          { at: 250, buttons: ['LEFT_TRIGGER'] },
+          { at: 800, buttons: [] },
+        ],
+      });
+      harness.run(900);
+      assert.deepEqual(harness.actions, ['toggle-bookmark']);
+    });
+  });
+
+  describe('looping', () => {
+    function buttonsAt(input, ms) {
+      mock.timers.setTime(START_TIME + ms);
+      const state = input.readState(0);
+      return state && state.wButtons;
+    }
+
+    it('plays the last frame before starting over', () => {
+      const input = new SimulatedGamepadInput({
+        loop: true,
+        frames: [
+          { at: 0, buttons: ['A'] },
+          { at: 100, connected: false },
+        ],
+      });
+      assert.equal(input.init(), true);
+
+      assert.ok(buttonsAt(input, 0));
+      assert.equal(buttonsAt(input, 100), null);
+      assert.equal(buttonsAt(input, 1099), null);
+      assert.ok(buttonsAt(input, 1100));
+    });
+
+    it('starts over after an explicit duration', () => {
+      const input = new SimulatedGamepadInput({
+        loop: true,
+        duration: 200,
+        frames: [
+          { at: 0, buttons: ['A'] },
+          { at: 100, buttons: [] },
+        ],
+      });
+      assert.equal(input.init(), true);
+
+      assert.ok(buttonsAt(input, 0));
+      assert.equal(buttonsAt(input, 150), 0);
+      assert.ok(buttonsAt(input, 200));
+    });
+
+    it('rejects a duration that cuts off the last frame', () => {
+      const frames = [{ at: 0, buttons: ['A'] }, { at: 100, buttons: [] }];
+      const error = mock.method(console, 'error', () => {});
+
+      assert.equal(new SimulatedGamepadInput({ loop: true, duration: 100, frames }).init(), false);
+      assert.equal(new SimulatedGamepadInput({ loop: true, duration: 'soon', frames }).init(), false);
+      assert.equal(error.mock.callCount(), 2);
+      error.mock.restore();
+    });
+  });
+});
@@ -0,0 +1,208 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+
+const {
+  discoverSearchUrl,
+  findOpenSearchLink,
+  parseOpenSearchDescription,
+  findApiUrl,
+  searchUrlFromSiteinfo,
+  searchUrlFromFarm,
+} = require('../../main/search-discovery');
+
+const SITEINFO = '?action=query&meta=siteinfo&format=json';
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'search-discovery', name), 'utf8');
+}
+
+/**
+ * A fetchText that serves fixtures by URL and fails like a 404 otherwise
+ * @param {Object.<string, string>} pages - URL -> fixture file name
+ * @returns {Function} The fetcher; its `requested` array lists every URL asked for
+ */
+function fakeFetch(pages) {
+  const fetchText = (url) => {
+    fetchText.requested.push(url);
+    return pages[url] ? Promise.resolve(fixture(pages[url])) : Promise.reject(new Error('HTTP 404'));
+  };
+  fetchText.requested = [];
+  return fetchText;
+}
+
+const WIKIGG_PAGES = {
+  'https://terraria.wiki.gg/': 'wikigg.html',
+  'https://terraria.wiki.gg/rest.php/v1/search': 'wikigg-opensearch.xml',
+  ['https://terraria.wiki.gg/api.php' + SITEINFO]: 'wikigg-siteinfo.json',
+};
+
+const FANDOM_PAGES = {
+  'https://zelda.fandom.com/': 'fandom.html',
+  'https://zelda.fandom.com/opensearch_desc.php': 'fandom-opensearch.xml',
+  ['https://zelda.fandom.com/api.php' + SITEINFO]: 'fandom-siteinfo.json',
+};
+
+const FEXTRALIFE_PAGES = {
+  'https://eldenring.wiki.fextralife.com/': 'fextralife.html',
+};
+
+const MEDIAWIKI_PAGES = {
+  'https://wiki.example.org/': 'mediawiki-w.html',
+  ['https://wiki.example.org/w/api.php' + SITEINFO]: 'mediawiki-w-siteinfo.json',
+};
+
+describe('discoverSearchUrl', () => {
+  it('uses the OpenSearch description of a wiki.gg wiki', async () => {
+    const fetchText = fakeFetch(WIKIGG_PAGES);
+    assert.equal(await discoverSearchUrl('https://terraria.wiki.gg', fetchText),
+      'https://terraria.wiki.gg/index.php?title=Special:Search&search={query}');
+    assert.deepEqual(fetchText.requested,
+      ['https://terraria.wiki.gg/', 'https://terraria.wiki.gg/rest.php/v1/search']);
+  });
+
+  it('falls back to siteinfo when the OpenSearch description fails', async () => {
+    const pages = { ...WIKIGG_PAGES };
+    delete pages['https://terraria.wiki.gg/rest.php/v1/search'];
+    assert.equal(await discoverSearchUrl('https://terraria.wiki.gg', fakeFetch(pages)),
+      'https://terraria.wiki.gg/index.php?search=');
+  });
+
+  it('drops the optional page parameter of a Fandom template', async () => {
+    assert.equal(await discoverSearchUrl('https://zelda.fandom.com', fakeFetch(FANDOM_PAGES)),
+      'https://zelda.fandom.com/wiki/Special:Search?query={query}');
+  });
+
+  it('finds /w/index.php through the EditURI link of a MediaWiki site', async () => {
+    const fetchText = fakeFetch(MEDIAWIKI_PAGES);
+    assert.equal(await discoverSearchUrl('https://wiki.example.org', fetchText),
+      'https://wiki.example.org/w/index.php?search=');
+    assert.deepEqual(fetchText.requested,
+      ['https://wiki.example.org/', 'https://wiki.example.org/w/api.php' + SITEINFO]);
+  });
+
+  it('tries /api.php, then /w/api.php when the page has no EditURI link', async () => {
+    const fetchText = fakeFetch({
+      'https://wiki.example.org/': 'fextralife.html',
+      ['https://wiki.example.org/w/api.php' + SITEINFO]: 'mediawiki-w-siteinfo.json',
+    });
+    assert.equal(await discoverSearchUrl('https://wiki.example.org', fetchText),
+      'https://wiki.example.org/w/index.php?search=');
+    assert.deepEqual(fetchText.requested.slice(1), [
+      'https://wiki.example.org/api.php' + SITEINFO,
+      'https://wiki.example.org/w/api.php' + SITEINFO,
+    ]);
+  });
+
+  it('uses the wiki farm pattern for Fextralife', async () => {
+    assert.equal(await discoverSearchUrl('https://eldenring.wiki.fextralife.com', fakeFetch(FEXTRALIFE_PAGES)),
+      'https://eldenring.wiki.fextralife.com/search?q=');
+  });
+
+  it('uses the wiki farm pattern when offline', async () => {
+    assert.equal(await discoverSearchUrl('https://hollowknight.wiki.gg', fakeFetch({})),
+      'https://hollowknight.wiki.gg/index.php?search=');
+  });
+
+  it('returns null when nothing is found', async () => {
+    assert.equal(await discoverSearchUrl('https://unknown.example.com', fakeFetch({})), null);
+  });
+
+  it('returns null for addresses that aren\'t web pages, without fetching', async () => {
+    const fetchText = fakeFetch({});
+    assert.equal(await discoverSearchUrl('not a url', fetchText), null);
+    assert.equal(await discoverSearchUrl('file:///etc/passwd', fetchText), null);
+    assert.deepEqual(fetchText.requested, []);
+  });
+});
+
+describe('findOpenSearchLink', () => {
+  it('resolves a relative href against the page', () => {
+    assert.equal(findOpenSearchLink(fixture('wikigg.html'), 'https://terraria.wiki.gg/'),
+      'https://terraria.wiki.gg/rest.php/v1/search');
+  });
+
+  it('reads single-quoted attributes', () => {
+    assert.equal(findOpenSearchLink(fixture('fandom.html'), 'https://zelda.fandom.com/'),
+      'https://zelda.fandom.com/opensearch_desc.php');
+  });
+
+  it('returns null without a link', () => {
+    assert.equal(findOpenSearchLink(fixture('fextralife.html'), 'https://eldenring.wiki.fextralife.com/'), null);
+  });
+});
+
+describe('parseOpenSearchDescription', () => {
+  it('picks the text/html template and decodes entities', () => {
+    assert.equal(parseOpenSearchDescription(fixture('wikigg-opensearch.xml')),
+      'https://terraria.wiki.gg/index.php?title=Special:Search&search={query}');
+  });
+
+  it('drops an optional parameter after the search terms', () => {
+    assert.equal(parseOpenSearchDescription(fixture('fandom-opensearch.xml')),
+      'https://zelda.fandom.com/wiki/Special:Search?query={query}');
+  });
+
+  it('keeps the ? when the first parameter is optional', () => {
+    const xml = '<Url type="text/html" template="https://wiki.example.org/s?a={x?}&amp;search={searchTerms}"/>';
+    assert.equal(parseOpenSearchDescription(xml), 'https://wiki.example.org/s?search={query}');
+  });
+
+  it('rejects templates with required parameters other than the search terms', () => {
+    const xml = '<Url type="text/html" template="https://wiki.example.org/s?lang={language}&amp;q={searchTerms}"/>';
+    assert.equal(parseOpenSearchDescription(xml), null);
+  });
+
+  it('returns null for text that isn\'t a description', () => {
+    assert.equal(parseOpenSearchDescription(fixture('fextralife.html')), null);
+  });
+});
+
+describe('findApiUrl', () => {
+  it('reads the EditURI link without its query', () => {
+    assert.equal(findApiUrl(fixture('wikigg.html'), 'https://terraria.wiki.gg/'), 'https://terraria.wiki.gg/api.php');
+  });
+
+  it('resolves a protocol-relative href', () => {
+    assert.equal(findApiUrl(fixture('mediawiki-w.html'), 'https://wiki.example.org/'),
+      'https://wiki.example.org/w/api.php');
+  });
+
+  it('returns null without an EditURI link', () => {
+    assert.equal(findApiUrl(fixture('fextralife.html'), 'https://eldenring.wiki.fextralife.com/'), null);
+  });
+});
+
+describe('searchUrlFromSiteinfo', () => {
+  it('joins the server and script', () => {
+    assert.equal(searchUrlFromSiteinfo(fixture('wikigg-siteinfo.json'), 'https://terraria.wiki.gg/api.php'),
+      'https://terraria.wiki.gg/index.php?search=');
+    assert.equal(searchUrlFromSiteinfo(fixture('fandom-siteinfo.json'), 'https://zelda.fandom.com/api.php'),
+      'https://zelda.fandom.com/index.php?search=');
+  });
+
+  it('resolves a protocol-relative server against the API URL', () => {
+    assert.equal(searchUrlFromSiteinfo(fixture('mediawiki-w-siteinfo.json'), 'https://wiki.example.org/w/api.php'),
+      'https://wiki.example.org/w/index.php?search=');
+  });
+
+  it('returns null for pages that aren\'t siteinfo', () => {
+    assert.equal(searchUrlFromSiteinfo(fixture('fextralife.html'), 'https://wiki.example.org/api.php'), null);
+    assert.equal(searchUrlFromSiteinfo('{"query":{}}', 'https://wiki.example.org/api.php'), null);
+  });
+});
+
+describe('searchUrlFromFarm', () => {
+  it('knows the wiki farms', () => {
+    assert.equal(searchUrlFromFarm('https://terraria.wiki.gg'), 'https://terraria.wiki.gg/index.php?search=');
+    assert.equal(searchUrlFromFarm('https://zelda.fandom.com'), 'https://zelda.fandom.com/wiki/Special:Search?query=');
+    assert.equal(searchUrlFromFarm('https://eldenring.wiki.fextralife.com'),
+      'https://eldenring.wiki.fextralife.com/search?q=');
+  });
+
+  it('doesn\'t match hosts that only end in the same letters', () => {
+    assert.equal(searchUrlFromFarm('https://notwiki.gg'), null);
+    assert.equal(searchUrlFromFarm('https://wiki.example.org'), null);
+  });
+});
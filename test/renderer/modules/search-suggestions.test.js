@@ -0,0 +1,130 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '../../../renderer/modules/search-suggestions.js'), 'utf8');
+
+/**
+ * Load the module into a window of its own with a fake fetch
+ * @param {Object.<string, *>} responses - api.php URL (without query) -> opensearch JSON
+ * @returns {{SearchSuggestions: Function, requested: string[]}}
+ */
+function loadModule(responses) {
+  const requested = [];
+  const fetch = (url) => {
+    const apiUrl = url.split('?')[0];
+    requested.push(apiUrl);
+    if (!(apiUrl in responses)) {
+      return Promise.resolve({ ok: false, status: 404 });
+    }
+    return Promise.resolve({ ok: true, json: () => Promise.resolve(responses[apiUrl]) });
+  };
+
+  const window = {};
+  vm.runInNewContext(SOURCE, { window, fetch, AbortController, URLSearchParams, setTimeout, clearTimeout });
+  return { SearchSuggestions: window.SearchSuggestions, requested };
+}
+
+function fakeElement() {
+  return {
+    value: '',
+    addEventListener() {},
+    setAttribute() {},
+    removeAttribute() {},
+    classList: { add() {}, remove() {} },
+  };
+}
+
+/**
+ * Suggestions for `query` on a wiki with the given search URL
+ */
+function suggest({ responses = {}, searchUrl, history = [] }, query = 'zen') {
+  const { SearchSuggestions, requested } = loadModule(responses);
+  const config = { baseUrl: 'https://wiki.example.org', searchUrl };
+  const historyManager = { search: () => Promise.resolve(history) };
+
+  const suggestions = new SearchSuggestions(
+    { input: fakeElement(), container: fakeElement(), list: fakeElement() },
+    { getConfig: () => config },
+    historyManager);
+
+  return suggestions.fetchSuggestions(query).then(result => ({ result, requested }));
+}
+
+const ZENITH = ['zen', ['Zenith'], [''], ['https://wiki.example.org/wiki/Zenith']];
+
+const VISITED = [
+  { wiki: 'https://wiki.example.org', title: 'Zenith | Example Wiki', url: 'https://wiki.example.org/Zenith' },
+  { wiki: 'https://other.example.org', title: 'Zenith', url: 'https://other.example.org/Zenith' },
+];
+
+describe('SearchSuggestions.fetchSuggestions', () => {
+  it('asks the api.php next to index.php', async () => {
+    const { result, requested } = await suggest({
+      searchUrl: 'https://wiki.example.org/index.php?search=',
+      responses: { 'https://wiki.example.org/api.php': ZENITH },
+    });
+    assert.deepEqual(result.map(s => s.title), ['Zenith']);
+    assert.deepEqual(requested, ['https://wiki.example.org/api.php']);
+  });
+
+  it('tries /w/api.php when /api.php fails for a Special:Search URL', async () => {
+    const { result, requested } = await suggest({
+      searchUrl: 'https://wiki.example.org/wiki/Special:Search?search=',
+      responses: { 'https://wiki.example.org/w/api.php': ZENITH },
+    });
+    assert.deepEqual(result.map(s => s.url), ['https://wiki.example.org/wiki/Zenith']);
+    assert.deepEqual(requested, ['https://wiki.example.org/api.php', 'https://wiki.example.org/w/api.php']);
+  });
+
+  it('falls back to the history when the API fails', async () => {
+    const { result } = await suggest({
+      searchUrl: 'https://wiki.example.org/index.php?search=',
+      history: VISITED,
+    });
+    assert.deepEqual(result.map(s => [s.title, s.url]), [['Zenith', 'https://wiki.example.org/Zenith']]);
+  });
+
+  it('falls back to the history when the API answers with something else', async () => {
+    const { result } = await suggest({
+      searchUrl: 'https://wiki.example.org/index.php?search=',
+      responses: { 'https://wiki.example.org/api.php': { error: { code: 'badvalue' } } },
+      history: VISITED,
+    });
+    assert.deepEqual(result.map(s => s.url), ['https://wiki.example.org/Zenith']);
+  });
+
+  it('keeps an empty answer from the API', async () => {
+    const { result } = await suggest({
+      searchUrl: 'https://wiki.example.org/index.php?search=',
+      responses: { 'https://wiki.example.org/api.php': ['zen', [], [], []] },
+      history: VISITED,
+    });
+    assert.equal(result.length, 0);
+  });
+
+  it('uses the history for wikis without an API', async () => {
+    const { result, requested } = await suggest({
+      searchUrl: 'https://wiki.example.org/search?q=',
+      history: VISITED,
+    });
+    assert.deepEqual(result.map(s => s.title), ['Zenith']);
+    assert.deepEqual(requested, []);
+  });
+
+  it('returns null for a request replaced by a newer one', async () => {
+    const { SearchSuggestions } = loadModule({ 'https://wiki.example.org/api.php': ZENITH });
+    const config = { baseUrl: 'https://wiki.example.org', searchUrl: 'https://wiki.example.org/index.php?search=' };
+    const suggestions = new SearchSuggestions(
+      { input: fakeElement(), container: fakeElement(), list: fakeElement() },
+      { getConfig: () => config },
+      { search: () => Promise.resolve([]) });
+
+    const first = suggestions.fetchSuggestions('ze');
+    const second = suggestions.fetchSuggestions('zen');
+    assert.equal(await first, null);
+    assert.deepEqual((await second).map(s => s.title), ['Zenith']);
+  });
+});
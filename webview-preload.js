@@ -0,0 +1,490 @@
+/**
+ * Webview preload
+ *
+ * Runs inside every wiki page and keeps the overlay's list of clickable
+ * elements up to date. Instead of the overlay polling the page, DOM
+ * observers report what changed and only the differences are sent to the
+ * host (ElementDetector) over sendToHost.
+ *
+ * Mutations only re-measure the subtrees they touched. The whole page is
+ * rescanned when its layout may have shifted (resizes, loads, elements
+ * turning up somewhere unexpected), at most every FULL_SCAN_INTERVAL_MS
+ * and while the page is idle.
+ *
+ * Open shadow roots and same-origin iframes are searched too; their
+ * elements are reported in the top page's coordinates.
+ *
+ * Rectangles are in document coordinates, so scrolling the page only
+ * needs the new scroll position.
+ */
+
+const { ipcRenderer } = require('electron');
+
+const CHANNEL = 'gamepad-elements';
+const REQUEST_CHANNEL = 'gamepad-elements-request';
+
+const CLICKABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [onclick], [role="button"], [role="link"], [tabindex]:not([tabindex="-1"])';
+
+// Attributes that can show, hide or move clickables
+const WATCHED_ATTRIBUTES = ['class', 'style', 'hidden', 'disabled', 'href', 'tabindex', 'role', 'open', 'aria-hidden', 'aria-expanded'];
+
+// Highlight class added by the overlay - toggling it is not a page change
+const HIGHLIGHT_CLASS = 'gamepad-selected';
+
+const MUTATION_OPTIONS = {
+  childList: true,
+  subtree: true,
+  attributes: true,
+  attributeOldValue: true,
+  attributeFilter: WATCHED_ATTRIBUTES,
+};
+
+// Batch window for mutations and inner scrolls (ms)
+const UPDATE_DELAY_MS = 100;
+
+// Least time between two full-page scans (ms)
+const FULL_SCAN_INTERVAL_MS = 300;
+
+// Input types the on-screen keyboard can fill in
+const TEXT_INPUT_TYPES = ['text', 'search', 'email', 'url', 'tel', 'number', 'password'];
+
+// id -> { el, kind, left, top, right, bottom }
+const tracked = new Map();
+
+// Changed nodes waiting for the next update
+const dirtyNodes = new Set();
+
+let nextId = 0;
+let updateTimer = null;
+let fullScanTimer = null;
+let lastFullScan = 0;
+let scrollFrame = null;
+let intersectionObserver = null;
+let mutationObserver = null;
+
+// Shadow roots and iframe documents already being watched
+const watchedRoots = new WeakSet();
+
+/**
+ * Get (or assign) the stable id the overlay uses to address an element.
+ * The id lives in the DOM so the overlay's injected scripts can find it.
+ */
+function getElementId(el) {
+  if (!el.dataset.gamepadId) {
+    el.dataset.gamepadId = String(nextId++);
+  }
+  return Number(el.dataset.gamepadId);
+}
+
+function isShown(el, rect) {
+  if (rect.width < 4 || rect.height < 4) return false;
+
+  const style = el.ownerDocument.defaultView.getComputedStyle(el);
+  return style.visibility !== 'hidden' &&
+    style.display !== 'none' &&
+    parseFloat(style.opacity) > 0.1;
+}
+
+/**
+ * What the overlay should do when the element is clicked
+ * @returns {'text'|'select'|'toggle'|'other'}
+ */
+function getElementKind(el) {
+  switch (el.tagName) {
+  case 'TEXTAREA':
+    return el.readOnly ? 'other' : 'text';
+  case 'SELECT':
+    return 'select';
+  case 'INPUT':
+    if (el.type === 'checkbox' || el.type === 'radio') return 'toggle';
+    return TEXT_INPUT_TYPES.includes(el.type) && !el.readOnly ? 'text' : 'other';
+  default:
+    return 'other';
+  }
+}
+
+function sameRect(a, b) {
+  return Math.abs(a.left - b.left) < 1 && Math.abs(a.top - b.top) < 1 &&
+    Math.abs(a.right - b.right) < 1 && Math.abs(a.bottom - b.bottom) < 1;
+}
+
+/**
+ * Where a same-origin iframe's content sits in the top viewport
+ * @returns {Object|null} Frame info, or null for cross-origin frames
+ */
+function getChildFrame(iframe, parent) {
+  let doc = null;
+  try {
+    doc = iframe.contentDocument;
+  } catch {
+    // Cross-origin
+  }
+  if (!doc || !doc.documentElement) return null;
+
+  const rect = iframe.getBoundingClientRect();
+  const style = iframe.ownerDocument.defaultView.getComputedStyle(iframe);
+  const paddingLeft = parseFloat(style.paddingLeft);
+  const paddingTop = parseFloat(style.paddingTop);
+  const left = parent.offsetX + rect.left + iframe.clientLeft + paddingLeft;
+  const top = parent.offsetY + rect.top + iframe.clientTop + paddingTop;
+  const right = left + iframe.clientWidth - paddingLeft - parseFloat(style.paddingRight);
+  const bottom = top + iframe.clientHeight - paddingTop - parseFloat(style.paddingBottom);
+
+  return {
+    doc,
+    offsetX: left,
+    offsetY: top,
+    clip: {
+      left: Math.max(left, parent.clip.left),
+      top: Math.max(top, parent.clip.top),
+      right: Math.min(right, parent.clip.right),
+      bottom: Math.min(bottom, parent.clip.bottom),
+    },
+  };
+}
+
+/**
+ * Collect clickables from a document, shadow root or element subtree and
+ * everything nested in it
+ * @param {Document|ShadowRoot|Element} root
+ * @param {Object} frame - Offset and clip of the document the root belongs to
+ * @param {Array} out - Receives { el, frame } pairs
+ */
+function collect(root, frame, out) {
+  if (root.nodeType === Node.ELEMENT_NODE && root.matches(CLICKABLE_SELECTOR)) {
+    out.push({ el: root, frame });
+  }
+  for (const el of root.querySelectorAll(CLICKABLE_SELECTOR)) {
+    out.push({ el, frame });
+  }
+
+  for (const el of root.querySelectorAll('*')) {
+    if (el.shadowRoot) {
+      watchRoot(el.shadowRoot);
+      collect(el.shadowRoot, frame, out);
+    } else if (el.tagName === 'IFRAME' || el.tagName === 'FRAME') {
+      const child = getChildFrame(el, frame);
+      if (child) {
+        watchRoot(child.doc);
+        collect(child.doc, child, out);
+      }
+    }
+  }
+}
+
+/**
+ * The top document's frame: no offset, no clip
+ */
+function getTopFrame() {
+  return {
+    doc: document,
+    offsetX: 0,
+    offsetY: 0,
+    clip: { left: -Infinity, top: -Infinity, right: Infinity, bottom: Infinity },
+  };
+}
+
+/**
+ * The element, shadow host or nothing a node hangs from
+ */
+function getParent(node) {
+  return node.parentNode || node.host || null;
+}
+
+/**
+ * Whether `el` is `node` or below it, looking through shadow roots
+ */
+function isWithin(el, node) {
+  for (let current = el; current; current = getParent(current)) {
+    if (current === node) return true;
+  }
+  return false;
+}
+
+/**
+ * Measure found clickables and record them
+ * @param {Array} found - { el, frame } pairs from collect()
+ * @param {Object} topFrame - Only its elements can be watched for layout shifts
+ * @param {Object} changes - Receives { seen, upsert } of the measured elements
+ * @param {boolean} reset - Send every element, changed or not
+ */
+function measure(found, topFrame, changes, reset) {
+  const scrollX = window.scrollX;
+  const scrollY = window.scrollY;
+
+  for (const { el, frame } of found) {
+    const local = el.getBoundingClientRect();
+    if (!isShown(el, local)) continue;
+
+    // Translate into the top viewport and drop what the frame cuts off
+    const rect = {
+      left: local.left + frame.offsetX,
+      top: local.top + frame.offsetY,
+      right: local.right + frame.offsetX,
+      bottom: local.bottom + frame.offsetY,
+    };
+    if (rect.right <= frame.clip.left || rect.left >= frame.clip.right ||
+        rect.bottom <= frame.clip.top || rect.top >= frame.clip.bottom) {
+      continue;
+    }
+
+    let id = getElementId(el);
+    const owner = tracked.get(id);
+    if (changes.seen.has(id) || (owner && owner.el !== el && owner.el.isConnected)) {
+      // Cloned node carried its original's id along
+      delete el.dataset.gamepadId;
+      id = getElementId(el);
+    }
+    changes.seen.add(id);
+
+    const entry = {
+      id,
+      kind: getElementKind(el),
+      left: rect.left + scrollX,
+      top: rect.top + scrollY,
+      right: rect.right + scrollX,
+      bottom: rect.bottom + scrollY,
+    };
+
+    const previous = tracked.get(id);
+    if (reset || !previous || previous.kind !== entry.kind || !sameRect(previous, entry)) {
+      changes.upsert.push(entry);
+    }
+    if (!previous || previous.el !== el) {
+      if (previous) intersectionObserver.unobserve(previous.el);
+      // Entry rects are frame-relative, so only top-level elements can be compared
+      if (frame === topFrame) intersectionObserver.observe(el);
+    }
+    tracked.set(id, { el, ...entry });
+  }
+}
+
+/**
+ * Stop tracking elements
+ * @param {function(Object): boolean} isGone - Called with each tracked entry
+ * @returns {number[]} Ids of the dropped elements
+ */
+function untrack(isGone) {
+  const remove = [];
+  for (const [id, entry] of tracked) {
+    if (isGone(entry)) {
+      remove.push(id);
+      intersectionObserver.unobserve(entry.el);
+      tracked.delete(id);
+    }
+  }
+  return remove;
+}
+
+function send(reset, upsert, remove) {
+  if (reset || upsert.length > 0 || remove.length > 0) {
+    ipcRenderer.sendToHost(CHANNEL, {
+      type: reset ? 'reset' : 'diff',
+      scrollX: window.scrollX,
+      scrollY: window.scrollY,
+      upsert,
+      remove,
+    });
+  }
+}
+
+/**
+ * Measure every clickable and send what changed since the last scan
+ * @param {boolean} reset - Send the full list instead of a diff
+ */
+function scan(reset) {
+  clearTimeout(fullScanTimer);
+  fullScanTimer = null;
+  lastFullScan = Date.now();
+  // Covered by this scan
+  dirtyNodes.clear();
+
+  const topFrame = getTopFrame();
+  const found = [];
+  collect(document, topFrame, found);
+
+  const changes = { seen: new Set(), upsert: [] };
+  measure(found, topFrame, changes, reset);
+  const remove = untrack(entry => !changes.seen.has(entry.id));
+
+  send(reset, changes.upsert, remove);
+}
+
+/**
+ * Re-measure the subtrees that changed since the last update and send
+ * what changed in them
+ */
+function update() {
+  updateTimer = null;
+
+  // Elements taken out of the page, wherever they were
+  const remove = untrack(entry => !entry.el.isConnected);
+
+  const topFrame = getTopFrame();
+  const changes = { seen: new Set(), upsert: [] };
+  for (const node of dirtyNodes) {
+    if (!node.isConnected) continue;
+
+    // Nested iframe documents need their frame offsets worked out again
+    if (node.ownerDocument !== document) {
+      scheduleFullScan();
+      continue;
+    }
+
+    // Covered by a changed ancestor
+    let parent = getParent(node);
+    while (parent && !dirtyNodes.has(parent)) parent = getParent(parent);
+    if (parent) continue;
+
+    const found = [];
+    collect(node, topFrame, found);
+    measure(found, topFrame, changes, false);
+
+    // Clickables in the subtree that are now hidden or no longer match
+    remove.push(...untrack(entry => !changes.seen.has(entry.id) && isWithin(entry.el, node)));
+  }
+  dirtyNodes.clear();
+
+  send(false, changes.upsert, remove);
+}
+
+/**
+ * Queue changed nodes for the next update
+ * @param {Node[]} nodes
+ */
+function markDirty(nodes) {
+  for (const node of nodes) dirtyNodes.add(node);
+  if (!updateTimer) {
+    updateTimer = setTimeout(update, UPDATE_DELAY_MS);
+  }
+}
+
+/**
+ * Rescan the whole page soon, at most every FULL_SCAN_INTERVAL_MS and
+ * once the page is idle
+ */
+function scheduleFullScan() {
+  if (fullScanTimer) return;
+
+  const wait = Math.max(0, lastFullScan + FULL_SCAN_INTERVAL_MS - Date.now());
+  fullScanTimer = setTimeout(() => {
+    requestIdleCallback(() => scan(false), { timeout: FULL_SCAN_INTERVAL_MS });
+  }, wait);
+}
+
+/**
+ * Watch a shadow root or iframe document for changes
+ * (observers and scroll listeners don't cross into them)
+ */
+function watchRoot(root) {
+  if (root === document || watchedRoots.has(root)) return;
+  watchedRoots.add(root);
+
+  mutationObserver.observe(root, MUTATION_OPTIONS);
+  root.addEventListener('scroll', onInnerScroll, { capture: true, passive: true });
+}
+
+/**
+ * Scrolling an inner container moves its clickables without a page scroll
+ */
+function onInnerScroll(event) {
+  const target = event.target;
+  if (target.nodeType !== Node.ELEMENT_NODE) {
+    // A nested iframe document scrolled
+    if (target !== document) scheduleFullScan();
+  } else if (target.ownerDocument === document) {
+    markDirty([target]);
+  } else {
+    scheduleFullScan();
+  }
+}
+
+function sendScroll() {
+  if (scrollFrame) return;
+  scrollFrame = requestAnimationFrame(() => {
+    scrollFrame = null;
+    ipcRenderer.sendToHost(CHANNEL, { type: 'scroll', scrollX: window.scrollX, scrollY: window.scrollY });
+  });
+}
+
+/**
+ * Ignore mutations that can't affect clickables (our own highlight class)
+ */
+function isRelevantMutation(record) {
+  if (record.type !== 'attributes' || record.attributeName !== 'class') return true;
+
+  const before = (record.oldValue || '').split(/\s+/).filter(name => name && name !== HIGHLIGHT_CLASS);
+  const after = Array.from(record.target.classList).filter(name => name !== HIGHLIGHT_CLASS);
+  return before.length !== after.length || before.some((name, i) => name !== after[i]);
+}
+
+/**
+ * Nodes whose subtree may hold new or changed clickables. Removed nodes
+ * need none: their clickables are dropped once they're disconnected.
+ */
+function getChangedNodes(records) {
+  const nodes = [];
+  for (const record of records) {
+    if (!isRelevantMutation(record)) continue;
+
+    if (record.type === 'attributes') {
+      nodes.push(record.target);
+      continue;
+    }
+    for (const node of record.addedNodes) {
+      // New text resizes its parent
+      nodes.push(node.nodeType === Node.ELEMENT_NODE ? node : record.target);
+    }
+  }
+  return nodes;
+}
+
+function start() {
+  // Layout shifts that don't come from DOM mutations (images, fonts):
+  // an element entering the viewport somewhere other than expected
+  intersectionObserver = new IntersectionObserver(entries => {
+    for (const entry of entries) {
+      if (!entry.isIntersecting) continue;
+
+      const stored = tracked.get(Number(entry.target.dataset.gamepadId));
+      const rect = entry.boundingClientRect;
+      const actual = {
+        left: rect.left + window.scrollX,
+        top: rect.top + window.scrollY,
+        right: rect.right + window.scrollX,
+        bottom: rect.bottom + window.scrollY,
+      };
+      if (!stored || !sameRect(stored, actual)) {
+        scheduleFullScan();
+        return;
+      }
+    }
+  });
+
+  mutationObserver = new MutationObserver(records => {
+    if (records.some(isRelevantMutation)) markDirty(getChangedNodes(records));
+  });
+  mutationObserver.observe(document.documentElement, MUTATION_OPTIONS);
+
+  new ResizeObserver(scheduleFullScan).observe(document.documentElement);
+
+  // Positions are page-relative, so a page scroll only needs the new offset
+  window.addEventListener('scroll', sendScroll, { passive: true });
+  document.addEventListener('scroll', onInnerScroll, { capture: true, passive: true });
+
+  window.addEventListener('load', scheduleFullScan);
+
+  // Iframes loading (or navigating) bring in a new document
+  document.addEventListener('load', event => {
+    if (event.target.tagName === 'IFRAME' || event.target.tagName === 'FRAME') scheduleFullScan();
+  }, true);
+
+  scan(true);
+}
+
+// The overlay asks for the full list when it lost track (e.g. after a reset)
+ipcRenderer.on(REQUEST_CHANNEL, () => {
+  if (intersectionObserver) scan(true);
+});
+
+window.addEventListener('DOMContentLoaded', start);